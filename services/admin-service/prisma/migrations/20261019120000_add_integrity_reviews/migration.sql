@@ -0,0 +1,27 @@
+-- CreateTable
+CREATE TABLE "integrity_reviews" (
+    "review_id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "session_id" UUID NOT NULL,
+    "match_id" UUID,
+    "tournament_id" UUID,
+    "season_id" UUID,
+    "player1_id" UUID,
+    "player2_id" UUID,
+    "recorded_winner_id" UUID,
+    "reason" TEXT NOT NULL,
+    "details" JSONB,
+    "status" TEXT NOT NULL DEFAULT 'open',
+    "detected_at" TIMESTAMP(3) NOT NULL,
+    "resolved_by_user_id" UUID,
+    "resolved_at" TIMESTAMP(3),
+    "resolution_note" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "integrity_reviews_pkey" PRIMARY KEY ("review_id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "integrity_reviews_session_id_key" ON "integrity_reviews"("session_id");
+
+-- CreateIndex
+CREATE INDEX "integrity_reviews_status_idx" ON "integrity_reviews"("status");
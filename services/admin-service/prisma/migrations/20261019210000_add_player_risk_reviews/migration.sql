@@ -0,0 +1,23 @@
+-- CreateTable
+CREATE TABLE "player_risk_reviews" (
+    "review_id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "player_id" UUID NOT NULL,
+    "risk_score" INTEGER NOT NULL,
+    "signals" JSONB,
+    "session_ids" JSONB,
+    "season_ids" JSONB,
+    "status" TEXT NOT NULL DEFAULT 'open',
+    "detected_at" TIMESTAMP(3) NOT NULL,
+    "resolved_by_user_id" UUID,
+    "resolved_at" TIMESTAMP(3),
+    "resolution_note" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "player_risk_reviews_pkey" PRIMARY KEY ("review_id")
+);
+
+-- CreateIndex
+CREATE INDEX "player_risk_reviews_player_id_status_idx" ON "player_risk_reviews"("player_id", "status");
+
+-- CreateIndex
+CREATE INDEX "player_risk_reviews_status_risk_score_idx" ON "player_risk_reviews"("status", "risk_score");
@@ -4,6 +4,7 @@ const ActivityLogger = require('../utils/activityLogger');
 const { asyncHandler } = require('../middlewares/errorHandler');
 const axios = require('axios');
 const { emitDashboardStats, emitUserStats, emitPaymentStats } = require('../utils/socketEmitter');
+const { publishEvent, Topics } = require('../../../../shared/events');
 
 // Create separate Prisma client for game service database
 const { PrismaClient: GamePrismaClient } = require('@prisma/client');
@@ -662,6 +663,127 @@ exports.deleteGameSession = asyncHandler(async (req, res) => {
   res.json({ success: true, message: 'Game session deleted' });
 });
 
+// Match Integrity Reviews
+exports.getIntegrityReviews = asyncHandler(async (req, res) => {
+  const { status, seasonId, limit = 50, offset = 0 } = req.query;
+
+  const where = {};
+  if (status) where.status = status;
+  if (seasonId) where.seasonId = seasonId;
+
+  const reviews = await prisma.integrityReview.findMany({
+    where,
+    orderBy: { detectedAt: 'desc' },
+    take: parseInt(limit, 10),
+    skip: parseInt(offset, 10)
+  });
+
+  res.json({ success: true, data: reviews });
+});
+
+exports.resolveIntegrityReview = asyncHandler(async (req, res) => {
+  const { reviewId } = req.params;
+  const { resolution, note } = req.body;
+
+  const review = await prisma.integrityReview.findUnique({ where: { reviewId } });
+  if (!review) {
+    return res.status(404).json({ success: false, error: 'Review not found' });
+  }
+  if (review.status !== 'open') {
+    return res.status(409).json({ success: false, error: `Review already ${review.status}` });
+  }
+
+  const updated = await prisma.integrityReview.update({
+    where: { reviewId },
+    data: {
+      status: resolution,
+      resolvedByUserId: req.user?.userId || null,
+      resolvedAt: new Date(),
+      resolutionNote: note || null
+    }
+  });
+
+  await publishEvent(Topics.MATCH_INTEGRITY_RESOLVED, {
+    reviewId,
+    sessionId: review.sessionId,
+    matchId: review.matchId,
+    tournamentId: review.tournamentId,
+    seasonId: review.seasonId,
+    resolution,
+    resolvedBy: req.user?.userId || null,
+    resolvedAt: updated.resolvedAt.toISOString()
+  });
+
+  await ActivityLogger.log(
+    req.adminId,
+    'resolve_integrity_review',
+    'games',
+    { resourceId: reviewId, resolution, note }
+  );
+
+  res.json({ success: true, data: updated });
+});
+
+// Player Risk Reviews
+exports.getPlayerRiskReviews = asyncHandler(async (req, res) => {
+  const { status, playerId, minRiskScore, limit = 50, offset = 0 } = req.query;
+
+  const where = {};
+  if (status) where.status = status;
+  if (playerId) where.playerId = playerId;
+  if (minRiskScore) where.riskScore = { gte: parseInt(minRiskScore, 10) };
+
+  const reviews = await prisma.playerRiskReview.findMany({
+    where,
+    orderBy: [{ riskScore: 'desc' }, { detectedAt: 'desc' }],
+    take: parseInt(limit, 10),
+    skip: parseInt(offset, 10)
+  });
+
+  res.json({ success: true, data: reviews });
+});
+
+exports.resolvePlayerRiskReview = asyncHandler(async (req, res) => {
+  const { reviewId } = req.params;
+  const { resolution, note } = req.body;
+
+  const review = await prisma.playerRiskReview.findUnique({ where: { reviewId } });
+  if (!review) {
+    return res.status(404).json({ success: false, error: 'Review not found' });
+  }
+  if (review.status !== 'open') {
+    return res.status(409).json({ success: false, error: `Review already ${review.status}` });
+  }
+
+  const updated = await prisma.playerRiskReview.update({
+    where: { reviewId },
+    data: {
+      status: resolution,
+      resolvedByUserId: req.user?.userId || null,
+      resolvedAt: new Date(),
+      resolutionNote: note || null
+    }
+  });
+
+  await publishEvent(Topics.PLAYER_INTEGRITY_RESOLVED, {
+    reviewId,
+    playerId: review.playerId,
+    riskScore: review.riskScore,
+    resolution,
+    resolvedBy: req.user?.userId || null,
+    resolvedAt: updated.resolvedAt.toISOString()
+  });
+
+  await ActivityLogger.log(
+    req.adminId,
+    'resolve_player_risk_review',
+    'games',
+    { resourceId: reviewId, playerId: review.playerId, resolution, note }
+  );
+
+  res.json({ success: true, data: updated });
+});
+
 // Wallet Management
 exports.getWallets = asyncHandler(async (req, res) => {
   const { limit = 50, offset = 0, type, status } = req.query;
@@ -0,0 +1,143 @@
+const { subscribeEvents, publishEvent, Topics } = require('../../../../shared/events');
+const { prisma } = require('../config/db');
+const logger = require('../utils/logger');
+
+const INTEGRITY_NOTIFY_ROLES = [
+  'admin',
+  'super_admin',
+  'superuser',
+  'superadmin',
+  'manager',
+  'director',
+  'game_manager',
+  'game_master'
+];
+
+async function notifyIntegrityAdmins({ title, message, data }) {
+  const admins = await prisma.adminUser.findMany({
+    where: {
+      isActive: true,
+      role: { in: INTEGRITY_NOTIFY_ROLES }
+    },
+    select: { userId: true, role: true }
+  });
+
+  await Promise.all(
+    admins.map((admin) =>
+      publishEvent(Topics.NOTIFICATION_SEND, {
+        userId: admin.userId,
+        channel: 'in_app',
+        type: 'admin_alert',
+        title,
+        message,
+        data: { ...data, role: admin.role }
+      }).catch((err) => {
+        logger.error({ err, adminUserId: admin.userId, ...data }, '[match-integrity] Failed to publish notification');
+      })
+    )
+  );
+}
+
+async function handleMatchIntegrityFlagged(payload) {
+  const { sessionId, reason, detectedAt } = payload || {};
+  if (!sessionId) return;
+
+  const existing = await prisma.integrityReview.findUnique({ where: { sessionId } });
+  if (existing) return;
+
+  const review = await prisma.integrityReview.create({
+    data: {
+      sessionId,
+      matchId: payload.matchId || null,
+      tournamentId: payload.tournamentId || null,
+      seasonId: payload.seasonId || null,
+      player1Id: payload.player1Id || null,
+      player2Id: payload.player2Id || null,
+      recordedWinnerId: payload.recordedWinnerId || null,
+      reason,
+      details: payload.details || null,
+      detectedAt: new Date(detectedAt)
+    }
+  });
+
+  await notifyIntegrityAdmins({
+    title: 'Match flagged for review',
+    message: `Match replay audit failed (${reason}). Season payout is on hold until reviewed.`,
+    data: {
+      reviewId: review.reviewId,
+      sessionId,
+      matchId: review.matchId,
+      seasonId: review.seasonId
+    }
+  });
+}
+
+// A level match nobody could settle on the table: an admin decides it. Not an
+// integrity review, so nothing is held.
+async function handleTiebreakReview(payload) {
+  const { sessionId, matchId, seasonId, reason } = payload || {};
+  if (!sessionId) return;
+
+  await notifyIntegrityAdmins({
+    title: 'Tiebreak needs a decision',
+    message: `A level knockout match could not be decided by sudden death (${reason}). Set the result to let the bracket continue.`,
+    data: { sessionId, matchId: matchId || null, seasonId: seasonId || null, reason }
+  });
+}
+
+// One open review per player; later flags refresh it with the newer evidence
+async function handlePlayerIntegrityFlagged(payload) {
+  const { playerId, riskScore, detectedAt } = payload || {};
+  if (!playerId) return;
+
+  const data = {
+    riskScore: Math.round(Number(riskScore) || 0),
+    signals: payload.signals || null,
+    sessionIds: payload.sessionIds || [],
+    seasonIds: payload.seasonIds || [],
+    detectedAt: new Date(detectedAt)
+  };
+  const existing = await prisma.playerRiskReview.findFirst({ where: { playerId, status: 'open' } });
+  if (existing) {
+    await prisma.playerRiskReview.update({ where: { reviewId: existing.reviewId }, data });
+    return;
+  }
+
+  const review = await prisma.playerRiskReview.create({ data: { playerId, ...data } });
+  await notifyIntegrityAdmins({
+    title: 'Player flagged for review',
+    message: `Cross-match play anomalies (risk score ${review.riskScore}). Payouts and withdrawals are on hold until reviewed.`,
+    data: {
+      reviewId: review.reviewId,
+      playerId,
+      riskScore: review.riskScore
+    }
+  });
+}
+
+async function startMatchIntegrityConsumer() {
+  await subscribeEvents(
+    'admin-service-match-integrity',
+    [Topics.MATCH_INTEGRITY_FLAGGED, Topics.PLAYER_INTEGRITY_FLAGGED, Topics.MATCH_TIEBREAK_REVIEW],
+    async (topic, payload) => {
+      try {
+        if (topic === Topics.PLAYER_INTEGRITY_FLAGGED) {
+          await handlePlayerIntegrityFlagged(payload);
+          return;
+        }
+        if (topic === Topics.MATCH_TIEBREAK_REVIEW) {
+          await handleTiebreakReview(payload);
+          return;
+        }
+        await handleMatchIntegrityFlagged(payload);
+      } catch (err) {
+        logger.error({ err, topic, payload }, '[match-integrity] Failed to handle integrity flag');
+      }
+    }
+  );
+  logger.info('[match-integrity] Consumer started');
+}
+
+module.exports = {
+  startMatchIntegrityConsumer
+};
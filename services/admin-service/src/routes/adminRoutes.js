@@ -281,6 +281,55 @@ router.delete('/games/sessions/:sessionId',
   adminController.deleteGameSession
 );
 
+// Match Integrity Reviews
+router.get('/games/integrity-reviews',
+  authorize('games:read'),
+  [
+    query('status').optional().isIn(['open', 'cleared', 'confirmed']),
+    query('seasonId').optional().isUUID(),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    query('offset').optional().isInt({ min: 0 }),
+    handleValidationErrors
+  ],
+  adminController.getIntegrityReviews
+);
+
+router.post('/games/integrity-reviews/:reviewId/resolve',
+  authorize('games:update'),
+  [
+    param('reviewId').isUUID(),
+    body('resolution').isIn(['cleared', 'confirmed']).withMessage('Resolution must be cleared or confirmed'),
+    body('note').optional().isString(),
+    handleValidationErrors
+  ],
+  adminController.resolveIntegrityReview
+);
+
+// Player Risk Reviews
+router.get('/players/risk-reviews',
+  authorize('games:read'),
+  [
+    query('status').optional().isIn(['open', 'cleared', 'confirmed']),
+    query('playerId').optional().isUUID(),
+    query('minRiskScore').optional().isInt({ min: 0, max: 100 }),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    query('offset').optional().isInt({ min: 0 }),
+    handleValidationErrors
+  ],
+  adminController.getPlayerRiskReviews
+);
+
+router.post('/players/risk-reviews/:reviewId/resolve',
+  authorize('games:update'),
+  [
+    param('reviewId').isUUID(),
+    body('resolution').isIn(['cleared', 'confirmed']).withMessage('Resolution must be cleared or confirmed'),
+    body('note').optional().isString(),
+    handleValidationErrors
+  ],
+  adminController.resolvePlayerRiskReview
+);
+
 // Wallet/Transaction Management
 router.get('/wallets',
   authorize('wallets:read'),
@@ -375,6 +424,14 @@ router.post('/tournaments',
     body('startTime').optional().isISO8601(),
     body('matchDuration').optional().isInt({ min: 60 }),
     body('seasonDuration').optional().isInt({ min: 300 }),
+    body('gameVariant').optional().isIn(['eight_ball', 'nine_ball']),
+    body('ruleProfile').optional(),
+    body('shotClock').optional(),
+    body('raceTo').optional(),
+    body('tiebreak').optional().isIn(['spot_shots', 'decider']),
+    body('handicap').optional().isObject(),
+    body('seeding').optional().isIn(['random', 'snake', 'club_separated']),
+    body('bracketFormat').optional().isIn(['single_elimination', 'double_elimination']),
     handleValidationErrors
   ],
   adminController.createTournament
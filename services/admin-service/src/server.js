@@ -10,6 +10,7 @@ const { startTournamentLifecycleConsumer } = require('./kafka/tournamentLifecycl
 const { startTournamentReadModelConsumer } = require('./kafka/tournamentReadModelConsumer');
 const { startTournamentCommandResponseConsumer } = require('./kafka/tournamentCommandClient');
 const { startAdminNotificationConsumer } = require('./kafka/adminNotificationConsumer');
+const { startMatchIntegrityConsumer } = require('./kafka/matchIntegrityConsumer');
 const { authMiddleware } = require('../../../shared/middlewares/authMiddleware');
 
 const app = express();
@@ -55,6 +56,9 @@ app.listen(PORT, () => {
   startAdminNotificationConsumer().catch((err) => {
     logger.error({ err }, '[admin-service] Failed to start admin notification consumer');
   });
+  startMatchIntegrityConsumer().catch((err) => {
+    logger.error({ err }, '[admin-service] Failed to start match integrity consumer');
+  });
 });
 
 module.exports = app;
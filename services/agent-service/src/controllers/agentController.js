@@ -533,6 +533,21 @@ exports.listAgentsByClub = async (req, res) => {
   }
 };
 
+exports.getAgentByUserInternal = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const agent = await prisma.agentProfile.findUnique({ where: { userId } });
+    if (!agent) {
+      return res.status(404).json({ success: false, error: 'Agent profile not found' });
+    }
+
+    res.json({ success: true, data: agent });
+  } catch (error) {
+    logger.error('Get agent by user error:', error);
+    res.status(500).json({ success: false, error: 'Failed to get agent' });
+  }
+};
+
 exports.updateAgentStatusInternal = async (req, res) => {
   try {
     const { userId, status } = req.body || {};
@@ -42,6 +42,12 @@ router.get(
   requireAnyRole(['service', 'admin', 'super_admin', 'superuser', 'superadmin']),
   agentController.listAgentsByClub
 );
+router.get(
+  '/internal/agents/by-user/:userId',
+  authMiddleware,
+  requireAnyRole(['service', 'admin', 'super_admin', 'superuser', 'superadmin']),
+  agentController.getAgentByUserInternal
+);
 router.post(
   '/internal/agents/status',
   authMiddleware,
@@ -4,7 +4,9 @@ const { subscribeEvents, Topics } = require('../../../../shared/events');
 
 async function handleMatchCompleted(_topic, payload) {
   try {
-    const { winnerId, loserId } = payload;
+    const { winnerId, loserId, draw } = payload;
+    // Draws don't count towards the won/lost record
+    if (draw) return;
     logger.info(`Processing MATCH_COMPLETED event for winner ${winnerId} and loser ${loserId}`);
 
     if (!winnerId || !loserId) {
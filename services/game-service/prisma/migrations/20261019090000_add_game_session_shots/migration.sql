@@ -0,0 +1,22 @@
+-- CreateTable
+CREATE TABLE "game_session_shots" (
+    "id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "sessionId" UUID NOT NULL,
+    "shotNumber" INTEGER NOT NULL,
+    "actorSide" TEXT NOT NULL,
+    "playerId" UUID,
+    "direction" JSONB NOT NULL,
+    "power" DOUBLE PRECISION NOT NULL,
+    "screw" DOUBLE PRECISION,
+    "english" DOUBLE PRECISION,
+    "cueBallPosition" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "game_session_shots_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "game_session_shots_sessionId_idx" ON "game_session_shots"("sessionId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "game_session_shots_sessionId_shotNumber_key" ON "game_session_shots"("sessionId", "shotNumber");
@@ -0,0 +1,10 @@
+-- AlterTable
+ALTER TABLE "game_sessions" ADD COLUMN     "auditResult" JSONB,
+ADD COLUMN     "auditStatus" TEXT,
+ADD COLUMN     "auditedAt" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "game_session_shots" ADD COLUMN     "stateHash" TEXT;
+
+-- CreateIndex
+CREATE INDEX "game_sessions_status_auditStatus_idx" ON "game_sessions"("status", "auditStatus");
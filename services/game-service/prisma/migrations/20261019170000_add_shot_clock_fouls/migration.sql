@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "game_session_shots" ADD COLUMN     "action" TEXT NOT NULL DEFAULT 'shot',
+ALTER COLUMN "direction" DROP NOT NULL,
+ALTER COLUMN "power" DROP NOT NULL;
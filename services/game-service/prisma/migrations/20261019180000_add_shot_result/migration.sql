@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "game_session_shots" ADD COLUMN     "result" JSONB;
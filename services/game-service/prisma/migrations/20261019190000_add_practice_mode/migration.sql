@@ -0,0 +1,53 @@
+-- CreateTable
+CREATE TABLE "practice_drills" (
+    "drillId" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "type" TEXT NOT NULL,
+    "title" TEXT NOT NULL,
+    "description" TEXT,
+    "layout" JSONB,
+    "criteria" JSONB NOT NULL,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdBy" UUID,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "practice_drills_pkey" PRIMARY KEY ("drillId")
+);
+
+-- CreateTable
+CREATE TABLE "practice_sessions" (
+    "sessionId" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "drillId" UUID NOT NULL,
+    "playerId" UUID NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'active',
+    "engineState" JSONB,
+    "progress" JSONB NOT NULL,
+    "shotsTaken" INTEGER NOT NULL DEFAULT 0,
+    "score" INTEGER NOT NULL DEFAULT 0,
+    "startedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "endedAt" TIMESTAMP(3),
+
+    CONSTRAINT "practice_sessions_pkey" PRIMARY KEY ("sessionId")
+);
+
+-- CreateTable
+CREATE TABLE "practice_bests" (
+    "playerId" UUID NOT NULL,
+    "drillId" UUID NOT NULL,
+    "bestScore" INTEGER NOT NULL DEFAULT 0,
+    "fewestShots" INTEGER,
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "completions" INTEGER NOT NULL DEFAULT 0,
+    "lastPlayedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "practice_bests_pkey" PRIMARY KEY ("playerId","drillId")
+);
+
+-- CreateIndex
+CREATE INDEX "practice_drills_type_isActive_idx" ON "practice_drills"("type", "isActive");
+
+-- CreateIndex
+CREATE INDEX "practice_sessions_playerId_status_idx" ON "practice_sessions"("playerId", "status");
+
+-- CreateIndex
+CREATE INDEX "practice_bests_drillId_bestScore_idx" ON "practice_bests"("drillId", "bestScore");
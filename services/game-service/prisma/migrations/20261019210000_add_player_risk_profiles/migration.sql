@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE "player_risk_profiles" (
+    "playerId" UUID NOT NULL,
+    "riskScore" INTEGER NOT NULL DEFAULT 0,
+    "signals" JSONB,
+    "sessionCount" INTEGER NOT NULL DEFAULT 0,
+    "shotCount" INTEGER NOT NULL DEFAULT 0,
+    "status" TEXT NOT NULL DEFAULT 'clear',
+    "flaggedScore" INTEGER,
+    "flaggedAt" TIMESTAMP(3),
+    "resolvedAt" TIMESTAMP(3),
+    "evaluatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "player_risk_profiles_pkey" PRIMARY KEY ("playerId")
+);
+
+-- CreateIndex
+CREATE INDEX "player_risk_profiles_status_idx" ON "player_risk_profiles"("status");
+
+-- CreateIndex
+CREATE INDEX "player_risk_profiles_evaluatedAt_idx" ON "player_risk_profiles"("evaluatedAt");
@@ -0,0 +1,9 @@
+-- CreateTable
+CREATE TABLE "player_anomaly_scans" (
+    "id" TEXT NOT NULL,
+    "lastEndedAt" TIMESTAMP(3) NOT NULL,
+    "lastSessionId" UUID NOT NULL,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "player_anomaly_scans_pkey" PRIMARY KEY ("id")
+);
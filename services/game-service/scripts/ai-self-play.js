@@ -0,0 +1,379 @@
+#!/usr/bin/env node
+
+/**
+ * Headless AI self-play for difficulty calibration.
+ *
+ * Plays seeded games on EightBallEngine between an AI difficulty level and an
+ * opponent (the same level, another level or a scripted baseline) and reports
+ * per-level stats as JSON or CSV. The same flags and seed always play the same
+ * games, so the numbers can be published next to each level and re-checked.
+ *
+ *   node scripts/ai-self-play.js --levels 15,35,50,75,100 --games 50 --opponent baseline
+ *   node scripts/ai-self-play.js --levels 35,50 --opponent 75 --format csv --out calibration.csv
+ *
+ * Options:
+ *   --levels    comma separated AI difficulties (6-100), default 15,35,50,75,100
+ *   --opponent  "mirror" (same level), "baseline" or a difficulty, default baseline
+ *   --games     games per level, default 20
+ *   --seed      base seed, default 1
+ *   --variant   eight_ball or nine_ball, default eight_ball
+ *   --rule-profile  engine rule profile, as used by live sessions
+ *   --max-shots shots before a game is abandoned as unfinished, default 200
+ *   --max-void-rate  share of voided games any level may have before the run
+ *               fails, default 0.02
+ *   --format    json or csv, default json
+ *   --out       write the report to a file instead of stdout
+ *
+ * A run-out is a win where the winner potted all their balls in the winning
+ * visit. Break success is a legal break that pocketed at least one ball
+ * without scratching. Games where the physics knocked a ball through a
+ * cushion can never finish properly; they are counted as voided and left out
+ * of every other stat. Voided games bias what is left towards short, clean
+ * games, so the run exits non-zero when any level voids more than
+ * --max-void-rate of its games.
+ */
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { EightBallEngine, planAiShot } = require('../src/engine/8ball');
+const { findTargetBall, getPlannerProfile } = require('../src/engine/8ball/ai-planner');
+const { createRng } = require('../src/engine/8ball/rng');
+
+const DEFAULT_LEVELS = [15, 35, 50, 75, 100];
+
+function parseOptions(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      levels: { type: 'string' },
+      opponent: { type: 'string', default: 'baseline' },
+      games: { type: 'string', default: '20' },
+      seed: { type: 'string', default: '1' },
+      variant: { type: 'string', default: 'eight_ball' },
+      'rule-profile': { type: 'string' },
+      'max-shots': { type: 'string', default: '200' },
+      'max-void-rate': { type: 'string', default: '0.02' },
+      format: { type: 'string', default: 'json' },
+      out: { type: 'string' },
+    },
+  });
+
+  const levels = values.levels
+    ? values.levels.split(',').map((level) => Number(level.trim()))
+    : DEFAULT_LEVELS;
+  if (levels.some((level) => !Number.isFinite(level) || level < 6 || level > 100)) {
+    throw new Error('--levels must be difficulties between 6 and 100');
+  }
+  const opponent = values.opponent;
+  if (!['mirror', 'baseline'].includes(opponent) && !Number.isFinite(Number(opponent))) {
+    throw new Error('--opponent must be mirror, baseline or a difficulty');
+  }
+  const maxVoidRate = Number(values['max-void-rate']);
+  if (!Number.isFinite(maxVoidRate) || maxVoidRate < 0 || maxVoidRate > 1) {
+    throw new Error('--max-void-rate must be between 0 and 1');
+  }
+  if (!['json', 'csv'].includes(values.format)) {
+    throw new Error('--format must be json or csv');
+  }
+
+  return {
+    levels,
+    opponent,
+    games: Math.max(1, Number(values.games) || 1),
+    seed: Number(values.seed) || 1,
+    variant: values.variant,
+    ruleProfile: values['rule-profile'] || undefined,
+    maxShots: Math.max(1, Number(values['max-shots']) || 200),
+    maxVoidRate,
+    format: values.format,
+    out: values.out || null,
+  };
+}
+
+/**
+ * Scripted baseline: hits the nearest legal ball full at a fixed medium pace
+ * and takes ball in hand at the first free spot. No aiming at pockets, no
+ * position play, no randomness.
+ */
+function planBaselineShot(engine, side) {
+  const rulesState = engine.state.rulesState || {};
+  const targetType = side === 'p1' ? rulesState.p1Target : rulesState.p2Target;
+  let cueBallPosition = null;
+  if (engine.state.cueBallInHand) {
+    const bounds = engine.getBallInHandBounds();
+    const spots = [
+      { x: (bounds.left + bounds.right) / 2, y: 0 },
+      { x: bounds.left + engine.config.ballRadius * 4, y: 0 },
+      { x: bounds.left + engine.config.ballRadius * 4, y: bounds.top + engine.config.ballRadius * 4 },
+      { x: bounds.left + engine.config.ballRadius * 4, y: bounds.bottom - engine.config.ballRadius * 4 },
+    ];
+    cueBallPosition = spots.find((spot) => {
+      const probe = new EightBallEngine({ ...engine.config });
+      probe.loadState(JSON.parse(JSON.stringify(engine.getSnapshot())));
+      return probe.placeCueBall(spot);
+    }) || spots[0];
+  }
+
+  const origin = cueBallPosition || engine.state.balls[0].position;
+  const target = findTargetBall(engine, targetType);
+  const dx = target ? target.position.x - origin.x : 1;
+  const dy = target ? target.position.y - origin.y : 0;
+  const isBreak = engine.state.shotNumber === 0;
+  // Enough pace for the cue ball to roll one and a half table lengths
+  const tableBounds = engine.getTableBounds();
+  const pace = Math.sqrt(2 * engine.config.friction * (tableBounds.right - tableBounds.left) * 1.5);
+  return {
+    direction: { x: dx, y: dy },
+    power: isBreak ? engine.config.maxPower * 0.5 : pace,
+    cueBallPosition,
+    calledBall: target?.id,
+    calledPocket: undefined,
+  };
+}
+
+function createPlayer(kind, difficulty, random) {
+  if (kind === 'baseline') {
+    return { label: 'baseline', plan: (engine, side) => planBaselineShot(engine, side) };
+  }
+  return {
+    label: String(difficulty),
+    plan: (engine, side) => planAiShot(engine, side, difficulty, { random }),
+  };
+}
+
+function hasBallOffTable(engine) {
+  const bounds = engine.getTableBounds();
+  const margin = engine.config.ballRadius * 2;
+  return engine.state.balls.some((ball) => ball && ball.active === 1 && (
+    ball.position.x < bounds.left - margin || ball.position.x > bounds.right + margin ||
+    ball.position.y < bounds.top - margin || ball.position.y > bounds.bottom + margin
+  ));
+}
+
+function emptySideStats() {
+  return { shots: 0, fouls: 0, pots: 0, breaks: 0, goodBreaks: 0, runOuts: 0 };
+}
+
+/**
+ * Play one game to completion (or `maxShots`) and return what each side did.
+ */
+function playGame({ seed, variant, ruleProfile, maxShots, players }) {
+  const engine = new EightBallEngine({ seed, variant, ruleProfile });
+  const stats = { p1: emptySideStats(), p2: emptySideStats() };
+  const potsBeforeVisit = { p1: 0, p2: 0 };
+  let visitSide = null;
+  let racks = 1;
+  let shots = 0;
+  let voided = false;
+
+  while (!engine.state.winner && shots < maxShots) {
+    const side = engine.state.turn;
+    if (side !== visitSide) {
+      visitSide = side;
+      potsBeforeVisit[side] = stats[side].pots;
+    }
+    const isBreak = (engine.state.rulesState?.shotNumber ?? engine.state.shotNumber) === 0;
+    const rulesBefore = engine.state.rulesState || {};
+    const targetType = side === 'p1' ? rulesBefore.p1Target : rulesBefore.p2Target;
+
+    const planned = players[side].plan(engine, side);
+    let result = engine.applyShot(side, {
+      direction: planned.direction,
+      power: planned.power,
+      cueBallPosition: planned.cueBallPosition || undefined,
+      screw: 0,
+      english: 0,
+      calledBall: planned.calledBall ?? undefined,
+      calledPocket: planned.calledPocket ?? undefined,
+    });
+    if (!result.ok) {
+      // A player that cannot produce a legal input loses the turn like a foul
+      result = engine.applyTimeFoul(side);
+      if (!result.ok) break;
+    }
+    shots += 1;
+
+    const sideStats = stats[side];
+    const pocketed = result.shotResult?.pocketed || [];
+    const potted = isBreak ? pocketed.length : countGroupPots(pocketed, targetType, variant);
+    sideStats.shots += 1;
+    sideStats.pots += result.rulesState.foul ? 0 : potted;
+    if (result.rulesState.foul) sideStats.fouls += 1;
+    if (isBreak) {
+      sideStats.breaks += 1;
+      if (!result.rulesState.foul && pocketed.length > 0) sideStats.goodBreaks += 1;
+    }
+    if (result.rulesState.rerack) racks += 1;
+    if (hasBallOffTable(engine)) {
+      voided = true;
+      break;
+    }
+  }
+
+  const winner = voided ? null : engine.state.winner || null;
+  if (winner && potsBeforeVisit[winner] === 0) {
+    stats[winner].runOuts += 1;
+  }
+  return { winner, voided, shots, racks, stats };
+}
+
+function countGroupPots(pocketed, targetType, variant) {
+  if (variant === 'nine_ball') return pocketed.length;
+  if (targetType === 'SOLIDS') return pocketed.filter((id) => id >= 1 && id <= 7).length;
+  if (targetType === 'STRIPES') return pocketed.filter((id) => id >= 9).length;
+  if (targetType === '8') return pocketed.includes(8) ? 1 : 0;
+  return pocketed.filter((id) => id !== 8).length;
+}
+
+function ratio(numerator, denominator) {
+  return denominator > 0 ? Math.round((numerator / denominator) * 1000) / 1000 : null;
+}
+
+/**
+ * Play `games` games for one level. The level alternates between p1 and p2 so
+ * it breaks in half of them.
+ */
+function calibrateLevel(level, options) {
+  const totals = emptySideStats();
+  let wins = 0;
+  let losses = 0;
+  let unfinished = 0;
+  let voided = 0;
+  let racks = 0;
+  const startedAt = Date.now();
+
+  for (let game = 0; game < options.games; game += 1) {
+    const seed = options.seed * 100000 + level * 1000 + game;
+    const levelRng = createRng(seed + 7919);
+    const opponentRng = createRng(seed + 104729);
+    const levelPlayer = createPlayer('ai', level, () => levelRng.next());
+    const opponentPlayer = options.opponent === 'baseline'
+      ? createPlayer('baseline')
+      : createPlayer('ai', options.opponent === 'mirror' ? level : Number(options.opponent), () => opponentRng.next());
+
+    const levelSide = game % 2 === 0 ? 'p1' : 'p2';
+    const players = levelSide === 'p1'
+      ? { p1: levelPlayer, p2: opponentPlayer }
+      : { p1: opponentPlayer, p2: levelPlayer };
+
+    const result = playGame({
+      seed,
+      variant: options.variant,
+      ruleProfile: options.ruleProfile,
+      maxShots: options.maxShots,
+      players,
+    });
+
+    const outcome = result.voided
+      ? 'voided'
+      : !result.winner ? 'unfinished' : result.winner === levelSide ? 'won' : 'lost';
+    process.stderr.write(`level ${level}: game ${game + 1}/${options.games} ${outcome} after ${result.shots} shots\n`);
+    if (result.voided) {
+      voided += 1;
+      continue;
+    }
+
+    racks += result.racks;
+    const sideStats = result.stats[levelSide];
+    Object.keys(totals).forEach((key) => {
+      totals[key] += sideStats[key];
+    });
+    if (!result.winner) unfinished += 1;
+    else if (result.winner === levelSide) wins += 1;
+    else losses += 1;
+  }
+
+  const profile = getPlannerProfile(level);
+  return {
+    level,
+    opponent: options.opponent,
+    games: options.games,
+    wins,
+    losses,
+    unfinished,
+    voided,
+    voidRate: ratio(voided, options.games),
+    winRate: ratio(wins, wins + losses),
+    avgShotsPerRack: ratio(totals.shots, racks),
+    foulRate: ratio(totals.fouls, totals.shots),
+    potsPerShot: ratio(totals.pots, totals.shots),
+    breakSuccess: ratio(totals.goodBreaks, totals.breaks),
+    runOuts: totals.runOuts,
+    runOutRate: ratio(totals.runOuts, wins),
+    msPerGame: Math.round((Date.now() - startedAt) / options.games),
+    profile: {
+      depth: profile.depth,
+      angleErrorDegrees: Math.round(profile.angleErrorDegrees * 100) / 100,
+      powerError: Math.round(profile.powerError * 1000) / 1000,
+      simulationBudget: profile.simulationBudget,
+      playPosition: profile.playPosition,
+      playSafeties: profile.playSafeties,
+    },
+  };
+}
+
+const CSV_COLUMNS = [
+  'level', 'opponent', 'games', 'wins', 'losses', 'unfinished', 'voided', 'voidRate', 'winRate', 'avgShotsPerRack',
+  'foulRate', 'potsPerShot', 'breakSuccess', 'runOuts', 'runOutRate', 'msPerGame',
+  'profile.depth', 'profile.angleErrorDegrees', 'profile.powerError', 'profile.simulationBudget',
+];
+
+function toCsv(rows) {
+  const lines = [CSV_COLUMNS.join(',')];
+  rows.forEach((row) => {
+    lines.push(CSV_COLUMNS.map((column) => {
+      const value = column.split('.').reduce((current, key) => current?.[key], row);
+      return value === null || value === undefined ? '' : String(value);
+    }).join(','));
+  });
+  return `${lines.join('\n')}\n`;
+}
+
+function main() {
+  let options;
+  try {
+    options = parseOptions(process.argv.slice(2));
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+
+  const levels = options.levels.map((level) => calibrateLevel(level, options));
+  const overVoidRate = levels.filter((row) => row.voidRate > options.maxVoidRate);
+  levels.forEach((row) => {
+    console.error(`level ${row.level}: ${row.voided}/${row.games} games voided (void rate ${row.voidRate})`);
+  });
+  const report = options.format === 'csv'
+    ? toCsv(levels)
+    : `${JSON.stringify({
+      generatedAt: new Date().toISOString(),
+      variant: options.variant,
+      ruleProfile: options.ruleProfile || null,
+      seed: options.seed,
+      gamesPerLevel: options.games,
+      opponent: options.opponent,
+      maxVoidRate: options.maxVoidRate,
+      levels,
+    }, null, 2)}\n`;
+
+  if (options.out) {
+    fs.writeFileSync(options.out, report);
+    console.error(`Report written to ${options.out}`);
+  } else {
+    process.stdout.write(report);
+  }
+
+  if (overVoidRate.length > 0) {
+    console.error(
+      `Void rate above ${options.maxVoidRate} for level ${overVoidRate.map((row) => row.level).join(', ')}: `
+      + 'balls left the table, so these numbers are not usable'
+    );
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { playGame, calibrateLevel };
@@ -0,0 +1,37 @@
+const Redis = require('ioredis');
+const { redisConnection } = require('../../../../shared/config/redis');
+const logger = require('../utils/logger');
+
+// Set DISABLE_GAME_STATE_REDIS=true to run a single instance on in-memory state
+const GAME_STATE_REDIS_ENABLED = process.env.DISABLE_GAME_STATE_REDIS !== 'true';
+
+let stateClient = null;
+
+function createRedisClient(name) {
+  const client = new Redis({
+    ...redisConnection,
+    maxRetriesPerRequest: 2,
+    connectionName: `game-service:${name}`
+  });
+  client.on('error', (err) => {
+    logger.error(`[redis:${name}] Connection error`, { err: err.message });
+  });
+  return client;
+}
+
+/**
+ * Shared client for game state and session routing, or null when disabled.
+ */
+function getRedisClient() {
+  if (!GAME_STATE_REDIS_ENABLED) return null;
+  if (!stateClient) {
+    stateClient = createRedisClient('state');
+  }
+  return stateClient;
+}
+
+module.exports = {
+  GAME_STATE_REDIS_ENABLED,
+  createRedisClient,
+  getRedisClient
+};
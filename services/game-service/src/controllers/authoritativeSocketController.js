@@ -9,14 +9,58 @@ const { prisma } = require('../config/db');
 const logger = require('../utils/logger');
 const ServerGameManager = require('../engine/8ball/server-game-manager');
 const { publishEvent, Topics } = require('../../../../shared/events');
-
-// In-memory storage (production: use Redis)
-const activeGames = new Map(); // matchId -> ServerGameManager
-const socketToMatch = new Map(); // socketId -> matchId
-const matchSockets = new Map(); // matchId -> Set<socketId>
+const {
+  saveSnapshot,
+  loadSnapshot,
+  deleteSnapshot,
+  setSocketMatch,
+  getSocketMatch,
+  clearSocketMatch,
+  addMatchSocket,
+  removeMatchSocket,
+  countMatchSockets,
+  clearMatchSockets
+} = require('../utils/gameStateStore');
+
+// Local cache only; the shared store holds the authoritative snapshot
+const activeGames = new Map(); // matchId -> { game, revision }
 
 const AI_PLAYER_ID = process.env.AI_PLAYER_ID || '04a942ce-af5f-4bde-9068-b9e2ee295fbf';
 
+function getGameRevision(game) {
+  return `${game.state.shotNumber}:${game.generateStateHash()}`;
+}
+
+async function persistGame(matchId, game) {
+  const revision = getGameRevision(game);
+  activeGames.set(matchId, { game, revision });
+  try {
+    await saveSnapshot('match', matchId, game.getSnapshot(), revision);
+  } catch (error) {
+    logger.error('[AuthSocket] Failed to store game snapshot', { error, matchId });
+  }
+}
+
+/**
+ * Current game for a match, rebuilt from the stored snapshot when this
+ * instance has no copy or another instance has moved the game on.
+ */
+async function getMatchGame(matchId) {
+  const cached = activeGames.get(matchId);
+  const stored = await loadSnapshot('match', matchId);
+  if (cached && (!stored || stored.revision === cached.revision)) return cached.game;
+  if (!stored?.snapshot) return null;
+
+  const game = new ServerGameManager({
+    matchId,
+    gameType: stored.snapshot.gameType,
+    aiDifficulty: stored.snapshot.aiDifficulty
+  });
+  game.loadState(stored.snapshot);
+  activeGames.set(matchId, { game, revision: stored.revision });
+  return game;
+}
+
 /**
  * Initialize WebSocket handlers
  */
@@ -54,14 +98,11 @@ function initializeAuthoritativeSocket(io) {
         socket.join(matchId);
         
         // Track socket
-        socketToMatch.set(socket.id, matchId);
-        if (!matchSockets.has(matchId)) {
-          matchSockets.set(matchId, new Set());
-        }
-        matchSockets.get(matchId).add(socket.id);
+        await setSocketMatch(socket.id, matchId);
+        await addMatchSocket(matchId, socket.id);
 
         // Initialize game if not exists
-        let game = activeGames.get(matchId);
+        let game = await getMatchGame(matchId);
         if (!game) {
           const isAiGame = match.player2Id === AI_PLAYER_ID;
           
@@ -75,7 +116,7 @@ function initializeAuthoritativeSocket(io) {
             aiDifficulty: aiDifficulty
           });
 
-          activeGames.set(matchId, game);
+          await persistGame(matchId, game);
 
           logger.info(`[AuthSocket] Initialized game for match ${matchId}`, {
             gameType: isAiGame ? 'with_ai' : 'multiplayer'
@@ -114,7 +155,7 @@ function initializeAuthoritativeSocket(io) {
         }
 
         // Get game
-        const game = activeGames.get(matchId);
+        const game = await getMatchGame(matchId);
         if (!game) {
           return callback({ success: false, error: 'Game not found' });
         }
@@ -149,6 +190,7 @@ function initializeAuthoritativeSocket(io) {
         if (!result.success) {
           return callback(result);
         }
+        await persistGame(matchId, game);
 
         // Save to database
         try {
@@ -172,7 +214,7 @@ function initializeAuthoritativeSocket(io) {
 
         // If AI should play next, schedule AI turn
         if (result.result.aiWillPlayNext && !result.result.gameOver) {
-          scheduleAiTurn(io, matchId, game, result.result.aiThinkTime || 1000);
+          scheduleAiTurn(io, matchId, result.result.aiThinkTime || 1000);
         }
 
         // Handle game end
@@ -193,7 +235,7 @@ function initializeAuthoritativeSocket(io) {
       try {
         const { matchId } = data;
 
-        const game = activeGames.get(matchId);
+        const game = await getMatchGame(matchId);
         if (!game) {
           return callback({ success: false, error: 'Game not found' });
         }
@@ -220,10 +262,8 @@ function initializeAuthoritativeSocket(io) {
         
         socket.leave(matchId);
         
-        if (matchSockets.has(matchId)) {
-          matchSockets.get(matchId).delete(socket.id);
-        }
-        socketToMatch.delete(socket.id);
+        await removeMatchSocket(matchId, socket.id);
+        await clearSocketMatch(socket.id);
 
         logger.info(`[AuthSocket] Socket ${socket.id} left match ${matchId}`);
 
@@ -235,25 +275,24 @@ function initializeAuthoritativeSocket(io) {
     /**
      * Disconnect handler
      */
-    socket.on('disconnect', () => {
+    socket.on('disconnect', async () => {
       try {
-        const matchId = socketToMatch.get(socket.id);
+        const matchId = await getSocketMatch(socket.id);
         
-        if (matchId && matchSockets.has(matchId)) {
-          matchSockets.get(matchId).delete(socket.id);
+        if (matchId) {
+          const remaining = await removeMatchSocket(matchId, socket.id);
           
-          // If no more sockets in match, clean up after delay
-          if (matchSockets.get(matchId).size === 0) {
-            setTimeout(() => {
-              if (matchSockets.has(matchId) && matchSockets.get(matchId).size === 0) {
-                matchSockets.delete(matchId);
-                
+          // If no more sockets in match, drop the local copy after a delay.
+          // The stored snapshot outlives it so players can resume on any instance.
+          if (remaining === 0) {
+            setTimeout(async () => {
+              if (await countMatchSockets(matchId) === 0) {
                 // Keep game for a bit longer in case of reconnect
                 setTimeout(() => {
                   if (activeGames.has(matchId)) {
-                    const game = activeGames.get(matchId);
+                    const { game } = activeGames.get(matchId);
                     if (!game.getGameState().gameOver) {
-                      logger.info(`[AuthSocket] Cleaning up inactive game ${matchId}`);
+                      logger.info(`[AuthSocket] Evicting inactive game ${matchId} from local cache`);
                     }
                     activeGames.delete(matchId);
                   }
@@ -263,7 +302,7 @@ function initializeAuthoritativeSocket(io) {
           }
         }
 
-        socketToMatch.delete(socket.id);
+        await clearSocketMatch(socket.id);
         logger.info(`[AuthSocket] Client disconnected: ${socket.id}`);
 
       } catch (error) {
@@ -278,17 +317,24 @@ function initializeAuthoritativeSocket(io) {
 /**
  * Schedule AI turn execution
  */
-function scheduleAiTurn(io, matchId, game, thinkTime) {
+function scheduleAiTurn(io, matchId, thinkTime) {
   setTimeout(async () => {
     try {
       logger.info(`[AuthSocket] Executing AI turn for match ${matchId}`);
 
+      const game = await getMatchGame(matchId);
+      if (!game) {
+        logger.error('[AuthSocket] AI turn skipped, game not found', { matchId });
+        return;
+      }
+
       const result = await game.executeAiTurn();
 
       if (!result.success) {
         logger.error('[AuthSocket] AI turn failed', { matchId, error: result.error });
         return;
       }
+      await persistGame(matchId, game);
 
       // Save AI shot
       try {
@@ -409,9 +455,9 @@ async function handleGameEnd(io, matchId, game, match) {
     }
 
     // Clean up after delay
-    setTimeout(() => {
+    setTimeout(async () => {
       activeGames.delete(matchId);
-      matchSockets.delete(matchId);
+      await Promise.all([clearMatchSockets(matchId), deleteSnapshot('match', matchId)]);
       logger.info(`[AuthSocket] Cleaned up game ${matchId}`);
     }, 60000);
 
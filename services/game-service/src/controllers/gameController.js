@@ -3,12 +3,23 @@ const { prisma } = require('../config/db');
 const logger = require('../utils/logger');
 const { QueueNames } = require('../../../../shared/constants/queueNames');
 const { createQueue, defaultJobOptions } = require('../../../../shared/config/redis');
-const { EightBallEngine } = require('../engine/8ball');
+const { EightBallEngine, replayMatch, deriveFrameSeed } = require('../engine/8ball');
 const { publishEvent, Topics } = require('../../../../shared/events');
 const { syncMatchResult } = require('../utils/matchmakingSync');
+const { findHeldSeasonPlayers, isHeld } = require('../jobs/playerAnomalyDetector');
+const { auditSeasonSessions } = require('../jobs/matchIntegrityAudit');
+const {
+  ensureRackCommitment,
+  isRackRevealed,
+  buildRackReveal,
+  publicRackCommitment,
+  redactSessionSeed,
+  verifyRackCommitment
+} = require('../utils/rackCommitment');
+const { mapClientToServer, mapServerToClient, mapDirectionToServer } = require('../utils/tableMapping');
+const { resolveReplaySeed, resolveEngineOptions } = require('../utils/sessionReplay');
 
 const AI_PLAYER_ID = process.env.AI_PLAYER_ID || '04a942ce-af5f-4bde-9068-b9e2ee295fbf';
-const CLIENT_TABLE = { width: 1600, height: 900 };
 
 let cleanupQueue;
 
@@ -32,35 +43,6 @@ function safeParseMetadata(value) {
   return {};
 }
 
-function getServerTable(engine) {
-  const scale = engine?.config?.adjustmentScale || 2.3;
-  const n = 600 * scale;
-  return {
-    width: 100 * n,
-    height: 50 * n
-  };
-}
-
-function mapClientToServer(engine, point) {
-  if (!point) return null;
-  const serverTable = getServerTable(engine);
-  const x = (point.x / CLIENT_TABLE.width) * serverTable.width - serverTable.width / 2;
-  const y = (point.y / CLIENT_TABLE.height) * serverTable.height - serverTable.height / 2;
-  return {
-    x: Math.round(x * 1000) / 1000,
-    y: Math.round(y * 1000) / 1000
-  };
-}
-
-function mapDirectionToServer(engine, direction) {
-  if (!direction) return null;
-  const serverTable = getServerTable(engine);
-  return {
-    x: direction.x * (serverTable.width / CLIENT_TABLE.width),
-    y: direction.y * (serverTable.height / CLIENT_TABLE.height)
-  };
-}
-
 function normalizeShotLog(value) {
   if (!value) return [];
   if (Array.isArray(value)) return value;
@@ -92,6 +74,7 @@ function isValidPosition(pos) {
 
 function replayShotLog({ session, shotLog, seed, adjustmentScale }) {
   const engine = new EightBallEngine({
+    ...resolveEngineOptions(session),
     seed,
     adjustmentScale: adjustmentScale || 2.3
   });
@@ -211,7 +194,9 @@ function replayShotLog({ session, shotLog, seed, adjustmentScale }) {
       power: shotEntry.power,
       cueBallPosition: requiresPlacement ? cueBallPosition : null,
       screw: shotEntry.screw,
-      english: shotEntry.english
+      english: shotEntry.english,
+      calledBall: shotEntry.calledBall ?? undefined,
+      calledPocket: shotEntry.calledPocket ?? undefined
     };
 
     const result = engine.applyShot(turnKey, shot, {});
@@ -250,6 +235,20 @@ function replayShotLog({ session, shotLog, seed, adjustmentScale }) {
   return { ok: true, engine };
 }
 
+function buildReplayFrame(engine, snapshot) {
+  const state = snapshot?.state || {};
+  return {
+    shotNumber: state.shotNumber || 0,
+    balls: (state.balls || [])
+      .filter(Boolean)
+      .map((ball) => ({
+        id: ball.id,
+        pos: mapServerToClient(engine, ball.position),
+        active: ball.active === 1
+      }))
+  };
+}
+
 function computePrizeDistribution({ gameType, entryFee }) {
   const fee = Number(entryFee || 0);
   const isWithAi = gameType === 'with_ai' || gameType === 'ai';
@@ -320,9 +319,9 @@ exports.createSession = async (req, res) => {
           });
         }
 
-        const existingMetadata = safeParseMetadata(existingSession.metadata);
-        if (!Number.isFinite(Number(existingMetadata.matchSeed))) {
-          existingMetadata.matchSeed = Math.floor(Math.random() * 2 ** 32);
+        const storedMetadata = safeParseMetadata(existingSession.metadata);
+        const existingMetadata = ensureRackCommitment(storedMetadata);
+        if (existingMetadata.rackCommitment !== storedMetadata.rackCommitment) {
           await prisma.gameSession.update({
             where: { sessionId: existingSession.sessionId },
             data: { metadata: existingMetadata }
@@ -342,7 +341,7 @@ exports.createSession = async (req, res) => {
         return res.status(200).json({
           success: true,
           data: {
-            session: existingSession,
+            session: redactSessionSeed(existingSession),
             sessionId: existingSession.sessionId,
             reused: true,
             matchTiming: {
@@ -370,9 +369,7 @@ exports.createSession = async (req, res) => {
     const entryFee = Number(metadata?.entryFee || 0);
     const platformFeePercent = gameType === 'with_ai' ? 0.10 : 0.30;
     
-    const matchSeed = Number.isFinite(Number(metadata?.matchSeed))
-      ? Number(metadata.matchSeed)
-      : Math.floor(Math.random() * 2 ** 32);
+    const { matchSeed, rackCommitment } = ensureRackCommitment({ matchSeed: metadata?.matchSeed });
     const rawLevel = Number(metadata?.level ?? metadata?.matchLevel ?? metadata?.aiLevel);
     const normalizedLevel = Number.isFinite(rawLevel)
       ? Math.max(1, Math.min(50, Math.round(rawLevel)))
@@ -406,6 +403,7 @@ exports.createSession = async (req, res) => {
       entryFee,
       platformFeePercent,
       matchSeed,
+      rackCommitment,
       hybridMode
     };
 
@@ -433,7 +431,7 @@ exports.createSession = async (req, res) => {
     res.status(201).json({ 
       success: true, 
       data: { 
-        session,
+        session: redactSessionSeed(session),
         sessionId: session.sessionId,
         matchTiming: {
           startTime: sessionStartTime,
@@ -459,7 +457,7 @@ exports.getSession = async (req, res) => {
       return res.status(404).json({ success: false, error: 'Session not found' });
     }
 
-    res.json({ success: true, data: session });
+    res.json({ success: true, data: redactSessionSeed(session) });
   } catch (error) {
     logger.error({ err: error }, '[game-service] Failed to get session');
     res.status(500).json({ success: false, error: 'Failed to get game session' });
@@ -482,7 +480,7 @@ exports.listSessions = async (req, res) => {
       },
       take: Number(limit),
     });
-    res.json({ success: true, data: sessions });
+    res.json({ success: true, data: sessions.map(redactSessionSeed) });
   } catch (error) {
     logger.error({ err: error }, '[game-service] Failed to list sessions');
     res.status(500).json({ success: false, error: 'Failed to list sessions' });
@@ -502,24 +500,26 @@ exports.updateSessionMetadata = async (req, res) => {
       return res.status(404).json({ success: false, error: 'Session not found' });
     }
 
+    const storedMetadata = safeParseMetadata(session.metadata);
     const mergedMetadata = {
-      ...safeParseMetadata(session.metadata),
+      ...storedMetadata,
       ...safeParseMetadata(metadata)
     };
-
-    if (!Number.isFinite(Number(mergedMetadata.matchSeed))) {
-      mergedMetadata.matchSeed = Math.floor(Math.random() * 2 ** 32);
+    // The rack seed cannot change once it has been committed to
+    if (storedMetadata.rackCommitment) {
+      mergedMetadata.matchSeed = storedMetadata.matchSeed;
+      mergedMetadata.rackCommitment = storedMetadata.rackCommitment;
     }
 
     const updated = await prisma.gameSession.update({
       where: { sessionId },
       data: {
-        metadata: mergedMetadata,
+        metadata: ensureRackCommitment(mergedMetadata),
         updatedAt: new Date()
       }
     });
 
-    res.json({ success: true, data: updated });
+    res.json({ success: true, data: redactSessionSeed(updated) });
   } catch (error) {
     logger.error({ err: error }, '[game-service] Failed to update session metadata');
     res.status(500).json({ success: false, error: 'Failed to update session metadata' });
@@ -800,6 +800,246 @@ exports.completeSession = async (req, res) => {
   }
 };
 
+exports.auditSeasonSessions = async (req, res) => {
+  try {
+    const { seasonId } = req.body || {};
+    if (!seasonId) {
+      return res.status(400).json({ success: false, error: 'seasonId is required' });
+    }
+
+    const summary = await auditSeasonSessions(seasonId);
+    const heldPlayers = await findHeldSeasonPlayers(seasonId);
+    res.json({ success: true, data: { seasonId, ...summary, heldPlayers } });
+  } catch (error) {
+    logger.error({ err: error }, '[game-service] Failed to audit season sessions');
+    res.status(500).json({ success: false, error: 'Failed to audit season sessions' });
+  }
+};
+
+exports.getPlayerRisk = async (req, res) => {
+  try {
+    const { playerId } = req.params;
+    const profile = await prisma.playerRiskProfile.findUnique({ where: { playerId } });
+
+    res.json({
+      success: true,
+      data: {
+        playerId,
+        riskScore: profile?.riskScore ?? 0,
+        status: profile?.status || 'clear',
+        held: isHeld(profile),
+        signals: profile?.signals || null,
+        flaggedAt: profile?.flaggedAt || null,
+        evaluatedAt: profile?.evaluatedAt || null
+      }
+    });
+  } catch (error) {
+    logger.error({ err: error }, '[game-service] Failed to fetch player risk');
+    res.status(500).json({ success: false, error: 'Failed to fetch player risk' });
+  }
+};
+
+exports.getSessionReplay = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const includeFrames = req.query.frames !== 'false';
+
+    const session = await prisma.gameSession.findUnique({
+      where: { sessionId }
+    });
+
+    if (!session) {
+      return res.status(404).json({ success: false, error: 'Session not found' });
+    }
+    // The replay would give away the committed rack seed
+    if (!isRackRevealed(session)) {
+      return res.status(409).json({ success: false, error: 'Replay is available once the match is over' });
+    }
+
+    const seed = resolveReplaySeed(session);
+    if (seed === null) {
+      return res.status(422).json({ success: false, error: 'Session has no recorded rack seed' });
+    }
+
+    const shots = await prisma.gameSessionShot.findMany({
+      where: { sessionId },
+      orderBy: { shotNumber: 'asc' }
+    });
+
+    const replay = replayMatch({
+      seed,
+      shots,
+      capture: includeFrames ? { stride: 6, maxFrames: 90 } : null,
+      engineOptions: resolveEngineOptions(session)
+    });
+    const { engine } = replay;
+
+    const replayShots = replay.steps.map((step) => {
+      const recorded = shots[step.index];
+      const input = {
+        direction: recorded.direction,
+        power: recorded.power,
+        screw: recorded.screw,
+        english: recorded.english,
+        cueBallPosition: recorded.cueBallPosition,
+        calledBall: recorded.calledBall,
+        calledPocket: recorded.calledPocket
+      };
+      if (!step.ok) {
+        return {
+          shotNumber: step.shotNumber,
+          actorSide: step.actorSide,
+          action: recorded.action || 'shot',
+          playerId: recorded.playerId,
+          input,
+          ok: false,
+          error: step.error
+        };
+      }
+      return {
+        shotNumber: step.shotNumber,
+        actorSide: step.actorSide,
+        playerId: recorded.playerId,
+        action: step.action,
+        input,
+        ok: true,
+        shotResult: step.shotResult,
+        rules: {
+          turn: step.rulesState.turn,
+          foul: step.rulesState.foul,
+          foulType: step.rulesState.foulType,
+          winner: step.rulesState.winner,
+          p1Target: step.rulesState.p1Target,
+          p2Target: step.rulesState.p2Target,
+          message: step.rulesState.message
+        },
+        frames: step.frames.map((frame) => buildReplayFrame(engine, frame))
+      };
+    });
+
+    const storedResult = safeParseMetadata(session.result);
+    const replayWinnerKey = engine.state.winner || null;
+    const replayWinnerId = replayWinnerKey
+      ? (replayWinnerKey === 'p1' ? session.player1Id : session.player2Id)
+      : null;
+
+    res.json({
+      success: true,
+      data: {
+        sessionId,
+        seed,
+        player1Id: session.player1Id,
+        player2Id: session.player2Id,
+        status: session.status,
+        shotCount: shots.length,
+        replayOk: replay.ok,
+        replayError: replay.ok ? null : { error: replay.error, index: replay.index },
+        initialFrame: buildReplayFrame(engine, replay.initialSnapshot),
+        shots: replayShots,
+        finalFrame: buildReplayFrame(engine, engine.getSnapshot()),
+        winnerId: replayWinnerId,
+        recordedWinnerId: storedResult?.winnerId || null,
+        // Only a racked-out match has an engine winner; timeouts and forfeits are decided elsewhere
+        resultConsistent: replayWinnerId && storedResult?.winnerId
+          ? storedResult.winnerId === replayWinnerId
+          : null,
+        // Shot inputs are in server table units; frames are in client table units
+        coordinates: { input: 'server', frames: 'client' }
+      }
+    });
+  } catch (error) {
+    logger.error({ err: error }, '[game-service] Failed to build session replay');
+    res.status(500).json({ success: false, error: 'Failed to build session replay' });
+  }
+};
+
+function buildRack(seed, engineOptions = {}) {
+  const engine = new EightBallEngine({ ...engineOptions, seed });
+  return {
+    variant: engine.config.variant,
+    balls: engine.state.balls
+      .filter(Boolean)
+      .map((ball) => ({
+        id: ball.id,
+        position: { x: ball.position.x, y: ball.position.y },
+        pos: mapServerToClient(engine, ball.position)
+      }))
+  };
+}
+
+exports.getRackProof = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const session = await prisma.gameSession.findUnique({ where: { sessionId } });
+    if (!session) {
+      return res.status(404).json({ success: false, error: 'Session not found' });
+    }
+
+    const metadata = safeParseMetadata(session.metadata);
+    const commitment = publicRackCommitment(metadata);
+    if (!commitment) {
+      return res.status(404).json({ success: false, error: 'Session has no rack commitment' });
+    }
+    if (!isRackRevealed(session)) {
+      return res.json({ success: true, data: { sessionId, revealed: false, commitment } });
+    }
+
+    const reveal = buildRackReveal(metadata);
+    const engineOptions = resolveEngineOptions(session);
+    // Later frames of a race rack from seeds derived from the committed one
+    const recordedFrames = safeParseMetadata(session.result).frames;
+    const framesPlayed = Array.isArray(recordedFrames) ? recordedFrames.length : 1;
+    const frameRacks = [];
+    for (let frameNumber = 2; frameNumber <= framesPlayed; frameNumber += 1) {
+      frameRacks.push({
+        frameNumber,
+        seed: deriveFrameSeed(reveal.seed, frameNumber),
+        rack: buildRack(deriveFrameSeed(reveal.seed, frameNumber), engineOptions)
+      });
+    }
+    res.json({
+      success: true,
+      data: {
+        sessionId,
+        revealed: true,
+        commitment,
+        seed: reveal.seed,
+        salt: reveal.salt,
+        commitmentValid: verifyRackCommitment(reveal),
+        rack: buildRack(reveal.seed, engineOptions),
+        frameRacks
+      }
+    });
+  } catch (error) {
+    logger.error({ err: error }, '[game-service] Failed to build rack proof');
+    res.status(500).json({ success: false, error: 'Failed to build rack proof' });
+  }
+};
+
+// Stateless check: anyone holding a revealed seed can rebuild its rack
+exports.verifyRack = async (req, res) => {
+  try {
+    const { seed, salt, hash, variant } = req.body || {};
+    const numericSeed = Number(seed);
+    if (!Number.isInteger(numericSeed) || numericSeed < 0 || numericSeed >= 2 ** 32) {
+      return res.status(400).json({ success: false, error: 'seed must be an unsigned 32-bit integer' });
+    }
+
+    const engineOptions = variant ? { variant } : {};
+    res.json({
+      success: true,
+      data: {
+        seed: numericSeed,
+        commitmentValid: salt && hash ? verifyRackCommitment({ seed: numericSeed, salt, hash }) : null,
+        rack: buildRack(numericSeed, engineOptions)
+      }
+    });
+  } catch (error) {
+    logger.error({ err: error }, '[game-service] Failed to verify rack');
+    res.status(500).json({ success: false, error: 'Failed to verify rack' });
+  }
+};
+
 exports.cancelSession = async (req, res) => {
   try {
     const { sessionId } = req.params;
@@ -2,18 +2,50 @@
 const { prisma } = require('../config/db.js');
 const logger = require('../utils/logger.js');
 const { publishEvent, Topics } = require('../../../../shared/events');
-const { EightBallEngine } = require('../engine/8ball');
+const {
+  EightBallEngine,
+  planAiShot,
+  SUDDEN_DEATH_MODES,
+  isSpotShootout,
+  startSuddenDeath,
+  applySpotShot,
+  applySpotTimeFoul
+} = require('../engine/8ball');
+const { findTargetBall, buildRandomShots } = require('../engine/8ball/ai-planner');
 const { computePrizeDistribution } = require('./gameController.js');
+const { resolveEngineOptions } = require('../utils/sessionReplay');
 const { syncMatchResult } = require('../utils/matchmakingSync');
+const { summarizeShots } = require('../utils/shotStats');
+const { hideSnapshotSeed, publicRackCommitment, buildRackReveal } = require('../utils/rackCommitment');
+const { verifySpectatorToken, resolveSpectatorAccess } = require('../utils/spectatorAccess');
+const { DELTA_FRAME_FORMAT, negotiateFrameFormat, encodeShotFrames } = require('../utils/frameCodec');
+const {
+  mapClientToServer,
+  mapServerToClient,
+  mapDirectionToServer,
+  mapVelocityToClient
+} = require('../utils/tableMapping');
+const {
+  saveSnapshot,
+  loadSnapshot,
+  deleteSnapshot,
+  getSessionConnections,
+  updateSessionConnections,
+  clearSessionConnections,
+  setPlayerSession,
+  clearPlayerSession,
+  saveShotClock,
+  loadShotClock,
+  clearShotClock,
+  claimShotClockExpiry
+} = require('../utils/gameStateStore');
 
 const INSTANCE_ID = process.env.INSTANCE_ID || process.env.HOSTNAME || 'unknown';
 
-// Track connected players in game sessions
-const gameSessionConnections = new Map(); // sessionId -> { player1Id: socketId, player2Id: socketId }
-const playerToSession = new Map(); // playerId -> sessionId
-const sessionEngines = new Map(); // sessionId -> EightBallEngine
+// Seat connections and player routing live in the shared game state store;
+// engines are cached here and checked against the stored revision before use
+const sessionEngines = new Map(); // sessionId -> { engine, revision }
 const sessionBroadcastTokens = new Map(); // sessionId -> number
-const CLIENT_TABLE = { width: 1600, height: 900 };
 const BROADCAST_FPS = Number(process.env.GAME_STATE_FPS || 30);
 const CAPTURE_STRIDE = Number(process.env.GAME_STATE_STRIDE || 6);
 const MAX_FRAMES = Number(process.env.GAME_STATE_MAX_FRAMES || 90);
@@ -24,6 +56,67 @@ const AI_THINKING_MIN_MS = Number(process.env.AI_THINKING_MIN_MS || 600);
 const AI_THINKING_MAX_MS = Number(process.env.AI_THINKING_MAX_MS || 1400);
 
 const aiShotLocks = new Map(); // sessionId -> boolean
+const shotClocks = new Map(); // sessionId -> { turn, shotNumber, deadline, durationMs, config, extensionsUsed, updatedAt, timer }
+// How long a clock may sit past its deadline before another instance takes it over
+const SHOT_CLOCK_TAKEOVER_GRACE_MS = 5000;
+const SHOT_CLOCK_DEFAULT_SECONDS = Number(process.env.SHOT_CLOCK_SECONDS || 0);
+// Sudden death always runs on a clock so a level match can't be stalled out
+const SUDDEN_DEATH_SHOT_SECONDS = Number(process.env.SUDDEN_DEATH_SHOT_SECONDS || 30);
+const SUDDEN_DEATH_MAX_SECONDS = Number(process.env.SUDDEN_DEATH_MAX_SECONDS || 600);
+// A shootout still level after this many rounds goes to an admin
+const SUDDEN_DEATH_MAX_ROUNDS = Number(process.env.SUDDEN_DEATH_MAX_ROUNDS || 10);
+const DEFAULT_TIEBREAK = process.env.DEFAULT_TIEBREAK || 'spot_shots';
+const FRAME_BROADCAST_MS = 2000;
+const DISCONNECT_GRACE_SECONDS = Number(process.env.DISCONNECT_GRACE_SECONDS || 60);
+const disconnectGraceTimers = new Map(); // `${sessionId}:${playerId}` -> timeout
+const pausedSessions = new Set(); // sessionIds paused on this instance
+const sessionLastFrames = new Map(); // sessionId -> engine snapshots of the last shot
+// Spectators see everything this late so a watching friend can't coach a player
+const SPECTATOR_DELAY_MS = Number(process.env.SPECTATOR_DELAY_SECONDS ?? 10) * 1000;
+
+// Sockets that negotiated delta frames also sit in a `${room}:delta` room;
+// `only` picks them out, `except` leaves them out of a full-frame stream
+function targetRoom(io, room, frameAudience) {
+  if (frameAudience === 'only') return io.to(`${room}:delta`);
+  if (frameAudience === 'except') return io.to(room).except(`${room}:delta`);
+  return io.to(room);
+}
+
+function relayToSpectators(io, sessionId, event, payload, frameAudience = null) {
+  const room = `spectate:${sessionId}`;
+  if (SPECTATOR_DELAY_MS <= 0) {
+    targetRoom(io, room, frameAudience).emit(event, payload);
+    return;
+  }
+  setTimeout(() => {
+    targetRoom(io, room, frameAudience).emit(event, payload);
+  }, SPECTATOR_DELAY_MS);
+}
+
+// Players get the event now, the spectator room after the broadcast delay
+function emitGameEvent(io, sessionId, event, payload, frameAudience = null) {
+  targetRoom(io, `game:${sessionId}`, frameAudience).emit(event, payload);
+  relayToSpectators(io, sessionId, event, payload, frameAudience);
+}
+
+function joinFrameRoom(socket, room, frameFormat) {
+  if (frameFormat === DELTA_FRAME_FORMAT) {
+    socket.join(`${room}:delta`);
+  } else {
+    socket.leave(`${room}:delta`);
+  }
+}
+
+async function broadcastSpectatorCount(io, sessionId) {
+  try {
+    const sockets = await io.in(`spectate:${sessionId}`).fetchSockets();
+    const payload = { sessionId, count: sockets.length };
+    io.to(`game:${sessionId}`).emit('game:spectators', payload);
+    io.to(`spectate:${sessionId}`).emit('game:spectators', payload);
+  } catch (err) {
+    logger.error('Failed to broadcast spectator count', { err, sessionId });
+  }
+}
 
 function clamp(value, min, max) {
   return Math.min(max, Math.max(min, value));
@@ -63,6 +156,12 @@ function buildRulesSummary(rulesState) {
   };
 }
 
+// Called-shot mode comes from the rule profile; variants without calls report 'none'
+function getCallRequirement(engine, side) {
+  if (typeof engine?.rules?.getCallRequirement !== 'function') return 'none';
+  return engine.rules.getCallRequirement(side);
+}
+
 function buildShotSummary(shot, shotResult) {
   if (!shot) return null;
   return {
@@ -71,8 +170,11 @@ function buildShotSummary(shot, shotResult) {
     cueBallPosition: roundPoint(shot.cueBallPosition),
     screw: roundNumber(shot.screw),
     english: roundNumber(shot.english),
+    calledBall: shot.calledBall ?? null,
+    calledPocket: shot.calledPocket ?? null,
     firstContact: shotResult?.firstContact ?? null,
     pocketed: shotResult?.pocketed || [],
+    pocketedInto: shotResult?.pocketedInto || {},
     cueScratch: shotResult?.cueScratch ?? false,
     railContactAfterFirstHit: shotResult?.railContactAfterFirstHit ?? null
   };
@@ -126,6 +228,18 @@ function mergeSessionMetadata(session, metadata) {
   };
 }
 
+// Total time the match clock has been paused, including a pause still running
+function getPausedMs(metadata, now = Date.now()) {
+  const pausedMs = Number(metadata?.pausedMs || 0);
+  const pausedAt = metadata?.pausedAt ? new Date(metadata.pausedAt).getTime() : null;
+  const running = pausedAt && Number.isFinite(pausedAt) ? Math.max(0, now - pausedAt) : 0;
+  return (Number.isFinite(pausedMs) ? pausedMs : 0) + running;
+}
+
+function isSessionPaused(session) {
+  return Boolean(parseSessionMetadata(session).pausedAt);
+}
+
 function getAiSide(session) {
   if (!session) return null;
   const metadata = parseSessionMetadata(session);
@@ -150,325 +264,52 @@ function getAiDifficulty(metadata) {
   return clamp(Math.round(raw), 6, maxDifficulty);
 }
 
-function findTargetBall(engine, targetType) {
-  const balls = engine.state.balls;
-  const cueBall = balls[0];
-  const candidates = [];
-  for (let i = 1; i < balls.length; i += 1) {
-    const ball = balls[i];
-    if (!ball || ball.active !== 1) continue;
-    if (targetType === 'SOLIDS' && ball.id >= 1 && ball.id <= 7) {
-      candidates.push(ball);
-    } else if (targetType === 'STRIPES' && ball.id >= 9) {
-      candidates.push(ball);
-    } else if (targetType === '8' && ball.id === 8) {
-      candidates.push(ball);
-    } else if (targetType === 'ANY' && ball.id !== 8) {
-      candidates.push(ball);
-    }
-  }
+async function completeGameSession({ io, sessionId, winnerKey, winnerId: explicitWinnerId, draw = false, rulesState, metadata }) {
+  stopShotClock(sessionId);
+  sessionLastFrames.delete(sessionId);
+  pausedSessions.delete(sessionId);
 
-  if (candidates.length === 0) {
-    for (let i = 1; i < balls.length; i += 1) {
-      const ball = balls[i];
-      if (ball && ball.active === 1) {
-        candidates.push(ball);
-      }
-    }
-  }
-
-  if (!cueBall || candidates.length === 0) return null;
-  let best = candidates[0];
-  let bestDist = Infinity;
-  candidates.forEach((ball) => {
-    const dx = ball.position.x - cueBall.position.x;
-    const dy = ball.position.y - cueBall.position.y;
-    const dist = dx * dx + dy * dy;
-    if (dist < bestDist) {
-      bestDist = dist;
-      best = ball;
-    }
-  });
-  return best;
-}
-
-function countLegalPocketed(pocketed, targetType) {
-  if (!pocketed || pocketed.length === 0) return 0;
-  if (targetType === 'ANY') {
-    return pocketed.filter((ballId) => ballId !== 8).length;
-  }
-  if (targetType === 'SOLIDS') {
-    return pocketed.filter((ballId) => ballId > 0 && ballId < 8).length;
-  }
-  if (targetType === 'STRIPES') {
-    return pocketed.filter((ballId) => ballId > 8).length;
-  }
-  if (targetType === '8') {
-    return pocketed.includes(8) ? 1 : 0;
-  }
-  return 0;
-}
-
-function scoreSimulatedShot({ rulesState, shotResult, aiSide, targetType }) {
-  let score = 0;
-  if (!rulesState) return -Infinity;
-  if (rulesState.winner === aiSide) score += 10000;
-  if (rulesState.foul) score -= 2000;
-  if (shotResult?.cueScratch) score -= 1000;
-  const legalCount = countLegalPocketed(shotResult?.pocketed || [], targetType);
-  const totalPocketed = shotResult?.pocketed?.length || 0;
-  score += legalCount * 250;
-  score -= (totalPocketed - legalCount) * 100;
-  if (rulesState.turn === aiSide) score += 200;
-  if (totalPocketed > 0) score += 50;
-  return score;
-}
-
-function buildDirectShotCandidates(engine, cueBall, targetBall, pockets, accuracy) {
-  const candidates = [];
-  const ballRadius = engine.config.ballRadius;
-  const maxPower = engine.config.maxPower;
-  pockets.forEach((pocket) => {
-    const toPocketX = pocket.position.x - targetBall.position.x;
-    const toPocketY = pocket.position.y - targetBall.position.y;
-    const toPocketMag = Math.hypot(toPocketX, toPocketY);
-    if (toPocketMag < ballRadius * 2) return;
-    const toPocketUnitX = toPocketX / toPocketMag;
-    const toPocketUnitY = toPocketY / toPocketMag;
-    const ghostX = targetBall.position.x - toPocketUnitX * ballRadius * 2;
-    const ghostY = targetBall.position.y - toPocketUnitY * ballRadius * 2;
-    const dx = ghostX - cueBall.position.x;
-    const dy = ghostY - cueBall.position.y;
-    const mag = Math.hypot(dx, dy);
-    if (mag < 1) return;
-    const baseAngle = Math.atan2(dy, dx);
-    const maxOffset = (1 - accuracy) * (Math.PI / 6);
-    const angle = baseAngle + (Math.random() * 2 - 1) * maxOffset;
-    const direction = { x: Math.cos(angle), y: Math.sin(angle) };
-    const distance = mag + toPocketMag;
-    const basePower = clamp(distance * 0.06, 900, maxPower * 0.95);
-    const jitter = (1 - accuracy) * 500;
-    const power = clamp(basePower + (Math.random() * 2 - 1) * jitter, 700, maxPower * 0.95);
-    candidates.push({ direction, power });
-  });
-  return candidates;
-}
-
-function buildBankShotCandidates(engine, cueBall, targetBall, pockets, accuracy) {
-  const candidates = [];
-  const bounds = engine.getTableBounds();
-  const reflections = [];
-  pockets.forEach((pocket) => {
-    reflections.push({ x: 2 * bounds.left - pocket.position.x, y: pocket.position.y });
-    reflections.push({ x: 2 * bounds.right - pocket.position.x, y: pocket.position.y });
-    reflections.push({ x: pocket.position.x, y: 2 * bounds.top - pocket.position.y });
-    reflections.push({ x: pocket.position.x, y: 2 * bounds.bottom - pocket.position.y });
-  });
-
-  const ballRadius = engine.config.ballRadius;
-  const maxPower = engine.config.maxPower;
-  reflections.forEach((refPocket) => {
-    const toPocketX = refPocket.x - targetBall.position.x;
-    const toPocketY = refPocket.y - targetBall.position.y;
-    const toPocketMag = Math.hypot(toPocketX, toPocketY);
-    if (toPocketMag < ballRadius * 2) return;
-    const toPocketUnitX = toPocketX / toPocketMag;
-    const toPocketUnitY = toPocketY / toPocketMag;
-    const ghostX = targetBall.position.x - toPocketUnitX * ballRadius * 2;
-    const ghostY = targetBall.position.y - toPocketUnitY * ballRadius * 2;
-    const dx = ghostX - cueBall.position.x;
-    const dy = ghostY - cueBall.position.y;
-    const mag = Math.hypot(dx, dy);
-    if (mag < 1) return;
-    const baseAngle = Math.atan2(dy, dx);
-    const maxOffset = (1 - accuracy) * (Math.PI / 4);
-    const angle = baseAngle + (Math.random() * 2 - 1) * maxOffset;
-    const direction = { x: Math.cos(angle), y: Math.sin(angle) };
-    const distance = mag + toPocketMag;
-    const basePower = clamp(distance * 0.07, 1100, maxPower * 0.98);
-    const jitter = (1 - accuracy) * 700;
-    const power = clamp(basePower + (Math.random() * 2 - 1) * jitter, 900, maxPower * 0.98);
-    candidates.push({ direction, power });
-  });
-  return candidates;
-}
-
-function buildRandomShots(engine, accuracy, count) {
-  const shots = [];
-  const maxPower = engine.config.maxPower;
-  for (let i = 0; i < count; i += 1) {
-    const angle = Math.random() * Math.PI * 2;
-    const basePower = clamp(1500 + Math.random() * 2200, 800, maxPower * 0.95);
-    const jitter = (1 - accuracy) * 800;
-    const power = clamp(basePower + (Math.random() * 2 - 1) * jitter, 700, maxPower * 0.98);
-    shots.push({
-      direction: { x: Math.cos(angle), y: Math.sin(angle) },
-      power
-    });
-  }
-  return shots;
-}
-
-function pickCueBallPlacement(engine, targetBall) {
-  if (!engine.state.cueBallInHand) return null;
-  const bounds = engine.getTableBounds();
-  const snapshot = engine.getSnapshot();
-  const testEngine = new EightBallEngine({ ...engine.config, seed: snapshot.seed });
-  testEngine.loadState(snapshot);
-  if (!targetBall) {
-    const center = { x: 0, y: 0 };
-    if (testEngine.placeCueBall(center)) return center;
-    return { x: bounds.left, y: bounds.top };
-  }
-  const dx = targetBall.position.x;
-  const dy = targetBall.position.y;
-  const mag = Math.hypot(dx, dy) || 1;
-  const offset = engine.config.ballRadius * 6;
-  const rawX = targetBall.position.x - (dx / mag) * offset;
-  const rawY = targetBall.position.y - (dy / mag) * offset;
-  const candidate = {
-    x: clamp(rawX, bounds.left, bounds.right),
-    y: clamp(rawY, bounds.top, bounds.bottom)
-  };
-  if (testEngine.placeCueBall(candidate)) return candidate;
-  const fallback = { x: 0, y: 0 };
-  if (testEngine.placeCueBall(fallback)) return fallback;
-  return null;
-}
-
-function chooseAiShot(engine, aiSide, difficulty) {
-  const rulesState = engine.state.rulesState || {};
-  const targetType = aiSide === 'p1' ? rulesState.p1Target : rulesState.p2Target;
-  const cueBall = engine.state.balls[0];
-  const targetBall = findTargetBall(engine, targetType);
-  const normalized = clamp(difficulty / 100, 0.1, 1);
-  const accuracy = clamp(0.2 + Math.pow(normalized, 1.3) * 0.8, 0.2, 1);
-  const pockets = engine.table.pockets || [];
-  const snapshot = engine.getSnapshot();
-  const attempts = clamp(Math.round(12 + difficulty * 0.6), 12, 80);
-  const randomCount = clamp(Math.round(2 + (1 - accuracy) * 6), 2, 10);
-  const cueBallPosition = pickCueBallPlacement(engine, targetBall);
-
-  if (!cueBall || !targetBall) {
-    const fallback = buildRandomShots(engine, accuracy, 1)[0];
-    return { ...fallback, cueBallPosition };
-  }
-
-  const candidates = [
-    ...buildDirectShotCandidates(engine, cueBall, targetBall, pockets, accuracy),
-    ...buildBankShotCandidates(engine, cueBall, targetBall, pockets, accuracy),
-    ...buildRandomShots(engine, accuracy, randomCount)
-  ];
-
-  let best = null;
-  let bestScore = -Infinity;
-  const cappedCandidates = candidates.slice(0, Math.max(attempts, 1));
-  for (const candidate of cappedCandidates) {
-    const testEngine = new EightBallEngine({ ...engine.config, seed: snapshot.seed });
-    testEngine.loadState(snapshot);
-    const simulated = testEngine.applyShot(aiSide, {
-      direction: candidate.direction,
-      power: candidate.power,
-      cueBallPosition: cueBallPosition || undefined,
-      screw: 0,
-      english: 0
-    });
-    if (!simulated.ok) continue;
-    const score = scoreSimulatedShot({
-      rulesState: testEngine.state.rulesState,
-      shotResult: simulated.shotResult,
-      aiSide,
-      targetType
-    });
-    if (score > bestScore) {
-      bestScore = score;
-      best = candidate;
-    }
-  }
-
-  if (!best) {
-    best = buildRandomShots(engine, accuracy, 1)[0];
-  }
-  return { ...best, cueBallPosition };
-}
-
-function getServerTable(engine) {
-  const scale = engine?.config?.adjustmentScale || 2.3;
-  const n = 600 * scale;
-  return {
-    width: 100 * n,
-    height: 50 * n,
-  };
-}
-
-function mapClientToServer(engine, point) {
-  if (!point) return null;
-  const serverTable = getServerTable(engine);
-  
-  // PRECISION FIX: Use higher precision for client-to-server mapping
-  const x = (point.x / CLIENT_TABLE.width) * serverTable.width - serverTable.width / 2;
-  const y = (point.y / CLIENT_TABLE.height) * serverTable.height - serverTable.height / 2;
-  
-  return {
-    x: Math.round(x * 1000) / 1000, // Precision to 3 decimal places
-    y: Math.round(y * 1000) / 1000,
-  };
-}
-
-function mapServerToClient(engine, point) {
-  if (!point) return null;
-  const serverTable = getServerTable(engine);
-  
-  // PRECISION FIX: Use higher precision floating point arithmetic
-  const x = ((point.x + serverTable.width / 2) / serverTable.width) * CLIENT_TABLE.width;
-  const y = ((point.y + serverTable.height / 2) / serverTable.height) * CLIENT_TABLE.height;
-  
-  return {
-    x: Math.round(x * 1000) / 1000, // Precision to 3 decimal places
-    y: Math.round(y * 1000) / 1000,
-  };
-}
-
-function mapDirectionToServer(engine, direction) {
-  if (!direction) return null;
-  const serverTable = getServerTable(engine);
-  return {
-    x: direction.x * (serverTable.width / CLIENT_TABLE.width),
-    y: direction.y * (serverTable.height / CLIENT_TABLE.height),
-  };
-}
-
-function mapVelocityToClient(engine, velocity) {
-  if (!velocity) return null;
-  const serverTable = getServerTable(engine);
-  
-  // PRECISION FIX: Higher precision velocity mapping
-  const velX = velocity.x * (CLIENT_TABLE.width / serverTable.width);
-  const velY = velocity.y * (CLIENT_TABLE.height / serverTable.height);
-  
-  return {
-    x: Math.round(velX * 1000) / 1000,
-    y: Math.round(velY * 1000) / 1000,
-  };
-}
-
-async function completeGameSession({ io, sessionId, winnerKey, winnerId: explicitWinnerId, rulesState, metadata }) {
   const session = await prisma.gameSession.findUnique({
     where: { sessionId }
   });
 
-  if (!session) return;
+  if (!session) {
+    await releaseSessionState(sessionId);
+    return;
+  }
 
-  const winnerId = explicitWinnerId || (winnerKey === 'p1' ? session.player1Id : session.player2Id);
+  const winnerId = draw ? null : explicitWinnerId || (winnerKey === 'p1' ? session.player1Id : session.player2Id);
   let resolvedRulesState = {};
+  let race = null;
+  let suddenDeath = null;
   try {
     const engine = await getOrCreateEngine(session);
     resolvedRulesState = engine?.state?.rulesState || {};
+    race = engine?.state?.race || null;
+    suddenDeath = buildSuddenDeathSummary(engine?.state?.suddenDeath);
   } catch (err) {
     logger.warn('Failed to load engine rules state for scores', { err, sessionId });
   }
-  const player1Score = Number(resolvedRulesState?.p1Score || 0);
-  const player2Score = Number(resolvedRulesState?.p2Score || 0);
+  // Races are scored in frames won; a single rack keeps the rules score
+  const isRace = Number(race?.raceTo || 1) > 1;
+  const player1Score = isRace ? Number(race.p1Frames || 0) : Number(resolvedRulesState?.p1Score || 0);
+  const player2Score = isRace ? Number(race.p2Frames || 0) : Number(resolvedRulesState?.p2Score || 0);
+  const sideToPlayer = (side) => (side === 'p1' ? session.player1Id : session.player2Id);
+  const frames = (Array.isArray(race?.frames) ? race.frames : []).map((frame) => ({
+    ...frame,
+    winnerId: sideToPlayer(frame.winner),
+    breakerId: sideToPlayer(frame.breaker)
+  }));
+  const raceTo = Number(race?.raceTo || 1);
+  await releaseSessionState(sessionId);
+
+  let shotStats = null;
+  try {
+    const shots = await prisma.gameSessionShot.findMany({ where: { sessionId } });
+    shotStats = summarizeShots(session, shots);
+  } catch (err) {
+    logger.warn('Failed to compute shot stats', { err, sessionId });
+  }
 
   // Compute prize distribution
   const sessionMetadata = parseSessionMetadata(session);
@@ -480,7 +321,7 @@ async function completeGameSession({ io, sessionId, winnerKey, winnerId: explici
   const platformFee = prizeDistribution.platformFee;
   const platformFeePercent = prizeDistribution.feePercent;
   const currency = sessionMetadata.currency || 'TSH';
-  const loserId = winnerId === session.player1Id ? session.player2Id : session.player1Id;
+  const loserId = draw ? null : (winnerId === session.player1Id ? session.player2Id : session.player1Id);
   const completedAt = new Date();
   const startTime = session.startedAt
     ? new Date(session.startedAt)
@@ -496,13 +337,18 @@ async function completeGameSession({ io, sessionId, winnerKey, winnerId: explici
 
   const enhancedResult = {
     winnerId,
+    draw,
     player1Score,
     player2Score,
     prizeAmount,
     netPrizePool: prizeDistribution.netPrizePool,
     platformFee,
     feePercent: platformFeePercent,
-    currency
+    currency,
+    raceTo,
+    frames,
+    suddenDeath,
+    shotStats
   };
 
   await prisma.gameSession.update({
@@ -515,8 +361,9 @@ async function completeGameSession({ io, sessionId, winnerKey, winnerId: explici
     }
   });
 
-  io.to(`game:${sessionId}`).emit('game:completed', {
+  emitGameEvent(io, sessionId, 'game:completed', {
     winnerId,
+    draw,
     player1Score,
     player2Score,
     prizeAmount,
@@ -524,6 +371,10 @@ async function completeGameSession({ io, sessionId, winnerKey, winnerId: explici
     matchId: sessionMetadata.matchId || metadata?.matchId || null,
     reason: resultReason,
     matchDuration: matchDurationSeconds,
+    raceTo,
+    frames,
+    suddenDeath,
+    rackReveal: buildRackReveal(sessionMetadata),
     timestamp: completedAt.toISOString()
   });
 
@@ -532,6 +383,7 @@ async function completeGameSession({ io, sessionId, winnerKey, winnerId: explici
     matchId: matchId || null,
     winnerId,
     loserId,
+    draw,
     player1Score,
     player2Score,
     prizeAmount,
@@ -545,13 +397,17 @@ async function completeGameSession({ io, sessionId, winnerKey, winnerId: explici
       await publishEvent(Topics.MATCH_RESULT, {
         matchId,
         winnerId,
+        draw,
         player1Score,
         player2Score,
         matchDuration: matchDurationSeconds,
         reason: resultReason,
         completedAt: completedAt.toISOString(),
         tournamentId: sessionMetadata.tournamentId || null,
-        seasonId: sessionMetadata.seasonId || null
+        seasonId: sessionMetadata.seasonId || null,
+        raceTo,
+        frames,
+        shotStats
       });
     } catch (matchErr) {
       logger.error('Failed to publish match result event', { err: matchErr, matchId });
@@ -560,11 +416,15 @@ async function completeGameSession({ io, sessionId, winnerKey, winnerId: explici
     try {
       await syncMatchResult(matchId, {
         winnerId,
+        draw,
         player1Score,
         player2Score,
         matchDuration: matchDurationSeconds,
         reason: resultReason,
-        completedAt: completedAt.toISOString()
+        completedAt: completedAt.toISOString(),
+        raceTo,
+        frames,
+        shotStats
       });
     } catch (syncErr) {
       logger.warn({ err: syncErr, matchId }, '[game-service] Match result sync failed');
@@ -573,7 +433,7 @@ async function completeGameSession({ io, sessionId, winnerKey, winnerId: explici
     logger.warn('Missing matchId in game session metadata', { sessionId });
   }
 
-  logger.info(`Game session ${sessionId} completed. Winner: ${winnerId}, Prize: ${prizeAmount}`);
+  logger.info(`Game session ${sessionId} completed. Winner: ${draw ? 'draw' : winnerId}, Prize: ${prizeAmount}`);
 }
 
 function checkMatchTimeout(session) {
@@ -595,6 +455,20 @@ function checkMatchTimeout(session) {
     return false;
   }
 
+  // A tiebreak left for an admin to settle no longer runs against the clock
+  if (sessionMetadata.tiebreakReview) {
+    return false;
+  }
+
+  // Sudden death runs past the match clock. A decider frame has a limit of
+  // its own; a spot-shot shootout is capped by rounds instead, as every
+  // spot shot runs on its own shot clock
+  if (sessionMetadata.suddenDeath?.startedAt) {
+    if (sessionMetadata.suddenDeath.mode === 'spot_shots') return false;
+    const suddenDeathSeconds = (Date.now() - new Date(sessionMetadata.suddenDeath.startedAt).getTime()) / 1000;
+    return suddenDeathSeconds >= SUDDEN_DEATH_MAX_SECONDS;
+  }
+
   const maxDurationSeconds = sessionMetadata.maxDurationSeconds || 300;
   
   // FIXED: Use actual game start time, not session creation time
@@ -615,7 +489,7 @@ function checkMatchTimeout(session) {
   }
     
   const now = new Date();
-  const elapsedSeconds = Math.max(0, (now - startTime) / 1000);
+  const elapsedSeconds = Math.max(0, (now - startTime - getPausedMs(sessionMetadata, now.getTime())) / 1000);
 
   // Add safety check for invalid dates
   if (!startTime || isNaN(startTime.getTime())) {
@@ -637,14 +511,55 @@ function checkMatchTimeout(session) {
   return isExpired;
 }
 
-function resolveWinnerByScore(session, rulesState) {
+function resolveWinnerByScore(session, rulesState, race = null) {
   if (!session) return null;
+  // In a race the frames already won count first, the rack in progress second
+  const p1Frames = Number(race?.p1Frames || 0);
+  const p2Frames = Number(race?.p2Frames || 0);
+  if (p1Frames !== p2Frames) return p1Frames > p2Frames ? session.player1Id : session.player2Id;
   const p1Score = Number(rulesState?.p1Score || 0);
   const p2Score = Number(rulesState?.p2Score || 0);
-  if (p1Score === p2Score) return session.player1Id;
+  if (p1Score === p2Score) return null;
   return p1Score > p2Score ? session.player1Id : session.player2Id;
 }
 
+// 'draw' for group stages, otherwise a sudden-death mode; knockouts default to spot shots
+function resolveTiebreakMode(session) {
+  const mode = parseSessionMetadata(session).tiebreak;
+  if (mode === 'draw' || SUDDEN_DEATH_MODES.includes(mode)) return mode;
+  return DEFAULT_TIEBREAK;
+}
+
+function buildSuddenDeathSummary(suddenDeath) {
+  if (!suddenDeath) return null;
+  return {
+    mode: suddenDeath.mode,
+    round: suddenDeath.round ?? null,
+    rounds: suddenDeath.rounds || [],
+    winner: suddenDeath.winner || null
+  };
+}
+
+function buildRaceSummary(race) {
+  if (!race) return null;
+  return {
+    raceTo: race.raceTo,
+    frameNumber: race.frameNumber,
+    breaker: race.breaker,
+    p1Frames: race.p1Frames,
+    p2Frames: race.p2Frames,
+    winner: race.winner || null
+  };
+}
+
+// Only sent when the match has one, so the table can show who gets what
+function buildHandicapSummary(handicap) {
+  if (!handicap) return null;
+  const { breaker, callEight, spotFrames } = handicap;
+  if (!breaker && callEight.length === 0 && !spotFrames.p1 && !spotFrames.p2) return null;
+  return { breaker, callEight, spotFrames };
+}
+
 function buildClientStateFromSnapshot(session, engine, snapshot) {
   const engineState = snapshot.state;
   const rulesState = engineState.rulesState || {};
@@ -688,7 +603,7 @@ function buildClientStateFromSnapshot(session, engine, snapshot) {
         new Date(session.createdAt);
   
   const now = new Date();
-  const elapsedSeconds = Math.max(0, (now - startTime) / 1000);
+  const elapsedSeconds = Math.max(0, (now - startTime - getPausedMs(sessionMetadata, now.getTime())) / 1000);
   const timeRemainingSeconds = Math.max(0, maxDurationSeconds - elapsedSeconds);
 
   const clientState = {
@@ -697,11 +612,17 @@ function buildClientStateFromSnapshot(session, engine, snapshot) {
     p1Target: rulesState.p1Target || 'ANY',
     p2Target: rulesState.p2Target || 'ANY',
     ballInHand: rulesState.ballInHand || engineState.cueBallInHand,
+    ballInHandZone: rulesState.ballInHandZone || null,
+    ruleProfile: engine.rules.options || null,
+    callRequired: getCallRequirement(engine, turnKey),
     winner: rulesState.winner || engineState.winner,
     foul: rulesState.foul || false,
     shotNumber: rulesState.shotNumber || 0,
     p1Score: rulesState.p1Score || 0,
     p2Score: rulesState.p2Score || 0,
+    race: buildRaceSummary(engineState.race),
+    handicap: buildHandicapSummary(engine.config.handicap),
+    suddenDeath: buildSuddenDeathSummary(engineState.suddenDeath),
     message: rulesState.message || '',
     timeRemainingSeconds: Math.floor(timeRemainingSeconds),
     matchStartTime: startTime.toISOString(),
@@ -710,11 +631,16 @@ function buildClientStateFromSnapshot(session, engine, snapshot) {
   };
 
   return {
-    engineSnapshot: snapshot,
+    // Players only see the seed commitment until the match is over
+    engineSnapshot: hideSnapshotSeed(snapshot),
+    rackCommitment: publicRackCommitment(sessionMetadata),
     clientState,
     rulesState,
     currentPlayer: currentPlayerId,
     turn: turnKey,
+    shotClock: buildShotClockPayload(session.sessionId),
+    paused: Boolean(sessionMetadata.pausedAt),
+    disconnectGrace: sessionMetadata.disconnectGrace || {},
     cueBallInHand: engineState.cueBallInHand,
     winner: engineState.winner,
     player1Id: session.player1Id,
@@ -728,14 +654,19 @@ function buildClientState(session, engine) {
   return buildClientStateFromSnapshot(session, engine, engine.getSnapshot());
 }
 
-function broadcastFrames({ io, session, engine, frames }) {
+/**
+ * Play a shot out to the table. Full-format sockets get a game state per
+ * frame spread over the animation; delta-format sockets get the whole shot
+ * encoded in one message up front and the final state when the animation ends.
+ */
+function broadcastFrames({ io, session, engine, frames, events, stride }) {
   if (!frames || frames.length === 0) return;
   
   const token = Date.now();
   sessionBroadcastTokens.set(session.sessionId, token);
   
   // SYNC FIX: Improved frame timing for better interpolation
-  const totalDuration = 2000; // Total animation duration in ms
+  const totalDuration = FRAME_BROADCAST_MS; // Total animation duration in ms
   const intervalMs = totalDuration / frames.length; // Dynamic interval based on frame count
   
   logger.info(`Broadcasting ${frames.length} frames over ${totalDuration}ms (${intervalMs}ms intervals)`);
@@ -745,15 +676,29 @@ function broadcastFrames({ io, session, engine, frames }) {
       if (sessionBroadcastTokens.get(session.sessionId) !== token) return;
       
       const payload = buildClientStateFromSnapshot(session, engine, frame);
-      io.to(`game:${session.sessionId}`).emit('game:state_updated', {
+      const isLast = idx === frames.length - 1;
+      emitGameEvent(io, session.sessionId, 'game:state_updated', {
         gameState: payload,
         tick: idx + 1,
         totalTicks: frames.length,
         timestamp: new Date().toISOString(),
         frameInterval: intervalMs // Help client with interpolation timing
-      });
+      }, isLast ? null : 'except');
     }, idx * intervalMs);
   });
+
+  const encoded = encodeShotFrames(frames, {
+    events,
+    stride,
+    mapPosition: (point) => mapServerToClient(engine, point),
+    mapVelocity: (velocity) => mapVelocityToClient(engine, velocity)
+  });
+  emitGameEvent(io, session.sessionId, 'game:shot_frames', {
+    ...encoded,
+    frameInterval: intervalMs,
+    shotNumber: engine.state.shotNumber,
+    timestamp: new Date().toISOString()
+  }, 'only');
   
   // Clear broadcasting token after all frames are sent
   setTimeout(() => {
@@ -763,18 +708,251 @@ function broadcastFrames({ io, session, engine, frames }) {
   }, totalDuration + 500);
 }
 
+// What the shot did, kept with the shot so match stats can be rebuilt from the log
+function buildShotOutcome(turnKey, outcome) {
+  if (!outcome) return null;
+  const shotResult = outcome.shotResult || {};
+  const rulesState = outcome.rulesState || {};
+  return {
+    isBreak: Boolean(outcome.isBreak),
+    pocketed: Array.isArray(shotResult.pocketed) ? shotResult.pocketed : [],
+    cueScratch: Boolean(shotResult.cueScratch),
+    foul: Boolean(rulesState.foul),
+    foulType: rulesState.foulType || null,
+    turnKept: !rulesState.foul && rulesState.turn === turnKey && !rulesState.rerack,
+    rerack: Boolean(rulesState.rerack),
+    winner: rulesState.winner || null,
+    ...(outcome.suddenDeath ? { suddenDeath: true, mode: outcome.suddenDeath } : {})
+  };
+}
+
+async function recordShot({ session, engine, turnKey, shot, action = 'shot', outcome = null }) {
+  try {
+    const input = shot || {};
+    await prisma.gameSessionShot.create({
+      data: {
+        sessionId: session.sessionId,
+        shotNumber: engine.state.shotNumber,
+        actorSide: turnKey,
+        action,
+        playerId: turnKey === 'p1' ? session.player1Id : session.player2Id,
+        direction: input.direction ? { x: input.direction.x, y: input.direction.y } : null,
+        power: Number.isFinite(input.power) ? input.power : null,
+        screw: Number.isFinite(input.screw) ? input.screw : null,
+        english: Number.isFinite(input.english) ? input.english : null,
+        calledBall: Number.isInteger(input.calledBall) ? input.calledBall : null,
+        calledPocket: Number.isInteger(input.calledPocket) ? input.calledPocket : null,
+        cueBallPosition: input.cueBallPosition
+          ? { x: input.cueBallPosition.x, y: input.cueBallPosition.y }
+          : null,
+        stateHash: engine.getStateHash(),
+        result: buildShotOutcome(turnKey, outcome)
+      }
+    });
+  } catch (err) {
+    logger.error('Failed to record shot for replay', {
+      err,
+      sessionId: session.sessionId,
+      shotNumber: engine.state.shotNumber
+    });
+  }
+}
+
+// Tell the table a frame of a race is over once the deciding shot has played out
+function announceFrameCompleted({ io, session, engine, advanced, delayMs = 0 }) {
+  if (!advanced || engine.state.race.raceTo <= 1) return;
+  const payload = {
+    frame: advanced.frame,
+    race: buildRaceSummary(engine.state.race),
+    matchWinner: advanced.matchWinner,
+    gameState: advanced.matchWinner ? null : buildClientState(session, engine),
+    timestamp: new Date().toISOString()
+  };
+  logger.info('[race] Frame completed', {
+    sessionId: session.sessionId,
+    frameNumber: advanced.frame.frameNumber,
+    winner: advanced.frame.winner,
+    p1Frames: payload.race.p1Frames,
+    p2Frames: payload.race.p2Frames
+  });
+  setTimeout(() => emitGameEvent(io, session.sessionId, 'game:frame_completed', payload), delayMs);
+}
+
+/**
+ * Put a level match into sudden death. The switch is logged as a shot so the
+ * replay takes the same path, and the metadata marks the start so the
+ * shootout gets its own time limit.
+ */
+async function startSessionTiebreak({ io, session, engine, mode }) {
+  const started = startSuddenDeath(engine, mode);
+  if (!started.ok) return started;
+
+  await recordShot({
+    session,
+    engine,
+    turnKey: engine.state.turn,
+    shot: null,
+    action: 'sudden_death',
+    outcome: { ...started, suddenDeath: mode }
+  });
+  await persistEngine(session.sessionId, engine);
+
+  const updatedSession = await prisma.gameSession.update({
+    where: { sessionId: session.sessionId },
+    data: {
+      metadata: mergeSessionMetadata(session, {
+        suddenDeath: { mode, startedAt: new Date().toISOString() }
+      }),
+      lastActivityAt: new Date()
+    }
+  });
+  const updatedState = buildClientState(updatedSession, engine);
+  await prisma.gameSession.update({
+    where: { sessionId: session.sessionId },
+    data: { gameState: updatedState }
+  });
+  await startShotClock({ io, session: updatedSession, engine });
+
+  logger.info('[sudden-death] Level match sent to a tiebreak', { sessionId: session.sessionId, mode });
+  emitGameEvent(io, session.sessionId, 'game:sudden_death', {
+    mode,
+    gameState: updatedState,
+    shotClock: buildShotClockPayload(session.sessionId),
+    timestamp: new Date().toISOString()
+  });
+  return { ok: true, updatedState };
+}
+
+/**
+ * Settle a session whose match clock has run out. A lead wins it; a level
+ * group match is a draw; a level knockout goes to sudden death, and a decider
+ * that runs out of time falls back to spot shots, which play on until one
+ * player wins or the round cap is reached. If no tiebreak can be started the
+ * session stays open and is flagged for an admin to settle.
+ */
+async function resolveSessionTimeout({ io, session }) {
+  const engine = await getOrCreateEngine(session);
+  const rulesState = engine?.state?.rulesState || {};
+  const timeoutRules = { ...rulesState, timeout: true };
+  const scoreWinnerId = resolveWinnerByScore(session, rulesState, engine?.state?.race);
+  const suddenDeath = parseSessionMetadata(session).suddenDeath;
+
+  if (scoreWinnerId) {
+    await completeGameSession({
+      io,
+      sessionId: session.sessionId,
+      winnerId: scoreWinnerId,
+      rulesState: timeoutRules,
+      metadata: { reason: 'timeout', resolution: 'score' }
+    });
+    return { completed: true };
+  }
+
+  const tiebreak = resolveTiebreakMode(session);
+  if (tiebreak === 'draw') {
+    await completeGameSession({
+      io,
+      sessionId: session.sessionId,
+      draw: true,
+      rulesState: timeoutRules,
+      metadata: { reason: 'timeout', resolution: 'draw' }
+    });
+    return { completed: true };
+  }
+
+  if (!suddenDeath || suddenDeath.mode === 'decider') {
+    const mode = suddenDeath ? 'spot_shots' : tiebreak;
+    const started = await startSessionTiebreak({ io, session, engine, mode });
+    if (started.ok) return { completed: false, suddenDeath: mode };
+    logger.warn('[sudden-death] Could not start tiebreak', { sessionId: session.sessionId, mode, error: started.error });
+  }
+
+  await flagTiebreakForReview(session, 'tiebreak_unavailable');
+  return { completed: false, review: true };
+}
+
+// Leave a level match that can't be decided on the table open for an admin
+async function flagTiebreakForReview(session, reason) {
+  const metadata = parseSessionMetadata(session);
+  const detectedAt = new Date().toISOString();
+  logger.error('[sudden-death] Level match could not be decided, flagged for review', {
+    sessionId: session.sessionId,
+    reason
+  });
+
+  await prisma.gameSession.update({
+    where: { sessionId: session.sessionId },
+    data: {
+      metadata: mergeSessionMetadata(session, { tiebreakReview: { reason, flaggedAt: detectedAt } })
+    }
+  });
+  try {
+    await publishEvent(Topics.MATCH_TIEBREAK_REVIEW, {
+      sessionId: session.sessionId,
+      matchId: metadata.matchId || null,
+      tournamentId: metadata.tournamentId || null,
+      seasonId: metadata.seasonId || null,
+      player1Id: session.player1Id,
+      player2Id: session.player2Id,
+      reason,
+      details: { suddenDeath: metadata.suddenDeath || null },
+      detectedAt
+    });
+  } catch (err) {
+    logger.error('[sudden-death] Failed to publish tiebreak review flag', { err, sessionId: session.sessionId });
+  }
+}
+
+/**
+ * Send a shootout that has gone the full number of rounds level to an admin.
+ * Returns true when the session was flagged, so the caller stops the clock.
+ */
+async function capShootoutRounds({ session, engine }) {
+  const suddenDeath = engine.state.suddenDeath;
+  if (!isSpotShootout(engine) || suddenDeath.round <= SUDDEN_DEATH_MAX_ROUNDS) return false;
+  stopShotClock(session.sessionId);
+  await flagTiebreakForReview(session, 'shootout_undecided');
+  return true;
+}
+
 async function applyShotAndBroadcast({ io, session, engine, turnKey, shot }) {
-  const shotResult = engine.applyShot(turnKey, shot, {
+  if (parseSessionMetadata(session).tiebreakReview) {
+    return { ok: false, error: 'Match is waiting for an admin decision' };
+  }
+  const isBreak = Number(engine.state.rulesState?.shotNumber || 0) === 0;
+  const shootout = isSpotShootout(engine);
+  const captureOptions = {
     capture: {
       stride: CAPTURE_STRIDE,
       maxFrames: MAX_FRAMES
     }
-  });
+  };
+  const shotResult = shootout
+    ? applySpotShot(engine, turnKey, shot, captureOptions)
+    : engine.applyShot(turnKey, shot, captureOptions);
 
   if (!shotResult.ok) {
     return { ok: false, error: shotResult.error || 'Shot rejected' };
   }
 
+  await recordShot({
+    session,
+    engine,
+    turnKey,
+    shot,
+    outcome: { ...shotResult, isBreak: isBreak && !shootout, suddenDeath: shootout ? 'spot_shots' : null }
+  });
+  // A won frame that doesn't settle the race racks the next one straight away
+  const advanced = engine.advanceFrame();
+  await persistEngine(session.sessionId, engine);
+
+  // The next turn's clock starts once the shot animation has played out
+  const hasFrames = Boolean(shotResult.frames && shotResult.frames.length > 0);
+  sessionLastFrames.set(session.sessionId, shotResult.frames || []);
+  if (!await capShootoutRounds({ session, engine })) {
+    await startShotClock({ io, session, engine, delayMs: hasFrames ? FRAME_BROADCAST_MS : 0 });
+  }
+
   const updatedState = buildClientState(session, engine);
   await prisma.gameSession.update({
     where: { sessionId: session.sessionId },
@@ -801,9 +979,16 @@ async function applyShotAndBroadcast({ io, session, engine, turnKey, shot }) {
   }
 
   if (shotResult.frames && shotResult.frames.length > 0) {
-    broadcastFrames({ io, session, engine, frames: shotResult.frames });
+    broadcastFrames({
+      io,
+      session,
+      engine,
+      frames: shotResult.frames,
+      events: shotResult.events,
+      stride: shotResult.stride
+    });
   } else {
-    io.to(`game:${session.sessionId}`).emit('game:state_updated', {
+    emitGameEvent(io, session.sessionId, 'game:state_updated', {
       gameState: updatedState,
       shotResult: shotResult.shotResult,
       timestamp: new Date().toISOString()
@@ -817,10 +1002,384 @@ async function applyShotAndBroadcast({ io, session, engine, turnKey, shot }) {
       });
     }
   }
+  announceFrameCompleted({ io, session, engine, advanced, delayMs: hasFrames ? FRAME_BROADCAST_MS : 0 });
 
   return { ok: true, updatedState };
 }
 
+function resolveShotClockConfig(session) {
+  const metadata = parseSessionMetadata(session);
+  const raw = metadata.shotClock;
+  const config = typeof raw === 'number' ? { seconds: raw } : (raw && typeof raw === 'object' ? raw : {});
+  // The match's own clock setting doesn't apply once sudden death starts
+  const seconds = metadata.suddenDeath
+    ? SUDDEN_DEATH_SHOT_SECONDS
+    : Number(config.seconds ?? SHOT_CLOCK_DEFAULT_SECONDS);
+  if (!Number.isFinite(seconds) || seconds <= 0) return null;
+  return {
+    seconds,
+    extensionSeconds: Math.max(0, Number(config.extensionSeconds) || 0),
+    extensionsPerPlayer: Math.max(0, Math.floor(Number(config.extensionsPerPlayer) || 0))
+  };
+}
+
+function buildShotClockPayload(sessionId) {
+  const clock = shotClocks.get(sessionId);
+  if (!clock) return null;
+  const { extensionsPerPlayer } = clock.config;
+  const paused = clock.pausedRemainingMs !== undefined;
+  const remainingMs = paused ? clock.pausedRemainingMs : clock.deadline - Date.now();
+  return {
+    turn: clock.turn,
+    deadline: paused ? null : new Date(clock.deadline).toISOString(),
+    paused,
+    durationSeconds: Math.round(clock.durationMs / 1000),
+    remainingSeconds: Math.max(0, Math.ceil(remainingMs / 1000)),
+    extensionsRemaining: {
+      p1: Math.max(0, extensionsPerPlayer - clock.extensionsUsed.p1),
+      p2: Math.max(0, extensionsPerPlayer - clock.extensionsUsed.p2)
+    }
+  };
+}
+
+function stopShotClock(sessionId) {
+  const clock = shotClocks.get(sessionId);
+  if (clock?.timer) clearTimeout(clock.timer);
+  shotClocks.delete(sessionId);
+  clearShotClock(sessionId);
+}
+
+// Publish the clock so any instance can take it over
+async function storeShotClock(sessionId, clock) {
+  clock.updatedAt = Date.now();
+  const { timer, ...stored } = clock;
+  await saveShotClock(sessionId, stored);
+}
+
+/**
+ * This instance's copy of a session's clock, replaced by the stored one when
+ * another instance has changed it since. Adopted clocks are not armed.
+ */
+async function syncShotClock(sessionId) {
+  const local = shotClocks.get(sessionId);
+  const stored = await loadShotClock(sessionId);
+  if (!stored || (local && local.updatedAt >= stored.updatedAt)) return local || null;
+
+  if (local?.timer) clearTimeout(local.timer);
+  const clock = { ...stored, timer: null };
+  shotClocks.set(sessionId, clock);
+  return clock;
+}
+
+function armShotClock({ io, sessionId, clock }) {
+  if (clock.timer) clearTimeout(clock.timer);
+  clock.timer = setTimeout(() => {
+    handleShotClockExpiry({ io, sessionId, clock }).catch((err) => {
+      logger.error('[shot-clock] Expiry handling failed', { err, sessionId });
+    });
+  }, Math.max(0, clock.deadline - Date.now()));
+}
+
+/**
+ * Start the clock for whoever is on turn. Extensions used so far carry over
+ * for the rest of the game. No-op when the session has no shot clock.
+ */
+async function startShotClock({ io, session, engine, delayMs = 0 }) {
+  const sessionId = session.sessionId;
+  const previous = shotClocks.get(sessionId) || await loadShotClock(sessionId);
+  if (previous?.timer) clearTimeout(previous.timer);
+
+  const config = resolveShotClockConfig(session);
+  if (!config || engine.state.winner) {
+    stopShotClock(sessionId);
+    return null;
+  }
+
+  const durationMs = config.seconds * 1000;
+  const clock = {
+    turn: engine.state.turn,
+    shotNumber: engine.state.shotNumber,
+    deadline: Date.now() + delayMs + durationMs,
+    durationMs,
+    config,
+    extensionsUsed: previous?.extensionsUsed || { p1: 0, p2: 0 },
+    timer: null
+  };
+  shotClocks.set(sessionId, clock);
+  if (pausedSessions.has(sessionId) || isSessionPaused(session)) {
+    clock.pausedRemainingMs = delayMs + durationMs;
+  } else {
+    armShotClock({ io, sessionId, clock });
+  }
+  await storeShotClock(sessionId, clock);
+  return clock;
+}
+
+/**
+ * Pick up the clock for the position on the table after a restart or when
+ * the session moves to this instance; a clock for an older position is
+ * replaced by a fresh one.
+ */
+async function takeOverShotClock({ io, session, engine }) {
+  const clock = await syncShotClock(session.sessionId);
+  if (!clock || clock.shotNumber !== engine.state.shotNumber || clock.turn !== engine.state.turn) {
+    return startShotClock({ io, session, engine });
+  }
+  if (clock.pausedRemainingMs === undefined && !clock.timer) {
+    armShotClock({ io, sessionId: session.sessionId, clock });
+  }
+  return clock;
+}
+
+// The instance running this clock has gone quiet past its deadline
+async function takeOverOverdueShotClock({ io, session }) {
+  const stored = await loadShotClock(session.sessionId);
+  if (!stored || stored.pausedRemainingMs !== undefined) return;
+  if (stored.deadline > Date.now() - SHOT_CLOCK_TAKEOVER_GRACE_MS) return;
+  const engine = await getOrCreateEngine(session);
+  await takeOverShotClock({ io, session, engine });
+}
+
+async function pauseShotClock(sessionId) {
+  const clock = await syncShotClock(sessionId);
+  if (!clock || clock.pausedRemainingMs !== undefined) return;
+  if (clock.timer) clearTimeout(clock.timer);
+  clock.timer = null;
+  clock.pausedRemainingMs = Math.max(0, clock.deadline - Date.now());
+  await storeShotClock(sessionId, clock);
+}
+
+async function resumeShotClock({ io, sessionId }) {
+  const clock = await syncShotClock(sessionId);
+  if (!clock || clock.pausedRemainingMs === undefined) return;
+  clock.deadline = Date.now() + clock.pausedRemainingMs;
+  delete clock.pausedRemainingMs;
+  armShotClock({ io, sessionId, clock });
+  await storeShotClock(sessionId, clock);
+}
+
+async function extendShotClock({ io, sessionId, turnKey }) {
+  const clock = await syncShotClock(sessionId);
+  if (!clock || clock.turn !== turnKey) {
+    return { ok: false, error: 'No shot clock running for your turn' };
+  }
+  const { extensionSeconds, extensionsPerPlayer } = clock.config;
+  if (extensionSeconds <= 0 || clock.extensionsUsed[turnKey] >= extensionsPerPlayer) {
+    return { ok: false, error: 'No shot clock extensions left' };
+  }
+
+  clock.extensionsUsed[turnKey] += 1;
+  clock.durationMs += extensionSeconds * 1000;
+  if (clock.pausedRemainingMs !== undefined) {
+    clock.pausedRemainingMs += extensionSeconds * 1000;
+  } else {
+    clock.deadline += extensionSeconds * 1000;
+    armShotClock({ io, sessionId, clock });
+  }
+  await storeShotClock(sessionId, clock);
+  return { ok: true };
+}
+
+async function handleShotClockExpiry({ io, sessionId, clock }) {
+  if (shotClocks.get(sessionId) !== clock) return;
+
+  const session = await prisma.gameSession.findUnique({ where: { sessionId } });
+  if (!session || session.status !== 'active') {
+    stopShotClock(sessionId);
+    return;
+  }
+
+  // Paused on any instance: the clock waits for whoever resumes the match
+  if (isSessionPaused(session)) {
+    await pauseShotClock(sessionId);
+    return;
+  }
+
+  // Extended, resumed or restarted on another instance; keep to its deadline
+  const current = await syncShotClock(sessionId);
+  if (current !== clock) {
+    if (current && current.pausedRemainingMs === undefined) armShotClock({ io, sessionId, clock: current });
+    return;
+  }
+
+  const engine = await getOrCreateEngine(session);
+  // A shot landed while the timer was firing; its own clock is already running
+  if (engine.state.shotNumber !== clock.shotNumber || engine.state.turn !== clock.turn) return;
+  // Another instance holding the same clock got there first
+  if (!await claimShotClockExpiry(sessionId, clock.shotNumber, clock.turn)) return;
+
+  const shootout = isSpotShootout(engine);
+  const result = shootout ? applySpotTimeFoul(engine, clock.turn) : engine.applyTimeFoul(clock.turn);
+  if (!result.ok) {
+    stopShotClock(sessionId);
+    return;
+  }
+
+  logger.info('[shot-clock] Shot clock expired', { sessionId, side: clock.turn, shotNumber: engine.state.shotNumber });
+  await recordShot({
+    session,
+    engine,
+    turnKey: clock.turn,
+    shot: null,
+    action: 'time_foul',
+    outcome: { ...result, suddenDeath: shootout ? 'spot_shots' : null }
+  });
+  const advanced = engine.advanceFrame();
+  await persistEngine(sessionId, engine);
+  if (!await capShootoutRounds({ session, engine })) {
+    await startShotClock({ io, session, engine });
+  }
+
+  const updatedState = buildClientState(session, engine);
+  await prisma.gameSession.update({
+    where: { sessionId },
+    data: {
+      gameState: updatedState,
+      lastActivityAt: new Date()
+    }
+  });
+
+  emitGameEvent(io, sessionId, 'game:state_updated', {
+    gameState: updatedState,
+    shotResult: null,
+    shotClockExpired: { side: clock.turn },
+    timestamp: new Date().toISOString()
+  });
+  announceFrameCompleted({ io, session, engine, advanced });
+
+  if (updatedState.winner) {
+    await completeGameSession({
+      io,
+      sessionId,
+      winnerKey: updatedState.winner,
+      rulesState: updatedState.rulesState
+    });
+    return;
+  }
+
+  await scheduleAiTurn({ io, session, engine });
+}
+
+function resolveDisconnectGraceSeconds(session) {
+  const metadata = parseSessionMetadata(session);
+  const value = Number(metadata.disconnectGraceSeconds ?? DISCONNECT_GRACE_SECONDS);
+  return Number.isFinite(value) && value > 0 ? value : 0;
+}
+
+/**
+ * Pause the match and shot clocks while a player is away. If they are not
+ * back before the grace window closes they forfeit the match.
+ */
+async function beginDisconnectGrace({ io, session, playerId }) {
+  const graceSeconds = resolveDisconnectGraceSeconds(session);
+  if (!graceSeconds || session.status !== 'active') return null;
+
+  const sessionId = session.sessionId;
+  const metadata = parseSessionMetadata(session);
+  const now = new Date();
+  const graceDeadline = new Date(now.getTime() + graceSeconds * 1000);
+
+  await prisma.gameSession.update({
+    where: { sessionId },
+    data: {
+      metadata: {
+        ...metadata,
+        pausedAt: metadata.pausedAt || now.toISOString(),
+        disconnectGrace: { ...(metadata.disconnectGrace || {}), [playerId]: graceDeadline.toISOString() }
+      }
+    }
+  });
+
+  pausedSessions.add(sessionId);
+  await pauseShotClock(sessionId);
+
+  const key = `${sessionId}:${playerId}`;
+  if (disconnectGraceTimers.has(key)) clearTimeout(disconnectGraceTimers.get(key));
+  disconnectGraceTimers.set(key, setTimeout(() => {
+    forfeitDisconnectedPlayer({ io, sessionId, playerId }).catch((err) => {
+      logger.error('[disconnect] Forfeit after grace period failed', { err, sessionId, playerId });
+    });
+  }, graceSeconds * 1000));
+
+  logger.info('[disconnect] Match paused for reconnection', { sessionId, playerId, graceSeconds });
+  emitGameEvent(io, sessionId, 'game:paused', {
+    reason: 'disconnect',
+    playerId,
+    graceSeconds,
+    graceDeadline: graceDeadline.toISOString()
+  });
+  return graceDeadline;
+}
+
+/**
+ * The player is back inside the grace window. Resumes the clocks once nobody
+ * else is still away and returns the updated session.
+ */
+async function endDisconnectGrace({ io, session, playerId }) {
+  const sessionId = session.sessionId;
+  const key = `${sessionId}:${playerId}`;
+  if (disconnectGraceTimers.has(key)) {
+    clearTimeout(disconnectGraceTimers.get(key));
+    disconnectGraceTimers.delete(key);
+  }
+
+  const metadata = parseSessionMetadata(session);
+  if (!metadata.disconnectGrace?.[playerId]) return session;
+
+  const { [playerId]: _returned, ...stillAway } = metadata.disconnectGrace;
+  const resume = Object.keys(stillAway).length === 0;
+  const nextMetadata = { ...metadata, disconnectGrace: stillAway };
+  if (resume) {
+    nextMetadata.pausedMs = getPausedMs(metadata);
+    nextMetadata.pausedAt = null;
+  }
+
+  const updated = await prisma.gameSession.update({
+    where: { sessionId },
+    data: { metadata: nextMetadata }
+  });
+
+  if (resume) {
+    pausedSessions.delete(sessionId);
+    await resumeShotClock({ io, sessionId });
+    logger.info('[disconnect] Player reconnected, match resumed', { sessionId, playerId });
+    emitGameEvent(io, sessionId, 'game:resumed', { playerId });
+  }
+  return updated;
+}
+
+async function forfeitDisconnectedPlayer({ io, sessionId, playerId }) {
+  disconnectGraceTimers.delete(`${sessionId}:${playerId}`);
+
+  const session = await prisma.gameSession.findUnique({ where: { sessionId } });
+  if (!session || session.status !== 'active') return;
+  // Reconnected through another instance in the meantime
+  if (!parseSessionMetadata(session).disconnectGrace?.[playerId]) return;
+
+  const winnerId = playerId === session.player1Id ? session.player2Id : session.player1Id;
+  logger.info('[disconnect] Grace period expired, forfeiting match', { sessionId, playerId, winnerId });
+  pausedSessions.delete(sessionId);
+
+  await completeGameSession({
+    io,
+    sessionId,
+    winnerId,
+    metadata: {
+      reason: 'forfeit',
+      resolution: 'disconnect',
+      forfeitedBy: playerId,
+      pausedAt: null,
+      disconnectGrace: {}
+    }
+  });
+  emitGameEvent(io, sessionId, 'match:forfeit', {
+    sessionId,
+    forfeitedBy: playerId,
+    winnerId,
+    reason: 'disconnect'
+  });
+}
+
 async function scheduleAiTurn({ io, session, engine }) {
   const aiSide = getAiSide(session);
   if (!aiSide) {
@@ -878,6 +1437,10 @@ async function scheduleAiTurn({ io, session, engine }) {
 
   setTimeout(async () => {
     try {
+      if (pausedSessions.has(session.sessionId)) {
+        logAiDebug({ sessionId: session.sessionId }, '[ai] Match paused, AI turn deferred until resume');
+        return;
+      }
       const difficulty = getAiDifficulty(metadata);
       logger.info('[ai] Executing AI turn after delay', { sessionId: session.sessionId, aiSide, difficulty, delay });
       
@@ -897,7 +1460,8 @@ async function scheduleAiTurn({ io, session, engine }) {
 
       let shotBase = null;
       try {
-        shotBase = chooseAiShot(engine, aiSide, difficulty);
+        shotBase = planAiShot(engine, aiSide, difficulty);
+        logAiDebug({ sessionId: session.sessionId, aiSide, difficulty, plan: shotBase.plan }, '[ai] Shot planned');
       } catch (error) {
         logger.warn('[ai] Shot selection failed, using fallback', {
           sessionId: session.sessionId,
@@ -952,7 +1516,9 @@ async function scheduleAiTurn({ io, session, engine }) {
         power: shotBase.power,
         cueBallPosition: finalCueBallPosition,
         screw: 0,
-        english: 0
+        english: 0,
+        calledBall: shotBase.calledBall,
+        calledPocket: shotBase.calledPocket
       };
 
       logger.info('[ai] AI shot calculated', { 
@@ -1007,14 +1573,53 @@ async function scheduleAiTurn({ io, session, engine }) {
   }, delay);
 }
 
+/**
+ * Drop everything this instance and the shared store hold for a finished
+ * session. Safe to call more than once.
+ */
+async function releaseSessionState(sessionId) {
+  stopShotClock(sessionId);
+  sessionLastFrames.delete(sessionId);
+  pausedSessions.delete(sessionId);
+  sessionEngines.delete(sessionId);
+  for (const [key, timer] of disconnectGraceTimers) {
+    if (key.startsWith(`${sessionId}:`)) {
+      clearTimeout(timer);
+      disconnectGraceTimers.delete(key);
+    }
+  }
+  await Promise.all([deleteSnapshot('session', sessionId), clearSessionConnections(sessionId)]);
+}
+
+function getEngineRevision(engine) {
+  return `${engine.state.shotNumber}:${engine.getStateHash()}`;
+}
+
+// Publish the position so whichever replica handles the next action starts from it
+async function persistEngine(sessionId, engine) {
+  const revision = getEngineRevision(engine);
+  sessionEngines.set(sessionId, { engine, revision });
+  try {
+    await saveSnapshot('session', sessionId, engine.getSnapshot(), revision);
+  } catch (error) {
+    logger.error('Failed to store engine snapshot', { err: error, sessionId });
+  }
+}
+
 async function getOrCreateEngine(session) {
-  const existing = sessionEngines.get(session.sessionId);
-  if (existing) return existing;
+  const cached = sessionEngines.get(session.sessionId);
+  const stored = await loadSnapshot('session', session.sessionId);
+  if (cached && (!stored || stored.revision === cached.revision)) return cached.engine;
 
   const metadata = parseSessionMetadata(session);
   const difficulty = getAiDifficulty(metadata);
   
-  const engine = new EightBallEngine();
+  // Rack from the session's match seed so the whole match can be replayed later
+  const matchSeed = Number(metadata?.matchSeed);
+  const engine = new EightBallEngine({
+    ...resolveEngineOptions(session),
+    ...(Number.isFinite(matchSeed) ? { seed: matchSeed } : {})
+  });
   
   // Set AI difficulty if provided
   if (metadata?.gameType === 'with_ai' && difficulty) {
@@ -1023,12 +1628,16 @@ async function getOrCreateEngine(session) {
   
   let needsInitialStateSave = false;
   
-  if (session.gameState) {
+  if (stored?.snapshot) {
+    engine.loadState(stored.snapshot);
+  } else if (session.gameState) {
     try {
       const parsed = typeof session.gameState === 'string'
         ? JSON.parse(session.gameState)
         : session.gameState;
-      engine.loadState(parsed?.engineSnapshot || parsed);
+      const snapshot = parsed?.engineSnapshot || parsed;
+      // Stored client state leaves the seed out; the engine was built from it already
+      engine.loadState(snapshot?.state && !snapshot.seed ? { ...snapshot, seed: engine.seed } : snapshot);
     } catch (error) {
       logger.warn('Failed to parse gameState for engine', { err: error, sessionId: session.sessionId });
       needsInitialStateSave = true;
@@ -1038,7 +1647,11 @@ async function getOrCreateEngine(session) {
     needsInitialStateSave = true;
   }
   
-  sessionEngines.set(session.sessionId, engine);
+  if (stored?.snapshot) {
+    sessionEngines.set(session.sessionId, { engine, revision: stored.revision });
+  } else {
+    await persistEngine(session.sessionId, engine);
+  }
   
   // Persist initial game state if it wasn't in the database
   if (needsInitialStateSave) {
@@ -1108,11 +1721,19 @@ async function ensureAiAutoJoin({ io, session }) {
 }
 
 exports.setupGameSocketHandlers = function(io) {
+  // Another replica finished or expired a session; drop our cached copy
+  io.on('game:release-session', (sessionId) => {
+    releaseSessionState(sessionId).catch((err) => {
+      logger.error('Failed to release session state', { err, sessionId });
+    });
+  });
+
   io.on('connection', (socket) => {
     logger.info(`Socket connected: ${socket.id} (instance ${INSTANCE_ID})`);
     
     let authenticatedPlayerId = null;
     let currentSessionId = null;
+    let spectatingSessionId = null;
 
     // Authentication
     socket.on('authenticate', async ({ playerId, token }) => {
@@ -1153,7 +1774,7 @@ exports.setupGameSocketHandlers = function(io) {
     });
 
     // Join game session
-    socket.on('game:join', async ({ sessionId }, ack) => {
+    socket.on('game:join', async ({ sessionId, frameFormats }, ack) => {
       if (!authenticatedPlayerId) {
         if (typeof ack === 'function') {
           ack({ ok: false, error: 'Not authenticated' });
@@ -1184,32 +1805,23 @@ exports.setupGameSocketHandlers = function(io) {
         }
 
         // Join socket room
+        const frameFormat = negotiateFrameFormat(frameFormats);
         socket.join(`game:${sessionId}`);
+        joinFrameRoom(socket, `game:${sessionId}`, frameFormat);
         currentSessionId = sessionId;
-        playerToSession.set(authenticatedPlayerId, sessionId);
+        await setPlayerSession(authenticatedPlayerId, sessionId);
 
         // Update session connections
-        const connectionData = gameSessionConnections.get(sessionId) || {
-          player1Id: null,
-          player2Id: null,
-          player1Connected: false,
-          player2Connected: false
-        };
-
-        if (isPlayer1) {
-          connectionData.player1Id = socket.id;
-          connectionData.player1Connected = true;
-        } else {
-          connectionData.player2Id = socket.id;
-          connectionData.player2Connected = true;
-        }
+        const seatUpdate = isPlayer1
+          ? { player1Id: socket.id, player1Connected: true }
+          : { player2Id: socket.id, player2Connected: true };
 
         const aiSide = getAiSide(session);
         if (aiSide === 'p1') {
-          connectionData.player1Connected = true;
+          seatUpdate.player1Connected = true;
         }
         if (aiSide === 'p2') {
-          connectionData.player2Connected = true;
+          seatUpdate.player2Connected = true;
         }
         if (DEBUG_AI) {
           const metadata = parseSessionMetadata(session);
@@ -1222,9 +1834,13 @@ exports.setupGameSocketHandlers = function(io) {
           });
         }
 
-        gameSessionConnections.set(sessionId, connectionData);
+        const connectionData = {
+          player1Connected: false,
+          player2Connected: false,
+          ...(await updateSessionConnections(sessionId, seatUpdate))
+        };
         if (typeof ack === 'function') {
-          ack({ ok: true, sessionId });
+          ack({ ok: true, sessionId, frameFormat });
         }
         logger.info('Player joined game session', {
           sessionId,
@@ -1239,7 +1855,19 @@ exports.setupGameSocketHandlers = function(io) {
           playerId: authenticatedPlayerId
         });
 
+        // Back inside the disconnect grace window
+        const wasAway = Boolean(parseSessionMetadata(session).disconnectGrace?.[authenticatedPlayerId]);
+        if (wasAway) {
+          await endDisconnectGrace({ io, session, playerId: authenticatedPlayerId });
+          socket.to(`game:${sessionId}`).emit('opponent:reconnected', {
+            playerId: authenticatedPlayerId
+          });
+        }
+
         const engine = await getOrCreateEngine(session);
+        if (session.status === 'active') {
+          await takeOverShotClock({ io, session, engine });
+        }
         
         // Re-fetch session after engine initialization to get the latest gameState
         const updatedSession = await prisma.gameSession.findUnique({
@@ -1316,6 +1944,144 @@ exports.setupGameSocketHandlers = function(io) {
       }
     });
 
+    // Full authoritative snapshot for a client that (re)joined mid-match
+    socket.on('game:resync', async (payload, ack) => {
+      const respond = (body) => {
+        if (typeof ack === 'function') {
+          ack(body);
+        } else {
+          socket.emit('game:resync', body);
+        }
+      };
+
+      const sessionId = payload?.sessionId || currentSessionId;
+      if (!authenticatedPlayerId || !sessionId) {
+        return respond({ ok: false, error: 'Not in a game session' });
+      }
+
+      try {
+        const session = await prisma.gameSession.findUnique({
+          where: { sessionId }
+        });
+        if (!session) {
+          return respond({ ok: false, error: 'Game session not found' });
+        }
+        if (session.player1Id !== authenticatedPlayerId && session.player2Id !== authenticatedPlayerId) {
+          return respond({ ok: false, error: 'Not authorized for this session' });
+        }
+
+        const engine = await getOrCreateEngine(session);
+        const gameState = buildClientState(session, engine);
+        const lastFrames = (sessionLastFrames.get(sessionId) || []).map(
+          (frame) => buildClientStateFromSnapshot(session, engine, frame).clientState
+        );
+
+        respond({
+          ok: true,
+          sessionId,
+          status: session.status,
+          gameState,
+          lastFrames,
+          yourTurn: gameState?.currentPlayer === authenticatedPlayerId,
+          serverTime: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error('Game resync error', { err: error, sessionId });
+        respond({ ok: false, error: 'Failed to resync game state' });
+      }
+    });
+
+    // Read-only seat: delayed frames for viewers, venue screens and staff
+    socket.on('game:spectate', async (payload, ack) => {
+      const respond = (body) => {
+        if (typeof ack === 'function') {
+          ack(body);
+        } else if (!body.ok) {
+          socket.emit('error', { message: body.error });
+        }
+      };
+
+      const sessionId = payload?.sessionId;
+      if (!sessionId) {
+        return respond({ ok: false, error: 'Missing sessionId' });
+      }
+
+      try {
+        const viewer = payload?.token
+          ? verifySpectatorToken(payload.token)
+          : (authenticatedPlayerId ? { userId: authenticatedPlayerId, role: null } : null);
+        if (!viewer) {
+          return respond({ ok: false, error: 'Not authenticated' });
+        }
+
+        const session = await prisma.gameSession.findUnique({
+          where: { sessionId }
+        });
+        if (!session) {
+          return respond({ ok: false, error: 'Game session not found' });
+        }
+        if (session.status === 'completed' || session.status === 'cancelled') {
+          return respond({ ok: false, error: 'Match is no longer live' });
+        }
+
+        const access = await resolveSpectatorAccess({
+          session,
+          metadata: parseSessionMetadata(session),
+          viewer
+        });
+        if (!access.allowed) {
+          return respond({ ok: false, error: access.error });
+        }
+
+        if (spectatingSessionId && spectatingSessionId !== sessionId) {
+          const previous = spectatingSessionId;
+          socket.leave(`spectate:${previous}`);
+          socket.leave(`spectate:${previous}:delta`);
+          broadcastSpectatorCount(io, previous);
+        }
+        spectatingSessionId = sessionId;
+        const frameFormat = negotiateFrameFormat(payload?.frameFormats);
+        socket.join(`spectate:${sessionId}`);
+        joinFrameRoom(socket, `spectate:${sessionId}`, frameFormat);
+
+        const engine = await getOrCreateEngine(session);
+        const snapshot = {
+          sessionId,
+          gameState: buildClientState(session, engine),
+          player1Id: session.player1Id,
+          player2Id: session.player2Id,
+          timestamp: new Date().toISOString()
+        };
+        // The opening snapshot is held back like every other frame so it
+        // never shows spectators a position ahead of the relayed shots
+        setTimeout(() => {
+          if (spectatingSessionId === sessionId) {
+            socket.emit('game:spectating', snapshot);
+          }
+        }, Math.max(0, SPECTATOR_DELAY_MS));
+
+        logger.info('[spectate] Spectator joined', {
+          sessionId,
+          viewerId: viewer.userId,
+          access: access.access
+        });
+        respond({ ok: true, sessionId, delaySeconds: SPECTATOR_DELAY_MS / 1000, frameFormat });
+        await broadcastSpectatorCount(io, sessionId);
+      } catch (error) {
+        logger.error('Spectate error', { err: error, sessionId });
+        respond({ ok: false, error: 'Failed to spectate match' });
+      }
+    });
+
+    socket.on('game:unspectate', async () => {
+      if (!spectatingSessionId) return;
+      const sessionId = spectatingSessionId;
+      spectatingSessionId = null;
+      socket.leave(`spectate:${sessionId}`);
+      socket.leave(`spectate:${sessionId}:delta`);
+      await broadcastSpectatorCount(io, sessionId);
+    });
+
     // Player ready to play
     socket.on('game:ready', async () => {
       if (!authenticatedPlayerId || !currentSessionId) {
@@ -1369,9 +2135,10 @@ exports.setupGameSocketHandlers = function(io) {
           });
 
           const engine = await getOrCreateEngine(updatedSession);
+          await startShotClock({ io, session: updatedSession, engine });
           const parsedState = buildClientState(updatedSession, engine);
 
-          io.to(`game:${currentSessionId}`).emit('game:start', {
+          emitGameEvent(io, currentSessionId, 'game:start', {
             message: 'Game started!',
             gameState: parsedState
           });
@@ -1407,17 +2174,14 @@ exports.setupGameSocketHandlers = function(io) {
 
         // Check if session has timed out
         if (checkMatchTimeout(session)) {
-          const engineForTimeout = await getOrCreateEngine(session);
-          const timeoutRules = engineForTimeout?.state?.rulesState || {};
-          const timeoutWinnerId = resolveWinnerByScore(session, timeoutRules);
-          await completeGameSession({
-            io,
-            sessionId: currentSessionId,
-            winnerId: timeoutWinnerId,
-            rulesState: { ...timeoutRules, timeout: true },
-            metadata: { reason: 'timeout', resolution: 'score' }
-          });
-          return socket.emit('error', { message: 'Match time expired' });
+          const timeout = await resolveSessionTimeout({ io, session });
+          if (timeout.completed) {
+            return socket.emit('error', { message: 'Match time expired' });
+          }
+          if (timeout.review) {
+            return socket.emit('error', { message: 'Match time expired, result is awaiting review' });
+          }
+          return socket.emit('error', { message: 'Match time expired, sudden death started' });
         }
 
         // Verify player is part of session
@@ -1443,6 +2207,10 @@ exports.setupGameSocketHandlers = function(io) {
           return socket.emit('error', { message: 'Not your turn' });
         }
 
+        if (action === 'shot' && isSessionPaused(session)) {
+          return socket.emit('error', { message: 'Match is paused while a player reconnects' });
+        }
+
         if (action === 'shot') {
           logger.info('[game-action] Shot received', {
             sessionId: currentSessionId,
@@ -1473,6 +2241,21 @@ exports.setupGameSocketHandlers = function(io) {
             });
             return socket.emit('error', { message: 'Invalid shot payload' });
           }
+          const callRequired = getCallRequirement(engine, clientState.turn);
+          if (
+            (callRequired !== 'none' && !Number.isInteger(data?.calledPocket)) ||
+            (callRequired === 'ball_and_pocket' && !Number.isInteger(data?.calledBall))
+          ) {
+            logger.warn('[game-action] Shot rejected: missing call', {
+              sessionId: currentSessionId,
+              playerId: authenticatedPlayerId,
+              callRequired
+            });
+            return socket.emit('error', {
+              message: callRequired === 'pocket' ? 'Call a pocket for this shot' : 'Call a ball and pocket for this shot',
+              callRequired
+            });
+          }
           const direction = mapDirectionToServer(engine, data.direction);
           const cueBallPosition = mapClientToServer(engine, data.cueBallPosition);
           const shot = {
@@ -1480,7 +2263,9 @@ exports.setupGameSocketHandlers = function(io) {
             power: data.power,
             cueBallPosition,
             screw: data.screw,
-            english: data.english
+            english: data.english,
+            calledBall: data.calledBall ?? undefined,
+            calledPocket: data.calledPocket ?? undefined
           };
 
           const applied = await applyShotAndBroadcast({
@@ -1523,6 +2308,24 @@ exports.setupGameSocketHandlers = function(io) {
           } else {
             await scheduleAiTurn({ io, session, engine });
           }
+        } else if (action === 'shot_clock_extension') {
+          if (clientState.currentPlayer !== authenticatedPlayerId) {
+            return socket.emit('error', { message: 'Not your turn' });
+          }
+          const extended = await extendShotClock({ io, sessionId: currentSessionId, turnKey: clientState.turn });
+          if (!extended.ok) {
+            return socket.emit('error', { message: extended.error });
+          }
+          logger.info('[shot-clock] Extension used', {
+            sessionId: currentSessionId,
+            playerId: authenticatedPlayerId,
+            side: clientState.turn
+          });
+          emitGameEvent(io, currentSessionId, 'game:state_updated', {
+            gameState: buildClientState(session, engine),
+            shotResult: null,
+            timestamp: new Date().toISOString()
+          });
         } else {
           logger.info('[game-action] Action received', {
             sessionId: currentSessionId,
@@ -1637,6 +2440,10 @@ exports.setupGameSocketHandlers = function(io) {
     socket.on('disconnect', async (reason) => {
       logger.info(`Socket disconnected: ${socket.id} (${reason})`);
 
+      if (spectatingSessionId) {
+        await broadcastSpectatorCount(io, spectatingSessionId);
+      }
+
       if (authenticatedPlayerId && currentSessionId) {
         // Notify opponent
         socket.to(`game:${currentSessionId}`).emit('opponent:disconnected', {
@@ -1644,18 +2451,15 @@ exports.setupGameSocketHandlers = function(io) {
         });
 
         // Update connection status
-        const connectionData = gameSessionConnections.get(currentSessionId);
-        if (connectionData) {
-          if (connectionData.player1Id === socket.id) {
-            connectionData.player1Connected = false;
-          } else if (connectionData.player2Id === socket.id) {
-            connectionData.player2Connected = false;
-          }
-          gameSessionConnections.set(currentSessionId, connectionData);
+        const connectionData = await getSessionConnections(currentSessionId);
+        if (connectionData?.player1Id === socket.id) {
+          await updateSessionConnections(currentSessionId, { player1Connected: false });
+        } else if (connectionData?.player2Id === socket.id) {
+          await updateSessionConnections(currentSessionId, { player2Connected: false });
         }
 
         // Remove player mapping
-        playerToSession.delete(authenticatedPlayerId);
+        await clearPlayerSession(authenticatedPlayerId);
 
         // Check if player was player1 or player2 and update session
         try {
@@ -1671,11 +2475,19 @@ exports.setupGameSocketHandlers = function(io) {
               updateData.player2Connected = false;
             }
 
+            // A replica going down is not the player's fault; they reconnect to
+            // another instance and carry on without the forfeit countdown
             if (Object.keys(updateData).length > 0) {
-              await prisma.gameSession.update({
+              const updatedSession = await prisma.gameSession.update({
                 where: { sessionId: currentSessionId },
                 data: updateData
               });
+              if (reason === 'server shutting down') return;
+              await beginDisconnectGrace({
+                io,
+                session: updatedSession,
+                playerId: authenticatedPlayerId
+              });
             }
           }
         } catch (error) {
@@ -1686,6 +2498,20 @@ exports.setupGameSocketHandlers = function(io) {
   });
 };
 
+// Grace timers only live on the instance that saw the disconnect; pick up any
+// whose instance went away before they fired
+async function forfeitExpiredGracePeriods(io, session) {
+  const grace = parseSessionMetadata(session).disconnectGrace || {};
+  const now = Date.now();
+  for (const [playerId, deadline] of Object.entries(grace)) {
+    if (disconnectGraceTimers.has(`${session.sessionId}:${playerId}`)) continue;
+    if (new Date(deadline).getTime() > now) continue;
+    await forfeitDisconnectedPlayer({ io, sessionId: session.sessionId, playerId });
+    return true;
+  }
+  return false;
+}
+
 // Periodic check for expired matches
 let timeoutCheckInterval;
 
@@ -1705,24 +2531,20 @@ function startTimeoutChecker(io) {
       });
 
       for (const session of activeSessions) {
+        if (await forfeitExpiredGracePeriods(io, session)) continue;
+        await takeOverOverdueShotClock({ io, session });
         if (checkMatchTimeout(session)) {
           logger.info(`Auto-completing expired match session: ${session.sessionId}`);
 
-          const engineForTimeout = await getOrCreateEngine(session);
-          const timeoutRules = engineForTimeout?.state?.rulesState || {};
-          const timeoutWinnerId = resolveWinnerByScore(session, timeoutRules);
-          await completeGameSession({
-            io,
-            sessionId: session.sessionId,
-            winnerId: timeoutWinnerId,
-            rulesState: { ...timeoutRules, timeout: true },
-            metadata: { reason: 'timeout', resolution: 'score' }
-          });
+          const timeout = await resolveSessionTimeout({ io, session });
           
           // Notify players in the room
-          io.to(`game:${session.sessionId}`).emit('match:timeout', {
-            message: 'Match time expired',
-            sessionId: session.sessionId
+          emitGameEvent(io, session.sessionId, 'match:timeout', {
+            message: timeout.completed
+              ? 'Match time expired'
+              : timeout.review ? 'Match time expired, result is awaiting review' : 'Match time expired, sudden death started',
+            sessionId: session.sessionId,
+            suddenDeath: timeout.suddenDeath || null
           });
         }
       }
@@ -1736,3 +2558,5 @@ function startTimeoutChecker(io) {
 exports.startTimeoutChecker = startTimeoutChecker;
 exports.getOrCreateEngine = getOrCreateEngine;
 exports.scheduleAiTurn = scheduleAiTurn;
+exports.completeGameSession = completeGameSession;
+exports.releaseSessionState = releaseSessionState;
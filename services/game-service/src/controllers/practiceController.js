@@ -0,0 +1,394 @@
+// backend/services/game-service/src/controllers/practiceController.js
+const { prisma } = require('../config/db');
+const logger = require('../utils/logger');
+const {
+  PRACTICE_TYPES,
+  validatePracticeDrill,
+  createPracticeEngine,
+  createPracticeProgress,
+  applyPracticeShot
+} = require('../engine/8ball/practice');
+const { mapClientToServer, mapServerToClient, mapDirectionToServer } = require('../utils/tableMapping');
+
+// Solo practice: no opponent, no entry fee, no match or bracket events.
+const LEADERBOARD_SIZE = 20;
+
+// Layouts are authored in client table units and stored in engine units.
+// Practice always runs on the default table size.
+function layoutToServer(layout) {
+  if (!layout || !Array.isArray(layout.balls)) return layout;
+  return {
+    balls: layout.balls.map((ball) => ({ id: ball?.id, ...mapClientToServer(null, { x: ball?.x, y: ball?.y }) }))
+  };
+}
+
+function layoutToClient(layout) {
+  if (!layout || !Array.isArray(layout.balls)) return null;
+  return {
+    balls: layout.balls.map((ball) => ({ id: ball.id, ...mapServerToClient(null, ball) }))
+  };
+}
+
+function serializeDrill(drill) {
+  return {
+    drillId: drill.drillId,
+    type: drill.type,
+    title: drill.title,
+    description: drill.description,
+    layout: layoutToClient(drill.layout),
+    criteria: drill.criteria,
+    isActive: drill.isActive,
+    createdAt: drill.createdAt,
+    updatedAt: drill.updatedAt
+  };
+}
+
+function buildFrame(engine, snapshot) {
+  const state = snapshot?.state || {};
+  return {
+    balls: (state.balls || [])
+      .filter(Boolean)
+      .map((ball) => ({
+        id: ball.id,
+        pos: mapServerToClient(engine, ball.position),
+        active: ball.active === 1
+      }))
+  };
+}
+
+function buildPracticeState(session, engine) {
+  const rulesState = engine.state.rulesState || {};
+  return {
+    sessionId: session.sessionId,
+    drillId: session.drillId,
+    status: session.status,
+    progress: session.progress,
+    table: buildFrame(engine, engine.getSnapshot()),
+    ballInHand: Boolean(engine.state.cueBallInHand),
+    ballInHandZone: rulesState.ballInHandZone || null,
+    startedAt: session.startedAt,
+    endedAt: session.endedAt
+  };
+}
+
+function loadPracticeEngine(session, drill) {
+  const engine = createPracticeEngine(drill);
+  if (session.engineState) {
+    engine.loadState(session.engineState);
+  }
+  return engine;
+}
+
+async function findOwnedSession(sessionId, playerId) {
+  const session = await prisma.practiceSession.findUnique({ where: { sessionId } });
+  if (!session || session.playerId !== playerId) return null;
+  return session;
+}
+
+async function recordAttempt(tx, session, progress, finishedAt) {
+  const key = { playerId_drillId: { playerId: session.playerId, drillId: session.drillId } };
+  const current = await tx.practiceBest.findUnique({ where: key });
+  const succeeded = progress.status === 'succeeded';
+  const fewestShots = succeeded
+    ? Math.min(progress.shots, current?.fewestShots ?? progress.shots)
+    : current?.fewestShots ?? null;
+
+  await tx.practiceBest.upsert({
+    where: key,
+    create: {
+      playerId: session.playerId,
+      drillId: session.drillId,
+      bestScore: progress.score,
+      fewestShots,
+      attempts: 1,
+      completions: succeeded ? 1 : 0,
+      lastPlayedAt: finishedAt
+    },
+    update: {
+      bestScore: Math.max(current?.bestScore ?? 0, progress.score),
+      fewestShots,
+      attempts: { increment: 1 },
+      completions: { increment: succeeded ? 1 : 0 },
+      lastPlayedAt: finishedAt
+    }
+  });
+}
+
+exports.listDrills = async (req, res) => {
+  try {
+    const { type } = req.query;
+    if (type && !PRACTICE_TYPES.includes(type)) {
+      return res.status(400).json({ success: false, error: `type must be one of ${PRACTICE_TYPES.join(', ')}` });
+    }
+    const drills = await prisma.practiceDrill.findMany({
+      where: { isActive: true, ...(type ? { type } : {}) },
+      orderBy: { createdAt: 'asc' }
+    });
+    res.json({ success: true, data: drills.map(serializeDrill) });
+  } catch (error) {
+    logger.error({ err: error }, '[practice] Failed to list drills');
+    res.status(500).json({ success: false, error: 'Failed to list drills' });
+  }
+};
+
+exports.getDrill = async (req, res) => {
+  try {
+    const drill = await prisma.practiceDrill.findUnique({ where: { drillId: req.params.drillId } });
+    if (!drill) {
+      return res.status(404).json({ success: false, error: 'Drill not found' });
+    }
+    res.json({ success: true, data: serializeDrill(drill) });
+  } catch (error) {
+    logger.error({ err: error }, '[practice] Failed to load drill');
+    res.status(500).json({ success: false, error: 'Failed to load drill' });
+  }
+};
+
+exports.createDrill = async (req, res) => {
+  try {
+    const { type, title, description, layout, criteria } = req.body || {};
+    if (!title || typeof title !== 'string') {
+      return res.status(400).json({ success: false, error: 'title is required' });
+    }
+
+    const checked = validatePracticeDrill({ type, layout: layoutToServer(layout), criteria });
+    if (!checked.ok) {
+      return res.status(400).json({ success: false, error: checked.error });
+    }
+
+    const drill = await prisma.practiceDrill.create({
+      data: {
+        type: checked.value.type,
+        title,
+        description: description || null,
+        layout: checked.value.layout ?? undefined,
+        criteria: checked.value.criteria,
+        createdBy: req.user?.userId || null
+      }
+    });
+    logger.info('[practice] Drill created', { drillId: drill.drillId, type: drill.type, createdBy: drill.createdBy });
+    res.status(201).json({ success: true, data: serializeDrill(drill) });
+  } catch (error) {
+    logger.error({ err: error }, '[practice] Failed to create drill');
+    res.status(500).json({ success: false, error: 'Failed to create drill' });
+  }
+};
+
+exports.updateDrill = async (req, res) => {
+  try {
+    const existing = await prisma.practiceDrill.findUnique({ where: { drillId: req.params.drillId } });
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Drill not found' });
+    }
+
+    const { title, description, layout, criteria, isActive } = req.body || {};
+    const checked = validatePracticeDrill({
+      type: existing.type,
+      layout: layout === undefined ? existing.layout : layoutToServer(layout),
+      criteria: criteria === undefined ? existing.criteria : criteria
+    });
+    if (!checked.ok) {
+      return res.status(400).json({ success: false, error: checked.error });
+    }
+
+    const drill = await prisma.practiceDrill.update({
+      where: { drillId: existing.drillId },
+      data: {
+        ...(typeof title === 'string' && title ? { title } : {}),
+        ...(description !== undefined ? { description: description || null } : {}),
+        ...(typeof isActive === 'boolean' ? { isActive } : {}),
+        layout: checked.value.layout ?? undefined,
+        criteria: checked.value.criteria
+      }
+    });
+    res.json({ success: true, data: serializeDrill(drill) });
+  } catch (error) {
+    logger.error({ err: error }, '[practice] Failed to update drill');
+    res.status(500).json({ success: false, error: 'Failed to update drill' });
+  }
+};
+
+exports.startPractice = async (req, res) => {
+  try {
+    const playerId = req.user?.userId;
+    const { drillId } = req.body || {};
+    if (!playerId) {
+      return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+
+    const drill = drillId ? await prisma.practiceDrill.findUnique({ where: { drillId } }) : null;
+    if (!drill || !drill.isActive) {
+      return res.status(404).json({ success: false, error: 'Drill not found' });
+    }
+
+    // One practice table per player; starting again drops the unfinished one
+    await prisma.practiceSession.updateMany({
+      where: { playerId, status: 'active' },
+      data: { status: 'abandoned', endedAt: new Date() }
+    });
+
+    const engine = createPracticeEngine(drill);
+    const session = await prisma.practiceSession.create({
+      data: {
+        drillId: drill.drillId,
+        playerId,
+        engineState: engine.getSnapshot(),
+        progress: createPracticeProgress()
+      }
+    });
+
+    res.status(201).json({ success: true, data: { drill: serializeDrill(drill), ...buildPracticeState(session, engine) } });
+  } catch (error) {
+    logger.error({ err: error }, '[practice] Failed to start practice');
+    res.status(500).json({ success: false, error: 'Failed to start practice' });
+  }
+};
+
+exports.getPractice = async (req, res) => {
+  try {
+    const session = await findOwnedSession(req.params.sessionId, req.user?.userId);
+    if (!session) {
+      return res.status(404).json({ success: false, error: 'Practice session not found' });
+    }
+    const drill = await prisma.practiceDrill.findUnique({ where: { drillId: session.drillId } });
+    const engine = loadPracticeEngine(session, drill);
+    res.json({ success: true, data: buildPracticeState(session, engine) });
+  } catch (error) {
+    logger.error({ err: error }, '[practice] Failed to load practice');
+    res.status(500).json({ success: false, error: 'Failed to load practice' });
+  }
+};
+
+exports.takeShot = async (req, res) => {
+  try {
+    const session = await findOwnedSession(req.params.sessionId, req.user?.userId);
+    if (!session) {
+      return res.status(404).json({ success: false, error: 'Practice session not found' });
+    }
+    if (session.status !== 'active') {
+      return res.status(409).json({ success: false, error: 'Practice attempt is over' });
+    }
+
+    const data = req.body || {};
+    if (
+      !data.direction ||
+      typeof data.direction.x !== 'number' ||
+      typeof data.direction.y !== 'number' ||
+      typeof data.power !== 'number'
+    ) {
+      return res.status(400).json({ success: false, error: 'Invalid shot payload' });
+    }
+
+    const drill = await prisma.practiceDrill.findUnique({ where: { drillId: session.drillId } });
+    const engine = loadPracticeEngine(session, drill);
+    const shot = {
+      direction: mapDirectionToServer(engine, data.direction),
+      power: data.power,
+      cueBallPosition: mapClientToServer(engine, data.cueBallPosition),
+      screw: data.screw,
+      english: data.english
+    };
+
+    const applied = applyPracticeShot(engine, drill, session.progress, shot, {
+      capture: { stride: 6, maxFrames: 90 }
+    });
+    if (!applied.ok) {
+      return res.status(400).json({ success: false, error: applied.error || 'Shot rejected' });
+    }
+
+    const { progress } = applied;
+    const finished = progress.status !== 'active';
+    const now = new Date();
+    const saved = await prisma.$transaction(async (tx) => {
+      // Guards against a double submit applying the same shot twice
+      const updated = await tx.practiceSession.updateMany({
+        where: { sessionId: session.sessionId, status: 'active', shotsTaken: session.shotsTaken },
+        data: {
+          status: progress.status,
+          engineState: engine.getSnapshot(),
+          progress,
+          shotsTaken: progress.shots,
+          score: progress.score,
+          ...(finished ? { endedAt: now } : {})
+        }
+      });
+      if (updated.count === 0) return null;
+      if (finished) {
+        await recordAttempt(tx, session, progress, now);
+      }
+      return tx.practiceSession.findUnique({ where: { sessionId: session.sessionId } });
+    });
+
+    if (!saved) {
+      return res.status(409).json({ success: false, error: 'Practice session changed, reload and try again' });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...buildPracticeState(saved, engine),
+        shotResult: {
+          pocketed: applied.shotResult.pocketed,
+          cueScratch: applied.shotResult.cueScratch,
+          firstContact: applied.shotResult.firstContact
+        },
+        frames: (applied.frames || []).map((frame) => buildFrame(engine, frame))
+      }
+    });
+  } catch (error) {
+    logger.error({ err: error }, '[practice] Failed to apply practice shot');
+    res.status(500).json({ success: false, error: 'Failed to apply practice shot' });
+  }
+};
+
+exports.abandonPractice = async (req, res) => {
+  try {
+    const session = await findOwnedSession(req.params.sessionId, req.user?.userId);
+    if (!session) {
+      return res.status(404).json({ success: false, error: 'Practice session not found' });
+    }
+    if (session.status !== 'active') {
+      return res.json({ success: true, data: { sessionId: session.sessionId, status: session.status } });
+    }
+    const updated = await prisma.practiceSession.update({
+      where: { sessionId: session.sessionId },
+      data: { status: 'abandoned', endedAt: new Date() }
+    });
+    res.json({ success: true, data: { sessionId: updated.sessionId, status: updated.status } });
+  } catch (error) {
+    logger.error({ err: error }, '[practice] Failed to abandon practice');
+    res.status(500).json({ success: false, error: 'Failed to abandon practice' });
+  }
+};
+
+exports.getMyBests = async (req, res) => {
+  try {
+    const playerId = req.user?.userId;
+    if (!playerId) {
+      return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+    const bests = await prisma.practiceBest.findMany({
+      where: { playerId },
+      orderBy: { lastPlayedAt: 'desc' }
+    });
+    res.json({ success: true, data: bests });
+  } catch (error) {
+    logger.error({ err: error }, '[practice] Failed to load practice bests');
+    res.status(500).json({ success: false, error: 'Failed to load practice bests' });
+  }
+};
+
+exports.getDrillLeaderboard = async (req, res) => {
+  try {
+    const { drillId } = req.params;
+    const bests = await prisma.practiceBest.findMany({
+      where: { drillId },
+      orderBy: [{ bestScore: 'desc' }, { fewestShots: 'asc' }, { lastPlayedAt: 'asc' }],
+      take: LEADERBOARD_SIZE
+    });
+    res.json({ success: true, data: bests });
+  } catch (error) {
+    logger.error({ err: error }, '[practice] Failed to load drill leaderboard');
+    res.status(500).json({ success: false, error: 'Failed to load drill leaderboard' });
+  }
+};
@@ -0,0 +1,670 @@
+// backend/services/game-service/src/engine/8ball/ai-planner.js
+/**
+ * Lookahead shot planner for the server AI.
+ *
+ * Every candidate is played out on a clone of the live EightBallEngine, so the
+ * planner sees exactly what the real physics and rules will do: where the cue
+ * ball stops, whether the turn is kept and what the next player is left with.
+ * Difficulty controls how far it looks (search depth, candidate count,
+ * position and safety play) and how well it executes the chosen shot (angle
+ * and power error added after planning).
+ */
+const { EightBallEngine } = require('./engine');
+
+const WIN_SCORE = 10000;
+const KEEP_TURN_SCORE = 1000;
+const FOUL_PENALTY = 800;
+const POSITION_WEIGHT = 800;
+const OPPONENT_WEIGHT = 600;
+const MIN_CUT_COSINE = 0.2;
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
+
+function lerp(from, to, t) {
+  return from + (to - from) * t;
+}
+
+function unit(dx, dy) {
+  const mag = Math.hypot(dx, dy) || 1;
+  return { x: dx / mag, y: dy / mag, mag };
+}
+
+function gaussian(random) {
+  const u = Math.max(random(), 1e-9);
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+function otherSide(side) {
+  return side === 'p1' ? 'p2' : 'p1';
+}
+
+/**
+ * Map the 6-100 difficulty scale onto search and execution settings.
+ */
+function getPlannerProfile(difficulty) {
+  const level = clamp(Number(difficulty) || 0, 0, 100) / 100;
+  const deep = level >= 0.6;
+  return {
+    level,
+    depth: deep ? 2 : 1,
+    potCandidates: Math.round(4 + level * 12),
+    powerLevels: level >= 0.3 ? [1, 1.5, 2.2] : [1.5],
+    placements: level >= 0.3 ? 3 : 1,
+    followUpWidth: deep ? Math.round(2 + level * 3) : 0,
+    followUpCandidates: deep ? 4 : 0,
+    robustnessSamples: deep ? 2 : 0,
+    playPosition: level >= 0.25,
+    playSafeties: level >= 0.35,
+    judgementNoise: (1 - level) * 400,
+    angleErrorDegrees: lerp(4, 0.3, Math.pow(level, 0.8)),
+    powerError: lerp(0.18, 0.03, level),
+    simulationBudget: Math.round(20 + level * 100),
+  };
+}
+
+function getTargetType(engine, side) {
+  const rulesState = engine.state.rulesState || {};
+  return side === 'p1' ? rulesState.p1Target : rulesState.p2Target;
+}
+
+function isLegalTarget(ball, targetType) {
+  if (!ball || ball.active !== 1 || ball.id === 0) return false;
+  if (targetType === 'SOLIDS') return ball.id >= 1 && ball.id <= 7;
+  if (targetType === 'STRIPES') return ball.id >= 9;
+  if (targetType === '8') return ball.id === 8;
+  if (targetType === 'ANY') return ball.id !== 8;
+  if (/^\d+$/.test(targetType || '')) return ball.id === Number(targetType);
+  return true;
+}
+
+// The physics can occasionally tunnel a fast ball through a cushion. It stays
+// active for the rules but nothing can reach it, so it is never worth aiming at.
+function isOnTable(engine, ball) {
+  const bounds = engine.getTableBounds();
+  const margin = engine.config.ballRadius * 2;
+  return ball.position.x >= bounds.left - margin && ball.position.x <= bounds.right + margin
+    && ball.position.y >= bounds.top - margin && ball.position.y <= bounds.bottom + margin;
+}
+
+/**
+ * Balls the side may legally hit first. Falls back to every ball on the table
+ * when the target type is unknown so the AI always has something to aim at.
+ */
+function getTargetBalls(engine, targetType) {
+  const onTable = engine.state.balls.filter(
+    (ball) => ball && ball.id !== 0 && ball.active === 1 && isOnTable(engine, ball)
+  );
+  const balls = onTable.filter((ball) => isLegalTarget(ball, targetType));
+  return balls.length > 0 ? balls : onTable;
+}
+
+function findTargetBall(engine, targetType) {
+  const cueBall = engine.state.balls[0];
+  const candidates = getTargetBalls(engine, targetType);
+  if (!cueBall || candidates.length === 0) return null;
+  let best = candidates[0];
+  let bestDist = Infinity;
+  candidates.forEach((ball) => {
+    const dx = ball.position.x - cueBall.position.x;
+    const dy = ball.position.y - cueBall.position.y;
+    const dist = dx * dx + dy * dy;
+    if (dist < bestDist) {
+      bestDist = dist;
+      best = ball;
+    }
+  });
+  return best;
+}
+
+function countLegalPocketed(pocketed, targetType) {
+  if (!pocketed || pocketed.length === 0) return 0;
+  if (targetType === 'ANY') {
+    return pocketed.filter((ballId) => ballId !== 8).length;
+  }
+  if (targetType === 'SOLIDS') {
+    return pocketed.filter((ballId) => ballId > 0 && ballId < 8).length;
+  }
+  if (targetType === 'STRIPES') {
+    return pocketed.filter((ballId) => ballId > 8).length;
+  }
+  if (targetType === '8') {
+    return pocketed.includes(8) ? 1 : 0;
+  }
+  if (/^\d+$/.test(targetType || '')) {
+    return pocketed.length;
+  }
+  return 0;
+}
+
+function isPathClear(engine, from, to, ignoreIds, clearance) {
+  const dx = to.x - from.x;
+  const dy = to.y - from.y;
+  const lengthSq = dx * dx + dy * dy;
+  if (lengthSq === 0) return true;
+  for (const ball of engine.state.balls) {
+    if (!ball || ball.active !== 1 || ignoreIds.includes(ball.id)) continue;
+    const t = clamp(((ball.position.x - from.x) * dx + (ball.position.y - from.y) * dy) / lengthSq, 0, 1);
+    const px = from.x + dx * t - ball.position.x;
+    const py = from.y + dy * t - ball.position.y;
+    if (px * px + py * py < clearance * clearance) return false;
+  }
+  return true;
+}
+
+function getTableWidth(engine) {
+  const bounds = engine.getTableBounds();
+  return bounds.right - bounds.left;
+}
+
+/**
+ * Rate one ball-into-pocket line from a cue ball position between 0 (not on)
+ * and 1 (short straight-in). Cut angle, distance and side-pocket approach all
+ * count, and both the cue ball path and the object ball path must be clear.
+ */
+function ratePotLine(engine, cuePos, ball, pocket) {
+  const ballRadius = engine.config.ballRadius;
+  const toPocket = unit(pocket.position.x - ball.position.x, pocket.position.y - ball.position.y);
+  if (toPocket.mag < ballRadius * 2) return null;
+  const ghost = {
+    x: ball.position.x - toPocket.x * ballRadius * 2,
+    y: ball.position.y - toPocket.y * ballRadius * 2,
+  };
+  const aim = unit(ghost.x - cuePos.x, ghost.y - cuePos.y);
+  if (aim.mag < 1) return null;
+  const cutCosine = aim.x * toPocket.x + aim.y * toPocket.y;
+  if (cutCosine < MIN_CUT_COSINE) return null;
+  if (!isPathClear(engine, cuePos, ghost, [0, ball.id], ballRadius * 2)) return null;
+  if (!isPathClear(engine, ball.position, pocket.position, [0, ball.id], ballRadius * 1.9)) return null;
+
+  const tableWidth = getTableWidth(engine);
+  const distanceFactor = 1 / (1 + (aim.mag + toPocket.mag * 1.5) / tableWidth);
+  // Side pockets only accept balls coming at them fairly square on
+  const isSidePocket = Math.abs(pocket.position.x) < ballRadius;
+  const pocketFactor = isSidePocket ? Math.pow(Math.abs(toPocket.y), 2) : 1;
+  const ease = cutCosine * cutCosine * distanceFactor * pocketFactor;
+  return {
+    ball,
+    pocket,
+    ghost,
+    direction: { x: aim.x, y: aim.y },
+    cueDistance: aim.mag,
+    objectDistance: toPocket.mag,
+    cutCosine,
+    ease,
+  };
+}
+
+function listPotLines(engine, side, cuePos) {
+  const targetBalls = getTargetBalls(engine, getTargetType(engine, side));
+  const lines = [];
+  targetBalls.forEach((ball) => {
+    (engine.table.pockets || []).forEach((pocket) => {
+      const line = ratePotLine(engine, cuePos, ball, pocket);
+      if (line) lines.push(line);
+    });
+  });
+  return lines.sort((a, b) => b.ease - a.ease);
+}
+
+/**
+ * How good the table is for `side` if it were their shot now: the best pot
+ * line plus a little for having more than one option. Ball in hand counts as
+ * close to ideal.
+ */
+function evaluatePosition(engine, side) {
+  if (engine.state.winner) return engine.state.winner === side ? 1.5 : 0;
+  if (engine.state.cueBallInHand) return 0.95;
+  const cueBall = engine.state.balls[0];
+  if (!cueBall || cueBall.active !== 1) return 0.95;
+  const lines = listPotLines(engine, side, cueBall.position);
+  if (lines.length === 0) return 0;
+  const options = lines.filter((line) => line.ease >= 0.3).length;
+  return lines[0].ease + 0.05 * clamp(options - 1, 0, 3);
+}
+
+// Balls slow down at a constant `friction` per frame, so a ball struck at
+// speed v rolls v^2 / (2 * friction) before it stops
+function speedToRoll(engine, distance) {
+  return Math.sqrt(2 * engine.config.friction * Math.max(distance, 0));
+}
+
+/**
+ * Cue speed that gets the object ball `objectDistance` (plus a margin) after
+ * a contact at `cutCosine`, with the cue ball first rolling `cueDistance`.
+ * `multiplier` hits harder to send the cue ball further for position.
+ */
+function powerFor(engine, { cueDistance, objectDistance, cutCosine = 1 }, multiplier = 1) {
+  const transfer = Math.max(cutCosine, MIN_CUT_COSINE) * ((1 + engine.config.ballRestitution) / 2);
+  const contactSpeed = speedToRoll(engine, objectDistance * 1.2) / transfer;
+  const power = Math.sqrt(contactSpeed * contactSpeed + 2 * engine.config.friction * cueDistance) * multiplier;
+  return clamp(power, 150, engine.config.maxPower * 0.9);
+}
+
+function buildPotShots(engine, lines, powerLevels, limit, cueBallPosition = null) {
+  const shots = [];
+  lines.slice(0, limit).forEach((line) => {
+    powerLevels.forEach((multiplier) => {
+      shots.push({
+        type: 'pot',
+        direction: line.direction,
+        power: powerFor(engine, line, multiplier),
+        calledBall: line.ball.id,
+        calledPocket: line.pocket.id,
+        cueBallPosition,
+        ease: line.ease,
+      });
+    });
+  });
+  return shots;
+}
+
+function buildBankShots(engine, cuePos, targetBalls, limit, cueBallPosition = null) {
+  const bounds = engine.getTableBounds();
+  const ballRadius = engine.config.ballRadius;
+  const shots = [];
+  targetBalls.forEach((ball) => {
+    (engine.table.pockets || []).forEach((pocket) => {
+      const reflections = [
+        { x: 2 * bounds.left - pocket.position.x, y: pocket.position.y },
+        { x: 2 * bounds.right - pocket.position.x, y: pocket.position.y },
+        { x: pocket.position.x, y: 2 * bounds.top - pocket.position.y },
+        { x: pocket.position.x, y: 2 * bounds.bottom - pocket.position.y },
+      ];
+      reflections.forEach((mirror) => {
+        const toPocket = unit(mirror.x - ball.position.x, mirror.y - ball.position.y);
+        if (toPocket.mag < ballRadius * 2) return;
+        const ghost = {
+          x: ball.position.x - toPocket.x * ballRadius * 2,
+          y: ball.position.y - toPocket.y * ballRadius * 2,
+        };
+        const aim = unit(ghost.x - cuePos.x, ghost.y - cuePos.y);
+        const cutCosine = aim.x * toPocket.x + aim.y * toPocket.y;
+        if (aim.mag < 1 || cutCosine < MIN_CUT_COSINE) return;
+        if (!isPathClear(engine, cuePos, ghost, [0, ball.id], ballRadius * 2)) return;
+        // The cushion takes a good share of the pace, so allow for it
+        const cushionLoss = 1 / engine.config.cushionRestitution;
+        shots.push({
+          type: 'bank',
+          direction: { x: aim.x, y: aim.y },
+          power: powerFor(engine, { cueDistance: aim.mag, objectDistance: toPocket.mag, cutCosine }, cushionLoss),
+          calledBall: ball.id,
+          calledPocket: pocket.id,
+          cueBallPosition,
+          ease: 0.1,
+        });
+      });
+    });
+  });
+  return shots.slice(0, limit);
+}
+
+/**
+ * Soft shots that only need a legal hit and a rail, aimed full and at both
+ * edges of each legal ball. Whether they actually leave the opponent hooked is
+ * up to the simulation.
+ */
+function buildSafetyShots(engine, cuePos, targetBalls, cueBallPosition = null) {
+  const ballRadius = engine.config.ballRadius;
+  const bounds = engine.getTableBounds();
+  const shots = [];
+  targetBalls.forEach((ball) => {
+    const toBall = unit(ball.position.x - cuePos.x, ball.position.y - cuePos.y);
+    const toRail = Math.min(
+      ball.position.x - bounds.left,
+      bounds.right - ball.position.x,
+      ball.position.y - bounds.top,
+      bounds.bottom - ball.position.y
+    );
+    if (!isPathClear(engine, cuePos, ball.position, [0, ball.id], ballRadius * 2)) return;
+    const normal = { x: -toBall.y, y: toBall.x };
+    [-1.2, 0, 1.2].forEach((offset) => {
+      const aimPoint = {
+        x: ball.position.x + normal.x * ballRadius * offset,
+        y: ball.position.y + normal.y * ballRadius * offset,
+      };
+      const aim = unit(aimPoint.x - cuePos.x, aimPoint.y - cuePos.y);
+      [1.3, 2].forEach((pace) => {
+        shots.push({
+          type: 'safety',
+          direction: { x: aim.x, y: aim.y },
+          power: powerFor(engine, { cueDistance: toBall.mag, objectDistance: toRail }, pace),
+          calledBall: null,
+          calledPocket: null,
+          cueBallPosition,
+          ease: 0,
+        });
+      });
+    });
+  });
+  return shots;
+}
+
+function buildRandomShots(engine, accuracy, count, random = Math.random) {
+  const shots = [];
+  const tableWidth = getTableWidth(engine);
+  for (let i = 0; i < count; i += 1) {
+    const angle = random() * Math.PI * 2;
+    const power = speedToRoll(engine, tableWidth * (1 + random() * 2));
+    const jitter = (1 - accuracy) * power * 0.3;
+    shots.push({
+      direction: { x: Math.cos(angle), y: Math.sin(angle) },
+      power: clamp(power + (random() * 2 - 1) * jitter, 150, engine.config.maxPower * 0.9),
+    });
+  }
+  return shots;
+}
+
+/**
+ * With ball in hand, put the cue ball straight behind the easiest pots a few
+ * ball widths back, keeping only spots the engine would accept.
+ */
+function listPlacements(engine, side, limit) {
+  const ballRadius = engine.config.ballRadius;
+  const handBounds = engine.getBallInHandBounds();
+  const targetBalls = getTargetBalls(engine, getTargetType(engine, side));
+  const options = [];
+  targetBalls.forEach((ball) => {
+    (engine.table.pockets || []).forEach((pocket) => {
+      const toPocket = unit(pocket.position.x - ball.position.x, pocket.position.y - ball.position.y);
+      [5, 9].forEach((backOff) => {
+        const position = {
+          x: ball.position.x - toPocket.x * ballRadius * backOff,
+          y: ball.position.y - toPocket.y * ballRadius * backOff,
+        };
+        if (
+          position.x < handBounds.left || position.x > handBounds.right ||
+          position.y < handBounds.top || position.y > handBounds.bottom
+        ) {
+          return;
+        }
+        const line = ratePotLine(engine, position, ball, pocket);
+        if (line) options.push({ position, ease: line.ease });
+      });
+    });
+  });
+  options.sort((a, b) => b.ease - a.ease);
+
+  const placements = [];
+  for (const option of options) {
+    if (placements.length >= limit) break;
+    const probe = cloneEngine(engine);
+    if (probe.placeCueBall(option.position)) placements.push(option.position);
+  }
+  if (placements.length === 0) {
+    const bounds = engine.getBallInHandBounds();
+    const fallbacks = [
+      { x: 0, y: 0 },
+      { x: (bounds.left + bounds.right) / 2, y: 0 },
+      { x: bounds.left + ballRadius * 4, y: 0 },
+      { x: bounds.left + ballRadius * 4, y: bounds.top + ballRadius * 4 },
+    ];
+    for (const position of fallbacks) {
+      if (cloneEngine(engine).placeCueBall(position)) {
+        placements.push(position);
+        break;
+      }
+    }
+  }
+  return placements;
+}
+
+function cloneEngine(engine, serialized = null) {
+  const snapshot = JSON.parse(serialized || JSON.stringify(engine.getSnapshot()));
+  const clone = new EightBallEngine({ ...engine.config, seed: snapshot.seed });
+  clone.loadState(snapshot);
+  return clone;
+}
+
+function simulate(search, serialized, side, shot) {
+  if (search.simulations >= search.budget) return null;
+  search.simulations += 1;
+  const clone = cloneEngine(search.engine, serialized);
+  const result = clone.applyShot(side, {
+    direction: shot.direction,
+    power: shot.power,
+    cueBallPosition: shot.cueBallPosition || undefined,
+    screw: 0,
+    english: 0,
+    calledBall: shot.calledBall ?? undefined,
+    calledPocket: shot.calledPocket ?? undefined,
+  });
+  if (!result.ok) return null;
+  return { engine: clone, result };
+}
+
+/**
+ * Chance the AI actually makes a pot of the given ease with its execution
+ * error. Used to weigh a made-ball outcome against a miss.
+ */
+function makeChance(profile, shot) {
+  if (shot.type === 'safety') return 1;
+  const ease = clamp(shot.ease ?? 0.5, 0, 1);
+  return clamp(1 - (1 - ease) * profile.angleErrorDegrees * 0.5, 0.05, 1);
+}
+
+/**
+ * Score where a simulated shot leaves the table for `side`. Keeping the turn
+ * is worth the quality of the next shot; giving it up costs whatever the
+ * opponent is left with.
+ */
+function scoreOutcome(search, side, targetType, outcome) {
+  const { engine, result } = outcome;
+  const { profile } = search;
+  const state = engine.state;
+  if (state.winner) return state.winner === side ? WIN_SCORE : -WIN_SCORE;
+
+  const rulesState = result.rulesState || {};
+  const legal = countLegalPocketed(result.shotResult?.pocketed || [], targetType);
+  if (state.turn === side) {
+    const position = profile.playPosition ? evaluatePosition(engine, side) : 0;
+    return KEEP_TURN_SCORE + legal * 50 + position * POSITION_WEIGHT;
+  }
+
+  let score = rulesState.foul ? -FOUL_PENALTY : 0;
+  if (profile.playSafeties || rulesState.foul) {
+    score -= evaluatePosition(engine, otherSide(side)) * OPPONENT_WEIGHT;
+  }
+  return score;
+}
+
+/**
+ * Best value `side` can get from the position `engine` is in, used to judge
+ * the follow-up of a shot that keeps the turn.
+ */
+function scoreFollowUp(search, engine, side) {
+  const cueBall = engine.state.balls[0];
+  if (!cueBall || cueBall.active !== 1) return null;
+  const lines = listPotLines(engine, side, cueBall.position);
+  if (lines.length === 0) return 0;
+  const serialized = JSON.stringify(engine.getSnapshot());
+  const targetType = getTargetType(engine, side);
+  let best = null;
+  for (const shot of buildPotShots(engine, lines, [0.85], search.profile.followUpCandidates)) {
+    const outcome = simulate(search, serialized, side, shot);
+    if (!outcome) continue;
+    const score = scoreOutcome(search, side, targetType, outcome);
+    if (best === null || score > best) best = score;
+  }
+  return best;
+}
+
+function planBreak(engine, aiSide) {
+  const placements = listPlacements(engine, aiSide, 1);
+  const cueBallPosition = engine.state.cueBallInHand ? placements[0] || null : null;
+  const cuePos = cueBallPosition || engine.state.balls[0]?.position || { x: 0, y: 0 };
+  const apex = findTargetBall(engine, 'ANY');
+  const aim = apex
+    ? unit(apex.position.x - cuePos.x, apex.position.y - cuePos.y)
+    : { x: 1, y: 0 };
+  return {
+    type: 'break',
+    direction: { x: aim.x, y: aim.y },
+    // Harder breaks drop no more balls and start throwing them off the table
+    power: engine.config.maxPower * 0.5,
+    cueBallPosition,
+  };
+}
+
+/**
+ * Add execution error to a planned shot. Planning always uses the clean shot,
+ * the error is what separates a weak player from a strong one hitting it.
+ */
+function applyExecutionError(engine, shot, profile, random) {
+  const angle = Math.atan2(shot.direction.y, shot.direction.x)
+    + gaussian(random) * profile.angleErrorDegrees * (Math.PI / 180);
+  const power = shot.power * (1 + gaussian(random) * profile.powerError);
+  return {
+    ...shot,
+    direction: { x: Math.cos(angle), y: Math.sin(angle) },
+    power: clamp(power, 150, engine.config.maxPower),
+  };
+}
+
+function toPlannedShot(shot, plan) {
+  return {
+    direction: shot.direction,
+    power: shot.power,
+    cueBallPosition: shot.cueBallPosition || null,
+    calledBall: shot.calledBall ?? undefined,
+    calledPocket: shot.calledPocket ?? undefined,
+    plan,
+  };
+}
+
+/**
+ * Choose the AI's next shot by simulating candidates on engine clones.
+ *
+ * Depth 1 scores each candidate by where it leaves the table; depth 2 also
+ * plays the best follow-up from the strongest candidates that keep the turn.
+ * Safeties are only searched when no pot scores as a good bet.
+ *
+ * @param {EightBallEngine} engine live engine, never mutated
+ * @param {'p1'|'p2'} aiSide side the AI plays
+ * @param {number} difficulty 6-100
+ * @param {{ random?: () => number }} [options] random source, Math.random by default
+ * @returns {{ direction, power, cueBallPosition, calledBall, calledPocket, plan }}
+ */
+function planAiShot(engine, aiSide, difficulty, options = {}) {
+  const random = options.random || Math.random;
+  const profile = getPlannerProfile(difficulty);
+
+  if (engine.state.shotNumber === 0) {
+    const breakShot = planBreak(engine, aiSide);
+    const executed = applyExecutionError(engine, breakShot, profile, random);
+    return toPlannedShot(executed, { type: 'break', depth: 0, simulations: 0, score: null });
+  }
+
+  const search = { engine, profile, simulations: 0, budget: profile.simulationBudget };
+  const serialized = JSON.stringify(engine.getSnapshot());
+  const targetType = getTargetType(engine, aiSide);
+  const targetBalls = getTargetBalls(engine, targetType);
+  const cueBall = engine.state.balls[0];
+  const starts = engine.state.cueBallInHand
+    ? listPlacements(engine, aiSide, profile.placements).map((position) => ({ position, cueBallPosition: position }))
+    : [{ position: cueBall?.position, cueBallPosition: null }];
+
+  const potShots = [];
+  starts.forEach((start) => {
+    if (!start.position) return;
+    const probe = start.cueBallPosition ? cloneEngine(engine, serialized) : engine;
+    if (start.cueBallPosition && !probe.placeCueBall(start.cueBallPosition)) return;
+    const lines = listPotLines(probe, aiSide, start.position);
+    potShots.push(...buildPotShots(probe, lines, profile.powerLevels, profile.potCandidates, start.cueBallPosition));
+    if (lines.length < 2) {
+      potShots.push(...buildBankShots(probe, start.position, targetBalls, 4, start.cueBallPosition));
+    }
+  });
+
+  const evaluate = (shots) => shots
+    .map((shot) => {
+      const outcome = simulate(search, serialized, aiSide, shot);
+      if (!outcome) return null;
+      const made = scoreOutcome(search, aiSide, targetType, outcome);
+      return { shot, outcome, made, score: made };
+    })
+    .filter(Boolean);
+
+  const scored = evaluate(potShots);
+
+  if (profile.depth > 1) {
+    scored
+      .filter((entry) => entry.outcome.engine.state.turn === aiSide && !entry.outcome.engine.state.winner)
+      .sort((a, b) => b.made - a.made)
+      .slice(0, profile.followUpWidth)
+      .forEach((entry) => {
+        const followUp = scoreFollowUp(search, entry.outcome.engine, aiSide);
+        if (followUp === null) return;
+        const legal = countLegalPocketed(entry.outcome.result.shotResult?.pocketed || [], targetType);
+        entry.made = KEEP_TURN_SCORE + legal * 50 + 0.8 * clamp(followUp, -KEEP_TURN_SCORE, WIN_SCORE / 4);
+      });
+  }
+
+  // A pot that needs more skill than the AI has is worth less than it looks
+  const missScore = -0.7 * OPPONENT_WEIGHT;
+  scored.forEach((entry) => {
+    const chance = makeChance(profile, entry.shot);
+    entry.score = entry.made > 0 ? chance * entry.made + (1 - chance) * missScore : entry.made;
+  });
+
+  // Replay the front runners with execution error so a shot that only works
+  // when hit perfectly (or drops the 8 when slightly off) loses its appeal
+  if (profile.robustnessSamples > 0) {
+    [...scored]
+      .sort((a, b) => b.score - a.score)
+      .slice(0, 3)
+      .forEach((entry) => {
+        const samples = [];
+        for (let i = 0; i < profile.robustnessSamples; i += 1) {
+          const noisy = applyExecutionError(engine, entry.shot, profile, random);
+          const outcome = simulate(search, serialized, aiSide, noisy);
+          if (outcome) samples.push(scoreOutcome(search, aiSide, targetType, outcome));
+        }
+        if (samples.length === 0) return;
+        const average = samples.reduce((sum, value) => sum + value, 0) / samples.length;
+        entry.score = (entry.score + average) / 2;
+      });
+  }
+
+  const bestPot = scored.reduce((best, entry) => (!best || entry.score > best.score ? entry : best), null);
+  const wantSafety = profile.playSafeties && bestPot && bestPot.score < KEEP_TURN_SCORE * 0.5;
+  if (!bestPot || wantSafety) {
+    starts.forEach((start) => {
+      if (!start.position) return;
+      scored.push(...evaluate(buildSafetyShots(engine, start.position, targetBalls, start.cueBallPosition)));
+    });
+  }
+
+  let best = null;
+  scored.forEach((entry) => {
+    const judged = entry.score + (random() * 2 - 1) * profile.judgementNoise;
+    if (!best || judged > best.judged) best = { ...entry, judged };
+  });
+
+  if (!best) {
+    const fallback = buildRandomShots(engine, profile.level, 1, random)[0];
+    return toPlannedShot(
+      { ...fallback, cueBallPosition: starts[0]?.cueBallPosition || null },
+      { type: 'fallback', depth: profile.depth, simulations: search.simulations, score: null }
+    );
+  }
+
+  const executed = applyExecutionError(engine, best.shot, profile, random);
+  return toPlannedShot(executed, {
+    type: best.shot.type,
+    depth: profile.depth,
+    simulations: search.simulations,
+    score: Math.round(best.score),
+  });
+}
+
+module.exports = {
+  planAiShot,
+  getPlannerProfile,
+  evaluatePosition,
+  findTargetBall,
+  countLegalPocketed,
+  buildRandomShots,
+};
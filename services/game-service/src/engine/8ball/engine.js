@@ -1,11 +1,13 @@
 // backend/services/game-service/src/engine/8ball/engine.js
+const crypto = require('crypto');
 const Vector2D = require('./vector2d');
 const { Point } = require('./maths');
 const BilliardPhysics = require('./physics');
 const { createTableGeometry } = require('./table');
-const { setBallPositions } = require('./rack');
-const { createRng } = require('./rng');
+const { setBallPositions, setNineBallPositions } = require('./rack');
+const { createRng, deriveFrameSeed } = require('./rng');
 const { EightBallRules } = require('./rules');
+const { NineBallRules } = require('./nine-ball-rules');
 
 const DEFAULTS = {
   adjustmentScale: 2.3,
@@ -15,6 +17,15 @@ const DEFAULTS = {
   cushionRestitution: 0.6,
   ballRestitution: 0.94,
   maxPower: 5000,
+  variant: 'eight_ball',
+  raceTo: 1,
+};
+
+const MAX_RACE_TO = 25;
+
+const VARIANTS = {
+  eight_ball: { Rules: EightBallRules, rack: setBallPositions },
+  nine_ball: { Rules: NineBallRules, rack: setNineBallPositions },
 };
 
 function toVector2D(value, fallbackX = 0, fallbackY = 0) {
@@ -46,6 +57,25 @@ function sanitizeBallForSnapshot(ball) {
   };
 }
 
+const CUSHION_CONTACTS = ['line', 'vertex'];
+
+// Collision, cushion and pocket markers for the animation, stamped with the
+// physics step. Ball-ball contacts arrive once per ball; keep one of the pair.
+function collectShotEvents(contactEvents, from, step, events) {
+  for (let i = from; i < contactEvents.length; i += 1) {
+    const contact = contactEvents[i];
+    const targetId = contact.target?.id ?? null;
+    if (contact.type === 'ball') {
+      if (targetId !== null && contact.ballId > targetId) continue;
+      events.push({ step, type: 'collision', ball: contact.ballId, target: targetId });
+    } else if (CUSHION_CONTACTS.includes(contact.type)) {
+      events.push({ step, type: 'cushion', ball: contact.ballId, target: null });
+    } else if (contact.type === 'pocket') {
+      events.push({ step, type: 'pocket', ball: contact.ballId, target: targetId });
+    }
+  }
+}
+
 function sanitizeStateForSnapshot(state) {
   if (!state) return state;
   const balls = Array.isArray(state.balls)
@@ -77,6 +107,45 @@ function rehydrateState(state, ballRadius) {
   return { ...state, balls };
 }
 
+function normalizeRaceTo(value) {
+  const raceTo = Math.floor(Number(value));
+  if (!Number.isFinite(raceTo) || raceTo < 1) return 1;
+  return Math.min(raceTo, MAX_RACE_TO);
+}
+
+const SIDES = ['p1', 'p2'];
+
+/**
+ * Handicap for a mixed-skill match, by side: who breaks every frame, which
+ * sides must call the pocket for the 8, and frames each side starts with.
+ * Spotted frames always leave at least one frame to play.
+ */
+function normalizeHandicap(value, raceTo) {
+  const source = value && typeof value === 'object' ? value : {};
+  const spot = (side) => {
+    const frames = Math.floor(Number(source.spotFrames?.[side]));
+    return Number.isFinite(frames) && frames > 0 ? Math.min(frames, raceTo - 1) : 0;
+  };
+  return {
+    breaker: SIDES.includes(source.breaker) ? source.breaker : null,
+    callEight: Array.isArray(source.callEight) ? source.callEight.filter((side) => SIDES.includes(side)) : [],
+    spotFrames: { p1: spot('p1'), p2: spot('p2') },
+  };
+}
+
+function createRaceState(raceTo, handicap) {
+  return {
+    raceTo,
+    frameNumber: 1,
+    breaker: handicap.breaker || 'p1',
+    frameStartShot: 1,
+    p1Frames: handicap.spotFrames.p1,
+    p2Frames: handicap.spotFrames.p2,
+    frames: [],
+    winner: null,
+  };
+}
+
 function createBall(id, position, ballRadius) {
   const ball = {
     id,
@@ -107,15 +176,22 @@ class EightBallEngine {
     const seed = options.seed ?? Date.now();
     this.rng = createRng(seed);
     this.seed = this.rng.seed;
-    this.rules = new EightBallRules();
     this.config = { ...DEFAULTS, ...options };
+    if (!VARIANTS[this.config.variant]) this.config.variant = DEFAULTS.variant;
+    this.config.raceTo = normalizeRaceTo(this.config.raceTo);
+    this.config.handicap = normalizeHandicap(this.config.handicap, this.config.raceTo);
+    this.variant = VARIANTS[this.config.variant];
+    this.rules = new this.variant.Rules(this.config.ruleProfile, this.config.handicap);
+    if (this.config.handicap.breaker) {
+      this.rules.setState({ turn: this.config.handicap.breaker });
+    }
     this.config.ballRadius = 1000 * this.config.adjustmentScale;
     this.table = createTableGeometry(this.config);
     this.state = this.createInitialState();
   }
 
-  createInitialState() {
-    const positions = setBallPositions({
+  rackBalls() {
+    const positions = this.variant.rack({
       adjustmentScale: this.config.adjustmentScale,
       ballRadius: this.config.ballRadius,
       rng: this.rng,
@@ -126,7 +202,11 @@ class EightBallEngine {
       if (!positions[i]) continue;
       balls[i] = createBall(i, positions[i], this.config.ballRadius);
     }
+    return balls;
+  }
 
+  createInitialState() {
+    const balls = this.rackBalls();
     const rulesState = this.rules.getState();
 
     return {
@@ -138,31 +218,96 @@ class EightBallEngine {
       pottedBallIds: [],
       winner: null,
       rulesState,
+      race: createRaceState(this.config.raceTo, this.config.handicap),
     };
   }
 
+  /**
+   * Replace the rack with a custom layout: `balls` is a list of { id, x, y }
+   * in table units and any ball left out starts pocketed. Without a cue ball
+   * the shooter starts with ball in hand. The table counts as already broken.
+   */
+  loadLayout({ balls }) {
+    const placed = new Map(balls.map((ball) => [ball.id, ball]));
+    const ballCount = this.state.balls.length;
+    const layoutBalls = [];
+    for (let id = 0; id < ballCount; id++) {
+      if (!this.state.balls[id]) continue;
+      const spot = placed.get(id);
+      const ball = createBall(id, spot || { x: 0, y: 0 }, this.config.ballRadius);
+      if (!spot) ball.active = 0;
+      layoutBalls[id] = ball;
+    }
+
+    this.state.balls = layoutBalls;
+    this.state.cueBallInHand = !placed.has(0);
+    this.rules.updateActiveBalls(layoutBalls.filter((ball) => ball && ball.active === 1).map((ball) => ball.id));
+    this.rules.setState({
+      shotNumber: 1,
+      breakComplete: true,
+      ballInHand: this.state.cueBallInHand,
+      message: 'Custom layout',
+    });
+    this.state.rulesState = this.rules.getState();
+    this.state.turn = this.state.rulesState.turn;
+  }
+
   loadState(snapshot) {
     if (!snapshot) return;
     if (snapshot.state) {
       this.state = rehydrateState(snapshot.state, this.config.ballRadius);
       this.rules.setState(this.state.rulesState || {});
+      this.restoreRace();
       if (snapshot.seed) {
         this.seed = snapshot.seed;
-        this.rng = createRng(snapshot.seed);
+        const frameSeed = deriveFrameSeed(snapshot.seed, this.state.race.frameNumber);
+        this.rng = createRng(frameSeed, Number(snapshot.rngDraws) || 0);
       }
       return;
     }
     this.state = rehydrateState(snapshot, this.config.ballRadius);
     this.rules.setState(this.state.rulesState || {});
+    this.restoreRace();
+  }
+
+  // Snapshots from before multi-frame matches carry no race; treat them as one rack
+  restoreRace() {
+    if (!this.state.race) {
+      this.state.race = createRaceState(this.config.raceTo, this.config.handicap);
+    }
   }
 
   getSnapshot() {
     return {
       seed: this.seed,
+      rngDraws: this.rng.draws,
       state: sanitizeStateForSnapshot(this.state),
     };
   }
 
+  getStateHash() {
+    const rulesState = this.state.rulesState || {};
+    const stateData = {
+      shotNumber: this.state.shotNumber,
+      balls: this.state.balls.filter(Boolean).map((ball) => ({
+        id: ball.id,
+        active: ball.active,
+        pos: { x: Math.round(ball.position.x), y: Math.round(ball.position.y) },
+      })),
+      turn: this.state.turn,
+      targets: {
+        p1: rulesState.p1Target,
+        p2: rulesState.p2Target,
+      },
+      winner: this.state.winner || null,
+    };
+
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify(stateData))
+      .digest('hex');
+  }
+
   resetContacts() {
     this.state.balls.forEach((ball) => {
       if (!ball) return;
@@ -202,6 +347,21 @@ class EightBallEngine {
       return { ok: false, error: 'Shot english is invalid' };
     }
 
+    if (
+      shot.calledPocket !== undefined &&
+      shot.calledPocket !== null &&
+      !this.table.pockets.some((pocket) => pocket.id === shot.calledPocket)
+    ) {
+      return { ok: false, error: 'Called pocket is invalid' };
+    }
+
+    if (shot.calledBall !== undefined && shot.calledBall !== null) {
+      const calledBall = this.state.balls[shot.calledBall];
+      if (!Number.isInteger(shot.calledBall) || shot.calledBall === 0 || !calledBall || calledBall.active !== 1) {
+        return { ok: false, error: 'Called ball is invalid' };
+      }
+    }
+
     if (!this.state.cueBallInHand && shot.cueBallPosition) {
       return { ok: false, error: 'Cue ball placement not allowed' };
     }
@@ -234,7 +394,7 @@ class EightBallEngine {
     this.state.pottedBallIds = [];
     this.resetContacts();
 
-    const shotContext = this.createShotContext();
+    const shotContext = this.createShotContext(shot);
     const physics = new BilliardPhysics({
       ballArray: this.state.balls,
       lineArray: this.table.lines,
@@ -253,15 +413,20 @@ class EightBallEngine {
     let steps = 0;
     const maxSteps = 6000;
     const frames = [];
+    const events = [];
     const capture = options.capture || null;
     const stride = capture?.stride || 6;
     const maxFrames = capture?.maxFrames || 120;
     while (steps < maxSteps && !this.areBallsStopped()) {
+      const contactsBefore = shotContext.contactEvents.length;
       physics.frameNumber = steps;
       physics.updatePhysics();
       steps++;
-      if (capture && steps % stride === 0 && frames.length < maxFrames) {
-        frames.push(this.getSnapshot());
+      if (capture) {
+        collectShotEvents(shotContext.contactEvents, contactsBefore, steps, events);
+        if (steps % stride === 0 && frames.length < maxFrames) {
+          frames.push(this.getSnapshot());
+        }
       }
     }
 
@@ -273,6 +438,10 @@ class EightBallEngine {
     this.state.turn = rulesState.turn;
     this.state.cueBallInHand = rulesState.ballInHand;
     this.state.winner = rulesState.winner;
+    (rulesState.respotBalls || []).forEach((ballId) => this.respotBall(ballId));
+    if (rulesState.rerack) {
+      this.rerack();
+    }
 
     if (capture) {
       const finalSnap = this.getSnapshot();
@@ -281,7 +450,133 @@ class EightBallEngine {
       }
     }
 
-    return { ok: true, shotResult, rulesState, frames };
+    return { ok: true, shotResult, rulesState, frames, ...(capture ? { events, stride } : {}) };
+  }
+
+  /**
+   * Shot clock expiry for the side on turn. Counts as a shot so the shot log
+   * and replays stay in step with live play.
+   */
+  applyTimeFoul(playerId) {
+    if (this.state.winner) {
+      return { ok: false, error: 'Game over' };
+    }
+    if (this.state.turn !== playerId) {
+      return { ok: false, error: 'Not your turn' };
+    }
+
+    this.state.shotNumber += 1;
+    this.state.scratched = false;
+    this.state.pottedBallIds = [];
+    const rulesState = this.rules.evaluateTimeFoul();
+    this.state.rulesState = rulesState;
+    this.state.turn = rulesState.turn;
+    this.state.cueBallInHand = rulesState.ballInHand;
+    this.state.winner = rulesState.winner;
+
+    return { ok: true, shotResult: null, rulesState, frames: [] };
+  }
+
+  rerack() {
+    const rulesState = this.rules.resetForRerack();
+    this.state.balls = this.rackBalls();
+    this.rules.updateActiveBalls(this.state.balls.filter(Boolean).map((ball) => ball.id));
+    this.state.rulesState = rulesState;
+    this.state.turn = rulesState.turn;
+    this.state.cueBallInHand = true;
+    this.state.winner = null;
+  }
+
+  /**
+   * Close the frame once the rules have a winner. Tallies it and, unless that
+   * won the race, racks the next frame from its own seed with the break
+   * alternating. `state.shotNumber` keeps counting across frames so the shot
+   * log stays one sequence. Returns the finished frame and the match winner,
+   * if any, or null when no frame has been won.
+   */
+  advanceFrame() {
+    const race = this.state.race;
+    const winner = this.state.winner;
+    if (!winner || !race || race.winner) return null;
+
+    const frame = {
+      frameNumber: race.frameNumber,
+      winner,
+      breaker: race.breaker,
+      startShot: race.frameStartShot,
+      endShot: this.state.shotNumber,
+      p1Score: Number(this.state.rulesState?.p1Score || 0),
+      p2Score: Number(this.state.rulesState?.p2Score || 0),
+    };
+    const framesKey = winner === 'p1' ? 'p1Frames' : 'p2Frames';
+    // Replace rather than mutate: captured shot frames still point at the old race
+    const tallied = { ...race, [framesKey]: race[framesKey] + 1, frames: [...race.frames, frame] };
+
+    if (tallied[framesKey] >= race.raceTo) {
+      this.state.race = { ...tallied, winner };
+      return { frame, matchWinner: winner };
+    }
+
+    this.state.race = tallied;
+    this.rackNextFrame();
+    return { frame, matchWinner: null };
+  }
+
+  // Rack the race's next frame from its own seed, the break alternating unless
+  // a handicap gives it to one side
+  rackNextFrame() {
+    const race = this.state.race;
+    const frameNumber = race.frameNumber + 1;
+    const breaker = this.config.handicap.breaker || (frameNumber % 2 === 1 ? 'p1' : 'p2');
+    this.state.race = {
+      ...race,
+      frameNumber,
+      breaker,
+      frameStartShot: this.state.shotNumber + 1,
+    };
+    this.rng = createRng(deriveFrameSeed(this.seed, frameNumber));
+
+    this.rules.resetGame();
+    this.rules.setState({ turn: breaker });
+    this.state.balls = this.rackBalls();
+    this.rules.updateActiveBalls(this.state.balls.filter(Boolean).map((ball) => ball.id));
+    this.state.rulesState = this.rules.getState();
+    this.state.turn = breaker;
+    this.state.cueBallInHand = true;
+    this.state.scratched = false;
+    this.state.pottedBallIds = [];
+    this.state.winner = null;
+  }
+
+  /**
+   * Abandon the rack in progress and play one deciding frame: whoever wins it
+   * wins the match. Counts as a shot so the shot log stays in step.
+   */
+  startDecider() {
+    const race = this.state.race;
+    if (this.state.winner || !race || race.winner) {
+      return { ok: false, error: 'Game over' };
+    }
+
+    this.state.shotNumber += 1;
+    const abandoned = {
+      frameNumber: race.frameNumber,
+      winner: null,
+      abandoned: true,
+      breaker: race.breaker,
+      startShot: race.frameStartShot,
+      endShot: this.state.shotNumber,
+      p1Score: Number(this.state.rulesState?.p1Score || 0),
+      p2Score: Number(this.state.rulesState?.p2Score || 0),
+    };
+    this.state.race = {
+      ...race,
+      raceTo: Math.max(race.p1Frames, race.p2Frames) + 1,
+      decider: true,
+      frames: [...race.frames, abandoned],
+    };
+    this.rackNextFrame();
+    return { ok: true, shotResult: null, rulesState: this.state.rulesState, frames: [] };
   }
 
   recoverCueBall() {
@@ -294,7 +589,7 @@ class EightBallEngine {
   placeCueBall(position) {
     const cueBall = this.state.balls[0];
     if (!cueBall) return false;
-    const bounds = this.getTableBounds();
+    const bounds = this.getBallInHandBounds();
     const x = Math.min(Math.max(position.x, bounds.left), bounds.right);
     const y = Math.min(Math.max(position.y, bounds.top), bounds.bottom);
 
@@ -321,6 +616,32 @@ class EightBallEngine {
     return true;
   }
 
+  respotBall(ballId) {
+    const ball = this.state.balls[ballId];
+    if (!ball) return false;
+    const bounds = this.getTableBounds();
+    const spacing = this.config.ballRadius * 2 * 1.05;
+    const isFree = (candidate) =>
+      this.state.balls.every(
+        (other) =>
+          !other ||
+          other.id === ballId ||
+          other.active !== 1 ||
+          other.position.minus(candidate).magnitude >= spacing
+      );
+
+    // Foot spot first, then step back toward the foot rail until there is room.
+    let candidate = new Vector2D(15000 * this.config.adjustmentScale, 0);
+    while (!isFree(candidate) && candidate.x + spacing <= bounds.right) {
+      candidate = new Vector2D(candidate.x + spacing, 0);
+    }
+
+    ball.active = 1;
+    ball.position = candidate;
+    ball.velocity = new Vector2D(0, 0);
+    return true;
+  }
+
   getTableBounds() {
     const n = 600 * this.config.adjustmentScale;
     const halfW = 50 * n;
@@ -333,8 +654,19 @@ class EightBallEngine {
     };
   }
 
-  createShotContext() {
+  // After a break scratch some rule profiles restrict ball in hand to the kitchen.
+  getBallInHandBounds() {
+    const bounds = this.getTableBounds();
+    if (this.state.rulesState?.ballInHandZone !== 'kitchen') return bounds;
+    const headString = -25 * 600 * this.config.adjustmentScale;
+    return { ...bounds, right: headString };
+  }
+
+  createShotContext(shot = {}) {
     return {
+      calledBall: shot.calledBall ?? null,
+      calledPocket: shot.calledPocket ?? null,
+      pocketedInto: {},
       firstContact: null,
       firstContactTime: null,
       pocketed: new Set(),
@@ -348,6 +680,7 @@ class EightBallEngine {
     const ball = contact.ball;
     const entry = {
       type: contact.collisionType,
+      ballId: ball.id,
       target: contact.target,
       time: contact.time,
     };
@@ -373,6 +706,7 @@ class EightBallEngine {
         this.state.scratched = true;
       } else {
         context.pocketed.add(ball.id);
+        context.pocketedInto[ball.id] = contact.target?.id ?? null;
         this.state.pottedBallIds.push(ball.id);
       }
     }
@@ -389,6 +723,9 @@ class EightBallEngine {
     return {
       firstContact: context.firstContact,
       pocketed: Array.from(context.pocketed),
+      pocketedInto: context.pocketedInto,
+      calledBall: context.calledBall,
+      calledPocket: context.calledPocket,
       cushionHits: context.cushionHits,
       cueScratch: context.cueScratch,
       ballsOffTable: [],
@@ -1,4 +1,8 @@
 // backend/services/game-service/src/engine/8ball/index.js
 const { EightBallEngine } = require('./engine');
+const { replayMatch } = require('./replay');
+const { planAiShot } = require('./ai-planner');
+const { deriveFrameSeed } = require('./rng');
+const suddenDeath = require('./sudden-death');
 
-module.exports = { EightBallEngine };
+module.exports = { EightBallEngine, replayMatch, planAiShot, deriveFrameSeed, ...suddenDeath };
@@ -0,0 +1,313 @@
+// backend/services/game-service/src/engine/8ball/nine-ball-rules.js
+const { resolveRuleProfile } = require('./rules');
+
+const NINE_BALL = 9;
+
+// Of the rule profile, nine-ball plays three-foul loss, called shots and
+// where ball in hand goes after a break scratch; the other options are 8-ball
+// only. The breaker and spotted frames of a handicap are applied by the
+// engine; tournament-service refuses the call-the-eight handicap for nine-ball.
+class NineBallRules {
+  constructor(profile) {
+    this.options = resolveRuleProfile(profile);
+    this.state = this.getInitialState();
+    this.activeBalls = new Set(Array.from({ length: 10 }, (_, i) => i));
+  }
+
+  getInitialState() {
+    return {
+      turn: 'p1',
+      // Both players always aim at the lowest numbered ball on the table.
+      p1Target: '1',
+      p2Target: '1',
+      lowestBall: 1,
+      shotNumber: 0,
+      ballInHand: false,
+      winner: null,
+      foul: false,
+      message: 'Break the rack!',
+      p1Score: 0,
+      p2Score: 0,
+      p1BallsRemaining: 9,
+      p2BallsRemaining: 9,
+      currentRun: 0,
+      gameStats: {
+        totalShots: 0,
+        p1ConsecutiveWins: 0,
+        p2ConsecutiveWins: 0,
+        longestRun: 0,
+        p1Fouls: 0,
+        p2Fouls: 0,
+      },
+      p1ConsecutiveFouls: 0,
+      p2ConsecutiveFouls: 0,
+      lastShotResult: '',
+      foulType: null,
+      ballInHandZone: null,
+      lastCall: null,
+      breakComplete: false,
+      respotBalls: [],
+    };
+  }
+
+  getState() {
+    return { ...this.state };
+  }
+
+  setState(state) {
+    this.state = { ...this.state, ...state };
+  }
+
+  updateActiveBalls(activeBallIds) {
+    this.activeBalls = new Set(activeBallIds);
+  }
+
+  resetGame() {
+    this.state = this.getInitialState();
+    this.activeBalls = new Set(Array.from({ length: 10 }, (_, i) => i));
+  }
+
+  evaluateShot(shotResult) {
+    const { turn, shotNumber, lowestBall } = this.state;
+    const opponent = turn === 'p1' ? 'p2' : 'p1';
+
+    this.state.shotNumber++;
+    this.state.gameStats.totalShots++;
+    this.state.foul = false;
+    this.state.foulType = null;
+    this.state.lastShotResult = '';
+    this.state.message = '';
+    this.state.respotBalls = [];
+    this.state.ballInHandZone = null;
+    this.state.lastCall = null;
+
+    if (shotNumber === 0) {
+      return this.evaluateBreak(shotResult);
+    }
+
+    const foulCheck = this.checkForFouls(shotResult, lowestBall);
+    if (foulCheck.isFoul) {
+      this.recordFoul(foulCheck.foulType, foulCheck.message);
+    }
+
+    // With called shots a missed call ends the turn and nothing counts, the
+    // 9 included; a wrongCallPenalty of 'foul' also gives ball in hand
+    let callMissed = false;
+    if (!this.state.foul && this.options.callShots && shotResult.pocketed.length > 0) {
+      const callMade = this.isCallMade(shotResult);
+      this.state.lastCall = { ball: shotResult.calledBall, pocket: shotResult.calledPocket, made: callMade };
+      if (!callMade && this.options.wrongCallPenalty === 'foul') {
+        this.recordFoul('WRONG_CALL', 'Called shot missed - foul');
+      } else if (!callMade) {
+        callMissed = true;
+        this.state.message = 'Called shot missed - turn ends';
+        this.state.lastShotResult = 'Call missed';
+      }
+    }
+
+    if (this.trackConsecutiveFouls(this.state.foul, turn)) {
+      return this.getState();
+    }
+
+    if (shotResult.pocketed.includes(NINE_BALL)) {
+      if (!this.state.foul && !callMissed) {
+        this.state.winner = turn;
+        this.state.message = '9-ball sunk - you win!';
+        this.state.lastShotResult = 'Nine pocketed';
+        return this.getState();
+      }
+      this.respotNineBall();
+    }
+
+    let continueTurn = false;
+    if (!this.state.foul && !callMissed && shotResult.pocketed.length > 0) {
+      const legalBalls = shotResult.pocketed.length;
+      continueTurn = true;
+      this.state.currentRun++;
+      if (this.state.currentRun > this.state.gameStats.longestRun) {
+        this.state.gameStats.longestRun = this.state.currentRun;
+      }
+      if (turn === 'p1') {
+        this.state.p1Score += legalBalls;
+      } else {
+        this.state.p2Score += legalBalls;
+      }
+      this.state.message = `${legalBalls} ball${legalBalls > 1 ? 's' : ''} pocketed`;
+      this.state.lastShotResult = 'Legal pocket';
+    }
+
+    this.finishTurn(opponent, continueTurn);
+    return this.getState();
+  }
+
+  evaluateBreak(shotResult) {
+    const { turn } = this.state;
+    const opponent = turn === 'p1' ? 'p2' : 'p1';
+    const ballsHitCushion = shotResult.cushionHits.size;
+    const ballsPocketed = shotResult.pocketed.length;
+
+    if (shotResult.firstContact !== 1) {
+      this.recordFoul('ILLEGAL_BREAK', 'Illegal break - the 1-ball must be struck first');
+    } else if (ballsPocketed === 0 && ballsHitCushion < 4) {
+      this.recordFoul('ILLEGAL_BREAK', 'Illegal break - less than 4 balls hit cushions');
+    } else if (shotResult.cueScratch) {
+      this.recordFoul('SCRATCH', 'Cue ball scratched on the break');
+    }
+    if (this.state.foul && shotResult.cueScratch && this.options.breakScratchBallInHand === 'kitchen') {
+      this.state.ballInHandZone = 'kitchen';
+      this.state.message = `${this.state.message} - ball in hand behind the head string`;
+    }
+
+    this.state.breakComplete = true;
+    if (this.trackConsecutiveFouls(this.state.foul, turn)) {
+      return this.getState();
+    }
+
+    if (shotResult.pocketed.includes(NINE_BALL)) {
+      if (!this.state.foul) {
+        this.state.winner = turn;
+        this.state.message = '9-ball on the break - you win!';
+        this.state.lastShotResult = 'Nine on the break';
+        return this.getState();
+      }
+      this.respotNineBall();
+    }
+
+    const continueTurn = !this.state.foul && ballsPocketed > 0;
+    if (continueTurn) {
+      this.state.message = 'Ball pocketed on the break - shoot again';
+    } else if (!this.state.foul) {
+      this.state.message = 'Break shot complete';
+    }
+
+    this.finishTurn(opponent, continueTurn);
+    return this.getState();
+  }
+
+  // Shot clock expiry: foul with ball in hand; an unplayed break passes over.
+  evaluateTimeFoul() {
+    const { turn, shotNumber } = this.state;
+    const opponent = turn === 'p1' ? 'p2' : 'p1';
+    if (shotNumber > 0) {
+      this.state.shotNumber++;
+    }
+    this.state.respotBalls = [];
+    this.state.ballInHandZone = null;
+    this.state.lastCall = null;
+    this.state.lastShotResult = 'Shot clock';
+    this.recordFoul('SHOT_CLOCK', 'Shot clock expired - ball in hand');
+    if (this.trackConsecutiveFouls(true, turn)) {
+      return this.getState();
+    }
+    this.finishTurn(opponent, false);
+    return this.getState();
+  }
+
+  checkForFouls(shotResult, lowestBall) {
+    const { firstContact, cueScratch, railContactAfterFirstHit } = shotResult;
+
+    if (firstContact === null) {
+      return { isFoul: true, foulType: 'NO_CONTACT', message: 'No ball contacted' };
+    }
+
+    if (cueScratch) {
+      return { isFoul: true, foulType: 'SCRATCH', message: 'Cue ball scratched' };
+    }
+
+    if (firstContact !== lowestBall) {
+      return { isFoul: true, foulType: 'WRONG_BALL_FIRST', message: `The ${lowestBall}-ball must be struck first` };
+    }
+
+    if (!railContactAfterFirstHit && shotResult.pocketed.length === 0) {
+      return { isFoul: true, foulType: 'NO_RAIL_AFTER_CONTACT', message: 'No rail contact after hit' };
+    }
+
+    return { isFoul: false, foulType: null, message: '' };
+  }
+
+  /**
+   * What the shooter has to declare before their next shot: 'none' or, with
+   * called shots, 'ball_and_pocket'. Break shots are never called.
+   */
+  getCallRequirement() {
+    if (this.state.shotNumber === 0 || this.state.winner) return 'none';
+    return this.options.callShots ? 'ball_and_pocket' : 'none';
+  }
+
+  // Any ball may be called as long as the lowest was struck first
+  isCallMade(shotResult) {
+    const { calledBall, calledPocket, pocketedInto } = shotResult;
+    if (!Number.isInteger(calledBall) || calledPocket === null || calledPocket === undefined) {
+      return false;
+    }
+    return Boolean(pocketedInto) && pocketedInto[calledBall] === calledPocket;
+  }
+
+  /**
+   * Update the shooter's consecutive foul count. Returns true when the game
+   * ended on the third foul in a row.
+   */
+  trackConsecutiveFouls(foulOccurred, shooter) {
+    const key = shooter === 'p1' ? 'p1ConsecutiveFouls' : 'p2ConsecutiveFouls';
+    this.state[key] = foulOccurred ? (this.state[key] || 0) + 1 : 0;
+
+    if (!foulOccurred || !this.options.threeFoulLoss || this.state[key] < 3) {
+      return false;
+    }
+
+    this.state.winner = shooter === 'p1' ? 'p2' : 'p1';
+    this.state.foulType = 'THREE_CONSECUTIVE_FOULS';
+    this.state.message = 'Three consecutive fouls - you lose';
+    return true;
+  }
+
+  recordFoul(foulType, message) {
+    this.state.foul = true;
+    this.state.foulType = foulType;
+    this.state.message = message;
+    if (this.state.turn === 'p1') {
+      this.state.gameStats.p1Fouls++;
+    } else {
+      this.state.gameStats.p2Fouls++;
+    }
+  }
+
+  // The engine places respotted balls back on the foot spot after the shot.
+  respotNineBall() {
+    this.state.respotBalls = [NINE_BALL];
+    this.activeBalls.add(NINE_BALL);
+  }
+
+  finishTurn(opponent, continueTurn) {
+    const lowestBall = this.getLowestBall();
+    const remaining = Array.from(this.activeBalls).filter((ball) => ball !== 0).length;
+    this.state.lowestBall = lowestBall;
+    this.state.p1Target = String(lowestBall);
+    this.state.p2Target = String(lowestBall);
+    this.state.p1BallsRemaining = remaining;
+    this.state.p2BallsRemaining = remaining;
+
+    if (this.state.foul) {
+      this.state.turn = opponent;
+      this.state.ballInHand = true;
+      this.state.currentRun = 0;
+    } else if (continueTurn) {
+      this.state.ballInHand = false;
+    } else {
+      this.state.turn = opponent;
+      this.state.ballInHand = false;
+      this.state.currentRun = 0;
+    }
+    this.state.message = this.state.message || 'Shot complete';
+  }
+
+  getLowestBall() {
+    let lowest = NINE_BALL;
+    for (const ball of this.activeBalls) {
+      if (ball > 0 && ball < lowest) lowest = ball;
+    }
+    return lowest;
+  }
+}
+
+module.exports = { NineBallRules };
@@ -0,0 +1,255 @@
+// backend/services/game-service/src/engine/8ball/practice.js
+const { EightBallEngine } = require('./engine');
+
+// Solo practice on the match engine: admin-authored drills and "pot in N
+// shots" puzzles on custom layouts, plus break practice on a normal rack.
+// The player always keeps the table; the criteria decide when an attempt ends.
+const PRACTICE_TYPES = ['drill', 'puzzle', 'break'];
+const MAX_PRACTICE_SHOTS = 30;
+const DEFAULT_DRILL_SHOTS = 10;
+const TARGET_POINTS = 100;
+const SPARE_SHOT_POINTS = 50;
+const COMPLETION_BONUS = 500;
+const FOUL_PENALTY = 50;
+
+function isBallId(value) {
+  return Number.isInteger(value) && value >= 0 && value <= 15;
+}
+
+/**
+ * Check a layout of { id, x, y } balls against the table: every ball on the
+ * cloth, clear of the pockets and not touching another ball.
+ */
+function validatePracticeLayout(layout) {
+  const balls = Array.isArray(layout?.balls) ? layout.balls : null;
+  if (!balls || balls.length === 0) {
+    return { ok: false, error: 'Layout needs at least one ball' };
+  }
+
+  const engine = new EightBallEngine({ seed: 1 });
+  const bounds = engine.getTableBounds();
+  const { ballRadius, pocketRadius } = engine.config;
+  const seen = new Set();
+  const value = [];
+
+  for (const ball of balls) {
+    const id = Number(ball?.id);
+    const x = Number(ball?.x);
+    const y = Number(ball?.y);
+    if (!isBallId(id)) return { ok: false, error: `Invalid ball id ${ball?.id}` };
+    if (seen.has(id)) return { ok: false, error: `Ball ${id} is placed twice` };
+    if (!Number.isFinite(x) || !Number.isFinite(y)) return { ok: false, error: `Ball ${id} has an invalid position` };
+    if (x < bounds.left || x > bounds.right || y < bounds.top || y > bounds.bottom) {
+      return { ok: false, error: `Ball ${id} is off the table` };
+    }
+    const inPocket = engine.table.pockets.some(
+      (pocket) => Math.hypot(pocket.position.x - x, pocket.position.y - y) < pocketRadius * 1.1
+    );
+    if (inPocket) return { ok: false, error: `Ball ${id} sits in a pocket` };
+    const overlapping = value.find((other) => Math.hypot(other.x - x, other.y - y) < ballRadius * 2);
+    if (overlapping) return { ok: false, error: `Ball ${id} overlaps ball ${overlapping.id}` };
+
+    seen.add(id);
+    value.push({ id, x, y });
+  }
+
+  if (!value.some((ball) => ball.id !== 0)) {
+    return { ok: false, error: 'Layout needs at least one object ball' };
+  }
+  return { ok: true, value: { balls: value } };
+}
+
+function normalizeShotLimit(value, fallback) {
+  if (value === undefined || value === null) return fallback;
+  const shots = Number(value);
+  if (!Number.isInteger(shots) || shots < 1 || shots > MAX_PRACTICE_SHOTS) return null;
+  return shots;
+}
+
+/**
+ * Fill in and check the success criteria for a drill type. Puzzles must state
+ * their shot limit and end on the first foul; drills default to a generous
+ * limit and tolerate fouls.
+ */
+function validatePracticeCriteria(type, criteria = {}, layout = null) {
+  if (type === 'break') {
+    const minBalls = criteria.minBalls === undefined ? 1 : Number(criteria.minBalls);
+    if (!Number.isInteger(minBalls) || minBalls < 1 || minBalls > 15) {
+      return { ok: false, error: 'minBalls must be between 1 and 15' };
+    }
+    return { ok: true, value: { minBalls } };
+  }
+
+  const onTable = (layout?.balls || []).map((ball) => ball.id).filter((id) => id !== 0);
+  const targetBalls = criteria.targetBalls === undefined ? onTable : criteria.targetBalls;
+  if (!Array.isArray(targetBalls) || targetBalls.length === 0) {
+    return { ok: false, error: 'targetBalls must list at least one ball' };
+  }
+  const missing = targetBalls.find((id) => !isBallId(id) || id === 0 || !onTable.includes(id));
+  if (missing !== undefined) {
+    return { ok: false, error: `Target ball ${missing} is not in the layout` };
+  }
+  if (new Set(targetBalls).size !== targetBalls.length) {
+    return { ok: false, error: 'targetBalls must not repeat a ball' };
+  }
+
+  if (type === 'puzzle' && criteria.maxShots === undefined) {
+    return { ok: false, error: 'Puzzles need a maxShots limit' };
+  }
+  const maxShots = normalizeShotLimit(criteria.maxShots, DEFAULT_DRILL_SHOTS);
+  if (maxShots === null) {
+    return { ok: false, error: `maxShots must be between 1 and ${MAX_PRACTICE_SHOTS}` };
+  }
+
+  return {
+    ok: true,
+    value: {
+      targetBalls,
+      maxShots,
+      inOrder: Boolean(criteria.inOrder),
+      allowFouls: criteria.allowFouls === undefined ? type === 'drill' : Boolean(criteria.allowFouls)
+    }
+  };
+}
+
+function validatePracticeDrill({ type, layout, criteria }) {
+  if (!PRACTICE_TYPES.includes(type)) {
+    return { ok: false, error: `type must be one of ${PRACTICE_TYPES.join(', ')}` };
+  }
+
+  let normalizedLayout = null;
+  if (type !== 'break') {
+    const checked = validatePracticeLayout(layout);
+    if (!checked.ok) return checked;
+    normalizedLayout = checked.value;
+  }
+
+  const checkedCriteria = validatePracticeCriteria(type, criteria || {}, normalizedLayout);
+  if (!checkedCriteria.ok) return checkedCriteria;
+
+  return { ok: true, value: { type, layout: normalizedLayout, criteria: checkedCriteria.value } };
+}
+
+function createPracticeEngine(drill, options = {}) {
+  const engine = new EightBallEngine({ seed: options.seed, variant: 'eight_ball', ruleProfile: 'house' });
+  if (drill.type === 'break') {
+    engine.rules.setState({ ballInHandZone: 'kitchen' });
+    engine.state.rulesState = engine.rules.getState();
+  } else {
+    engine.loadLayout(drill.layout);
+  }
+  return engine;
+}
+
+function createPracticeProgress() {
+  return {
+    status: 'active',
+    shots: 0,
+    ballsPotted: 0,
+    pottedTargets: [],
+    fouls: 0,
+    scratches: 0,
+    score: 0,
+    failReason: null
+  };
+}
+
+function scoreProgress(drill, progress) {
+  if (drill.type === 'break') {
+    return progress.scratches > 0 ? 0 : progress.ballsPotted * TARGET_POINTS;
+  }
+  const { maxShots } = drill.criteria;
+  const completion = progress.status === 'succeeded'
+    ? COMPLETION_BONUS + (maxShots - progress.shots) * SPARE_SHOT_POINTS
+    : 0;
+  const score = progress.pottedTargets.length * TARGET_POINTS + completion - progress.fouls * FOUL_PENALTY;
+  return Math.max(0, score);
+}
+
+// Give the table back to the solo player whatever the match rules decided
+function handBackTable(engine, ballInHand) {
+  engine.rules.setState({
+    turn: 'p1',
+    winner: null,
+    foul: false,
+    foulType: null,
+    ballInHand,
+    ballInHandZone: null,
+    p1Target: 'ANY',
+    p2Target: 'ANY'
+  });
+  engine.state.rulesState = engine.rules.getState();
+  engine.state.turn = 'p1';
+  engine.state.winner = null;
+  engine.state.cueBallInHand = ballInHand;
+}
+
+function evaluateTargets(drill, progress, pocketed) {
+  const { targetBalls, inOrder } = drill.criteria;
+  const potted = targetBalls.filter((id) => pocketed.includes(id) && !progress.pottedTargets.includes(id));
+  if (inOrder && potted.length > 0) {
+    const expected = targetBalls.filter((id) => !progress.pottedTargets.includes(id)).slice(0, potted.length);
+    const sameOrder = potted.every((id) => expected.includes(id));
+    if (!sameOrder) return { potted, outOfOrder: true };
+  }
+  return { potted, outOfOrder: false };
+}
+
+/**
+ * Play one practice shot and advance the attempt. Returns the updated
+ * progress alongside the engine's shot result and frames.
+ */
+function applyPracticeShot(engine, drill, progress, shot, options = {}) {
+  if (progress.status !== 'active') {
+    return { ok: false, error: 'Practice attempt is over' };
+  }
+
+  const applied = engine.applyShot('p1', shot, options);
+  if (!applied.ok) return applied;
+
+  const shotResult = applied.shotResult;
+  const pocketed = shotResult.pocketed.filter((id) => id !== 0);
+  const foul = shotResult.cueScratch || shotResult.firstContact === null;
+  const next = {
+    ...progress,
+    shots: progress.shots + 1,
+    ballsPotted: progress.ballsPotted + pocketed.length,
+    fouls: progress.fouls + (foul ? 1 : 0),
+    scratches: progress.scratches + (shotResult.cueScratch ? 1 : 0)
+  };
+
+  if (drill.type === 'break') {
+    const legal = !shotResult.cueScratch && pocketed.length >= drill.criteria.minBalls;
+    next.status = legal ? 'succeeded' : 'failed';
+    next.failReason = legal ? null : (shotResult.cueScratch ? 'scratch' : 'too_few_balls');
+  } else {
+    const targets = evaluateTargets(drill, progress, pocketed);
+    next.pottedTargets = [...progress.pottedTargets, ...targets.potted];
+    if (targets.outOfOrder) {
+      next.status = 'failed';
+      next.failReason = 'out_of_order';
+    } else if (foul && !drill.criteria.allowFouls) {
+      next.status = 'failed';
+      next.failReason = 'foul';
+    } else if (next.pottedTargets.length === drill.criteria.targetBalls.length) {
+      next.status = 'succeeded';
+    } else if (next.shots >= drill.criteria.maxShots) {
+      next.status = 'failed';
+      next.failReason = 'out_of_shots';
+    }
+  }
+
+  next.score = scoreProgress(drill, next);
+  handBackTable(engine, shotResult.cueScratch);
+  return { ok: true, progress: next, shotResult, frames: applied.frames };
+}
+
+module.exports = {
+  PRACTICE_TYPES,
+  MAX_PRACTICE_SHOTS,
+  validatePracticeLayout,
+  validatePracticeDrill,
+  createPracticeEngine,
+  createPracticeProgress,
+  applyPracticeShot
+};
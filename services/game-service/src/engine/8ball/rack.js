@@ -28,4 +28,37 @@ function setBallPositions({ adjustmentScale, ballRadius, rng }) {
   return positions;
 }
 
-module.exports = { setBallPositions };
+// Diamond rack: 1-ball on the foot spot, 9-ball in the middle, the rest at random.
+function setNineBallPositions({ adjustmentScale, ballRadius, rng }) {
+  const positions = [];
+  const base = 15000 * adjustmentScale;
+  const randOffset = 0.05 + 0.05 * rng.next();
+  const spread = 1 + (0.05 + 0.05 * rng.next());
+  const e = 1.732 + randOffset;
+
+  const slots = [
+    new Point(base + e * ballRadius, ballRadius * spread),
+    new Point(base + e * ballRadius, -ballRadius * spread),
+    new Point(base + 2 * e * ballRadius, 2 * ballRadius * spread),
+    new Point(base + 2 * e * ballRadius, -2 * ballRadius * spread),
+    new Point(base + 3 * e * ballRadius, ballRadius * spread),
+    new Point(base + 3 * e * ballRadius, -ballRadius * spread),
+    new Point(base + 4 * e * ballRadius, 0),
+  ];
+  const ids = [2, 3, 4, 5, 6, 7, 8];
+  for (let i = ids.length - 1; i > 0; i--) {
+    const j = Math.floor(rng.next() * (i + 1));
+    [ids[i], ids[j]] = [ids[j], ids[i]];
+  }
+
+  positions[0] = new Point(-base, 0);
+  positions[1] = new Point(base, 0);
+  positions[9] = new Point(base + 2 * e * ballRadius, 0);
+  ids.forEach((id, index) => {
+    positions[id] = slots[index];
+  });
+
+  return positions;
+}
+
+module.exports = { setBallPositions, setNineBallPositions };
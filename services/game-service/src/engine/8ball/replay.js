@@ -0,0 +1,83 @@
+// backend/services/game-service/src/engine/8ball/replay.js
+const { EightBallEngine } = require('./engine');
+const { isSpotShootout, startSuddenDeath, applySpotShot, applySpotTimeFoul } = require('./sudden-death');
+
+function applyEntry(engine, entry, capture) {
+  const actorSide = entry.actorSide;
+  if (entry.action === 'sudden_death') {
+    return startSuddenDeath(engine, entry.result?.mode);
+  }
+  if (isSpotShootout(engine)) {
+    return entry.action === 'time_foul'
+      ? applySpotTimeFoul(engine, actorSide)
+      : applySpotShot(engine, actorSide, toShotInput(entry), capture ? { capture } : {});
+  }
+  return entry.action === 'time_foul'
+    ? engine.applyTimeFoul(actorSide)
+    : engine.applyShot(actorSide, toShotInput(entry), capture ? { capture } : {});
+}
+
+function toShotInput(entry) {
+  return {
+    direction: entry.direction,
+    power: Number(entry.power),
+    cueBallPosition: entry.cueBallPosition || undefined,
+    screw: entry.screw ?? undefined,
+    english: entry.english ?? undefined,
+    calledBall: entry.calledBall ?? undefined,
+    calledPocket: entry.calledPocket ?? undefined,
+  };
+}
+
+/**
+ * Re-simulate a match from its rack seed and the ordered list of accepted shots.
+ * Shots are server-space inputs exactly as they were handed to `applyShot`.
+ * Replay stops at the first shot the engine rejects, since every later state
+ * would be meaningless. In multi-frame matches the next frame is racked after
+ * the step that won a frame, and sudden-death entries switch the engine into
+ * the tiebreak at the same point, as live play does.
+ */
+function replayMatch({ seed, shots, capture = null, engineOptions = {} }) {
+  const engine = new EightBallEngine({ ...engineOptions, seed });
+  const initialSnapshot = engine.getSnapshot();
+  const ordered = [...(shots || [])].sort((a, b) => Number(a.shotNumber) - Number(b.shotNumber));
+  const steps = [];
+
+  for (let i = 0; i < ordered.length; i += 1) {
+    const entry = ordered[i];
+    const actorSide = entry.actorSide;
+    const result = applyEntry(engine, entry, capture);
+
+    if (!result.ok) {
+      steps.push({
+        index: i,
+        shotNumber: entry.shotNumber,
+        actorSide,
+        ok: false,
+        error: result.error || 'Shot rejected',
+      });
+      return { ok: false, error: result.error || 'Shot rejected', index: i, engine, initialSnapshot, steps };
+    }
+
+    const step = {
+      index: i,
+      shotNumber: entry.shotNumber,
+      actorSide,
+      action: entry.action || 'shot',
+      ok: true,
+      shotResult: result.shotResult
+        ? { ...result.shotResult, cushionHits: Array.from(result.shotResult.cushionHits || []) }
+        : null,
+      rulesState: result.rulesState,
+      stateHash: engine.getStateHash(),
+      frames: result.frames || [],
+    };
+    const advanced = engine.advanceFrame();
+    if (advanced) step.frameCompleted = advanced.frame;
+    steps.push(step);
+  }
+
+  return { ok: true, engine, initialSnapshot, steps };
+}
+
+module.exports = { replayMatch };
@@ -1,4 +1,6 @@
 // backend/services/game-service/src/engine/8ball/rng.js
+const crypto = require('crypto');
+
 function mulberry32(seed) {
   let t = seed >>> 0;
   return function () {
@@ -9,12 +11,26 @@ function mulberry32(seed) {
   };
 }
 
-function createRng(seed = Date.now()) {
-  const next = mulberry32(seed);
-  return {
+// `draws` fast-forwards the stream so a restored engine continues where it left off
+function createRng(seed = Date.now(), draws = 0) {
+  const source = mulberry32(seed);
+  const rng = {
     seed,
-    next,
+    draws: 0,
+    next() {
+      rng.draws += 1;
+      return source();
+    },
   };
+  for (let i = 0; i < draws; i++) rng.next();
+  return rng;
+}
+
+// Every frame of a multi-frame match racks from its own seed, derived from the
+// match seed so the one commitment covers them all. Frame 1 uses the match seed.
+function deriveFrameSeed(seed, frameNumber = 1) {
+  if (frameNumber <= 1) return seed;
+  return crypto.createHash('sha256').update(`${seed}:frame:${frameNumber}`).digest().readUInt32BE(0);
 }
 
-module.exports = { createRng };
+module.exports = { createRng, deriveFrameSeed };
@@ -1,6 +1,28 @@
 // backend/services/game-service/src/engine/8ball/rules.js
+
+const {
+  RULE_PROFILES,
+  DEFAULT_RULE_PROFILE,
+  pickRuleOverrides
+} = require('../../../../../shared/utils/ruleProfiles');
+
+/**
+ * Accepts a profile name ('house' | 'wpa') or an object of the form
+ * { profile, ...options } and returns the full option set. Unknown names and
+ * invalid option values fall back to the base profile.
+ */
+function resolveRuleProfile(profile) {
+  const overrides = profile && typeof profile === 'object' ? profile : {};
+  const name = typeof profile === 'string' ? profile : overrides.profile;
+  const baseName = RULE_PROFILES[name] ? name : DEFAULT_RULE_PROFILE;
+  return { profile: baseName, ...RULE_PROFILES[baseName], ...pickRuleOverrides(overrides) };
+}
+
 class EightBallRules {
-  constructor() {
+  constructor(profile, handicap = {}) {
+    this.options = resolveRuleProfile(profile);
+    // Sides a handicap makes call the pocket for the 8 whatever the profile says
+    this.callEightSides = Array.isArray(handicap.callEight) ? handicap.callEight : [];
     this.state = this.getInitialState();
     this.activeBalls = new Set(Array.from({ length: 16 }, (_, i) => i));
   }
@@ -31,6 +53,11 @@ class EightBallRules {
       lastShotResult: '',
       foulType: null,
       breakComplete: false,
+      ballInHandZone: null,
+      p1ConsecutiveFouls: 0,
+      p2ConsecutiveFouls: 0,
+      rerack: false,
+      lastCall: null,
     };
   }
 
@@ -61,9 +88,13 @@ class EightBallRules {
     this.state.foul = false;
     this.state.foulType = null;
     this.state.lastShotResult = '';
+    this.state.ballInHandZone = null;
+    this.state.rerack = false;
+    this.state.lastCall = null;
 
     let continueTurn = false;
     let foulOccurred = false;
+    let callMissed = false;
     let message = '';
 
     if (shotNumber === 0) {
@@ -88,8 +119,30 @@ class EightBallRules {
       return this.handle8BallPocket(shotResult, playerTarget, foulOccurred);
     }
 
-    if (!foulOccurred && playerTarget === 'ANY' && shotResult.pocketed.length > 0 && breakComplete) {
-      const assignment = this.assignGroups(shotResult.pocketed, turn);
+    if (!foulOccurred && this.options.callShots && shotResult.pocketed.length > 0) {
+      const callMade = this.isCallMade(shotResult, playerTarget);
+      this.state.lastCall = { ball: shotResult.calledBall, pocket: shotResult.calledPocket, made: callMade };
+      if (!callMade && this.options.wrongCallPenalty === 'foul') {
+        foulOccurred = true;
+        this.state.foul = true;
+        this.state.foulType = 'WRONG_CALL';
+        message = 'Called shot missed - foul';
+        if (turn === 'p1') {
+          this.state.gameStats.p1Fouls++;
+        } else {
+          this.state.gameStats.p2Fouls++;
+        }
+      } else if (!callMade) {
+        callMissed = true;
+        message = 'Called shot missed - turn ends';
+        this.state.lastShotResult = 'Call missed';
+      }
+    }
+
+    if (!foulOccurred && !callMissed && playerTarget === 'ANY' && shotResult.pocketed.length > 0 && breakComplete) {
+      // With called shots the group follows the called ball, not whatever else dropped
+      const assignedFrom = this.options.callShots ? [shotResult.calledBall] : shotResult.pocketed;
+      const assignment = this.assignGroups(assignedFrom, turn);
       if (assignment.success) {
         message = assignment.message;
         this.state.lastShotResult = 'Group assigned';
@@ -100,7 +153,11 @@ class EightBallRules {
       }
     }
 
-    if (!foulOccurred && shotResult.pocketed.length > 0) {
+    if (this.trackConsecutiveFouls(foulOccurred)) {
+      return this.getState();
+    }
+
+    if (!foulOccurred && !callMissed && shotResult.pocketed.length > 0) {
       const legalBalls = this.countLegalBalls(shotResult.pocketed, playerTarget);
       if (legalBalls > 0) {
         continueTurn = true;
@@ -149,7 +206,8 @@ class EightBallRules {
 
   evaluateBreak(shotResult) {
     let validBreak = false;
-    let message = '';
+    const { turn } = this.state;
+    const opponent = turn === 'p1' ? 'p2' : 'p1';
 
     const ballsHitCushion = shotResult.cushionHits.size;
     const ballsPocketed = shotResult.pocketed.length;
@@ -163,23 +221,136 @@ class EightBallRules {
       this.state.foulType = 'ILLEGAL_BREAK';
       this.state.ballInHand = true;
       this.state.message = 'Illegal break - less than 4 balls hit cushions';
-      this.state.turn = this.state.turn === 'p1' ? 'p2' : 'p1';
+      this.state.turn = opponent;
+      this.trackConsecutiveFouls(true, turn);
       return this.getState();
     }
 
     this.state.breakComplete = true;
     this.state.message = 'Break shot complete';
 
+    if (shotResult.pocketed.includes(8) && this.options.eightOnBreak !== 'none') {
+      return this.handle8BallOnBreak(shotResult);
+    }
+
     if (shotResult.cueScratch) {
       this.state.foul = true;
       this.state.foulType = 'SCRATCH';
       this.state.ballInHand = true;
-      this.state.turn = this.state.turn === 'p1' ? 'p2' : 'p1';
+      this.state.turn = opponent;
+      this.state.message = 'Cue ball scratched on the break';
+      if (this.options.breakScratchBallInHand === 'kitchen') {
+        this.state.ballInHandZone = 'kitchen';
+        this.state.message = 'Cue ball scratched on the break - ball in hand behind the head string';
+      }
+      this.trackConsecutiveFouls(true, turn);
+      return this.getState();
+    }
+
+    this.trackConsecutiveFouls(false, turn);
+    if (!this.options.openTableAfterBreak && ballsPocketed > 0) {
+      const assignment = this.assignGroups(shotResult.pocketed, turn);
+      if (assignment.success) {
+        this.state.message = assignment.message;
+        this.state.lastShotResult = 'Group assigned';
+      }
+      this.state.p1BallsRemaining = this.getPlayerBallsRemaining('p1');
+      this.state.p2BallsRemaining = this.getPlayerBallsRemaining('p2');
     }
 
     return this.getState();
   }
 
+  /**
+   * The shooter let the shot clock run out: foul, ball in hand for the
+   * opponent. A break that times out passes the break to the opponent.
+   */
+  evaluateTimeFoul() {
+    const { turn, shotNumber } = this.state;
+    if (shotNumber > 0) {
+      this.state.shotNumber++;
+    }
+    this.state.foul = true;
+    this.state.foulType = 'SHOT_CLOCK';
+    this.state.message = 'Shot clock expired - ball in hand';
+    this.state.lastShotResult = 'Shot clock';
+    this.state.ballInHandZone = null;
+    this.state.rerack = false;
+    this.state.lastCall = null;
+    if (turn === 'p1') {
+      this.state.gameStats.p1Fouls++;
+    } else {
+      this.state.gameStats.p2Fouls++;
+    }
+
+    if (this.trackConsecutiveFouls(true, turn)) {
+      return this.getState();
+    }
+
+    this.state.turn = turn === 'p1' ? 'p2' : 'p1';
+    this.state.ballInHand = true;
+    this.state.currentRun = 0;
+    return this.getState();
+  }
+
+  handle8BallOnBreak(shotResult) {
+    const { turn } = this.state;
+    const opponent = turn === 'p1' ? 'p2' : 'p1';
+
+    if (this.options.eightOnBreak === 'rerack') {
+      this.state.rerack = true;
+      this.state.message = '8-ball on the break - re-rack';
+      this.state.lastShotResult = 'Re-rack';
+      return this.getState();
+    }
+
+    if (shotResult.cueScratch) {
+      this.state.foul = true;
+      this.state.foulType = 'SCRATCH';
+      this.state.winner = opponent;
+      this.state.message = '8-ball on the break with a scratch - you lose';
+      return this.getState();
+    }
+
+    this.state.winner = turn;
+    this.state.message = '8-ball on the break - you win!';
+    this.state.lastShotResult = 'Eight on the break';
+    return this.getState();
+  }
+
+  /**
+   * Restart the rack after the 8 goes down on the break. The same player
+   * breaks again; fouls carried into the frame are kept.
+   */
+  resetForRerack() {
+    const { turn, p1ConsecutiveFouls, p2ConsecutiveFouls } = this.state;
+    this.resetGame();
+    this.state.turn = turn;
+    this.state.p1ConsecutiveFouls = p1ConsecutiveFouls;
+    this.state.p2ConsecutiveFouls = p2ConsecutiveFouls;
+    this.state.ballInHand = true;
+    this.state.message = 'Re-rack - break again';
+    return this.getState();
+  }
+
+  /**
+   * Update the shooter's consecutive foul count. Returns true when the game
+   * ended on the third foul in a row.
+   */
+  trackConsecutiveFouls(foulOccurred, shooter = this.state.turn) {
+    const key = shooter === 'p1' ? 'p1ConsecutiveFouls' : 'p2ConsecutiveFouls';
+    this.state[key] = foulOccurred ? (this.state[key] || 0) + 1 : 0;
+
+    if (!foulOccurred || !this.options.threeFoulLoss || this.state[key] < 3) {
+      return false;
+    }
+
+    this.state.winner = shooter === 'p1' ? 'p2' : 'p1';
+    this.state.foulType = 'THREE_CONSECUTIVE_FOULS';
+    this.state.message = 'Three consecutive fouls - you lose';
+    return true;
+  }
+
   checkForFouls(shotResult, playerTarget) {
     const { firstContact, cueScratch, railContactAfterFirstHit } = shotResult;
 
@@ -221,11 +392,52 @@ class EightBallRules {
       return this.getState();
     }
 
+    if (this.mustCallEight(this.state.turn)) {
+      const pocket = shotResult.pocketedInto ? shotResult.pocketedInto[8] : undefined;
+      if (shotResult.calledPocket === null || shotResult.calledPocket === undefined || pocket !== shotResult.calledPocket) {
+        this.state.winner = this.state.turn === 'p1' ? 'p2' : 'p1';
+        this.state.message = '8-ball sunk in an uncalled pocket - you lose';
+        this.state.foulType = 'EIGHT_BALL_WRONG_POCKET';
+        return this.getState();
+      }
+    }
+
     this.state.winner = this.state.turn;
     this.state.message = '8-ball sunk - you win!';
     return this.getState();
   }
 
+  /**
+   * What the shooter has to declare before their next shot: 'none', 'pocket'
+   * (shooting the 8) or 'ball_and_pocket'. Break shots are never called.
+   */
+  getCallRequirement(side = this.state.turn) {
+    if (this.state.shotNumber === 0 || this.state.winner) return 'none';
+    const target = side === 'p1' ? this.state.p1Target : this.state.p2Target;
+    if (target === '8' && this.mustCallEight(side)) return 'pocket';
+    if (this.options.callShots) return 'ball_and_pocket';
+    return 'none';
+  }
+
+  mustCallEight(side) {
+    return this.options.callEightPocket || this.options.callShots || this.callEightSides.includes(side);
+  }
+
+  /**
+   * A call is made when the declared ball belongs to the shooter's target
+   * group and dropped in the declared pocket.
+   */
+  isCallMade(shotResult, playerTarget) {
+    const { calledBall, calledPocket, pocketedInto } = shotResult;
+    if (!Number.isInteger(calledBall) || calledPocket === null || calledPocket === undefined) {
+      return false;
+    }
+    if (this.countLegalBalls([calledBall], playerTarget) === 0) {
+      return false;
+    }
+    return Boolean(pocketedInto) && pocketedInto[calledBall] === calledPocket;
+  }
+
   assignGroups(pocketedBalls, turn) {
     const solidPocketed = pocketedBalls.some((ball) => ball > 0 && ball < 8);
     const stripePocketed = pocketedBalls.some((ball) => ball > 8);
@@ -276,4 +488,4 @@ class EightBallRules {
   }
 }
 
-module.exports = { EightBallRules };
+module.exports = { EightBallRules, RULE_PROFILES, resolveRuleProfile };
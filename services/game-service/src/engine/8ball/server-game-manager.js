@@ -473,6 +473,28 @@ class ServerGameManager {
       balls: this.balls.map(b => b.getState())
     };
   }
+
+  /**
+   * Serializable state so another instance can pick the game up
+   */
+  getSnapshot() {
+    return {
+      matchId: this.matchId,
+      gameType: this.gameType,
+      aiDifficulty: this.aiDifficulty,
+      state: { ...this.state },
+      balls: this.balls.filter(Boolean).map(b => b.getState())
+    };
+  }
+
+  loadState(snapshot) {
+    if (!snapshot) return;
+    this.state = { ...this.state, ...(snapshot.state || {}) };
+    (snapshot.balls || []).forEach((ballState) => {
+      const ball = this.balls[ballState.id];
+      if (ball) ball.setState(ballState);
+    });
+  }
 }
 
 module.exports = ServerGameManager;
@@ -0,0 +1,137 @@
+// backend/services/game-service/src/engine/8ball/sudden-death.js
+
+// Tiebreaks for knockout matches that time out level. 'decider' abandons the
+// rack and plays one more frame; 'spot_shots' is a shootout where each player
+// gets one shot per round at a ball on the foot spot with the cue ball in the
+// kitchen, and a round with exactly one pot decides it.
+const SUDDEN_DEATH_MODES = ['spot_shots', 'decider'];
+const SPOT_BALL_ID = 1;
+
+function isSpotShootout(engine) {
+  const suddenDeath = engine.state.suddenDeath;
+  return Boolean(suddenDeath && suddenDeath.mode === 'spot_shots' && !suddenDeath.winner);
+}
+
+// Rounds alternate who shoots first so neither player always sees the other miss
+function roundOrder(round) {
+  return round % 2 === 1 ? ['p1', 'p2'] : ['p2', 'p1'];
+}
+
+function setUpSpotShot(engine, shooter) {
+  const footSpotX = 15000 * engine.config.adjustmentScale;
+  engine.loadLayout({ balls: [{ id: SPOT_BALL_ID, x: footSpotX, y: 0 }] });
+  engine.rules.setState({
+    turn: shooter,
+    winner: null,
+    foul: false,
+    foulType: null,
+    ballInHand: true,
+    ballInHandZone: 'kitchen',
+    p1Target: 'ANY',
+    p2Target: 'ANY',
+    message: 'Sudden death - pot the spot ball'
+  });
+  engine.state.rulesState = engine.rules.getState();
+  engine.state.turn = shooter;
+  engine.state.winner = null;
+}
+
+function finishShootout(engine, winner) {
+  engine.state.suddenDeath = { ...engine.state.suddenDeath, winner };
+  engine.state.winner = winner;
+  engine.rules.setState({ winner, message: 'Sudden death decided' });
+  engine.state.rulesState = engine.rules.getState();
+  // The race is settled too, so no further frame gets racked
+  if (engine.state.race) {
+    engine.state.race = { ...engine.state.race, winner };
+  }
+}
+
+/**
+ * Record one spot shot (or a missed one on the shot clock) and either set up
+ * the next shot or settle the shootout. Level rounds just go again; the shot
+ * clock keeps the shootout moving.
+ */
+function recordSpotShot(engine, side, potted) {
+  const suddenDeath = engine.state.suddenDeath;
+  const current = { ...suddenDeath.current, [side]: potted };
+  const second = roundOrder(suddenDeath.round)[1];
+
+  if (current[second] === undefined) {
+    engine.state.suddenDeath = { ...suddenDeath, current };
+    setUpSpotShot(engine, second);
+    return;
+  }
+
+  const rounds = [...suddenDeath.rounds, { round: suddenDeath.round, p1: current.p1, p2: current.p2 }];
+  if (current.p1 !== current.p2) {
+    engine.state.suddenDeath = { ...suddenDeath, current: {}, rounds };
+    finishShootout(engine, current.p1 ? 'p1' : 'p2');
+    return;
+  }
+
+  const round = suddenDeath.round + 1;
+  engine.state.suddenDeath = { ...suddenDeath, round, current: {}, rounds };
+  setUpSpotShot(engine, roundOrder(round)[0]);
+}
+
+/**
+ * Switch a level match into sudden death. Counts as a shot so replays stay
+ * in step with the shot log.
+ */
+function startSuddenDeath(engine, mode) {
+  if (!SUDDEN_DEATH_MODES.includes(mode)) {
+    return { ok: false, error: `Unknown sudden death mode ${mode}` };
+  }
+  if (engine.state.race?.winner || (engine.state.winner && !engine.state.suddenDeath)) {
+    return { ok: false, error: 'Game over' };
+  }
+
+  if (mode === 'decider') {
+    const result = engine.startDecider();
+    if (!result.ok) return result;
+    engine.state.suddenDeath = { mode, winner: null };
+    return result;
+  }
+
+  engine.state.shotNumber += 1;
+  engine.state.suddenDeath = { mode, round: 1, current: {}, rounds: [], winner: null };
+  setUpSpotShot(engine, roundOrder(1)[0]);
+  return { ok: true, shotResult: null, rulesState: engine.state.rulesState, frames: [] };
+}
+
+function applySpotShot(engine, side, shot, options = {}) {
+  if (!isSpotShootout(engine)) {
+    return { ok: false, error: 'No spot shot to take' };
+  }
+
+  const applied = engine.applyShot(side, shot, options);
+  if (!applied.ok) return applied;
+
+  const shotResult = applied.shotResult;
+  const potted = shotResult.pocketed.includes(SPOT_BALL_ID) && !shotResult.cueScratch;
+  recordSpotShot(engine, side, potted);
+  return { ...applied, rulesState: engine.state.rulesState, potted };
+}
+
+// A spot shot not taken before the clock runs out counts as a miss
+function applySpotTimeFoul(engine, side) {
+  if (!isSpotShootout(engine)) {
+    return { ok: false, error: 'No spot shot to take' };
+  }
+  if (engine.state.turn !== side) {
+    return { ok: false, error: 'Not your turn' };
+  }
+
+  engine.state.shotNumber += 1;
+  recordSpotShot(engine, side, false);
+  return { ok: true, shotResult: null, rulesState: engine.state.rulesState, frames: [], potted: false };
+}
+
+module.exports = {
+  SUDDEN_DEATH_MODES,
+  isSpotShootout,
+  startSuddenDeath,
+  applySpotShot,
+  applySpotTimeFoul
+};
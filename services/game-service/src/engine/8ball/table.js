@@ -52,22 +52,27 @@ function createTableGeometry({ adjustmentScale, ballRadius, pocketRadius }) {
   addLine('CD', new Vector2D(-4 * n, -25 * n), new Vector2D(-2 * n, -29 * n));
   addLine('EF', new Vector2D(2 * n, -29 * n), new Vector2D(4 * n, -25 * n));
   line = addLine('FG', new Vector2D(4 * n, -25 * n), new Vector2D(46 * n, -25 * n));
+  addVertex('F', line.p1);
   addVertex('G', line.p2);
   addLine('GH', new Vector2D(46 * n, -25 * n), new Vector2D(50 * n, -29 * n));
   addLine('IJ', new Vector2D(54 * n, -25 * n), new Vector2D(50 * n, -21 * n));
   line = addLine('JK', new Vector2D(50 * n, -21 * n), new Vector2D(50 * n, 21 * n));
+  addVertex('J', line.p1);
   addVertex('K', line.p2);
   addLine('KL', new Vector2D(50 * n, 21 * n), new Vector2D(54 * n, 25 * n));
   addLine('MN', new Vector2D(50 * n, 29 * n), new Vector2D(46 * n, 25 * n));
   line = addLine('NO', new Vector2D(46 * n, 25 * n), new Vector2D(4 * n, 25 * n));
+  addVertex('N', line.p1);
   addVertex('O', line.p2);
   addLine('OP', new Vector2D(4 * n, 25 * n), new Vector2D(2 * n, 29 * n));
   addLine('QR', new Vector2D(-2 * n, 29 * n), new Vector2D(-4 * n, 25 * n));
   line = addLine('RS', new Vector2D(-4 * n, 25 * n), new Vector2D(-46 * n, 25 * n));
+  addVertex('R', line.p1);
   addVertex('S', line.p2);
   addLine('ST', new Vector2D(-46 * n, 25 * n), new Vector2D(-50 * n, 29 * n));
   addLine('UV', new Vector2D(-54 * n, 25 * n), new Vector2D(-50 * n, 21 * n));
   line = addLine('VW', new Vector2D(-50 * n, 21 * n), new Vector2D(-50 * n, -21 * n));
+  addVertex('V', line.p1);
   addVertex('W', line.p2);
   addLine('WX', new Vector2D(-50 * n, -21 * n), new Vector2D(-54 * n, -25 * n));
 
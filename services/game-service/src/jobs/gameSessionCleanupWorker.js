@@ -1,17 +1,174 @@
-const { createWorkerWithDlq } = require('../../../../shared/config/redis');
+const { createQueue, createWorkerWithDlq } = require('../../../../shared/config/redis');
 const { QueueNames } = require('../../../../shared/constants/queueNames');
+const { publishEvent, Topics } = require('../../../../shared/events');
+const { prisma } = require('../config/db');
 const logger = require('../utils/logger');
+const { completeGameSession, releaseSessionState } = require('../controllers/gameSocketController');
 
-function startGameSessionCleanupWorker() {
+const STALE_SESSION_MINUTES = Number(process.env.GAME_SESSION_STALE_MINUTES || 30);
+const SWEEP_INTERVAL_MS = Number(process.env.GAME_SESSION_SWEEP_INTERVAL_MS || 5 * 60 * 1000);
+const SWEEP_BATCH_SIZE = Number(process.env.GAME_SESSION_SWEEP_BATCH_SIZE || 50);
+const STALE_STATUSES = ['pending', 'active'];
+
+function parseMetadata(value) {
+  if (!value) return {};
+  if (typeof value === 'string') {
+    try {
+      return JSON.parse(value);
+    } catch (err) {
+      return {};
+    }
+  }
+  return typeof value === 'object' ? value : {};
+}
+
+// Tell every replica to drop its cached engine and timers for the session
+function releaseEverywhere(io, sessionId) {
+  if (!io) return;
+  try {
+    io.serverSideEmit('game:release-session', sessionId);
+  } catch (err) {
+    // The in-memory adapter has no other replicas to notify
+  }
+}
+
+async function cleanupSession(io, sessionId) {
+  await releaseSessionState(sessionId);
+  releaseEverywhere(io, sessionId);
+}
+
+/**
+ * One player still connected means the other walked away: forfeit to the one
+ * who stayed so the prize flow runs. Anything else has no fair winner and is
+ * cancelled.
+ */
+function resolveStaleOutcome(session) {
+  const player1Connected = Boolean(session.player1Connected);
+  const player2Connected = Boolean(session.player2Connected);
+  if (player1Connected === player2Connected) {
+    return { type: 'cancel' };
+  }
+  return player1Connected
+    ? { type: 'forfeit', winnerId: session.player1Id, forfeitedBy: session.player2Id }
+    : { type: 'forfeit', winnerId: session.player2Id, forfeitedBy: session.player1Id };
+}
+
+async function forfeitStaleSession(io, session, outcome) {
+  // Skip if a player or another replica resolved it since the scan
+  const current = await prisma.gameSession.findUnique({ where: { sessionId: session.sessionId } });
+  if (!current || !STALE_STATUSES.includes(current.status)) return false;
+
+  await completeGameSession({
+    io,
+    sessionId: session.sessionId,
+    winnerId: outcome.winnerId,
+    metadata: {
+      reason: 'forfeit',
+      resolution: 'stale_session',
+      forfeitedBy: outcome.forfeitedBy
+    }
+  });
+  io?.to(`game:${session.sessionId}`).emit('match:forfeit', {
+    sessionId: session.sessionId,
+    forfeitedBy: outcome.forfeitedBy,
+    winnerId: outcome.winnerId,
+    reason: 'inactive'
+  });
+  return true;
+}
+
+async function cancelStaleSession(io, session) {
+  const metadata = parseMetadata(session.metadata);
+  const cancelledAt = new Date();
+  const cancelled = await prisma.gameSession.updateMany({
+    where: { sessionId: session.sessionId, status: { in: STALE_STATUSES } },
+    data: {
+      status: 'cancelled',
+      endedAt: cancelledAt,
+      metadata: { ...metadata, cancelReason: 'stale_session' }
+    }
+  });
+  if (cancelled.count === 0) return false;
+
+  io?.to(`game:${session.sessionId}`).emit('game:cancelled', {
+    sessionId: session.sessionId,
+    reason: 'stale_session'
+  });
+
+  await publishEvent(Topics.GAME_SESSION_CANCELLED, {
+    sessionId: session.sessionId,
+    matchId: metadata.matchId || null,
+    tournamentId: metadata.tournamentId || null,
+    seasonId: metadata.seasonId || null,
+    player1Id: session.player1Id,
+    player2Id: session.player2Id,
+    reason: 'stale_session',
+    cancelledAt: cancelledAt.toISOString()
+  });
+  return true;
+}
+
+async function expireStaleSessions(io) {
+  const cutoff = new Date(Date.now() - STALE_SESSION_MINUTES * 60 * 1000);
+  const sessions = await prisma.gameSession.findMany({
+    where: {
+      status: { in: STALE_STATUSES },
+      OR: [
+        { lastActivityAt: { lt: cutoff } },
+        { lastActivityAt: null, createdAt: { lt: cutoff } }
+      ]
+    },
+    orderBy: { createdAt: 'asc' },
+    take: SWEEP_BATCH_SIZE
+  });
+
+  let expired = 0;
+  for (const session of sessions) {
+    // Disconnect grace already owns the outcome of a paused match, and an
+    // admin decides a tiebreak parked for review
+    const metadata = parseMetadata(session.metadata);
+    if (metadata.pausedAt || metadata.tiebreakReview) continue;
+
+    const outcome = resolveStaleOutcome(session);
+    try {
+      const resolved = outcome.type === 'forfeit'
+        ? await forfeitStaleSession(io, session, outcome)
+        : await cancelStaleSession(io, session);
+      if (!resolved) continue;
+      await cleanupSession(io, session.sessionId);
+      expired += 1;
+      logger.info(
+        { sessionId: session.sessionId, status: session.status, outcome: outcome.type, winnerId: outcome.winnerId || null },
+        '[game-session-cleanup] Expired stale session'
+      );
+    } catch (err) {
+      logger.error({ err, sessionId: session.sessionId }, '[game-session-cleanup] Failed to expire stale session');
+    }
+  }
+
+  return { scanned: sessions.length, expired };
+}
+
+function startGameSessionCleanupWorker(io) {
   const deadLetterQueueName = QueueNames.GAME_SESSION_CLEANUP + '-dlq';
   const concurrency = Number(process.env.GAME_SESSION_CLEANUP_CONCURRENCY || 5);
 
   const worker = createWorkerWithDlq(
     QueueNames.GAME_SESSION_CLEANUP,
     async (job) => {
+      if (job.name === 'expire-stale-sessions') {
+        const summary = await expireStaleSessions(io);
+        if (summary.expired > 0) {
+          logger.info({ jobId: job.id, ...summary }, '[game-session-cleanup] Stale session sweep finished');
+        }
+        return summary;
+      }
+
       const { sessionId } = job.data || {};
+      if (!sessionId) return null;
       logger.info({ jobId: job.id, sessionId }, '[game-session-cleanup] Cleaning up game session');
-      // Implement actual cleanup logic here (expire sessions, free tables, etc.)
+      await cleanupSession(io, sessionId);
+      return { sessionId };
     },
     { concurrency, deadLetterQueueName }
   );
@@ -20,9 +177,22 @@ function startGameSessionCleanupWorker() {
     logger.error({ jobId: job && job.id, err }, '[game-session-cleanup] Job failed');
   });
 
+  // A single repeatable job shared by all replicas, so only one sweeps at a time
+  createQueue(QueueNames.GAME_SESSION_CLEANUP)
+    .add('expire-stale-sessions', {}, {
+      jobId: 'game-session-cleanup:expire-stale-sessions',
+      repeat: { every: SWEEP_INTERVAL_MS },
+      removeOnComplete: true,
+      removeOnFail: 100
+    })
+    .catch((err) => {
+      logger.error({ err }, '[game-session-cleanup] Failed to schedule stale session sweep');
+    });
+
   return worker;
 }
 
 module.exports = {
+  expireStaleSessions,
   startGameSessionCleanupWorker
-};
\ No newline at end of file
+};
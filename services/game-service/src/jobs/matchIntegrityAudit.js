@@ -0,0 +1,273 @@
+const { prisma } = require('../config/db');
+const logger = require('../utils/logger');
+const { publishEvent, Topics } = require('../../../../shared/events');
+const { replayMatch } = require('../engine/8ball');
+const { resolveReplaySeed, resolveEngineOptions } = require('../utils/sessionReplay');
+
+const AUDIT_INTERVAL_MS = Number(process.env.MATCH_AUDIT_INTERVAL_MS || 60000);
+const AUDIT_BATCH_SIZE = Number(process.env.MATCH_AUDIT_BATCH_SIZE || 20);
+// A claim older than this belongs to an instance that died mid-audit
+const AUDIT_CLAIM_TIMEOUT_MS = Number(process.env.MATCH_AUDIT_CLAIM_TIMEOUT_MS || 10 * 60 * 1000);
+
+let auditInterval = null;
+let auditRunning = false;
+
+function parseJson(value) {
+  if (!value) return {};
+  if (typeof value === 'string') {
+    try {
+      return JSON.parse(value);
+    } catch (err) {
+      return {};
+    }
+  }
+  return typeof value === 'object' ? value : {};
+}
+
+function findShotLogGap(shots) {
+  for (let i = 0; i < shots.length; i += 1) {
+    if (shots[i].shotNumber !== i + 1) {
+      return { shotNumber: i + 1, found: shots[i].shotNumber };
+    }
+  }
+  return null;
+}
+
+/**
+ * Replay a completed session from its rack seed and recorded shots and compare
+ * the engine state hash after every shot with the one stored at play time.
+ * Returns { status: 'passed' | 'flagged' | 'skipped', ... } without side effects.
+ */
+async function auditSession(session) {
+  const seed = resolveReplaySeed(session);
+  if (seed === null) {
+    return { status: 'skipped', reason: 'missing_seed' };
+  }
+
+  const shots = await prisma.gameSessionShot.findMany({
+    where: { sessionId: session.sessionId },
+    orderBy: { shotNumber: 'asc' }
+  });
+  if (shots.length === 0) {
+    return { status: 'skipped', reason: 'no_shots' };
+  }
+  if (!shots.some((shot) => shot.stateHash)) {
+    return { status: 'skipped', reason: 'no_state_hashes' };
+  }
+
+  const gap = findShotLogGap(shots);
+  if (gap) {
+    return { status: 'flagged', reason: 'shot_log_gap', shotNumber: gap.shotNumber, shotCount: shots.length };
+  }
+
+  const replay = replayMatch({ seed, shots, engineOptions: resolveEngineOptions(session) });
+  for (const step of replay.steps) {
+    if (!step.ok) {
+      return {
+        status: 'flagged',
+        reason: 'shot_rejected_on_replay',
+        shotNumber: step.shotNumber,
+        error: step.error,
+        shotCount: shots.length
+      };
+    }
+    const stored = shots[step.index].stateHash;
+    if (stored && stored !== step.stateHash) {
+      return {
+        status: 'flagged',
+        reason: 'state_hash_mismatch',
+        shotNumber: step.shotNumber,
+        expectedHash: stored,
+        replayHash: step.stateHash,
+        shotCount: shots.length
+      };
+    }
+  }
+
+  // Timeouts and forfeits legitimately end without a rules winner, so only
+  // compare when the replay itself produced one.
+  const replayWinnerKey = replay.engine.state.winner;
+  const recordedWinnerId = parseJson(session.result).winnerId || null;
+  if (replayWinnerKey && recordedWinnerId) {
+    const replayWinnerId = replayWinnerKey === 'p1' ? session.player1Id : session.player2Id;
+    if (replayWinnerId !== recordedWinnerId) {
+      return {
+        status: 'flagged',
+        reason: 'winner_mismatch',
+        replayWinnerId,
+        recordedWinnerId,
+        shotCount: shots.length
+      };
+    }
+  }
+
+  return { status: 'passed', shotCount: shots.length };
+}
+
+async function flagSession(session, result) {
+  const metadata = parseJson(session.metadata);
+  const matchId = metadata.matchId || null;
+
+  logger.warn(
+    { sessionId: session.sessionId, matchId, reason: result.reason, shotNumber: result.shotNumber },
+    '[match-audit] Session failed integrity audit'
+  );
+
+  await publishEvent(Topics.MATCH_INTEGRITY_FLAGGED, {
+    sessionId: session.sessionId,
+    matchId,
+    tournamentId: metadata.tournamentId || null,
+    seasonId: metadata.seasonId || null,
+    player1Id: session.player1Id,
+    player2Id: session.player2Id,
+    recordedWinnerId: parseJson(session.result).winnerId || null,
+    reason: result.reason,
+    details: result,
+    detectedAt: new Date().toISOString()
+  });
+}
+
+// Hand sessions whose claim has gone stale back to the queue. While a session
+// is pending, auditedAt holds the time it was claimed.
+async function releaseStaleClaims() {
+  const released = await prisma.gameSession.updateMany({
+    where: {
+      auditStatus: 'pending',
+      OR: [
+        { auditedAt: null },
+        { auditedAt: { lt: new Date(Date.now() - AUDIT_CLAIM_TIMEOUT_MS) } }
+      ]
+    },
+    data: { auditStatus: null, auditedAt: null }
+  });
+  if (released.count > 0) {
+    logger.warn({ count: released.count }, '[match-audit] Released stale audit claims');
+  }
+  return released.count;
+}
+
+async function processSession(session) {
+  // Claim the session so concurrent instances never audit it twice
+  const claimed = await prisma.gameSession.updateMany({
+    where: { sessionId: session.sessionId, auditStatus: null },
+    data: { auditStatus: 'pending', auditedAt: new Date() }
+  });
+  if (claimed.count === 0) return null;
+
+  let result;
+  try {
+    result = await auditSession(session);
+  } catch (err) {
+    logger.error({ err, sessionId: session.sessionId }, '[match-audit] Replay failed');
+    result = { status: 'skipped', reason: 'replay_error', error: err.message };
+  }
+
+  if (result.status === 'flagged') {
+    try {
+      await flagSession(session, result);
+    } catch (err) {
+      // Leave it unaudited so the next run publishes the flag again
+      logger.error({ err, sessionId: session.sessionId }, '[match-audit] Failed to publish integrity flag');
+      await prisma.gameSession.update({
+        where: { sessionId: session.sessionId },
+        data: { auditStatus: null, auditedAt: null }
+      });
+      return result;
+    }
+  }
+
+  await prisma.gameSession.update({
+    where: { sessionId: session.sessionId },
+    data: {
+      auditStatus: result.status,
+      auditResult: result,
+      auditedAt: new Date()
+    }
+  });
+  return result;
+}
+
+async function runAuditBatch() {
+  await releaseStaleClaims();
+  const sessions = await prisma.gameSession.findMany({
+    where: { status: 'completed', auditStatus: null },
+    orderBy: { endedAt: 'asc' },
+    take: AUDIT_BATCH_SIZE
+  });
+
+  for (const session of sessions) {
+    await processSession(session);
+  }
+
+  return sessions.length;
+}
+
+/**
+ * Audit every completed session of a season that has not been audited yet and
+ * report which ones are flagged. Used before releasing a season's prize money,
+ * since the periodic audit may not have reached the final matches. Sessions
+ * another instance is still auditing are reported as pending, and the payout
+ * must wait for them as well.
+ */
+async function auditSeasonSessions(seasonId) {
+  await releaseStaleClaims();
+  const sessions = await prisma.gameSession.findMany({
+    where: {
+      status: 'completed',
+      metadata: { path: ['seasonId'], equals: seasonId }
+    },
+    orderBy: { endedAt: 'asc' }
+  });
+
+  const flagged = [];
+  const pending = [];
+  for (const session of sessions) {
+    let status = session.auditStatus;
+    let reason = parseJson(session.auditResult).reason || null;
+    if (!status) {
+      const result = await processSession(session);
+      status = result?.status || 'pending';
+      reason = result?.reason || null;
+    }
+    if (status === 'pending') {
+      pending.push({ sessionId: session.sessionId, matchId: parseJson(session.metadata).matchId || null });
+    }
+    if (status === 'flagged') {
+      flagged.push({
+        sessionId: session.sessionId,
+        matchId: parseJson(session.metadata).matchId || null,
+        reason
+      });
+    }
+  }
+
+  return { sessionCount: sessions.length, flagged, pending };
+}
+
+function startMatchIntegrityAudit() {
+  if (auditInterval) {
+    clearInterval(auditInterval);
+  }
+
+  auditInterval = setInterval(async () => {
+    if (auditRunning) return;
+    auditRunning = true;
+    try {
+      await runAuditBatch();
+    } catch (err) {
+      logger.error({ err }, '[match-audit] Audit run failed');
+    } finally {
+      auditRunning = false;
+    }
+  }, AUDIT_INTERVAL_MS);
+
+  logger.info({ intervalMs: AUDIT_INTERVAL_MS, batchSize: AUDIT_BATCH_SIZE }, '[match-audit] Integrity audit started');
+  return auditInterval;
+}
+
+module.exports = {
+  auditSession,
+  auditSeasonSessions,
+  runAuditBatch,
+  startMatchIntegrityAudit
+};
@@ -0,0 +1,294 @@
+const axios = require('axios');
+const { prisma } = require('../config/db');
+const logger = require('../utils/logger');
+const { publishEvent, subscribeEvents, Topics } = require('../../../../shared/events');
+const { getServiceToken } = require('../utils/matchmakingSync');
+const { assessPlayerRisk } = require('../utils/playerAnomalySignals');
+
+const PLAYER_SERVICE_URL = process.env.PLAYER_SERVICE_URL || 'http://player-service:3002';
+const AI_PLAYER_ID = process.env.AI_PLAYER_ID || '04a942ce-af5f-4bde-9068-b9e2ee295fbf';
+const DETECTOR_INTERVAL_MS = Number(process.env.PLAYER_ANOMALY_INTERVAL_MS || 5 * 60 * 1000);
+const LOOKBACK_DAYS = Number(process.env.PLAYER_ANOMALY_LOOKBACK_DAYS || 30);
+const SESSIONS_PER_PLAYER = Number(process.env.PLAYER_ANOMALY_SESSIONS_PER_PLAYER || 50);
+const SESSIONS_PER_RUN = Number(process.env.PLAYER_ANOMALY_SESSIONS_PER_RUN || 50);
+const RISK_FLAG_THRESHOLD = Number(process.env.PLAYER_RISK_FLAG_THRESHOLD || 60);
+// A player an admin cleared is only flagged again if their score climbs this
+// far past the score they were cleared at
+const REFLAG_MARGIN = 15;
+const HELD_STATUSES = ['flagged', 'confirmed'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SCAN_ID = 'player-anomaly';
+
+let detectorInterval = null;
+let detectorRunning = false;
+
+function parseJson(value) {
+  if (!value) return {};
+  if (typeof value === 'string') {
+    try {
+      return JSON.parse(value);
+    } catch (err) {
+      return {};
+    }
+  }
+  return typeof value === 'object' ? value : {};
+}
+
+async function fetchPlayerRatings(playerIds) {
+  const serviceToken = getServiceToken();
+  const ratings = new Map();
+  await Promise.all(playerIds.map(async (playerId) => {
+    try {
+      const response = await axios.get(`${PLAYER_SERVICE_URL}/api/players/${playerId}/stats`, {
+        headers: serviceToken ? { Authorization: `Bearer ${serviceToken}` } : {},
+        timeout: 5000
+      });
+      const rating = Number(response.data?.data?.skillRating?.rating);
+      if (Number.isFinite(rating)) ratings.set(playerId, rating);
+    } catch (err) {
+      logger.warn({ err, playerId }, '[player-anomaly] Failed to fetch player rating');
+    }
+  }));
+  return ratings;
+}
+
+async function loadPlayerHistory(playerId) {
+  const sessions = await prisma.gameSession.findMany({
+    where: {
+      status: 'completed',
+      endedAt: { gte: new Date(Date.now() - LOOKBACK_DAYS * DAY_MS) },
+      OR: [{ player1Id: playerId }, { player2Id: playerId }]
+    },
+    orderBy: { endedAt: 'desc' },
+    take: SESSIONS_PER_PLAYER
+  });
+
+  const shots = sessions.length > 0
+    ? await prisma.gameSessionShot.findMany({
+      where: { sessionId: { in: sessions.map((session) => session.sessionId) } },
+      orderBy: [{ sessionId: 'asc' }, { shotNumber: 'asc' }]
+    })
+    : [];
+  const shotsBySession = new Map();
+  shots.forEach((shot) => {
+    if (!shotsBySession.has(shot.sessionId)) shotsBySession.set(shot.sessionId, []);
+    shotsBySession.get(shot.sessionId).push(shot);
+  });
+
+  return {
+    sessions: sessions.map((session) => ({ ...session, result: parseJson(session.result) })),
+    shotsBySession
+  };
+}
+
+function shouldFlag(profile, riskScore) {
+  if (riskScore < RISK_FLAG_THRESHOLD) return false;
+  if (!profile || profile.status === 'clear') return true;
+  if (profile.status === 'cleared') return riskScore >= (profile.flaggedScore || 0) + REFLAG_MARGIN;
+  return false;
+}
+
+async function flagPlayer(assessment, sessions) {
+  const seasonIds = Array.from(new Set(
+    sessions.map((session) => parseJson(session.metadata).seasonId).filter(Boolean)
+  ));
+
+  logger.warn(
+    { playerId: assessment.playerId, riskScore: assessment.riskScore, sessionCount: assessment.sessionCount },
+    '[player-anomaly] Player flagged for integrity review'
+  );
+
+  await publishEvent(Topics.PLAYER_INTEGRITY_FLAGGED, {
+    playerId: assessment.playerId,
+    riskScore: assessment.riskScore,
+    signals: assessment.signals,
+    sessionCount: assessment.sessionCount,
+    shotCount: assessment.shotCount,
+    sessionIds: sessions.map((session) => session.sessionId),
+    seasonIds,
+    detectedAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Re-score one player from their recent sessions, store the result and raise
+ * a flag when the score crosses the threshold. Returns the assessment.
+ */
+async function evaluatePlayer(playerId) {
+  const { sessions, shotsBySession } = await loadPlayerHistory(playerId);
+  const opponentIds = sessions.map((session) => (
+    session.player1Id === playerId ? session.player2Id : session.player1Id
+  ));
+  const ratings = await fetchPlayerRatings(
+    Array.from(new Set([playerId, ...opponentIds])).filter((id) => id && id !== AI_PLAYER_ID)
+  );
+  const assessment = assessPlayerRisk({ playerId, sessions, shotsBySession, ratings });
+
+  const profile = await prisma.playerRiskProfile.findUnique({ where: { playerId } });
+  const data = {
+    riskScore: assessment.riskScore,
+    signals: assessment.signals,
+    sessionCount: assessment.sessionCount,
+    shotCount: assessment.shotCount,
+    evaluatedAt: new Date()
+  };
+
+  if (shouldFlag(profile, assessment.riskScore)) {
+    try {
+      await flagPlayer(assessment, sessions);
+      Object.assign(data, {
+        status: 'flagged',
+        flaggedScore: assessment.riskScore,
+        flaggedAt: new Date(),
+        resolvedAt: null
+      });
+    } catch (err) {
+      // Stay unflagged so the next evaluation publishes the flag again
+      logger.error({ err, playerId }, '[player-anomaly] Failed to publish player flag');
+    }
+  }
+
+  await prisma.playerRiskProfile.upsert({
+    where: { playerId },
+    create: { playerId, ...data },
+    update: data
+  });
+  return assessment;
+}
+
+async function loadScanCursor() {
+  const scan = await prisma.playerAnomalyScan.findUnique({ where: { id: SCAN_ID } });
+  if (scan) return { endedAt: scan.lastEndedAt, sessionId: scan.lastSessionId };
+  return { endedAt: new Date(Date.now() - LOOKBACK_DAYS * DAY_MS), sessionId: null };
+}
+
+async function saveScanCursor(session) {
+  const data = { lastEndedAt: session.endedAt, lastSessionId: session.sessionId };
+  await prisma.playerAnomalyScan.upsert({
+    where: { id: SCAN_ID },
+    create: { id: SCAN_ID, ...data },
+    update: data
+  });
+}
+
+/**
+ * Re-score everyone in the next sessions finished since the last run. The
+ * cursor is the last scanned session, stored so a restart resumes after it;
+ * sessions sharing an end time are ordered by id so none are skipped.
+ */
+async function runDetectorBatch() {
+  const cursor = await loadScanCursor();
+  const after = cursor.sessionId
+    ? [{ endedAt: { gt: cursor.endedAt } }, { endedAt: cursor.endedAt, sessionId: { gt: cursor.sessionId } }]
+    : [{ endedAt: { gte: cursor.endedAt } }];
+
+  const sessions = await prisma.gameSession.findMany({
+    where: { status: 'completed', OR: after },
+    orderBy: [{ endedAt: 'asc' }, { sessionId: 'asc' }],
+    select: { sessionId: true, player1Id: true, player2Id: true, endedAt: true },
+    take: SESSIONS_PER_RUN
+  });
+  if (sessions.length === 0) return 0;
+
+  const playerIds = new Set();
+  sessions.forEach((session) => {
+    [session.player1Id, session.player2Id].forEach((id) => {
+      if (id && id !== AI_PLAYER_ID) playerIds.add(id);
+    });
+  });
+
+  for (const playerId of playerIds) {
+    try {
+      await evaluatePlayer(playerId);
+    } catch (err) {
+      logger.error({ err, playerId }, '[player-anomaly] Player evaluation failed');
+    }
+  }
+
+  await saveScanCursor(sessions[sessions.length - 1]);
+  return playerIds.size;
+}
+
+function isHeld(profile) {
+  return Boolean(profile && HELD_STATUSES.includes(profile.status));
+}
+
+/**
+ * Players from a season's sessions whose winnings must be held because they
+ * are flagged or confirmed. Used alongside the session audit before a season
+ * pays out.
+ */
+async function findHeldSeasonPlayers(seasonId) {
+  const sessions = await prisma.gameSession.findMany({
+    where: { metadata: { path: ['seasonId'], equals: seasonId } },
+    select: { player1Id: true, player2Id: true }
+  });
+  const playerIds = Array.from(new Set(sessions.flatMap((session) => [session.player1Id, session.player2Id])));
+  if (playerIds.length === 0) return [];
+
+  const profiles = await prisma.playerRiskProfile.findMany({
+    where: { playerId: { in: playerIds }, status: { in: HELD_STATUSES } }
+  });
+  return profiles.map((profile) => ({
+    playerId: profile.playerId,
+    riskScore: profile.riskScore,
+    status: profile.status,
+    flaggedAt: profile.flaggedAt
+  }));
+}
+
+async function handlePlayerIntegrityResolved(payload) {
+  const { playerId, resolution } = payload || {};
+  if (!playerId) return;
+
+  await prisma.playerRiskProfile.updateMany({
+    where: { playerId, status: 'flagged' },
+    data: {
+      status: resolution === 'cleared' ? 'cleared' : 'confirmed',
+      resolvedAt: payload.resolvedAt ? new Date(payload.resolvedAt) : new Date()
+    }
+  });
+  logger.info({ playerId, resolution }, '[player-anomaly] Player review resolved');
+}
+
+function startPlayerAnomalyDetector() {
+  if (detectorInterval) {
+    clearInterval(detectorInterval);
+  }
+
+  detectorInterval = setInterval(async () => {
+    if (detectorRunning) return;
+    detectorRunning = true;
+    try {
+      await runDetectorBatch();
+    } catch (err) {
+      logger.error({ err }, '[player-anomaly] Detector run failed');
+    } finally {
+      detectorRunning = false;
+    }
+  }, DETECTOR_INTERVAL_MS);
+
+  subscribeEvents('game-service-player-integrity', [Topics.PLAYER_INTEGRITY_RESOLVED], async (_topic, payload) => {
+    try {
+      await handlePlayerIntegrityResolved(payload);
+    } catch (err) {
+      logger.error({ err, payload }, '[player-anomaly] Failed to handle PLAYER_INTEGRITY_RESOLVED');
+    }
+  }).catch((err) => {
+    logger.error({ err }, '[player-anomaly] Failed to subscribe to review resolutions');
+  });
+
+  logger.info(
+    { intervalMs: DETECTOR_INTERVAL_MS, threshold: RISK_FLAG_THRESHOLD },
+    '[player-anomaly] Cross-match anomaly detector started'
+  );
+  return detectorInterval;
+}
+
+module.exports = {
+  evaluatePlayer,
+  findHeldSeasonPlayers,
+  isHeld,
+  runDetectorBatch,
+  startPlayerAnomalyDetector
+};
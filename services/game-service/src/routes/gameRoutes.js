@@ -2,12 +2,18 @@ const express = require('express');
 const router = express.Router();
 
 const gameController = require('../controllers/gameController');
+const serviceAuth = require('../middlewares/serviceAuth');
 
 // Game session routes - only multiplayer now (single device club-based)
 router.post('/sessions', gameController.createSession);
 router.post('/sessions/multiplayer', gameController.createSession);
 router.get('/sessions', gameController.listSessions);
+router.post('/sessions/audit', serviceAuth, gameController.auditSeasonSessions);
 router.get('/sessions/:sessionId', gameController.getSession);
+router.get('/sessions/:sessionId/replay', gameController.getSessionReplay);
+router.get('/sessions/:sessionId/rack-proof', gameController.getRackProof);
+router.post('/rack/verify', gameController.verifyRack);
+router.get('/players/:playerId/risk', serviceAuth, gameController.getPlayerRisk);
 router.post('/sessions/:sessionId/metadata', gameController.updateSessionMetadata);
 router.post('/sessions/:sessionId/start', gameController.startSession);
 router.post('/sessions/:sessionId/complete', gameController.completeSession);
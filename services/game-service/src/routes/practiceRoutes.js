@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+
+const { authMiddleware } = require('../../../../shared/middlewares/authMiddleware');
+const practiceController = require('../controllers/practiceController');
+
+const ADMIN_ROLES = ['admin', 'super_admin', 'superuser', 'superadmin', 'manager', 'director', 'staff'];
+
+const requireAnyRole = (roles = []) => (req, res, next) => {
+  const userRole = String(req.user?.role || '').toLowerCase();
+  if (!userRole) {
+    return res.status(401).json({ success: false, error: 'Unauthorized' });
+  }
+  const allowed = new Set(roles.map((role) => String(role).toLowerCase()));
+  if (!allowed.has(userRole)) {
+    return res.status(403).json({ success: false, error: 'Forbidden' });
+  }
+  next();
+};
+
+// Drills, puzzles and break practice
+router.get('/drills', authMiddleware, practiceController.listDrills);
+router.get('/drills/:drillId', authMiddleware, practiceController.getDrill);
+router.get('/drills/:drillId/leaderboard', authMiddleware, practiceController.getDrillLeaderboard);
+router.post('/drills', authMiddleware, requireAnyRole(ADMIN_ROLES), practiceController.createDrill);
+router.put('/drills/:drillId', authMiddleware, requireAnyRole(ADMIN_ROLES), practiceController.updateDrill);
+
+// Solo practice attempts for the signed-in player
+router.post('/sessions', authMiddleware, practiceController.startPractice);
+router.get('/sessions/:sessionId', authMiddleware, practiceController.getPractice);
+router.post('/sessions/:sessionId/shots', authMiddleware, practiceController.takeShot);
+router.post('/sessions/:sessionId/abandon', authMiddleware, practiceController.abandonPractice);
+router.get('/bests', authMiddleware, practiceController.getMyBests);
+
+module.exports = router;
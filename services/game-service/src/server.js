@@ -2,12 +2,17 @@ require('dotenv').config();
 const express = require('express');
 const { createServer } = require('http');
 const { Server } = require('socket.io');
+const { createAdapter } = require('@socket.io/redis-adapter');
 const cors = require('cors');
 const helmet = require('helmet');
 
 const gameRoutes = require('./routes/gameRoutes');
+const practiceRoutes = require('./routes/practiceRoutes');
 const logger = require('./utils/logger');
+const { GAME_STATE_REDIS_ENABLED, createRedisClient } = require('./config/redis');
 const { startGameSessionCleanupWorker } = require('./jobs/gameSessionCleanupWorker');
+const { startMatchIntegrityAudit } = require('./jobs/matchIntegrityAudit');
+const { startPlayerAnomalyDetector } = require('./jobs/playerAnomalyDetector');
 const { setupGameSocketHandlers, startTimeoutChecker } = require('./controllers/gameSocketController');
 const { initializeAuthoritativeSocket } = require('./controllers/authoritativeSocketController');
 
@@ -33,6 +38,7 @@ app.use(
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+app.use('/practice', practiceRoutes);
 app.use('/', gameRoutes);
 
 app.get('/health', (req, res) => {
@@ -70,6 +76,14 @@ const io = new Server(httpServer, {
   transports: ['websocket', 'polling']
 });
 
+// Share rooms and broadcasts across replicas
+if (GAME_STATE_REDIS_ENABLED) {
+  io.adapter(createAdapter(createRedisClient('io-pub'), createRedisClient('io-sub')));
+  logger.info('Socket.IO Redis adapter enabled');
+} else {
+  logger.warn('Socket.IO running without Redis adapter; game-service must run as a single instance');
+}
+
 // Setup game socket handlers
 setupGameSocketHandlers(io);
 
@@ -93,7 +107,7 @@ if (process.env.DISABLE_GAME_SESSION_CLEANUP === 'true') {
   logger.warn('Game session cleanup worker disabled via DISABLE_GAME_SESSION_CLEANUP');
 } else {
   try {
-    startGameSessionCleanupWorker();
+    startGameSessionCleanupWorker(io);
   } catch (error) {
     if (error.message.includes('bullmq') || error.message.includes('Redis')) {
       logger.warn('Redis/BullMQ not available, running without background workers');
@@ -103,4 +117,24 @@ if (process.env.DISABLE_GAME_SESSION_CLEANUP === 'true') {
   }
 }
 
+if (process.env.DISABLE_MATCH_AUDIT === 'true') {
+  logger.warn('Match integrity audit disabled via DISABLE_MATCH_AUDIT');
+} else {
+  startMatchIntegrityAudit();
+}
+
+if (process.env.DISABLE_PLAYER_ANOMALY_DETECTOR === 'true') {
+  logger.warn('Player anomaly detector disabled via DISABLE_PLAYER_ANOMALY_DETECTOR');
+} else {
+  startPlayerAnomalyDetector();
+}
+
+// Close sockets with a server-side reason so players reconnect to another
+// replica instead of entering the disconnect forfeit countdown
+process.on('SIGTERM', () => {
+  logger.info('SIGTERM received, closing Socket.IO server');
+  io.close(() => process.exit(0));
+  setTimeout(() => process.exit(0), 10000).unref();
+});
+
 module.exports = { app, io };
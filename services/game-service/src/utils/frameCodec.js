@@ -0,0 +1,102 @@
+// Compact wire format for shot animations. Instead of a full game state per
+// frame, a shot goes out as one message: a keyframe with every ball, then per
+// frame only the balls that moved, as quantized position deltas and
+// velocities, plus collision/cushion/pocket markers the client can snap to
+// while it interpolates between frames.
+const DELTA_FRAME_FORMAT = 'delta-v1';
+const FULL_FRAME_FORMAT = 'full';
+const POSITION_SCALE = 10; // tenths of a client table unit
+const VELOCITY_SCALE = 10;
+const EVENT_CODES = { collision: 'c', cushion: 'r', pocket: 'p' };
+
+// Clients that don't ask for the delta format keep getting full frames
+function negotiateFrameFormat(requested) {
+  const formats = Array.isArray(requested) ? requested : [requested];
+  return formats.includes(DELTA_FRAME_FORMAT) ? DELTA_FRAME_FORMAT : FULL_FRAME_FORMAT;
+}
+
+function quantize(value, scale) {
+  const number = Number(value);
+  return Number.isFinite(number) ? Math.round(number * scale) : 0;
+}
+
+function readVector(vector) {
+  return {
+    x: vector?.x ?? vector?.xValue ?? 0,
+    y: vector?.y ?? vector?.yValue ?? 0
+  };
+}
+
+function quantizeBalls(snapshot, mapPosition, mapVelocity) {
+  const balls = new Map();
+  (snapshot?.state?.balls || []).filter(Boolean).forEach((ball) => {
+    const pos = mapPosition(readVector(ball.position));
+    const vel = mapVelocity(readVector(ball.velocity));
+    balls.set(ball.id, [
+      quantize(pos?.x, POSITION_SCALE),
+      quantize(pos?.y, POSITION_SCALE),
+      quantize(vel?.x, VELOCITY_SCALE),
+      quantize(vel?.y, VELOCITY_SCALE),
+      ball.active === 1 ? 1 : 0
+    ]);
+  });
+  return balls;
+}
+
+/**
+ * Encode the captured frames of one shot.
+ *
+ * key: [id, x, y, vx, vy, active] for every ball in the first frame.
+ * frames: one list per later frame of [id, dx, dy, vx, vy] for each ball
+ *   that changed, with a sixth element for the new active flag when it flipped.
+ * events: [frame, code, ball, target], where frame is the fractional frame
+ *   index the contact happened at.
+ */
+function encodeShotFrames(frames, { events = [], stride = 1, mapPosition, mapVelocity }) {
+  if (!Array.isArray(frames) || frames.length === 0) return null;
+
+  const quantized = frames.map((frame) => quantizeBalls(frame, mapPosition, mapVelocity));
+  const key = Array.from(quantized[0].entries()).map(([id, ball]) => [id, ...ball]);
+  const deltas = [];
+  for (let i = 1; i < quantized.length; i += 1) {
+    const previous = quantized[i - 1];
+    const changed = [];
+    quantized[i].forEach((ball, id) => {
+      const before = previous.get(id) || [ball[0], ball[1], 0, 0, ball[4]];
+      const dx = ball[0] - before[0];
+      const dy = ball[1] - before[1];
+      const activeChanged = ball[4] !== before[4];
+      if (!dx && !dy && ball[2] === before[2] && ball[3] === before[3] && !activeChanged) return;
+      const entry = [id, dx, dy, ball[2], ball[3]];
+      if (activeChanged) entry.push(ball[4]);
+      changed.push(entry);
+    });
+    deltas.push(changed);
+  }
+
+  // Frame i was captured at physics step (i + 1) * stride
+  const lastFrame = frames.length - 1;
+  const encodedEvents = events
+    .filter((event) => EVENT_CODES[event.type])
+    .map((event) => {
+      const at = Math.min(lastFrame, Math.max(0, event.step / stride - 1));
+      return [Math.round(at * 100) / 100, EVENT_CODES[event.type], event.ball, event.target ?? null];
+    });
+
+  return {
+    format: DELTA_FRAME_FORMAT,
+    positionScale: POSITION_SCALE,
+    velocityScale: VELOCITY_SCALE,
+    frameCount: frames.length,
+    key,
+    frames: deltas,
+    events: encodedEvents
+  };
+}
+
+module.exports = {
+  DELTA_FRAME_FORMAT,
+  FULL_FRAME_FORMAT,
+  negotiateFrameFormat,
+  encodeShotFrames
+};
@@ -0,0 +1,227 @@
+const { getRedisClient } = require('../config/redis');
+const logger = require('./logger');
+
+// Live match state shared by every game-service replica. Each call falls back to
+// this instance's memory when Redis is disabled or unreachable, so a single
+// instance keeps working through a Redis outage.
+const STATE_TTL_SECONDS = Number(process.env.GAME_STATE_TTL_SECONDS || 6 * 60 * 60);
+const KEY_PREFIX = 'game-service';
+const INSTANCE_ID = process.env.INSTANCE_ID || process.env.HOSTNAME || 'unknown';
+
+const localSnapshots = new Map(); // `${kind}:${id}` -> { revision, snapshot }
+const localHashes = new Map(); // key -> object
+const localSets = new Map(); // key -> Set
+const localValues = new Map(); // key -> string
+
+function key(...parts) {
+  return [KEY_PREFIX, ...parts].join(':');
+}
+
+async function withRedis(operation, fallback) {
+  const client = getRedisClient();
+  if (!client) return fallback();
+  try {
+    return await operation(client);
+  } catch (err) {
+    logger.error('[game-state] Redis command failed, using local state', { err: err.message });
+    return fallback();
+  }
+}
+
+/**
+ * Store an engine snapshot. `revision` identifies the position (shot number and
+ * state hash) so replicas can tell whether their cached engine is current.
+ */
+async function saveSnapshot(kind, id, snapshot, revision) {
+  const entry = { revision, snapshot, savedAt: new Date().toISOString() };
+  return withRedis(
+    (client) => client.set(key(kind, id, 'snapshot'), JSON.stringify(entry), 'EX', STATE_TTL_SECONDS),
+    () => localSnapshots.set(`${kind}:${id}`, entry)
+  );
+}
+
+async function loadSnapshot(kind, id) {
+  return withRedis(
+    async (client) => {
+      const raw = await client.get(key(kind, id, 'snapshot'));
+      return raw ? JSON.parse(raw) : null;
+    },
+    () => localSnapshots.get(`${kind}:${id}`) || null
+  );
+}
+
+async function deleteSnapshot(kind, id) {
+  localSnapshots.delete(`${kind}:${id}`);
+  return withRedis((client) => client.del(key(kind, id, 'snapshot')), () => 0);
+}
+
+/**
+ * Which socket holds each seat of a session and whether it is connected.
+ * Values are JSON encoded so booleans and nulls survive the Redis hash.
+ */
+async function getSessionConnections(sessionId) {
+  const hashKey = key('session', sessionId, 'connections');
+  return withRedis(
+    async (client) => {
+      const raw = await client.hgetall(hashKey);
+      if (!raw || Object.keys(raw).length === 0) return null;
+      return Object.fromEntries(Object.entries(raw).map(([field, value]) => [field, JSON.parse(value)]));
+    },
+    () => localHashes.get(hashKey) || null
+  );
+}
+
+async function updateSessionConnections(sessionId, patch) {
+  const hashKey = key('session', sessionId, 'connections');
+  const encoded = Object.fromEntries(
+    Object.entries(patch).map(([field, value]) => [field, JSON.stringify(value ?? null)])
+  );
+  await withRedis(
+    (client) => client.multi().hset(hashKey, encoded).expire(hashKey, STATE_TTL_SECONDS).exec(),
+    () => localHashes.set(hashKey, { ...(localHashes.get(hashKey) || {}), ...patch })
+  );
+  return getSessionConnections(sessionId);
+}
+
+async function clearSessionConnections(sessionId) {
+  const hashKey = key('session', sessionId, 'connections');
+  localHashes.delete(hashKey);
+  return withRedis((client) => client.del(hashKey), () => 0);
+}
+
+async function setPlayerSession(playerId, sessionId) {
+  const valueKey = key('player', playerId, 'session');
+  return withRedis(
+    (client) => client.set(valueKey, sessionId, 'EX', STATE_TTL_SECONDS),
+    () => localValues.set(valueKey, sessionId)
+  );
+}
+
+async function getPlayerSession(playerId) {
+  const valueKey = key('player', playerId, 'session');
+  return withRedis((client) => client.get(valueKey), () => localValues.get(valueKey) || null);
+}
+
+async function clearPlayerSession(playerId) {
+  const valueKey = key('player', playerId, 'session');
+  localValues.delete(valueKey);
+  return withRedis((client) => client.del(valueKey), () => 0);
+}
+
+async function setSocketMatch(socketId, matchId) {
+  const valueKey = key('socket', socketId, 'match');
+  return withRedis(
+    (client) => client.set(valueKey, matchId, 'EX', STATE_TTL_SECONDS),
+    () => localValues.set(valueKey, matchId)
+  );
+}
+
+async function getSocketMatch(socketId) {
+  const valueKey = key('socket', socketId, 'match');
+  return withRedis((client) => client.get(valueKey), () => localValues.get(valueKey) || null);
+}
+
+async function clearSocketMatch(socketId) {
+  const valueKey = key('socket', socketId, 'match');
+  localValues.delete(valueKey);
+  return withRedis((client) => client.del(valueKey), () => 0);
+}
+
+async function addMatchSocket(matchId, socketId) {
+  const setKey = key('match', matchId, 'sockets');
+  return withRedis(
+    (client) => client.multi().sadd(setKey, socketId).expire(setKey, STATE_TTL_SECONDS).exec(),
+    () => {
+      if (!localSets.has(setKey)) localSets.set(setKey, new Set());
+      localSets.get(setKey).add(socketId);
+    }
+  );
+}
+
+/**
+ * Remove a socket from a match and return how many sockets remain on any instance.
+ */
+async function removeMatchSocket(matchId, socketId) {
+  const setKey = key('match', matchId, 'sockets');
+  return withRedis(
+    async (client) => {
+      const [, [, remaining]] = await client.multi().srem(setKey, socketId).scard(setKey).exec();
+      return remaining;
+    },
+    () => {
+      localSets.get(setKey)?.delete(socketId);
+      return localSets.get(setKey)?.size || 0;
+    }
+  );
+}
+
+async function countMatchSockets(matchId) {
+  const setKey = key('match', matchId, 'sockets');
+  return withRedis((client) => client.scard(setKey), () => localSets.get(setKey)?.size || 0);
+}
+
+async function clearMatchSockets(matchId) {
+  const setKey = key('match', matchId, 'sockets');
+  localSets.delete(setKey);
+  return withRedis((client) => client.del(setKey), () => 0);
+}
+
+/**
+ * The running shot clock of a session: whose turn, at which shot, and its
+ * deadline (epoch ms) or, while paused, the time it has left. Any replica can
+ * take the clock over from here after a restart or a reconnect elsewhere.
+ */
+async function saveShotClock(sessionId, clock) {
+  const valueKey = key('session', sessionId, 'shot-clock');
+  return withRedis(
+    (client) => client.set(valueKey, JSON.stringify(clock), 'EX', STATE_TTL_SECONDS),
+    () => localValues.set(valueKey, JSON.stringify(clock))
+  );
+}
+
+async function loadShotClock(sessionId) {
+  const valueKey = key('session', sessionId, 'shot-clock');
+  const raw = await withRedis((client) => client.get(valueKey), () => localValues.get(valueKey) || null);
+  return raw ? JSON.parse(raw) : null;
+}
+
+async function clearShotClock(sessionId) {
+  const valueKey = key('session', sessionId, 'shot-clock');
+  localValues.delete(valueKey);
+  return withRedis((client) => client.del(valueKey), () => 0);
+}
+
+/**
+ * Claim the expiry of the clock for one shot so only one replica applies the
+ * time foul. Without Redis this instance is the only one, so it always wins.
+ */
+async function claimShotClockExpiry(sessionId, shotNumber, turn) {
+  const claimKey = key('session', sessionId, 'shot-clock-expiry', `${shotNumber}:${turn}`);
+  return withRedis(
+    async (client) => (await client.set(claimKey, INSTANCE_ID, 'EX', 60, 'NX')) === 'OK',
+    () => true
+  );
+}
+
+module.exports = {
+  saveSnapshot,
+  loadSnapshot,
+  deleteSnapshot,
+  getSessionConnections,
+  updateSessionConnections,
+  clearSessionConnections,
+  setPlayerSession,
+  getPlayerSession,
+  clearPlayerSession,
+  setSocketMatch,
+  getSocketMatch,
+  clearSocketMatch,
+  addMatchSocket,
+  removeMatchSocket,
+  countMatchSockets,
+  clearMatchSockets,
+  saveShotClock,
+  loadShotClock,
+  clearShotClock,
+  claimShotClockExpiry
+};
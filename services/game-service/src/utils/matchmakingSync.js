@@ -50,5 +50,6 @@ async function syncMatchResult(matchId, payload) {
 }
 
 module.exports = {
+  getServiceToken,
   syncMatchResult
 };
@@ -0,0 +1,237 @@
+const { summarizeShots } = require('./shotStats');
+
+// Cross-match anomaly signals for one player, computed from the shot logs of
+// their recent sessions. Each signal scores 0 (human) to 1 (implausible) and
+// stays null until there is enough data to judge.
+const MIN_POT_ATTEMPTS = 40;
+const MIN_TIMED_SHOTS = 20;
+const MIN_REPEATED_SHOTS = 3;
+const MIN_DECIDED_GAMES = 10;
+const RATING_SCALE = 400;
+
+// Largest share of the risk score each signal can contribute on its own.
+// Replayed shot vectors are close to proof; the rest need backing up.
+const SIGNAL_WEIGHTS = {
+  aimPrecision: 0.45,
+  timingRegularity: 0.45,
+  repeatedVectors: 0.6,
+  winRate: 0.35
+};
+
+function round(value, places = 4) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+// 0 at or below `low`, 1 at or above `high`, linear in between
+function ramp(value, low, high) {
+  if (value <= low) return 0;
+  if (value >= high) return 1;
+  return (value - low) / (high - low);
+}
+
+function sideOf(session, playerId) {
+  if (session.player1Id === playerId) return 'p1';
+  if (session.player2Id === playerId) return 'p2';
+  return null;
+}
+
+function isPlayedShot(shot) {
+  return shot.action === 'shot' && !shot.result?.suddenDeath;
+}
+
+/**
+ * Pot success on non-break, non-safety shots across every session. Strong
+ * players pot around seven in ten; aimbots pot nearly everything.
+ */
+function aimPrecisionSignal(playerId, sessions, shotsBySession) {
+  let pots = 0;
+  let attempts = 0;
+  sessions.forEach((session) => {
+    const stats = summarizeShots(session, shotsBySession.get(session.sessionId) || [])[playerId];
+    if (!stats) return;
+    pots += stats.pots;
+    attempts += stats.potAttempts;
+  });
+
+  if (attempts < MIN_POT_ATTEMPTS) return { value: null, samples: attempts, score: null };
+  const rate = pots / attempts;
+  return { value: round(rate), samples: attempts, score: round(ramp(rate, 0.8, 0.96)) };
+}
+
+/**
+ * Spread of the time a player takes between two shots of the same visit. The
+ * table animation between them lasts the same for everyone, so what varies is
+ * thinking time, and scripted clients barely vary it at all.
+ */
+function timingRegularitySignal(playerId, sessions, shotsBySession) {
+  const intervals = [];
+  sessions.forEach((session) => {
+    const side = sideOf(session, playerId);
+    const shots = (shotsBySession.get(session.sessionId) || []).filter((shot) => !shot.result?.suddenDeath);
+    for (let i = 1; i < shots.length; i += 1) {
+      const previous = shots[i - 1];
+      const shot = shots[i];
+      if (shot.actorSide !== side || previous.actorSide !== side) continue;
+      if (!isPlayedShot(shot) || !isPlayedShot(previous) || !previous.result?.turnKept) continue;
+      const interval = new Date(shot.createdAt).getTime() - new Date(previous.createdAt).getTime();
+      if (Number.isFinite(interval) && interval > 0) intervals.push(interval);
+    }
+  });
+
+  if (intervals.length < MIN_TIMED_SHOTS) return { value: null, samples: intervals.length, score: null };
+  const mean = intervals.reduce((sum, value) => sum + value, 0) / intervals.length;
+  const variance = intervals.reduce((sum, value) => sum + (value - mean) ** 2, 0) / intervals.length;
+  const variation = mean > 0 ? Math.sqrt(variance) / mean : 0;
+  return {
+    value: round(variation),
+    samples: intervals.length,
+    meanMs: Math.round(mean),
+    score: round(1 - ramp(variation, 0.06, 0.25))
+  };
+}
+
+function shotVectorKey(shot) {
+  const x = Number(shot.direction?.x);
+  const y = Number(shot.direction?.y);
+  const length = Math.hypot(x, y);
+  if (!Number.isFinite(length) || length === 0 || !Number.isFinite(shot.power)) return null;
+  const cue = shot.cueBallPosition
+    ? `${Math.round(shot.cueBallPosition.x)},${Math.round(shot.cueBallPosition.y)}`
+    : '-';
+  return [
+    (x / length).toFixed(5),
+    (y / length).toFixed(5),
+    shot.power.toFixed(3),
+    (shot.screw || 0).toFixed(3),
+    (shot.english || 0).toFixed(3),
+    cue
+  ].join('|');
+}
+
+/**
+ * Share of a player's shots whose exact input (direction, power, spin and
+ * cue ball placement) also appears in a different game. Human input never
+ * lines up that closely; replayed or scripted input does. Breaks are left out
+ * since a fixed break from the same spot is a legitimate habit.
+ */
+function repeatedVectorSignal(playerId, sessions, shotsBySession) {
+  const sessionsByKey = new Map();
+  let total = 0;
+  sessions.forEach((session) => {
+    const side = sideOf(session, playerId);
+    (shotsBySession.get(session.sessionId) || []).forEach((shot) => {
+      if (shot.actorSide !== side || !isPlayedShot(shot) || shot.result?.isBreak) return;
+      const key = shotVectorKey(shot);
+      if (!key) return;
+      total += 1;
+      if (!sessionsByKey.has(key)) sessionsByKey.set(key, new Map());
+      const seen = sessionsByKey.get(key);
+      seen.set(session.sessionId, (seen.get(session.sessionId) || 0) + 1);
+    });
+  });
+
+  let repeated = 0;
+  const examples = [];
+  sessionsByKey.forEach((seen, key) => {
+    if (seen.size < 2) return;
+    seen.forEach((count) => {
+      repeated += count;
+    });
+    if (examples.length < 5) examples.push({ key, sessionIds: Array.from(seen.keys()) });
+  });
+
+  if (total === 0) return { value: null, samples: 0, score: null };
+  const share = repeated / total;
+  return {
+    value: round(share),
+    samples: total,
+    repeated,
+    examples,
+    score: repeated < MIN_REPEATED_SHOTS ? 0 : round(ramp(share, 0.01, 0.08))
+  };
+}
+
+function expectedScore(rating, opponentRating) {
+  return 1 / (1 + 10 ** ((opponentRating - rating) / RATING_SCALE));
+}
+
+/**
+ * Wins against what the player's rating predicts over the same opponents, as
+ * a z-score. Games against opponents without a rating are left out.
+ */
+function winRateSignal(playerId, sessions, ratings) {
+  const rating = ratings.get(playerId);
+  if (rating === undefined) return { value: null, samples: 0, score: null };
+
+  let wins = 0;
+  let expected = 0;
+  let variance = 0;
+  let games = 0;
+  sessions.forEach((session) => {
+    const winnerId = session.result?.winnerId;
+    if (!winnerId) return;
+    const opponentId = session.player1Id === playerId ? session.player2Id : session.player1Id;
+    const opponentRating = ratings.get(opponentId);
+    if (opponentRating === undefined) return;
+    const p = expectedScore(rating, opponentRating);
+    games += 1;
+    expected += p;
+    variance += p * (1 - p);
+    if (winnerId === playerId) wins += 1;
+  });
+
+  if (games < MIN_DECIDED_GAMES || variance === 0) return { value: null, samples: games, score: null };
+  const z = (wins - expected) / Math.sqrt(variance);
+  return {
+    value: round(z, 2),
+    samples: games,
+    wins,
+    expectedWins: round(expected, 2),
+    rating,
+    score: round(ramp(z, 2, 4))
+  };
+}
+
+/**
+ * Combine the signals into a 0-100 risk score. Each signal can add at most its
+ * weight, combined like independent alarms, so no single weak signal flags a
+ * player but one damning one or a few moderate ones do.
+ */
+function combineRisk(signals) {
+  const clean = Object.entries(SIGNAL_WEIGHTS).reduce((product, [name, weight]) => {
+    const score = signals[name]?.score;
+    return Number.isFinite(score) ? product * (1 - weight * score) : product;
+  }, 1);
+  return Math.round((1 - clean) * 100);
+}
+
+/**
+ * sessions: completed sessions the player took part in, with `result` parsed.
+ * shotsBySession: sessionId -> shots ordered by shotNumber.
+ * ratings: playerId -> rating for the player and their opponents.
+ */
+function assessPlayerRisk({ playerId, sessions, shotsBySession, ratings = new Map() }) {
+  const signals = {
+    aimPrecision: aimPrecisionSignal(playerId, sessions, shotsBySession),
+    timingRegularity: timingRegularitySignal(playerId, sessions, shotsBySession),
+    repeatedVectors: repeatedVectorSignal(playerId, sessions, shotsBySession),
+    winRate: winRateSignal(playerId, sessions, ratings)
+  };
+  const shotCount = sessions.reduce(
+    (sum, session) => sum + (shotsBySession.get(session.sessionId) || []).filter((shot) => shot.playerId === playerId).length,
+    0
+  );
+  return {
+    playerId,
+    riskScore: combineRisk(signals),
+    signals,
+    sessionCount: sessions.length,
+    shotCount
+  };
+}
+
+module.exports = {
+  SIGNAL_WEIGHTS,
+  assessPlayerRisk
+};
@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+
+// Commit-reveal for the rack seed. The hash goes out before the break and the
+// seed and salt once the session is over, so players can check the rack was
+// fixed up front. The salt stops anyone brute-forcing a 32-bit seed from the hash.
+const COMMITMENT_ALGORITHM = 'sha256';
+const REVEALED_STATUSES = ['completed', 'cancelled'];
+
+function createMatchSeed() {
+  return crypto.randomBytes(4).readUInt32BE(0);
+}
+
+function hashRackSeed(seed, salt) {
+  return crypto.createHash(COMMITMENT_ALGORITHM).update(`${seed}:${salt}`).digest('hex');
+}
+
+function verifyRackCommitment({ seed, salt, hash }) {
+  if (!Number.isFinite(Number(seed)) || typeof salt !== 'string' || typeof hash !== 'string') return false;
+  return hashRackSeed(Number(seed), salt) === hash.toLowerCase();
+}
+
+/**
+ * Make sure the metadata carries a match seed and a commitment to it. An
+ * existing commitment is kept as long as it still matches the seed.
+ */
+function ensureRackCommitment(metadata) {
+  const next = { ...metadata };
+  if (!Number.isFinite(Number(next.matchSeed))) {
+    next.matchSeed = createMatchSeed();
+  }
+  const current = next.rackCommitment;
+  if (current && verifyRackCommitment({ seed: next.matchSeed, salt: current.salt, hash: current.hash })) {
+    return next;
+  }
+  const salt = crypto.randomBytes(32).toString('hex');
+  next.rackCommitment = {
+    algorithm: COMMITMENT_ALGORITHM,
+    hash: hashRackSeed(Number(next.matchSeed), salt),
+    salt,
+    committedAt: new Date().toISOString()
+  };
+  return next;
+}
+
+function isRackRevealed(session) {
+  return REVEALED_STATUSES.includes(session?.status);
+}
+
+// The part of the commitment players may see before the reveal
+function publicRackCommitment(metadata) {
+  const commitment = metadata?.rackCommitment;
+  if (!commitment?.hash) return null;
+  return {
+    algorithm: commitment.algorithm || COMMITMENT_ALGORITHM,
+    hash: commitment.hash,
+    committedAt: commitment.committedAt || null
+  };
+}
+
+function buildRackReveal(metadata) {
+  const commitment = metadata?.rackCommitment;
+  if (!commitment?.hash || !Number.isFinite(Number(metadata?.matchSeed))) return null;
+  return {
+    ...publicRackCommitment(metadata),
+    seed: Number(metadata.matchSeed),
+    salt: commitment.salt
+  };
+}
+
+function parseJson(value) {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (err) {
+    return value;
+  }
+}
+
+function hideSnapshotSeed(snapshot) {
+  if (!snapshot || typeof snapshot !== 'object') return snapshot;
+  const { seed, ...rest } = snapshot;
+  return rest;
+}
+
+/**
+ * Strip the rack seed from a session before it leaves the service, unless the
+ * session is over and the seed has been revealed.
+ */
+function redactSessionSeed(session) {
+  if (!session || isRackRevealed(session)) return session;
+  let metadata = parseJson(session.metadata);
+  if (metadata && typeof metadata === 'object') {
+    const { matchSeed, rackCommitment, ...rest } = metadata;
+    metadata = { ...rest, rackCommitment: publicRackCommitment(metadata) };
+  }
+  let gameState = parseJson(session.gameState);
+  if (gameState && typeof gameState === 'object' && gameState.engineSnapshot) {
+    gameState = { ...gameState, engineSnapshot: hideSnapshotSeed(gameState.engineSnapshot) };
+  }
+  return { ...session, metadata, gameState };
+}
+
+module.exports = {
+  createMatchSeed,
+  verifyRackCommitment,
+  ensureRackCommitment,
+  isRackRevealed,
+  publicRackCommitment,
+  buildRackReveal,
+  hideSnapshotSeed,
+  redactSessionSeed
+};
@@ -0,0 +1,56 @@
+// What it takes to re-simulate a session exactly as it was played: the rack
+// seed and the engine options it was created with.
+
+function parseJson(value) {
+  if (!value) return {};
+  if (typeof value === 'string') {
+    try {
+      return JSON.parse(value);
+    } catch (err) {
+      return {};
+    }
+  }
+  return typeof value === 'object' ? value : {};
+}
+
+function resolveReplaySeed(session) {
+  const gameState = parseJson(session?.gameState);
+  const snapshotSeed = Number(gameState?.engineSnapshot?.seed);
+  if (Number.isFinite(snapshotSeed)) return snapshotSeed;
+  const matchSeed = Number(parseJson(session?.metadata).matchSeed);
+  return Number.isFinite(matchSeed) ? matchSeed : null;
+}
+
+// The match stores the handicap by player; the engine wants it by side
+function resolveHandicapSides(handicap, session) {
+  const sideOf = (playerId) => {
+    if (playerId && playerId === session?.player1Id) return 'p1';
+    if (playerId && playerId === session?.player2Id) return 'p2';
+    return null;
+  };
+  const weakerSide = sideOf(handicap.weakerId);
+  const strongerSide = sideOf(handicap.strongerId);
+  if (!weakerSide || !strongerSide) return null;
+  return {
+    breaker: handicap.weakerBreaks ? weakerSide : null,
+    callEight: handicap.strongerCallsEight ? [strongerSide] : [],
+    spotFrames: { [weakerSide]: Number(handicap.spotFrames) || 0 }
+  };
+}
+
+// Engine options that must match between live play and any later re-simulation
+function resolveEngineOptions(session) {
+  const metadata = parseJson(session?.metadata);
+  const handicap = metadata.handicap ? resolveHandicapSides(metadata.handicap, session) : null;
+  return {
+    ...(metadata.gameVariant ? { variant: metadata.gameVariant } : {}),
+    ...(metadata.ruleProfile ? { ruleProfile: metadata.ruleProfile } : {}),
+    ...(metadata.raceTo ? { raceTo: metadata.raceTo } : {}),
+    ...(handicap ? { handicap } : {})
+  };
+}
+
+module.exports = {
+  resolveReplaySeed,
+  resolveEngineOptions
+};
@@ -0,0 +1,152 @@
+const CUE_BALL_ID = 0;
+
+function emptyStats() {
+  return {
+    shots: 0,
+    potAttempts: 0,
+    pots: 0,
+    ballsPotted: 0,
+    potSuccessRate: 0,
+    breaks: 0,
+    ballsOnBreak: 0,
+    dryBreaks: 0,
+    breakFouls: 0,
+    scratches: 0,
+    fouls: 0,
+    timeFouls: 0,
+    safeties: 0,
+    runOuts: 0,
+    longestRun: 0,
+    totalPower: 0,
+    avgPower: 0,
+    timedShots: 0,
+    totalShotTimeMs: 0,
+    avgShotTimeMs: 0
+  };
+}
+
+function round(value, places = 2) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+function objectBallsPotted(result) {
+  return (result.pocketed || []).filter((id) => id !== CUE_BALL_ID).length;
+}
+
+function isPot(shot) {
+  const result = shot.result || {};
+  if (result.foul) return false;
+  return Boolean(result.turnKept) || result.winner === shot.actorSide;
+}
+
+/**
+ * Per-player stats for one match, rebuilt from the recorded shot log.
+ *
+ * A safety is a legal shot that pots nothing and leaves the opponent unable to
+ * pot on their next shot; those are left out of pot attempts. A run-out is a
+ * visit that wins the rack from the player's first visit to the table in it,
+ * break-and-runs included.
+ */
+function summarizeShots(session, shots) {
+  const playerIds = { p1: session.player1Id, p2: session.player2Id };
+  const stats = { p1: emptyStats(), p2: emptyStats() };
+  // Sudden-death spot shots decide a tie, they aren't part of the match's play
+  const ordered = [...(shots || [])]
+    .filter((shot) => stats[shot.actorSide] && !shot.result?.suddenDeath)
+    .sort((a, b) => a.shotNumber - b.shotNumber);
+
+  let previousAt = session.startedAt ? new Date(session.startedAt).getTime() : null;
+  let visitedThisRack = { p1: false, p2: false };
+  let visit = null;
+  let run = 0;
+
+  ordered.forEach((shot, index) => {
+    const side = shot.actorSide;
+    const player = stats[side];
+    const result = shot.result || {};
+    const isTimeFoul = shot.action === 'time_foul';
+
+    const shotAt = shot.createdAt ? new Date(shot.createdAt).getTime() : null;
+    if (shotAt !== null && previousAt !== null && shotAt >= previousAt) {
+      player.timedShots += 1;
+      player.totalShotTimeMs += shotAt - previousAt;
+    }
+    if (shotAt !== null) previousAt = shotAt;
+
+    if (result.isBreak) {
+      visitedThisRack = { p1: false, p2: false };
+    }
+    if (!visit || visit.side !== side) {
+      visit = { side, firstInRack: !visitedThisRack[side] };
+      visitedThisRack[side] = true;
+      run = 0;
+    }
+
+    if (isTimeFoul) {
+      player.timeFouls += 1;
+      player.fouls += 1;
+      return;
+    }
+
+    player.shots += 1;
+    if (Number.isFinite(shot.power)) {
+      player.totalPower += shot.power;
+    }
+    if (result.foul) player.fouls += 1;
+    if (result.cueScratch) player.scratches += 1;
+
+    const potted = isPot(shot);
+    if (result.isBreak) {
+      const balls = objectBallsPotted(result);
+      player.breaks += 1;
+      player.ballsOnBreak += balls;
+      if (balls === 0) player.dryBreaks += 1;
+      if (result.foul) player.breakFouls += 1;
+    } else {
+      const next = ordered[index + 1];
+      const isSafety = !result.foul
+        && !potted
+        && objectBallsPotted(result) === 0
+        && Boolean(next)
+        && next.actorSide !== side
+        && !isPot(next);
+      if (isSafety) {
+        player.safeties += 1;
+      } else {
+        player.potAttempts += 1;
+      }
+    }
+
+    if (potted) {
+      if (!result.isBreak) {
+        player.pots += 1;
+        run += 1;
+        player.longestRun = Math.max(player.longestRun, run);
+      }
+      player.ballsPotted += objectBallsPotted(result);
+    }
+
+    if (potted && result.winner === side && visit.firstInRack) {
+      player.runOuts += 1;
+    }
+  });
+
+  return Object.fromEntries(
+    Object.entries(stats)
+      .filter(([side]) => playerIds[side])
+      .map(([side, player]) => [
+        playerIds[side],
+        {
+          ...player,
+          potSuccessRate: player.potAttempts > 0 ? round(player.pots / player.potAttempts, 4) : 0,
+          avgPower: player.shots > 0 ? round(player.totalPower / player.shots) : 0,
+          avgShotTimeMs: player.timedShots > 0 ? Math.round(player.totalShotTimeMs / player.timedShots) : 0
+        }
+      ])
+  );
+}
+
+module.exports = {
+  summarizeShots
+};
@@ -0,0 +1,80 @@
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const logger = require('./logger');
+const { getServiceToken } = require('./matchmakingSync');
+
+const AGENT_SERVICE_URL = process.env.AGENT_SERVICE_URL || 'http://agent-service:3010';
+const ADMIN_SPECTATOR_ROLES = [
+  'admin',
+  'super_admin',
+  'superuser',
+  'superadmin',
+  'manager',
+  'director',
+  'staff',
+  'game_manager',
+  'game_master'
+];
+
+function verifySpectatorToken(token) {
+  const secret = process.env.JWT_SECRET;
+  if (!token || !secret) return null;
+  try {
+    const decoded = jwt.verify(token, secret);
+    return decoded?.userId ? { userId: decoded.userId, role: decoded.role || null } : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+async function fetchAgentClubId(userId) {
+  const token = getServiceToken();
+  try {
+    const response = await axios.get(
+      `${AGENT_SERVICE_URL}/internal/agents/by-user/${encodeURIComponent(userId)}`,
+      {
+        headers: token ? { Authorization: `Bearer ${token}` } : {},
+        timeout: 5000
+      }
+    );
+    const agent = response.data?.data;
+    return agent?.isActive ? agent.clubId : null;
+  } catch (err) {
+    if (err.response?.status !== 404) {
+      logger.error({ err, userId }, '[spectate] Failed to look up agent club');
+    }
+    return null;
+  }
+}
+
+/**
+ * Decide whether a viewer may watch a session. Admins can watch anything and
+ * agents anything hosted at their club; everyone else only matches that allow
+ * spectators and that they are not playing in.
+ */
+async function resolveSpectatorAccess({ session, metadata, viewer }) {
+  if (!viewer?.userId) {
+    return { allowed: false, error: 'Not authenticated' };
+  }
+  if (ADMIN_SPECTATOR_ROLES.includes(viewer.role)) {
+    return { allowed: true, access: 'admin' };
+  }
+  if (viewer.role === 'agent' && metadata.clubId) {
+    const agentClubId = await fetchAgentClubId(viewer.userId);
+    if (agentClubId && agentClubId === metadata.clubId) {
+      return { allowed: true, access: 'club' };
+    }
+  }
+  if (session.player1Id === viewer.userId || session.player2Id === viewer.userId) {
+    return { allowed: false, error: 'Players join their own match with game:join' };
+  }
+  if (metadata.allowSpectators === false) {
+    return { allowed: false, error: 'Spectating is disabled for this match' };
+  }
+  return { allowed: true, access: 'public' };
+}
+
+module.exports = {
+  verifySpectatorToken,
+  resolveSpectatorAccess
+};
@@ -0,0 +1,59 @@
+// Clients draw the table in fixed 1600x900 units with the origin top left; the
+// engine measures from the table centre in units that grow with its scale.
+const CLIENT_TABLE = { width: 1600, height: 900 };
+
+function round3(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+function getServerTable(engine) {
+  const scale = engine?.config?.adjustmentScale || 2.3;
+  const n = 600 * scale;
+  return {
+    width: 100 * n,
+    height: 50 * n
+  };
+}
+
+function mapClientToServer(engine, point) {
+  if (!point) return null;
+  const serverTable = getServerTable(engine);
+  const x = (point.x / CLIENT_TABLE.width) * serverTable.width - serverTable.width / 2;
+  const y = (point.y / CLIENT_TABLE.height) * serverTable.height - serverTable.height / 2;
+  return { x: round3(x), y: round3(y) };
+}
+
+function mapServerToClient(engine, point) {
+  if (!point) return null;
+  const serverTable = getServerTable(engine);
+  const x = ((point.x + serverTable.width / 2) / serverTable.width) * CLIENT_TABLE.width;
+  const y = ((point.y + serverTable.height / 2) / serverTable.height) * CLIENT_TABLE.height;
+  return { x: round3(x), y: round3(y) };
+}
+
+function mapDirectionToServer(engine, direction) {
+  if (!direction) return null;
+  const serverTable = getServerTable(engine);
+  return {
+    x: direction.x * (serverTable.width / CLIENT_TABLE.width),
+    y: direction.y * (serverTable.height / CLIENT_TABLE.height)
+  };
+}
+
+function mapVelocityToClient(engine, velocity) {
+  if (!velocity) return null;
+  const serverTable = getServerTable(engine);
+  return {
+    x: round3(velocity.x * (CLIENT_TABLE.width / serverTable.width)),
+    y: round3(velocity.y * (CLIENT_TABLE.height / serverTable.height))
+  };
+}
+
+module.exports = {
+  CLIENT_TABLE,
+  getServerTable,
+  mapClientToServer,
+  mapServerToClient,
+  mapDirectionToServer,
+  mapVelocityToClient
+};
@@ -0,0 +1,154 @@
+const { EightBallRules } = require('../src/engine/8ball/rules');
+const { NineBallRules } = require('../src/engine/8ball/nine-ball-rules');
+
+function shot(overrides = {}) {
+  return {
+    pocketed: [],
+    cushionHits: new Set([1, 2, 3, 4]),
+    firstContact: 1,
+    cueScratch: false,
+    railContactAfterFirstHit: true,
+    ...overrides
+  };
+}
+
+// p1 on solids, p2 on stripes, p1 at the table
+function groupsAssigned(profile, overrides = {}) {
+  const rules = new EightBallRules(profile);
+  rules.setState({ shotNumber: 5, breakComplete: true, p1Target: 'SOLIDS', p2Target: 'STRIPES', ...overrides });
+  return rules;
+}
+
+describe('called shots', () => {
+  describe('8-ball', () => {
+    test('should not ask for a call on the break', () => {
+      expect(new EightBallRules('wpa').getCallRequirement()).toBe('none');
+    });
+
+    test('should ask for the ball and pocket with called shots and the pocket on the 8', () => {
+      expect(groupsAssigned('wpa').getCallRequirement()).toBe('ball_and_pocket');
+      expect(groupsAssigned('wpa', { p1Target: '8' }).getCallRequirement()).toBe('pocket');
+    });
+
+    test('should ask for nothing under the house profile', () => {
+      expect(groupsAssigned('house').getCallRequirement()).toBe('none');
+      expect(groupsAssigned('house', { p1Target: '8' }).getCallRequirement()).toBe('none');
+    });
+
+    test('should make a handicapped side call the pocket for the 8', () => {
+      const rules = new EightBallRules('house', { callEight: ['p2'] });
+      rules.setState({ shotNumber: 5, breakComplete: true, p1Target: '8', p2Target: '8' });
+
+      expect(rules.getCallRequirement('p1')).toBe('none');
+      expect(rules.getCallRequirement('p2')).toBe('pocket');
+    });
+
+    test('should keep the shooter at the table on a made call', () => {
+      const rules = groupsAssigned('wpa');
+      const state = rules.evaluateShot(shot({
+        pocketed: [3],
+        calledBall: 3,
+        calledPocket: 'tl',
+        pocketedInto: { 3: 'tl' }
+      }));
+
+      expect(state).toMatchObject({ turn: 'p1', foul: false, p1Score: 1 });
+      expect(state.lastCall).toEqual({ ball: 3, pocket: 'tl', made: true });
+    });
+
+    test('should end the turn without scoring when the ball drops in another pocket', () => {
+      const rules = groupsAssigned('wpa');
+      const state = rules.evaluateShot(shot({
+        pocketed: [3],
+        calledBall: 3,
+        calledPocket: 'tl',
+        pocketedInto: { 3: 'br' }
+      }));
+
+      expect(state).toMatchObject({ turn: 'p2', foul: false, ballInHand: false, p1Score: 0 });
+      expect(state.lastCall.made).toBe(false);
+    });
+
+    test('should not count a call on the opponent\'s ball', () => {
+      const rules = groupsAssigned('wpa');
+      const state = rules.evaluateShot(shot({
+        pocketed: [11],
+        calledBall: 11,
+        calledPocket: 'tl',
+        pocketedInto: { 11: 'tl' }
+      }));
+
+      expect(state.lastCall.made).toBe(false);
+      expect(state.turn).toBe('p2');
+    });
+
+    test('should give ball in hand on a missed call when the penalty is a foul', () => {
+      const rules = groupsAssigned({ profile: 'wpa', wrongCallPenalty: 'foul' });
+      const state = rules.evaluateShot(shot({ pocketed: [3], calledBall: 4, calledPocket: 'tl', pocketedInto: { 3: 'tl' } }));
+
+      expect(state).toMatchObject({ foul: true, foulType: 'WRONG_CALL', turn: 'p2', ballInHand: true });
+    });
+
+    test('should win on the 8 in the called pocket', () => {
+      const rules = groupsAssigned('wpa', { p1Target: '8' });
+      const state = rules.evaluateShot(shot({ pocketed: [8], firstContact: 8, calledPocket: 'tr', pocketedInto: { 8: 'tr' } }));
+
+      expect(state.winner).toBe('p1');
+    });
+
+    test('should lose on the 8 in an uncalled pocket', () => {
+      const rules = groupsAssigned('wpa', { p1Target: '8' });
+      const state = rules.evaluateShot(shot({ pocketed: [8], firstContact: 8, calledPocket: 'tr', pocketedInto: { 8: 'bl' } }));
+
+      expect(state).toMatchObject({ winner: 'p2', foulType: 'EIGHT_BALL_WRONG_POCKET' });
+    });
+  });
+
+  describe('nine-ball', () => {
+    function brokenRack(profile) {
+      const rules = new NineBallRules(profile);
+      rules.evaluateShot(shot());
+      return rules;
+    }
+
+    test('should ask for the ball and pocket after the break', () => {
+      const rules = new NineBallRules('wpa');
+
+      expect(rules.getCallRequirement()).toBe('none');
+      rules.evaluateShot(shot());
+      expect(rules.getCallRequirement()).toBe('ball_and_pocket');
+    });
+
+    test('should let any ball be called once the lowest is struck first', () => {
+      const rules = brokenRack('wpa');
+      const state = rules.evaluateShot(shot({
+        pocketed: [5],
+        calledBall: 5,
+        calledPocket: 'tl',
+        pocketedInto: { 5: 'tl' }
+      }));
+
+      expect(state).toMatchObject({ turn: 'p2', foul: false });
+      expect(state.lastCall.made).toBe(true);
+    });
+
+    test('should respot the 9 and end the turn on a missed call', () => {
+      const rules = brokenRack('wpa');
+      const state = rules.evaluateShot(shot({
+        pocketed: [9],
+        calledBall: 9,
+        calledPocket: 'tl',
+        pocketedInto: { 9: 'br' }
+      }));
+
+      expect(state).toMatchObject({ winner: null, turn: 'p1', foul: false, respotBalls: [9] });
+    });
+
+    test('should give ball in hand on a missed call when the penalty is a foul', () => {
+      const rules = brokenRack({ profile: 'wpa', wrongCallPenalty: 'foul' });
+      const state = rules.evaluateShot(shot({ pocketed: [2], calledBall: 3, calledPocket: 'tl', pocketedInto: { 2: 'tl' } }));
+
+      expect(state).toMatchObject({ foul: true, foulType: 'WRONG_CALL', turn: 'p1', ballInHand: true });
+    });
+  });
+});
@@ -0,0 +1,103 @@
+const {
+  DELTA_FRAME_FORMAT,
+  FULL_FRAME_FORMAT,
+  negotiateFrameFormat,
+  encodeShotFrames
+} = require('../src/utils/frameCodec');
+
+const identity = (vector) => vector;
+
+function frame(balls) {
+  return {
+    state: {
+      balls: balls.map(([id, x, y, vx = 0, vy = 0, active = 1]) => ({
+        id,
+        position: { x, y },
+        velocity: { x: vx, y: vy },
+        active
+      }))
+    }
+  };
+}
+
+describe('frameCodec', () => {
+  describe('negotiateFrameFormat', () => {
+    test('should pick the delta format when the client offers it', () => {
+      expect(negotiateFrameFormat(DELTA_FRAME_FORMAT)).toBe(DELTA_FRAME_FORMAT);
+      expect(negotiateFrameFormat(['full', DELTA_FRAME_FORMAT])).toBe(DELTA_FRAME_FORMAT);
+    });
+
+    test('should fall back to full frames otherwise', () => {
+      expect(negotiateFrameFormat(undefined)).toBe(FULL_FRAME_FORMAT);
+      expect(negotiateFrameFormat(['delta-v0'])).toBe(FULL_FRAME_FORMAT);
+    });
+  });
+
+  describe('encodeShotFrames', () => {
+    test('should return null without frames', () => {
+      expect(encodeShotFrames([], { mapPosition: identity, mapVelocity: identity })).toBe(null);
+      expect(encodeShotFrames(null, { mapPosition: identity, mapVelocity: identity })).toBe(null);
+    });
+
+    test('should key every ball and send only the balls that moved', () => {
+      const frames = [
+        frame([[0, 100, 200, 5, 0], [1, 300, 400]]),
+        frame([[0, 100.5, 200, 5, 0], [1, 300, 400]]),
+        frame([[0, 100.5, 200, 0, 0], [1, 300, 400]])
+      ];
+
+      const encoded = encodeShotFrames(frames, { mapPosition: identity, mapVelocity: identity });
+
+      expect(encoded).toMatchObject({
+        format: DELTA_FRAME_FORMAT,
+        positionScale: 10,
+        velocityScale: 10,
+        frameCount: 3
+      });
+      expect(encoded.key).toEqual([
+        [0, 1000, 2000, 50, 0, 1],
+        [1, 3000, 4000, 0, 0, 1]
+      ]);
+      expect(encoded.frames).toEqual([
+        [[0, 5, 0, 50, 0]],
+        [[0, 0, 0, 0, 0]]
+      ]);
+    });
+
+    test('should add the active flag when a ball is pocketed', () => {
+      const frames = [
+        frame([[3, 10, 10]]),
+        frame([[3, 10, 10, 0, 0, 0]])
+      ];
+
+      const encoded = encodeShotFrames(frames, { mapPosition: identity, mapVelocity: identity });
+
+      expect(encoded.frames).toEqual([[[3, 0, 0, 0, 0, 0]]]);
+    });
+
+    test('should map positions and velocities to client units before quantizing', () => {
+      const frames = [frame([[0, 1, 2, 3, 4]])];
+      const double = ({ x, y }) => ({ x: x * 2, y: y * 2 });
+
+      const encoded = encodeShotFrames(frames, { mapPosition: double, mapVelocity: identity });
+
+      expect(encoded.key).toEqual([[0, 20, 40, 30, 40, 1]]);
+    });
+
+    test('should place events at the fractional frame they happened in', () => {
+      const frames = [frame([[0, 0, 0]]), frame([[0, 1, 0]]), frame([[0, 2, 0]])];
+      const events = [
+        { type: 'collision', step: 9, ball: 0, target: 1 },
+        { type: 'pocket', step: 100, ball: 1 },
+        { type: 'spin', step: 3, ball: 0 }
+      ];
+
+      const encoded = encodeShotFrames(frames, { events, stride: 6, mapPosition: identity, mapVelocity: identity });
+
+      expect(encoded.events).toEqual([
+        [0.5, 'c', 0, 1],
+        [2, 'p', 1, null]
+      ]);
+    });
+  });
+});
@@ -0,0 +1,65 @@
+const { EightBallEngine } = require('../src/engine/8ball/engine');
+const { resolveEngineOptions } = require('../src/utils/sessionReplay');
+
+const session = {
+  player1Id: 'strong',
+  player2Id: 'weak',
+  metadata: JSON.stringify({
+    raceTo: 5,
+    handicap: { strongerId: 'strong', weakerId: 'weak', weakerBreaks: true, strongerCallsEight: true, spotFrames: 2 }
+  })
+};
+
+describe('handicap', () => {
+  describe('resolveEngineOptions', () => {
+    test('should map the handicap from players to sides', () => {
+      expect(resolveEngineOptions(session)).toEqual({
+        raceTo: 5,
+        handicap: { breaker: 'p2', callEight: ['p1'], spotFrames: { p2: 2 } }
+      });
+    });
+
+    test('should drop a handicap for players not in the session', () => {
+      const options = resolveEngineOptions({ ...session, player2Id: 'someone-else' });
+
+      expect(options).not.toHaveProperty('handicap');
+    });
+  });
+
+  describe('engine', () => {
+    test('should start the race with the spotted frames and the weaker side breaking', () => {
+      const engine = new EightBallEngine({ seed: 3, ...resolveEngineOptions(session) });
+
+      expect(engine.state.race).toMatchObject({ raceTo: 5, p1Frames: 0, p2Frames: 2, breaker: 'p2' });
+      expect(engine.state.turn).toBe('p2');
+    });
+
+    test('should give the weaker side every break', () => {
+      const engine = new EightBallEngine({ seed: 3, ...resolveEngineOptions(session) });
+      engine.state.winner = 'p1';
+      engine.advanceFrame();
+
+      expect(engine.state.race).toMatchObject({ frameNumber: 2, breaker: 'p2' });
+      expect(engine.state.turn).toBe('p2');
+    });
+
+    test('should make the stronger side call the pocket for the 8', () => {
+      const engine = new EightBallEngine({ seed: 3, ...resolveEngineOptions(session) });
+      engine.rules.setState({ shotNumber: 5, breakComplete: true, p1Target: '8', p2Target: '8' });
+
+      expect(engine.rules.getCallRequirement('p1')).toBe('pocket');
+      expect(engine.rules.getCallRequirement('p2')).toBe('none');
+    });
+
+    test('should leave at least one frame to play and ignore unknown sides', () => {
+      const engine = new EightBallEngine({
+        seed: 3,
+        raceTo: 3,
+        handicap: { breaker: 'p3', callEight: ['p1', 'p3'], spotFrames: { p1: 9, p2: -1 } }
+      });
+
+      expect(engine.config.handicap).toEqual({ breaker: null, callEight: ['p1'], spotFrames: { p1: 2, p2: 0 } });
+      expect(engine.state.race).toMatchObject({ p1Frames: 2, p2Frames: 0, breaker: 'p1' });
+    });
+  });
+});
@@ -0,0 +1,88 @@
+const { NineBallRules } = require('../src/engine/8ball/nine-ball-rules');
+const { EightBallEngine } = require('../src/engine/8ball/engine');
+
+function shot(overrides = {}) {
+  return {
+    pocketed: [],
+    cushionHits: new Set([1, 2, 3, 4]),
+    firstContact: 1,
+    cueScratch: false,
+    railContactAfterFirstHit: true,
+    ...overrides
+  };
+}
+
+// A legal break that pots nothing, so p2 is at the table on shot 2
+function brokenRack() {
+  const rules = new NineBallRules();
+  rules.evaluateShot(shot());
+  return rules;
+}
+
+describe('NineBallRules', () => {
+  describe('break', () => {
+    test('should foul a break that does not strike the 1-ball first', () => {
+      const rules = new NineBallRules();
+      const state = rules.evaluateShot(shot({ firstContact: 3 }));
+
+      expect(state).toMatchObject({ foul: true, foulType: 'ILLEGAL_BREAK', turn: 'p2', ballInHand: true });
+    });
+
+    test('should win on the 9 pocketed on a legal break', () => {
+      const rules = new NineBallRules();
+      const state = rules.evaluateShot(shot({ pocketed: [9] }));
+
+      expect(state.winner).toBe('p1');
+    });
+
+    test('should respot the 9 pocketed on a foul break', () => {
+      const rules = new NineBallRules();
+      const state = rules.evaluateShot(shot({ pocketed: [9], cueScratch: true }));
+
+      expect(state.winner).toBeNull();
+      expect(state.respotBalls).toEqual([9]);
+      expect(state.turn).toBe('p2');
+    });
+  });
+
+  describe('after the break', () => {
+    test('should foul a shot that strikes a higher ball first', () => {
+      const rules = brokenRack();
+      const state = rules.evaluateShot(shot({ firstContact: 2 }));
+
+      expect(state).toMatchObject({ foul: true, foulType: 'WRONG_BALL_FIRST', turn: 'p1', ballInHand: true });
+    });
+
+    test('should win on a combination into the 9', () => {
+      const rules = brokenRack();
+      const state = rules.evaluateShot(shot({ pocketed: [9] }));
+
+      expect(state.winner).toBe('p2');
+    });
+
+    test('should move the target on to the lowest ball left', () => {
+      const rules = brokenRack();
+      rules.updateActiveBalls([0, 2, 3, 4, 5, 6, 7, 8, 9]);
+      const state = rules.evaluateShot(shot({ pocketed: [1] }));
+
+      expect(state).toMatchObject({ turn: 'p2', lowestBall: 2, p2Target: '2', p1Target: '2' });
+    });
+  });
+
+  describe('engine variant', () => {
+    test('should rack the cue ball and nine object balls with nine-ball rules', () => {
+      const engine = new EightBallEngine({ seed: 7, variant: 'nine_ball' });
+
+      expect(engine.state.balls.filter(Boolean).map((ball) => ball.id)).toEqual([0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+      expect(engine.rules).toBeInstanceOf(NineBallRules);
+      expect(engine.state.rulesState).toMatchObject({ lowestBall: 1, p1Target: '1' });
+    });
+
+    test('should fall back to 8-ball for an unknown variant', () => {
+      const engine = new EightBallEngine({ seed: 7, variant: 'snooker' });
+
+      expect(engine.config.variant).toBe('eight_ball');
+      expect(engine.state.balls.filter(Boolean)).toHaveLength(16);
+    });
+  });
+});
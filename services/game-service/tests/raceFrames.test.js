@@ -0,0 +1,77 @@
+const { EightBallEngine } = require('../src/engine/8ball/engine');
+
+// Close the frame in progress as if `side` had just sunk the 8
+function winFrame(engine, side) {
+  engine.state.shotNumber += 3;
+  engine.state.winner = side;
+  return engine.advanceFrame();
+}
+
+const rackLayout = (engine) => engine.state.balls.filter(Boolean).map((ball) => [ball.id, ball.position.x, ball.position.y]);
+
+describe('race to N frames', () => {
+  test('should clamp the race length to a sensible range', () => {
+    expect(new EightBallEngine({ seed: 1 }).state.race.raceTo).toBe(1);
+    expect(new EightBallEngine({ seed: 1, raceTo: 0 }).state.race.raceTo).toBe(1);
+    expect(new EightBallEngine({ seed: 1, raceTo: '3.7' }).state.race.raceTo).toBe(3);
+    expect(new EightBallEngine({ seed: 1, raceTo: 1000 }).state.race.raceTo).toBe(25);
+  });
+
+  test('should do nothing until the rules have a frame winner', () => {
+    const engine = new EightBallEngine({ seed: 1, raceTo: 3 });
+
+    expect(engine.advanceFrame()).toBeNull();
+    expect(engine.state.race.frameNumber).toBe(1);
+  });
+
+  test('should tally the frame and rack the next one with the break alternating', () => {
+    const engine = new EightBallEngine({ seed: 1, raceTo: 3 });
+    const result = winFrame(engine, 'p1');
+
+    expect(result.matchWinner).toBeNull();
+    expect(result.frame).toMatchObject({ frameNumber: 1, winner: 'p1', breaker: 'p1', startShot: 1, endShot: 3 });
+    expect(engine.state.race).toMatchObject({ frameNumber: 2, breaker: 'p2', frameStartShot: 4, p1Frames: 1, p2Frames: 0 });
+    expect(engine.state).toMatchObject({ winner: null, turn: 'p2', cueBallInHand: true, shotNumber: 3 });
+    expect(engine.state.rulesState).toMatchObject({ turn: 'p2', shotNumber: 0, p1Target: 'ANY', winner: null });
+  });
+
+  test('should end the match when a side reaches the race', () => {
+    const engine = new EightBallEngine({ seed: 1, raceTo: 2 });
+    winFrame(engine, 'p2');
+    winFrame(engine, 'p1');
+    const result = winFrame(engine, 'p2');
+
+    expect(result.matchWinner).toBe('p2');
+    expect(engine.state.race).toMatchObject({ winner: 'p2', p1Frames: 1, p2Frames: 2 });
+    expect(engine.state.race.frames.map((frame) => frame.winner)).toEqual(['p2', 'p1', 'p2']);
+    expect(winFrame(engine, 'p1')).toBeNull();
+  });
+
+  test('should rack every frame from its own seed so replays match', () => {
+    const first = new EightBallEngine({ seed: 42, raceTo: 3 });
+    const second = new EightBallEngine({ seed: 42, raceTo: 3 });
+    winFrame(first, 'p1');
+    winFrame(second, 'p2');
+
+    expect(rackLayout(first)).toEqual(rackLayout(second));
+  });
+
+  test('should carry the race through a snapshot', () => {
+    const engine = new EightBallEngine({ seed: 9, raceTo: 3 });
+    winFrame(engine, 'p1');
+    const restored = new EightBallEngine({ seed: 9, raceTo: 3 });
+    restored.loadState(JSON.parse(JSON.stringify(engine.getSnapshot())));
+
+    expect(restored.state.race).toEqual(engine.state.race);
+    expect(rackLayout(restored)).toEqual(rackLayout(engine));
+  });
+
+  test('should treat a snapshot without a race as a single rack', () => {
+    const engine = new EightBallEngine({ seed: 9, raceTo: 3 });
+    const { state } = engine.getSnapshot();
+    delete state.race;
+    engine.loadState({ state });
+
+    expect(engine.state.race).toMatchObject({ raceTo: 3, frameNumber: 1, p1Frames: 0, p2Frames: 0 });
+  });
+});
@@ -0,0 +1,140 @@
+const { EightBallRules, resolveRuleProfile } = require('../src/engine/8ball/rules');
+const { NineBallRules } = require('../src/engine/8ball/nine-ball-rules');
+
+function shot(overrides = {}) {
+  return {
+    pocketed: [],
+    cushionHits: new Set([1, 2, 3, 4]),
+    firstContact: 1,
+    cueScratch: false,
+    railContactAfterFirstHit: true,
+    ...overrides
+  };
+}
+
+describe('rule profiles', () => {
+  describe('resolveRuleProfile', () => {
+    test('should fall back to the house profile for unknown names', () => {
+      expect(resolveRuleProfile()).toMatchObject({ profile: 'house', callShots: false, eightOnBreak: 'none' });
+      expect(resolveRuleProfile('snooker').profile).toBe('house');
+    });
+
+    test('should apply valid overrides on top of the named profile', () => {
+      const options = resolveRuleProfile({ profile: 'wpa', threeFoulLoss: true, eightOnBreak: 'win' });
+
+      expect(options).toMatchObject({ profile: 'wpa', callShots: true, threeFoulLoss: true, eightOnBreak: 'win' });
+    });
+
+    test('should drop unknown options and invalid values', () => {
+      const options = resolveRuleProfile({ profile: 'house', eightOnBreak: 'lose', jumpShots: true });
+
+      expect(options.eightOnBreak).toBe('none');
+      expect(options).not.toHaveProperty('jumpShots');
+    });
+  });
+
+  describe('8 on the break', () => {
+    test('should leave the 8 down and play on under the house profile', () => {
+      const rules = new EightBallRules('house');
+      const state = rules.evaluateShot(shot({ pocketed: [8] }));
+
+      expect(state).toMatchObject({ winner: null, rerack: false, foul: false, breakComplete: true });
+    });
+
+    test('should win the rack when the profile says so', () => {
+      const rules = new EightBallRules({ profile: 'house', eightOnBreak: 'win' });
+      const state = rules.evaluateShot(shot({ pocketed: [8] }));
+
+      expect(state.winner).toBe('p1');
+    });
+
+    test('should lose the rack on a scratch when the 8 would win', () => {
+      const rules = new EightBallRules({ profile: 'house', eightOnBreak: 'win' });
+      const state = rules.evaluateShot(shot({ pocketed: [8], cueScratch: true }));
+
+      expect(state).toMatchObject({ winner: 'p2', foulType: 'SCRATCH' });
+    });
+
+    test('should ask for a re-rack under the WPA profile', () => {
+      const rules = new EightBallRules('wpa');
+      const state = rules.evaluateShot(shot({ pocketed: [8] }));
+
+      expect(state).toMatchObject({ winner: null, rerack: true });
+    });
+  });
+
+  describe('break scratch', () => {
+    test('should give ball in hand anywhere under the house profile', () => {
+      const state = new EightBallRules('house').evaluateShot(shot({ cueScratch: true }));
+
+      expect(state).toMatchObject({ foul: true, turn: 'p2', ballInHand: true, ballInHandZone: null });
+    });
+
+    test('should keep ball in hand behind the head string under the WPA profile', () => {
+      const state = new EightBallRules('wpa').evaluateShot(shot({ cueScratch: true }));
+
+      expect(state).toMatchObject({ foul: true, turn: 'p2', ballInHandZone: 'kitchen' });
+    });
+
+    test('should apply to nine-ball as well', () => {
+      const state = new NineBallRules('wpa').evaluateShot(shot({ cueScratch: true }));
+
+      expect(state.ballInHandZone).toBe('kitchen');
+    });
+  });
+
+  describe('open table after the break', () => {
+    test('should keep the table open by default', () => {
+      const state = new EightBallRules('house').evaluateShot(shot({ pocketed: [3] }));
+
+      expect(state).toMatchObject({ p1Target: 'ANY', p2Target: 'ANY' });
+    });
+
+    test('should assign groups from the break when disabled', () => {
+      const rules = new EightBallRules({ profile: 'house', openTableAfterBreak: false });
+      const state = rules.evaluateShot(shot({ pocketed: [11] }));
+
+      expect(state).toMatchObject({ p1Target: 'STRIPES', p2Target: 'SOLIDS' });
+    });
+  });
+
+  describe('three consecutive fouls', () => {
+    const foul = shot({ firstContact: null });
+
+    test('should lose the rack on the third foul in a row when enabled', () => {
+      const rules = new EightBallRules({ profile: 'house', threeFoulLoss: true });
+      rules.setState({ shotNumber: 1, breakComplete: true, turn: 'p2' });
+      rules.evaluateShot(foul);
+      rules.evaluateShot(shot());
+      rules.evaluateShot(foul);
+      rules.evaluateShot(shot());
+      const state = rules.evaluateShot(foul);
+
+      expect(state).toMatchObject({ winner: 'p1', foulType: 'THREE_CONSECUTIVE_FOULS' });
+    });
+
+    test('should only count fouls in a row', () => {
+      const rules = new EightBallRules({ profile: 'house', threeFoulLoss: true });
+      rules.setState({ shotNumber: 1, breakComplete: true, p1ConsecutiveFouls: 2 });
+      rules.evaluateShot(shot());
+
+      expect(rules.getState()).toMatchObject({ winner: null, p1ConsecutiveFouls: 0 });
+    });
+
+    test('should not end the rack under the house profile', () => {
+      const rules = new EightBallRules('house');
+      rules.setState({ shotNumber: 1, breakComplete: true, p1ConsecutiveFouls: 2 });
+      const state = rules.evaluateShot(foul);
+
+      expect(state).toMatchObject({ winner: null, p1ConsecutiveFouls: 3 });
+    });
+
+    test('should apply to nine-ball as well', () => {
+      const rules = new NineBallRules({ profile: 'house', threeFoulLoss: true });
+      rules.setState({ shotNumber: 1, breakComplete: true, p1ConsecutiveFouls: 2 });
+      const state = rules.evaluateShot(foul);
+
+      expect(state).toMatchObject({ winner: 'p2', foulType: 'THREE_CONSECUTIVE_FOULS' });
+    });
+  });
+});
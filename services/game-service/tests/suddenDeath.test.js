@@ -0,0 +1,116 @@
+const { EightBallEngine } = require('../src/engine/8ball/engine');
+const {
+  isSpotShootout,
+  startSuddenDeath,
+  applySpotShot,
+  applySpotTimeFoul
+} = require('../src/engine/8ball/sudden-death');
+
+// Close the frame in progress as if `side` had just sunk the 8
+function winFrame(engine, side) {
+  engine.state.winner = side;
+  return engine.advanceFrame();
+}
+
+// A race to 3 level at a frame each
+function levelMatch() {
+  const engine = new EightBallEngine({ seed: 5, raceTo: 3 });
+  winFrame(engine, 'p1');
+  winFrame(engine, 'p2');
+  return engine;
+}
+
+function spotShot(engine, side, potted) {
+  jest.spyOn(engine, 'applyShot').mockReturnValueOnce({
+    ok: true,
+    shotResult: { pocketed: potted ? [1] : [], cueScratch: false }
+  });
+  return applySpotShot(engine, side, { angle: 0, power: 50 });
+}
+
+describe('sudden death', () => {
+  test('should reject an unknown mode and a match that is already decided', () => {
+    const engine = levelMatch();
+
+    expect(startSuddenDeath(engine, 'coin_toss').ok).toBe(false);
+    winFrame(engine, 'p1');
+    winFrame(engine, 'p1');
+    expect(startSuddenDeath(engine, 'spot_shots')).toEqual({ ok: false, error: 'Game over' });
+  });
+
+  describe('decider', () => {
+    test('should abandon the rack and play one frame for the match', () => {
+      const engine = levelMatch();
+      const result = startSuddenDeath(engine, 'decider');
+
+      expect(result.ok).toBe(true);
+      expect(engine.state.suddenDeath).toEqual({ mode: 'decider', winner: null });
+      expect(engine.state.race).toMatchObject({ raceTo: 2, decider: true, frameNumber: 4 });
+      expect(engine.state.race.frames[2]).toMatchObject({ frameNumber: 3, winner: null, abandoned: true });
+      expect(winFrame(engine, 'p2').matchWinner).toBe('p2');
+    });
+  });
+
+  describe('spot shots', () => {
+    test('should set up the spot ball with the cue ball in the kitchen', () => {
+      const engine = levelMatch();
+      startSuddenDeath(engine, 'spot_shots');
+
+      expect(isSpotShootout(engine)).toBe(true);
+      expect(engine.state.balls.filter((ball) => ball && ball.active === 1).map((ball) => ball.id)).toEqual([1]);
+      expect(engine.state.rulesState).toMatchObject({ turn: 'p1', ballInHand: true, ballInHandZone: 'kitchen' });
+    });
+
+    test('should settle a round with exactly one pot', () => {
+      const engine = levelMatch();
+      startSuddenDeath(engine, 'spot_shots');
+      spotShot(engine, 'p1', false);
+
+      expect(engine.state.turn).toBe('p2');
+      const result = spotShot(engine, 'p2', true);
+
+      expect(result.potted).toBe(true);
+      expect(engine.state).toMatchObject({ winner: 'p2', suddenDeath: { winner: 'p2', rounds: [{ round: 1, p1: false, p2: true }] } });
+      expect(engine.state.race.winner).toBe('p2');
+      expect(isSpotShootout(engine)).toBe(false);
+    });
+
+    test('should go again on a level round with the other player shooting first', () => {
+      const engine = levelMatch();
+      startSuddenDeath(engine, 'spot_shots');
+      spotShot(engine, 'p1', true);
+      spotShot(engine, 'p2', true);
+
+      expect(engine.state.suddenDeath).toMatchObject({ round: 2, current: {}, winner: null });
+      expect(engine.state.turn).toBe('p2');
+    });
+
+    test('should count a scratch as a miss', () => {
+      const engine = levelMatch();
+      startSuddenDeath(engine, 'spot_shots');
+      jest.spyOn(engine, 'applyShot').mockReturnValueOnce({
+        ok: true,
+        shotResult: { pocketed: [1], cueScratch: true }
+      });
+
+      expect(applySpotShot(engine, 'p1', { angle: 0, power: 50 }).potted).toBe(false);
+    });
+
+    test('should count a shot not taken on the clock as a miss', () => {
+      const engine = levelMatch();
+      startSuddenDeath(engine, 'spot_shots');
+
+      expect(applySpotTimeFoul(engine, 'p2').ok).toBe(false);
+      expect(applySpotTimeFoul(engine, 'p1')).toMatchObject({ ok: true, potted: false });
+      spotShot(engine, 'p2', true);
+      expect(engine.state.winner).toBe('p2');
+    });
+
+    test('should refuse spot shots outside a shootout', () => {
+      const engine = levelMatch();
+
+      expect(applySpotShot(engine, 'p1', { angle: 0, power: 50 }).ok).toBe(false);
+      expect(applySpotTimeFoul(engine, 'p1').ok).toBe(false);
+    });
+  });
+});
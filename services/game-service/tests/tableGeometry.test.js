@@ -0,0 +1,45 @@
+const { EightBallEngine } = require('../src/engine/8ball/engine');
+const { createTableGeometry } = require('../src/engine/8ball/table');
+
+function isOffTable(engine, ball) {
+  const bounds = engine.getTableBounds();
+  const margin = engine.config.ballRadius * 2;
+  return ball.position.x < bounds.left - margin || ball.position.x > bounds.right + margin ||
+    ball.position.y < bounds.top - margin || ball.position.y > bounds.bottom + margin;
+}
+
+describe('table geometry', () => {
+  test('should round off both jaws of every rail', () => {
+    const engine = new EightBallEngine({ seed: 1 });
+    const { vertices } = createTableGeometry(engine.config);
+
+    expect(vertices.map((vertex) => vertex.name).sort()).toEqual(
+      ['B', 'C', 'F', 'G', 'J', 'K', 'N', 'O', 'R', 'S', 'V', 'W']
+    );
+  });
+
+  // Full power from spots all over the table, into every rail and jaw
+  test('should keep every ball on the table', () => {
+    const starts = [{ x: 0, y: 0 }, { x: 40000, y: -15000 }, { x: -40000, y: 15000 }, { x: 55000, y: 25000 }];
+    const escaped = [];
+
+    starts.forEach((start) => {
+      for (let degrees = 0; degrees < 360; degrees += 15) {
+        const angle = (degrees * Math.PI) / 180;
+        const engine = new EightBallEngine({ seed: 1 });
+        engine.loadLayout({
+          balls: [
+            { id: 0, ...start },
+            { id: 1, x: start.x + 6000 * Math.cos(angle + 0.3), y: start.y + 6000 * Math.sin(angle + 0.3) }
+          ]
+        });
+        engine.applyShot('p1', { direction: { x: Math.cos(angle), y: Math.sin(angle) }, power: engine.config.maxPower });
+        if (engine.state.balls.some((ball) => ball && ball.active === 1 && isOffTable(engine, ball))) {
+          escaped.push({ start, degrees });
+        }
+      }
+    });
+
+    expect(escaped).toEqual([]);
+  });
+});
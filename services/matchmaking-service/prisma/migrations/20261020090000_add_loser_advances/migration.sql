@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "matches" ADD COLUMN     "loserAdvancesToMatchId" UUID,
+ADD COLUMN     "loserAdvancesToSlot" TEXT;
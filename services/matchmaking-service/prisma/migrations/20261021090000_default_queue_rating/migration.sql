@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "match_queue" ALTER COLUMN "playerRating" SET DEFAULT 1500;
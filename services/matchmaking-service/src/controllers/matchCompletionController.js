@@ -163,14 +163,19 @@ function calculateGroupStandings(matches) {
 
     // Initialize player stats if not exists
     if (!playerStats[player1Id]) {
-      playerStats[player1Id] = { playerId: player1Id, wins: 0, losses: 0, points: 0 };
+      playerStats[player1Id] = { playerId: player1Id, wins: 0, draws: 0, losses: 0, points: 0 };
     }
     if (!playerStats[player2Id]) {
-      playerStats[player2Id] = { playerId: player2Id, wins: 0, losses: 0, points: 0 };
+      playerStats[player2Id] = { playerId: player2Id, wins: 0, draws: 0, losses: 0, points: 0 };
     }
 
-    // Update stats
-    if (winnerId === player1Id) {
+    // Update stats; a completed match with no winner is a draw
+    if (!winnerId) {
+      playerStats[player1Id].draws++;
+      playerStats[player1Id].points += player1Score;
+      playerStats[player2Id].draws++;
+      playerStats[player2Id].points += player2Score;
+    } else if (winnerId === player1Id) {
       playerStats[player1Id].wins++;
       playerStats[player1Id].points += player1Score;
       playerStats[player2Id].losses++;
@@ -183,9 +188,10 @@ function calculateGroupStandings(matches) {
     }
   });
 
-  // Sort by wins (descending), then by points (descending)
+  // Sort by wins, then draws, then points (all descending)
   return Object.values(playerStats).sort((a, b) => {
     if (b.wins !== a.wins) return b.wins - a.wins;
+    if (b.draws !== a.draws) return b.draws - a.draws;
     return b.points - a.points;
   });
 }
@@ -3,6 +3,8 @@ const { prisma } = require('../config/db');
 const logger = require('../utils/logger');
 const { subscribeEvents, publishEvent, Topics } = require('../../../../shared/events');
 const { getIO } = require('../utils/socket');
+const { normalizeSeedingMethod, shuffle, seedGroups, seedPairings } = require('../../../../shared/utils/seeding');
+const { planFixtures } = require('../../../../shared/utils/fixturePlanner');
 const axios = require('axios');
 const jwt = require('jsonwebtoken');
 
@@ -20,7 +22,12 @@ const AGENT_SERVICE_URL = process.env.AGENT_SERVICE_URL || 'http://localhost:301
 const TOURNAMENT_SERVICE_URL = process.env.TOURNAMENT_SERVICE_URL || 'http://localhost:3005';
 const SERVICE_JWT_TOKEN = process.env.SERVICE_JWT_TOKEN || process.env.PAYMENT_SERVICE_TOKEN;
 const GAME_SERVICE_URL = process.env.GAME_SERVICE_URL || 'http://localhost:3006';
+const PLAYER_SERVICE_URL = process.env.PLAYER_SERVICE_URL || 'http://localhost:3002';
 const AGENT_CAPACITY = Number(process.env.AGENT_CAPACITY || 5);
+const TIEBREAK_MODES = ['spot_shots', 'decider'];
+const HANDICAP_OPTIONS = ['weaker_breaks', 'stronger_calls_eight', 'spot_frames'];
+const DEFAULT_HANDICAP_MIN_GAP = 100;
+const DEFAULT_HANDICAP_POINTS_PER_FRAME = 150;
 let cachedServiceToken = null;
 let cachedServiceTokenExpiry = 0;
 
@@ -48,6 +55,88 @@ function normalizeGameType(value) {
   return 'multiplayer';
 }
 
+// Frames needed to win at this stage: the config is one number for every stage
+// or per stage, e.g. { default: 1, group: 2, knockout: 3, final: 5 }
+function resolveRaceTo(raceConfig, stage) {
+  if (!raceConfig) return 1;
+  if (typeof raceConfig !== 'object') return Math.max(1, Math.floor(Number(raceConfig)) || 1);
+  const normalizedStage = String(stage || '').toLowerCase();
+  const phase = normalizedStage === 'group' ? 'group' : 'knockout';
+  const value = raceConfig[normalizedStage] ?? raceConfig[phase] ?? raceConfig.default;
+  return Math.max(1, Math.floor(Number(value)) || 1);
+}
+
+// Level group matches are draws; a level knockout plays the configured sudden death
+function resolveTiebreak(tiebreakConfig, stage) {
+  if (String(stage || '').toLowerCase() === 'group') return 'draw';
+  return TIEBREAK_MODES.includes(tiebreakConfig) ? tiebreakConfig : 'spot_shots';
+}
+
+// Skill rating and home club for each player; players the player service
+// doesn't know are left out
+async function fetchPlayerProfiles(playerIds) {
+  const serviceToken = getServiceToken();
+  const profiles = new Map();
+  const uniqueIds = Array.from(new Set(playerIds.filter((id) => id && id !== BYE_PLAYER_ID)));
+  await Promise.all(uniqueIds.map(async (playerId) => {
+    try {
+      const response = await axios.get(`${PLAYER_SERVICE_URL}/api/players/${playerId}/stats`, {
+        headers: serviceToken ? { Authorization: `Bearer ${serviceToken}` } : {},
+        timeout: 5000
+      });
+      const rating = Number(response.data?.data?.skillRating?.rating);
+      profiles.set(playerId, {
+        rating: Number.isFinite(rating) ? rating : null,
+        clubId: response.data?.data?.clubId || null
+      });
+    } catch (error) {
+      logger.warn({ err: error, playerId }, '[matchmaking] Failed to fetch player profile');
+    }
+  }));
+  return profiles;
+}
+
+async function fetchPlayerRatings(playerIds) {
+  const profiles = await fetchPlayerProfiles(playerIds);
+  const ratings = new Map();
+  profiles.forEach((profile, playerId) => {
+    if (Number.isFinite(profile.rating)) ratings.set(playerId, profile.rating);
+  });
+  return ratings;
+}
+
+/**
+ * Handicap for one pairing from the rating gap, or null when the gap is below
+ * the configured minimum or a rating is missing. The weaker player gets one
+ * spotted frame per `pointsPerFrame` of gap, never enough to win outright.
+ */
+function computeHandicap({ player1Id, player2Id, ratings, config, raceTo }) {
+  if (!config || !ratings) return null;
+  const player1Rating = ratings.get(player1Id);
+  const player2Rating = ratings.get(player2Id);
+  if (player1Rating === undefined || player2Rating === undefined) return null;
+
+  const ratingGap = Math.abs(player1Rating - player2Rating);
+  const minGap = Number(config.minGap ?? DEFAULT_HANDICAP_MIN_GAP);
+  if (ratingGap === 0 || ratingGap < minGap) return null;
+
+  const options = (Array.isArray(config.options) ? config.options : []).filter((option) => HANDICAP_OPTIONS.includes(option));
+  const pointsPerFrame = Number(config.pointsPerFrame) > 0 ? Number(config.pointsPerFrame) : DEFAULT_HANDICAP_POINTS_PER_FRAME;
+  const spotFrames = options.includes('spot_frames')
+    ? Math.min(Math.floor(ratingGap / pointsPerFrame), raceTo - 1)
+    : 0;
+  const handicap = {
+    ratingGap,
+    strongerId: player1Rating > player2Rating ? player1Id : player2Id,
+    weakerId: player1Rating > player2Rating ? player2Id : player1Id,
+    weakerBreaks: options.includes('weaker_breaks'),
+    strongerCallsEight: options.includes('stronger_calls_eight'),
+    spotFrames
+  };
+  if (!handicap.weakerBreaks && !handicap.strongerCallsEight && !handicap.spotFrames) return null;
+  return handicap;
+}
+
 async function fetchAgentsForClub(clubId) {
   if (!clubId) return [];
   const serviceToken = getServiceToken();
@@ -196,10 +285,17 @@ async function createGameSessionForMatch(match) {
         matchId: match.matchId,
         tournamentId: match.tournamentId,
         seasonId: match.seasonId,
+        clubId: match.clubId || null,
         scheduledTime: match.scheduledTime,
         startTime: match.startedAt || match.scheduledTime,
         maxDurationSeconds: matchDurationSeconds,
         gameType: 'multiplayer',
+        gameVariant: matchMetadata.gameVariant || null,
+        ruleProfile: matchMetadata.ruleProfile || null,
+        shotClock: matchMetadata.shotClock || null,
+        raceTo: matchMetadata.raceTo || null,
+        tiebreak: matchMetadata.tiebreak || null,
+        handicap: matchMetadata.handicap || null,
         level: matchMetadata.level ?? null,
         instantSession: true, // Mark as instant session for realtime
         sessionStartTime: new Date().toISOString() // Session creation timestamp
@@ -235,33 +331,6 @@ function getBracketRounds(playerCount) {
   return Math.ceil(Math.log2(playerCount));
 }
 
-function getFixturePlan(playerCount) {
-  // For 2 players: direct final match
-  if (playerCount === 2) {
-    return { mode: 'knockout', groupCount: 0, initialStage: 'final' };
-  }
-  
-  // For 3-11 players: knockout mode (no groups)
-  if (playerCount < 12) {
-    if (playerCount % 2 === 1) {
-      return { mode: 'group', groupCount: 1, qualifiersPerGroup: 2, initialStage: 'group' };
-    }
-    const rounds = Math.ceil(Math.log2(playerCount));
-    const bracketSize = 2 ** rounds;
-    let initialStage = 'final';
-    if (bracketSize === 4) initialStage = 'semifinal';
-    if (bracketSize === 8) initialStage = 'quarterfinal';
-    if (bracketSize === 16) initialStage = 'round_of_16';
-    return { mode: 'knockout', groupCount: 0, initialStage };
-  }
-
-  // For 12+ players: use group stage
-  if (playerCount <= 16) {
-    return { mode: 'group', groupCount: 4, qualifiersPerGroup: 2, initialStage: 'quarterfinal' };
-  }
-  return { mode: 'group', groupCount: 8, qualifiersPerGroup: 2, initialStage: 'round_of_16' };
-}
-
 function pickHostPlayer({ player1Id, player2Id, matchIndex }) {
   return matchIndex % 2 === 0 ? player1Id : player2Id;
 }
@@ -274,6 +343,11 @@ function pickHostPlayer({ player1Id, player2Id, matchIndex }) {
  * @param {string} [options.seasonId] - The ID of the season.
  * @param {number} [options.stage] - The tournament stage.
  * @param {number} [options.roundNumber=1] - The round number.
+ * @param {number} [options.byes=0] - How many of the first players get a bye
+ *   into the next round instead of an opponent.
+ * @param {string} [options.bracketFormat] - single_elimination or double_elimination.
+ * @param {string} [options.bracket] - Side of a double elimination bracket:
+ *   winners, losers or grand_final.
  */
 async function createMatches(players, options = {}) {
   logger.info('Creating matches', { players, options });
@@ -283,31 +357,79 @@ async function createMatches(players, options = {}) {
     matchDurationSeconds: rawMatchDurationSeconds,
     entryFee: rawEntryFee,
     gameType,
+    gameVariant,
+    ruleProfile,
+    shotClock,
+    raceTo: raceConfig,
+    tiebreak: tiebreakConfig,
+    handicap: handicapConfig,
     clubId,
+    seeded,
+    byes: rawByes,
+    bracketFormat,
+    bracket,
     ...matchOptions
   } = options;
-  const matchDurationSeconds = Number(rawMatchDurationSeconds || DEFAULT_MATCH_DURATION_SECONDS);
+  const rackDurationSeconds = Number(rawMatchDurationSeconds || DEFAULT_MATCH_DURATION_SECONDS);
+  const raceTo = resolveRaceTo(raceConfig, matchOptions.stage);
+  const matchDurationSeconds = rackDurationSeconds * raceTo;
   const entryFee = Number(rawEntryFee || 0);
   const normalizedGameType = normalizeGameType(gameType);
 
-  // TODO: Implement skill-based seeding for better match quality
-  // For now, we shuffle players to randomize pairings
-  const seededPlayers = [...players].sort(() => Math.random() - 0.5);
+  // Players already in draw order (see seedPairings) are paired as given
+  const seededPlayers = seeded ? [...players] : shuffle(players);
+  const byeCount = Math.min(Number(rawByes || 0), seededPlayers.length);
+  const fixtures = seededPlayers.includes(null)
+    ? pairOpenSlots(seededPlayers)
+    : pairFixtures(seededPlayers, byeCount);
 
   const createdMatches = [];
   const seasonStartTime = rawSeasonStartTime ? new Date(rawSeasonStartTime) : null;
   const roundNumber = Number(matchOptions.roundNumber || 1);
   const durationMs = matchDurationSeconds * 1000;
   const roundStartTime = matchOptions.seasonId
-    ? await getRoundStartTime(matchOptions.seasonId, roundNumber, seasonStartTime, matchDurationSeconds)
+    ? await getRoundStartTime(matchOptions.seasonId, roundNumber, seasonStartTime, rackDurationSeconds)
     : new Date(Date.now() + 60000);
   const agents = await fetchAgentsForClub(clubId);
   logger.info({ clubId, agentCount: agents.length }, '[matchmaking] Fetched agents for club');
+  const ratings = handicapConfig ? await fetchPlayerRatings(seededPlayers) : null;
+  let matchIndex = -1;
 
-  for (let i = 0; i < seededPlayers.length - 1; i += 2) {
-    const player1Id = seededPlayers[i];
-    const player2Id = seededPlayers[i + 1];
-    const matchIndex = Math.floor(i / 2);
+  for (const [player1Id, player2Id] of fixtures) {
+    if (!player2Id) {
+      const byeMatch = await prisma.match.create({
+        data: {
+          player1Id,
+          player2Id: BYE_PLAYER_ID,
+          status: 'completed',
+          winnerId: player1Id,
+          completedAt: new Date(),
+          clubId: clubId || null,
+          endReason: 'bye',
+          metadata: {
+            bye: true,
+            bracketFormat: bracketFormat || null,
+            ...(bracket ? { bracket } : {}),
+            matchDurationSeconds,
+            rackDurationSeconds,
+            entryFee,
+            gameType: normalizedGameType || null,
+            gameVariant: gameVariant || null,
+            ruleProfile: ruleProfile || null,
+            raceTo,
+            raceConfig: raceConfig || null,
+            tiebreakConfig: tiebreakConfig || null,
+            handicapConfig: handicapConfig || null
+          },
+          ...matchOptions
+        }
+      });
+      logger.info({ matchId: byeMatch.matchId, playerId: player1Id, stage: byeMatch.stage }, '[matchmaking] Bye granted');
+      createdMatches.push(byeMatch);
+      continue;
+    }
+
+    matchIndex += 1;
     const { scheduledTime, assignedAgent } = scheduleMatchTime({
       matchIndex,
       roundStartTime,
@@ -332,9 +454,21 @@ async function createMatches(players, options = {}) {
       verificationMethod: 'qr_ble',
       metadata: {
         matchDurationSeconds,
+        rackDurationSeconds,
         maxDurationSeconds: 300,
         entryFee,
         gameType: normalizedGameType || null,
+        gameVariant: gameVariant || null,
+        ruleProfile: ruleProfile || null,
+        shotClock: shotClock || null,
+        raceTo,
+        raceConfig: raceConfig || null,
+        tiebreak: resolveTiebreak(tiebreakConfig, matchOptions.stage),
+        tiebreakConfig: tiebreakConfig || null,
+        handicap: computeHandicap({ player1Id, player2Id, ratings, config: handicapConfig, raceTo }),
+        handicapConfig: handicapConfig || null,
+        bracketFormat: bracketFormat || null,
+        ...(bracket ? { bracket } : {}),
         hostAssignmentStrategy: 'alternating'
       },
       ...matchOptions,
@@ -368,37 +502,50 @@ async function createMatches(players, options = {}) {
     createdMatches.push(match);
   }
 
-  // Handle odd number of players
-  if (seededPlayers.length % 2 === 1) {
-    const byePlayer = seededPlayers[seededPlayers.length - 1];
-    logger.info('Odd player count detected; no auto-advance bye created', { byePlayer, options });
-  }
-
   logger.info('Matches created successfully', { count: createdMatches.length, options });
   return createdMatches;
 }
 
-function chunkPlayers(players, size) {
-  const groups = [];
-  for (let i = 0; i < players.length; i += size) {
-    groups.push(players.slice(i, i + size));
+/**
+ * Turn draw order into first round fixtures: the first `byeCount` players get
+ * byes ([playerId, null]), the rest play in consecutive pairs and an odd one
+ * out gets a bye too. Byes and matches alternate so that, with winners paired
+ * in order next round, each bye meets a first round winner rather than
+ * another seeded player.
+ */
+function pairFixtures(players, byeCount) {
+  const byes = players.slice(0, byeCount).map((playerId) => [playerId, null]);
+  const rest = players.slice(byeCount);
+  const matches = [];
+  for (let i = 0; i < rest.length - 1; i += 2) {
+    matches.push([rest[i], rest[i + 1]]);
   }
-  return groups;
-}
+  if (rest.length % 2 === 1) byes.push([rest[rest.length - 1], null]);
 
-function buildBalancedGroups(players, groupCount) {
-  if (groupCount <= 0 || players.length === 0) return [];
-  const baseSize = Math.floor(players.length / groupCount);
-  const remainder = players.length % groupCount;
-  const groups = [];
-  let offset = 0;
+  const fixtures = [];
+  for (let i = 0; i < Math.max(byes.length, matches.length); i += 1) {
+    if (byes[i]) fixtures.push(byes[i]);
+    if (matches[i]) fixtures.push(matches[i]);
+  }
+  return fixtures;
+}
 
-  for (let i = 0; i < groupCount; i++) {
-    const size = baseSize + (i < remainder ? 1 : 0);
-    groups.push(players.slice(offset, offset + size));
-    offset += size;
+// Seeded players with open slots (null) left by double forfeits: pairs keep
+// their bracket positions and a player facing an open slot gets a bye
+function pairOpenSlots(players) {
+  const fixtures = [];
+  for (let i = 0; i < players.length; i += 2) {
+    const pair = [players[i], players[i + 1]].filter(Boolean);
+    if (pair.length) fixtures.push([pair[0], pair[1] || null]);
   }
+  return fixtures;
+}
 
+function chunkPlayers(players, size) {
+  const groups = [];
+  for (let i = 0; i < players.length; i += size) {
+    groups.push(players.slice(i, i + size));
+  }
   return groups;
 }
 
@@ -429,22 +576,33 @@ async function createGroupStageMatches(players, options = {}) {
     matchDurationSeconds: rawMatchDurationSeconds,
     entryFee: rawEntryFee,
     gameType,
+    gameVariant,
+    ruleProfile,
+    shotClock,
+    raceTo: raceConfig,
+    tiebreak: tiebreakConfig,
+    handicap: handicapConfig,
     clubId,
+    groups: providedGroups,
+    bracketFormat,
     ...matchOptions
   } = options;
-  const matchDurationSeconds = Number(rawMatchDurationSeconds || DEFAULT_MATCH_DURATION_SECONDS);
+  const rackDurationSeconds = Number(rawMatchDurationSeconds || DEFAULT_MATCH_DURATION_SECONDS);
+  const raceTo = resolveRaceTo(raceConfig, 'group');
+  const matchDurationSeconds = rackDurationSeconds * raceTo;
   const entryFee = Number(rawEntryFee || 0);
   const normalizedGameType = normalizeGameType(gameType);
   const seasonStartTime = rawSeasonStartTime ? new Date(rawSeasonStartTime) : null;
   const durationMs = matchDurationSeconds * 1000;
   const roundStartTime = matchOptions.seasonId
-    ? await getRoundStartTime(matchOptions.seasonId, 1, seasonStartTime, matchDurationSeconds)
+    ? await getRoundStartTime(matchOptions.seasonId, 1, seasonStartTime, rackDurationSeconds)
     : new Date(Date.now() + 60000);
   const agents = await fetchAgentsForClub(clubId);
+  const ratings = handicapConfig ? await fetchPlayerRatings(players) : null;
 
-  const providedGroups = Array.isArray(options.groups) && options.groups.length > 0 ? options.groups : null;
-  const shuffled = [...players].sort(() => Math.random() - 0.5);
-  const groups = providedGroups || chunkPlayers(shuffled, GROUP_SIZE);
+  const groups = Array.isArray(providedGroups) && providedGroups.length > 0
+    ? providedGroups
+    : chunkPlayers(shuffle(players), GROUP_SIZE);
   const createdMatches = [];
 
   for (let index = 0; index < groups.length; index += 1) {
@@ -487,9 +645,20 @@ async function createGroupStageMatches(players, options = {}) {
               groupId,
               groupLabel,
               matchDurationSeconds,
+              rackDurationSeconds,
               maxDurationSeconds: 300,
               entryFee,
               gameType: normalizedGameType || null,
+              gameVariant: gameVariant || null,
+              ruleProfile: ruleProfile || null,
+              shotClock: shotClock || null,
+              raceTo,
+              raceConfig: raceConfig || null,
+              tiebreak: 'draw',
+              tiebreakConfig: tiebreakConfig || null,
+              handicap: computeHandicap({ player1Id, player2Id, ratings, config: handicapConfig, raceTo }),
+              handicapConfig: handicapConfig || null,
+              bracketFormat: bracketFormat || null,
               hostAssignmentStrategy: 'alternating'
             },
             ...matchOptions
@@ -540,7 +709,15 @@ async function handleTournamentMatchGeneration(data) {
     stage,
     matchDurationSeconds: rawMatchDurationSeconds,
     entryFee: rawEntryFee,
-    gameType
+    gameType,
+    gameVariant,
+    ruleProfile,
+    shotClock,
+    raceTo,
+    tiebreak,
+    handicap,
+    seeding,
+    bracketFormat
   } = data;
   if (!tournamentId || !seasonId || !Array.isArray(players)) {
     logger.warn({ data }, 'Invalid tournament match generation payload');
@@ -568,8 +745,15 @@ async function handleTournamentMatchGeneration(data) {
 
   const matchDurationSeconds = Number(rawMatchDurationSeconds || DEFAULT_MATCH_DURATION_SECONDS);
   const normalizedGameType = normalizeGameType(gameType);
-  const fixturePlan = getFixturePlan(uniquePlayers.length);
-  const useGroupStage = fixturePlan.mode === 'group'; // Defined useGroupStage
+  const fixturePlan = planFixtures(uniquePlayers.length, {
+    groupSize: GROUP_SIZE,
+    qualifiersPerGroup: GROUP_QUALIFIERS
+  });
+  const useGroupStage = fixturePlan.mode === 'group';
+  logger.info(
+    { seasonId, mode: fixturePlan.mode, groupSizes: fixturePlan.groupSizes, byes: fixturePlan.byes },
+    '[matchmaking] Fixture plan chosen'
+  );
   const options = {
     tournamentId,
     seasonId,
@@ -577,19 +761,40 @@ async function handleTournamentMatchGeneration(data) {
     roundNumber: 1,
     matchDurationSeconds,
     entryFee: Number(rawEntryFee || 0),
-    gameType: normalizedGameType || undefined
+    gameType: normalizedGameType || undefined,
+    gameVariant: gameVariant || undefined,
+    ruleProfile: ruleProfile || undefined,
+    shotClock: shotClock || undefined,
+    raceTo: raceTo || undefined,
+    tiebreak: tiebreak || undefined,
+    handicap: handicap || undefined,
+    bracketFormat: bracketFormat === 'double_elimination' ? bracketFormat : 'single_elimination'
   };
-  const effectiveStage = fixturePlan.initialStage || getInitialStage(uniquePlayers.length);
+  const initialStage = fixturePlan.initialStage || getInitialStage(uniquePlayers.length);
+  // In double elimination the first final is only the winners bracket final
+  const doubleElimination = options.bracketFormat === 'double_elimination';
+  const effectiveStage = doubleElimination && initialStage === 'final' ? 'winners_final' : initialStage;
   const seasonStartTime = data.startTime ? new Date(data.startTime) : new Date();
 
+  const seedingMethod = normalizeSeedingMethod(seeding);
   let matches = [];
+  let draw = null;
   try {
-    const groupConfig = useGroupStage
-      ? buildBalancedGroups(uniquePlayers, fixturePlan.groupCount || 1)
-      : null;
+    const profiles = seedingMethod === 'random' ? new Map() : await fetchPlayerProfiles(uniquePlayers);
+    draw = useGroupStage
+      ? seedGroups(uniquePlayers, fixturePlan.groupCount, { method: seedingMethod, profiles })
+      : seedPairings(uniquePlayers, { method: seedingMethod, profiles, byes: fixturePlan.byes });
+    logger.info({ seasonId, method: draw.method, playerCount: uniquePlayers.length }, '[matchmaking] Season draw made');
     matches = useGroupStage
-      ? await createGroupStageMatches(uniquePlayers, { ...options, stage: 'group', seasonStartTime, groups: groupConfig })
-      : await createMatches(uniquePlayers, { ...options, stage: effectiveStage, seasonStartTime });
+      ? await createGroupStageMatches(uniquePlayers, { ...options, stage: 'group', seasonStartTime, groups: draw.groups })
+      : await createMatches(draw.order, {
+        ...options,
+        stage: effectiveStage,
+        seasonStartTime,
+        seeded: true,
+        byes: fixturePlan.byes,
+        ...(doubleElimination ? { bracket: 'winners' } : {})
+      });
   } catch (err) {
     logger.error(
       { err, tournamentId, seasonId, playerCount: uniquePlayers.length },
@@ -626,7 +831,9 @@ async function handleTournamentMatchGeneration(data) {
     seasonId,
     stage: effectiveStage,
     matchesCreated: matches.length,
-    scheduledCount
+    scheduledCount,
+    seeding: { method: draw.method, seeds: draw.seeds, drawnAt: new Date().toISOString() },
+    fixturePlan
   }).catch((eventErr) => {
     logger.error({ err: eventErr, seasonId }, '[matchmaking] Failed to publish SEASON_MATCHES_GENERATED');
   });
@@ -645,7 +852,7 @@ async function handleTournamentMatchGeneration(data) {
 
     // Notify individual players about their matches
     for (const match of matches) {
-      if (match.player1Id && match.player2Id) {
+      if (match.player1Id && match.player2Id && !match.metadata?.bye) {
         try {
           await publishEvent(Topics.MATCH_READY, {
             matchId: match.matchId,
@@ -713,6 +920,80 @@ async function handleSeasonCompleted(data) {
   }
 }
 
+async function handleMatchIntegrityFlagged(data) {
+  const { matchId, sessionId, reason, detectedAt } = data || {};
+  const match = matchId
+    ? await prisma.match.findUnique({ where: { matchId } })
+    : await prisma.match.findFirst({ where: { gameSessionId: sessionId } });
+  if (!match) {
+    logger.warn({ matchId, sessionId }, 'Integrity flag for unknown match');
+    return;
+  }
+
+  const metadata = match.metadata && typeof match.metadata === 'object' ? match.metadata : {};
+  await prisma.match.update({
+    where: { matchId: match.matchId },
+    data: {
+      suspiciousActivity: true,
+      metadata: {
+        ...metadata,
+        integrity: {
+          sessionId,
+          reason,
+          details: data.details || null,
+          detectedAt
+        }
+      }
+    }
+  });
+}
+
+async function handleGameSessionCancelled(data) {
+  const { matchId, sessionId, reason, cancelledAt } = data || {};
+  const match = matchId
+    ? await prisma.match.findUnique({ where: { matchId } })
+    : await prisma.match.findFirst({ where: { gameSessionId: sessionId } });
+  if (!match) return;
+
+  const { releaseClubDevice, evaluateSeasonCompletion, forfeitMatchAndProgress } = require('./matchmakingController');
+  await releaseClubDevice(match.matchId);
+  if (match.status === 'completed' || match.status === 'cancelled') return;
+
+  // A season match has to end for its round to move on; nobody won it
+  if (match.seasonId) {
+    await forfeitMatchAndProgress({
+      matchId: match.matchId,
+      reason,
+      sessionId,
+      endedAt: cancelledAt
+    });
+    return;
+  }
+
+  const metadata = match.metadata && typeof match.metadata === 'object' ? match.metadata : {};
+  await prisma.match.update({
+    where: { matchId: match.matchId },
+    data: {
+      status: 'cancelled',
+      metadata: {
+        ...metadata,
+        reason,
+        cancelledSessionId: sessionId,
+        endedAt: cancelledAt
+      }
+    }
+  });
+
+  const io = getIO();
+  if (io) {
+    io.to(`match:${match.matchId}`).emit('match:cancelled', {
+      matchId: match.matchId,
+      reason: 'Game session expired'
+    });
+  }
+  await evaluateSeasonCompletion(match);
+}
+
 exports.createP2PMatch = async (player1Id, player2Id) => {
   const matches = await createMatches([player1Id, player2Id], {
     metadata: { maxDurationSeconds: 300 }
@@ -729,7 +1010,13 @@ exports.initializeTournamentEventConsumer = () => {
       try {
         await subscribeEvents(
           'matchmaking-service',
-          [Topics.GENERATE_MATCHES, Topics.SEASON_COMPLETED, Topics.MATCH_RESULT],
+          [
+            Topics.GENERATE_MATCHES,
+            Topics.SEASON_COMPLETED,
+            Topics.MATCH_RESULT,
+            Topics.MATCH_INTEGRITY_FLAGGED,
+            Topics.GAME_SESSION_CANCELLED
+          ],
           (topic, data) => {
             if (topic === Topics.GENERATE_MATCHES) {
               logger.info('Received GENERATE_MATCHES event', { tournamentId: data?.tournamentId, seasonId: data?.seasonId, playerCount: data?.players?.length });
@@ -745,6 +1032,20 @@ exports.initializeTournamentEventConsumer = () => {
               });
               return;
             }
+            if (topic === Topics.MATCH_INTEGRITY_FLAGGED) {
+              logger.warn('Received MATCH_INTEGRITY_FLAGGED event', { matchId: data?.matchId, sessionId: data?.sessionId, reason: data?.reason });
+              handleMatchIntegrityFlagged(data).catch((error) => {
+                logger.error('Failed to process MATCH_INTEGRITY_FLAGGED event:', error);
+              });
+              return;
+            }
+            if (topic === Topics.GAME_SESSION_CANCELLED) {
+              logger.info('Received GAME_SESSION_CANCELLED event', { matchId: data?.matchId, sessionId: data?.sessionId, reason: data?.reason });
+              handleGameSessionCancelled(data).catch((error) => {
+                logger.error('Failed to process GAME_SESSION_CANCELLED event:', error);
+              });
+              return;
+            }
             if (topic === Topics.MATCH_RESULT) {
               logger.info('Received MATCH_RESULT event', { matchId: data?.matchId, winnerId: data?.winnerId });
               const { completeMatchAndProgress } = require('./matchmakingController');
@@ -763,7 +1064,10 @@ exports.initializeTournamentEventConsumer = () => {
                 draw: data.draw,
                 reason: data.reason,
                 matchDuration: matchDurationSeconds,
-                completedAt: data.completedAt
+                completedAt: data.completedAt,
+                shotStats: data.shotStats,
+                raceTo: data.raceTo,
+                frames: data.frames
               }).catch((error) => {
                 logger.error('Failed to process MATCH_RESULT event:', error);
               });
@@ -788,3 +1092,5 @@ exports.initializeTournamentEventConsumer = () => {
 };
 
 exports.createMatches = createMatches;
+exports.fetchPlayerRatings = fetchPlayerRatings;
+exports.computeHandicap = computeHandicap;
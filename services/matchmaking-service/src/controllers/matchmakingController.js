@@ -3,6 +3,8 @@ const axios = require('axios');
 const crypto = require('crypto');
 const logger = require('../utils/logger');
 const { publishEvent, Topics } = require('../../../../shared/events');
+const { shuffle } = require('../../../../shared/utils/seeding');
+const { nextPowerOfTwo } = require('../../../../shared/utils/fixturePlanner');
 const SeasonMatchmakingController = require('./seasonMatchmakingController');
 const { createMatches } = require('./matchCreationController');
 const { getIO } = require('../utils/socket');
@@ -54,13 +56,16 @@ function getNextStage(stage) {
   return null;
 }
 
+const DOUBLE_ELIMINATION_STAGES = ['winners_final', 'losers_final', 'grand_final', 'grand_final_reset'];
+
 function isBracketStage(stage) {
   const normalized = String(stage || '').toLowerCase();
   if (!normalized) return false;
   if (normalized === 'final' || normalized === 'third_place' || normalized === 'semifinal' || normalized === 'quarterfinal') {
     return true;
   }
-  return normalized.startsWith('round_of_');
+  if (DOUBLE_ELIMINATION_STAGES.includes(normalized)) return true;
+  return normalized.startsWith('round_of_') || normalized.startsWith('losers_round_');
 }
 
 function getStageRank(stage) {
@@ -75,14 +80,35 @@ function getStageRank(stage) {
   if (normalized === 'quarterfinal') return 1100;
   if (normalized === 'semifinal') return 1200;
   if (normalized === 'third_place') return 1300;
-  if (normalized === 'final') return 1400;
+  if (normalized === 'final' || normalized === 'winners_final') return 1400;
+  if (normalized.startsWith('losers_round_')) {
+    const round = Number(normalized.replace('losers_round_', ''));
+    if (Number.isFinite(round)) return 2000 + round;
+  }
+  if (normalized === 'losers_final') return 2900;
+  if (normalized === 'grand_final') return 3000;
+  if (normalized === 'grand_final_reset') return 3100;
   return 9999;
 }
 
+function isDoubleElimination(match) {
+  return match?.metadata?.bracketFormat === 'double_elimination';
+}
+
+// Side of a double elimination bracket: winners, losers or grand_final
+function getBracketSide(match) {
+  return match?.metadata?.bracket || 'winners';
+}
+
 function isByeMatch(match) {
   return match?.metadata?.bye === true || match?.player2Id === BYE_PLAYER_ID;
 }
 
+// Neither player finished it: completed with no winner, and both are out
+function isDoubleForfeit(match) {
+  return match?.metadata?.doubleForfeit === true;
+}
+
 function getMatchLoser(match) {
   if (!match?.winnerId) return null;
   if (match.player1Id === match.winnerId) return match.player2Id;
@@ -286,8 +312,9 @@ exports.verifyHostQr = async (req, res) => {
   }
 };
 
+// Per-rack duration; a race match's own matchDurationSeconds is already scaled to its length
 function getMatchDurationSeconds(match) {
-  return Number(match?.metadata?.matchDurationSeconds || DEFAULT_MATCH_DURATION_SECONDS);
+  return Number(match?.metadata?.rackDurationSeconds || match?.metadata?.matchDurationSeconds || DEFAULT_MATCH_DURATION_SECONDS);
 }
 
 async function assignWinnerAdvances(roundMatches, nextMatches) {
@@ -321,6 +348,189 @@ async function emitRoundMatches(tournamentId, seasonId, stage, roundNumber, matc
   io.to(`tournament:${tournamentId}`).emit('season:matches_generated', payload);
 }
 
+// Settings every later knockout match inherits from the one that just finished
+function knockoutOptions(match, stage, roundNumber, bracket) {
+  return {
+    tournamentId: match.tournamentId,
+    seasonId: match.seasonId,
+    stage,
+    roundNumber,
+    seeded: true,
+    bracket,
+    bracketFormat: match.metadata?.bracketFormat || undefined,
+    matchDurationSeconds: getMatchDurationSeconds(match),
+    clubId: match.clubId || null,
+    gameVariant: match.metadata?.gameVariant || undefined,
+    ruleProfile: match.metadata?.ruleProfile || undefined,
+    shotClock: match.metadata?.shotClock || undefined,
+    raceTo: match.metadata?.raceConfig || undefined,
+    tiebreak: match.metadata?.tiebreakConfig || undefined,
+    handicap: match.metadata?.handicapConfig || undefined
+  };
+}
+
+// Another completion may already have created this round
+async function knockoutMatchExists(match, stage, roundNumber) {
+  const existing = await prisma.match.findFirst({
+    where: {
+      tournamentId: match.tournamentId,
+      seasonId: match.seasonId,
+      stage,
+      ...(roundNumber !== undefined ? { roundNumber } : {})
+    }
+  });
+  return Boolean(existing);
+}
+
+function winnerSources(roundMatches) {
+  return roundMatches
+    .filter((m) => m.winnerId)
+    .map((m) => ({ playerId: m.winnerId, from: m, as: 'winner' }));
+}
+
+// Point each source match at the new match its winner or loser plays next
+async function linkAdvances(sources, nextMatches) {
+  await Promise.all(sources.map(({ playerId, from, as }) => {
+    const nextMatch = nextMatches.find((m) => m.player1Id === playerId || m.player2Id === playerId);
+    if (!from || !nextMatch) return null;
+    const prefix = as === 'loser' ? 'loser' : 'winner';
+    return prisma.match.update({
+      where: { matchId: from.matchId },
+      data: {
+        [`${prefix}AdvancesToMatchId`]: nextMatch.matchId,
+        [`${prefix}AdvancesToSlot`]: nextMatch.player1Id === playerId ? 'A' : 'B'
+      }
+    });
+  }).filter(Boolean));
+}
+
+/**
+ * Double elimination: a player is out after their second loss.
+ *
+ * The winners bracket advances round by round as in single elimination. Its
+ * losers drop into the losers bracket, which alternates between rounds that
+ * pit its survivors against the newest drop-downs and rounds among the
+ * survivors alone, so both halves shrink at the same pace. The two bracket
+ * champions meet in a grand final; if the losers bracket champion wins it,
+ * both have lost once and a reset match decides the season.
+ */
+async function progressDoubleElimination(match) {
+  const knockoutMatches = await prisma.match.findMany({
+    where: {
+      tournamentId: match.tournamentId,
+      seasonId: match.seasonId,
+      stage: { not: 'group' }
+    },
+    orderBy: { createdAt: 'asc' }
+  });
+  const isComplete = (m) => m.status === 'completed';
+  const winnersMatches = knockoutMatches.filter((m) => getBracketSide(m) === 'winners');
+  const losersMatches = knockoutMatches.filter((m) => getBracketSide(m) === 'losers');
+  const grandFinals = knockoutMatches.filter((m) => getBracketSide(m) === 'grand_final');
+  if (!winnersMatches.length) return;
+
+  // Winners bracket
+  const lastWinnersRound = Math.max(...winnersMatches.map((m) => m.roundNumber));
+  const winnersRound = winnersMatches.filter((m) => m.roundNumber === lastWinnersRound);
+  let winnersChampion = null;
+  if (winnersRound.every(isComplete)) {
+    const advancing = winnersRound.map((m) => m.winnerId).filter((id) => typeof id === 'string' && id.length > 0);
+    if (advancing.length === 1) {
+      winnersChampion = { playerId: advancing[0], from: winnersRound[0] };
+    } else if (advancing.length >= 2) {
+      const stage = advancing.length === 2 ? 'winners_final' : getInitialStage(advancing.length);
+      // Already created by a concurrent completion, which also moves the losers bracket on
+      if (await knockoutMatchExists(match, stage, lastWinnersRound + 1)) return;
+      const nextMatches = await createMatches(
+        advancing,
+        knockoutOptions(match, stage, lastWinnersRound + 1, 'winners')
+      );
+      await assignWinnerAdvances(winnersRound, nextMatches);
+      await emitRoundMatches(match.tournamentId, match.seasonId, stage, lastWinnersRound + 1, nextMatches);
+      winnersMatches.push(...nextMatches);
+    }
+  }
+
+  // Losers bracket: only moves once its current round is over
+  if (losersMatches.some((m) => !isComplete(m))) return;
+
+  const loserOf = (m) => (isComplete(m) && !isByeMatch(m) ? getMatchLoser(m) : null);
+  const forfeited = new Set(knockoutMatches.filter(isDoubleForfeit).flatMap((m) => [m.player1Id, m.player2Id]));
+  const eliminated = new Set([...losersMatches.map(loserOf).filter(Boolean), ...forfeited]);
+  const lastLosersMatch = new Map();
+  losersMatches.forEach((m) => {
+    [m.player1Id, m.player2Id].forEach((playerId) => lastLosersMatch.set(playerId, m));
+  });
+  const survivors = Array.from(lastLosersMatch.entries())
+    .filter(([playerId]) => playerId !== BYE_PLAYER_ID && !eliminated.has(playerId))
+    .map(([playerId, from]) => ({ playerId, from, as: 'winner' }))
+    .sort((a, b) => losersMatches.indexOf(a.from) - losersMatches.indexOf(b.from));
+  // Losers drop in a whole winners round at a time
+  const openRounds = new Set(winnersMatches.filter((m) => !isComplete(m)).map((m) => m.roundNumber));
+  const dropIns = winnersMatches
+    .filter((m) => !openRounds.has(m.roundNumber))
+    .map((m) => ({ playerId: loserOf(m), from: m, as: 'loser' }))
+    .filter(({ playerId }) => playerId && !lastLosersMatch.has(playerId));
+  const dropInsToCome = winnersMatches.filter((m) => openRounds.has(m.roundNumber) && !isByeMatch(m)).length;
+
+  let entrants = null;
+  if (dropIns.length > 0 && survivors.length <= dropIns.length && survivors.length + dropIns.length >= 2) {
+    // Each survivor meets a fresh drop-down; extra drop-downs meet each other
+    entrants = [];
+    dropIns.forEach((dropIn, index) => {
+      if (survivors[index]) entrants.push(survivors[index]);
+      entrants.push(dropIn);
+    });
+  } else if (survivors.length >= 2 && survivors.length > dropIns.length + dropInsToCome) {
+    // More survivors than drop-downs to meet them: thin the survivors first
+    entrants = survivors;
+  }
+
+  if (entrants) {
+    const losersRound = new Set(losersMatches.map((m) => m.stage)).size + 1;
+    const lastTwo = dropInsToCome === 0 && survivors.length + dropIns.length === 2;
+    const stage = lastTwo ? 'losers_final' : `losers_round_${losersRound}`;
+    if (await knockoutMatchExists(match, stage, losersRound + 1)) return;
+    const nextMatches = await createMatches(
+      entrants.map(({ playerId }) => playerId),
+      knockoutOptions(match, stage, losersRound + 1, 'losers')
+    );
+    await linkAdvances(entrants, nextMatches);
+    await emitRoundMatches(match.tournamentId, match.seasonId, stage, losersRound + 1, nextMatches);
+    return;
+  }
+
+  const remaining = survivors.concat(dropIns);
+  if (!winnersChampion || dropInsToCome > 0 || remaining.length !== 1) return;
+  const losersChampion = remaining[0];
+
+  // Grand final, and the reset if the winners bracket champion loses it
+  const roundNumber = Math.max(...knockoutMatches.map((m) => m.roundNumber)) + 1;
+  if (!grandFinals.length) {
+    if (await knockoutMatchExists(match, 'grand_final')) return;
+    const finalMatches = await createMatches(
+      [winnersChampion.playerId, losersChampion.playerId],
+      knockoutOptions(match, 'grand_final', roundNumber, 'grand_final')
+    );
+    await linkAdvances([winnersChampion, losersChampion], finalMatches);
+    await emitRoundMatches(match.tournamentId, match.seasonId, 'grand_final', roundNumber, finalMatches);
+    return;
+  }
+
+  const [grandFinal, reset] = grandFinals;
+  if (reset || !isComplete(grandFinal) || grandFinal.winnerId !== losersChampion.playerId) return;
+  if (await knockoutMatchExists(match, 'grand_final_reset')) return;
+  const resetMatches = await createMatches(
+    [grandFinal.player1Id, grandFinal.player2Id],
+    knockoutOptions(match, 'grand_final_reset', roundNumber, 'grand_final')
+  );
+  await linkAdvances([
+    { playerId: grandFinal.winnerId, from: grandFinal, as: 'winner' },
+    { playerId: getMatchLoser(grandFinal), from: grandFinal, as: 'loser' }
+  ], resetMatches);
+  await emitRoundMatches(match.tournamentId, match.seasonId, 'grand_final_reset', roundNumber, resetMatches);
+}
+
 async function progressTournament(match) {
   if (!match?.seasonId || !match?.tournamentId) return;
 
@@ -349,7 +559,7 @@ async function progressTournament(match) {
 
       const ensurePlayer = (playerId) => {
         if (!groupStats.has(playerId)) {
-          groupStats.set(playerId, { wins: 0, scoreDiff: 0 });
+          groupStats.set(playerId, { wins: 0, draws: 0, scoreDiff: 0 });
         }
       };
 
@@ -368,27 +578,39 @@ async function progressTournament(match) {
         player1Stats.wins += 1;
       } else if (m.winnerId === m.player2Id) {
         player2Stats.wins += 1;
+      } else if (m.metadata?.draw) {
+        player1Stats.draws += 1;
+        player2Stats.draws += 1;
       }
     }
 
+    // Placed by finishing position first (all group winners, then runners-up),
+    // then by record, so any byes go to the strongest qualifiers
     const qualifiers = [];
     for (const [groupId, groupStats] of standingsByGroup.entries()) {
       const sorted = Array.from(groupStats.entries())
         .map(([playerId, stats]) => ({ playerId, ...stats }))
         .sort((a, b) => {
           if (b.wins !== a.wins) return b.wins - a.wins;
+          if (b.draws !== a.draws) return b.draws - a.draws;
           if (b.scoreDiff !== a.scoreDiff) return b.scoreDiff - a.scoreDiff;
           return a.playerId.localeCompare(b.playerId);
         });
       const takeCount = Math.min(GROUP_QUALIFIERS, sorted.length);
-      qualifiers.push(...sorted.slice(0, takeCount).map((entry) => entry.playerId));
+      qualifiers.push(...sorted.slice(0, takeCount).map((entry, place) => ({ ...entry, place })));
       logger.info('Group standings resolved', { groupId, qualifiers: sorted.slice(0, takeCount) });
     }
+    qualifiers.sort((a, b) => (
+      a.place - b.place || b.wins - a.wins || b.draws - a.draws || b.scoreDiff - a.scoreDiff
+    ));
 
-    const uniqueQualifiers = Array.from(new Set(qualifiers));
+    const uniqueQualifiers = Array.from(new Set(qualifiers.map((entry) => entry.playerId)));
     if (uniqueQualifiers.length < 2) return;
+    const byes = nextPowerOfTwo(uniqueQualifiers.length) - uniqueQualifiers.length;
+    const drawOrder = [...uniqueQualifiers.slice(0, byes), ...shuffle(uniqueQualifiers.slice(byes))];
 
-    const nextStage = getInitialStage(uniqueQualifiers.length);
+    const initialStage = getInitialStage(uniqueQualifiers.length);
+    const nextStage = isDoubleElimination(match) && initialStage === 'final' ? 'winners_final' : initialStage;
     const existingNext = await prisma.match.findFirst({
       where: {
         tournamentId: match.tournamentId,
@@ -399,19 +621,20 @@ async function progressTournament(match) {
     });
     if (existingNext) return;
 
-    const nextMatches = await createMatches(uniqueQualifiers, {
-      tournamentId: match.tournamentId,
-      seasonId: match.seasonId,
-      stage: nextStage,
-      roundNumber: 1,
-      matchDurationSeconds: getMatchDurationSeconds(match),
-      clubId: match.clubId || null
+    const nextMatches = await createMatches(drawOrder, {
+      ...knockoutOptions(match, nextStage, 1, isDoubleElimination(match) ? 'winners' : undefined),
+      byes
     });
 
     await emitRoundMatches(match.tournamentId, match.seasonId, nextStage, 1, nextMatches);
     return;
   }
 
+  if (isDoubleElimination(match)) {
+    await progressDoubleElimination(match);
+    return;
+  }
+
   const roundMatches = await prisma.match.findMany({
     where: {
       tournamentId: match.tournamentId,
@@ -454,14 +677,10 @@ async function progressTournament(match) {
 
     if (finalists.length < 2) return;
 
-    const finalMatches = await createMatches(finalists.slice(0, 2), {
-      tournamentId: match.tournamentId,
-      seasonId: match.seasonId,
-      stage: 'final',
-      roundNumber: match.roundNumber,
-      matchDurationSeconds: getMatchDurationSeconds(match),
-      clubId: match.clubId || null
-    });
+    const finalMatches = await createMatches(
+      finalists.slice(0, 2),
+      knockoutOptions(match, 'final', match.roundNumber)
+    );
     await emitRoundMatches(match.tournamentId, match.seasonId, 'final', match.roundNumber, finalMatches);
     return;
   }
@@ -485,19 +704,16 @@ async function progressTournament(match) {
         }
       });
       if (!thirdPlaceExists) {
-        const thirdMatches = await createMatches(losers.slice(0, 2), {
-          tournamentId: match.tournamentId,
-          seasonId: match.seasonId,
-          stage: 'third_place',
-          roundNumber: match.roundNumber + 1,
-          matchDurationSeconds: getMatchDurationSeconds(match),
-          clubId: match.clubId || null
-        });
+        const thirdMatches = await createMatches(
+          losers.slice(0, 2),
+          knockoutOptions(match, 'third_place', match.roundNumber + 1)
+        );
         await emitRoundMatches(match.tournamentId, match.seasonId, 'third_place', match.roundNumber + 1, thirdMatches);
       }
     }
 
-    if (winners.length >= 2) {
+    // A double forfeit leaves one finalist, who takes the final as a bye
+    if (winners.length >= 1) {
       const finalExists = await prisma.match.findFirst({
         where: {
           tournamentId: match.tournamentId,
@@ -507,21 +723,21 @@ async function progressTournament(match) {
       });
       if (finalExists) return;
 
-      const finalMatches = await createMatches(winners.slice(0, 2), {
-        tournamentId: match.tournamentId,
-        seasonId: match.seasonId,
-        stage: 'final',
-        roundNumber: match.roundNumber + 1,
-        matchDurationSeconds: getMatchDurationSeconds(match),
-        clubId: match.clubId || null
-      });
-      await assignWinnerAdvances(roundMatches, finalMatches);
+      const finalMatches = await createMatches(
+        winners.slice(0, 2),
+        knockoutOptions(match, 'final', match.roundNumber + 1)
+      );
+      await linkAdvances(winnerSources(roundMatches), finalMatches);
       await emitRoundMatches(match.tournamentId, match.seasonId, 'final', match.roundNumber + 1, finalMatches);
     }
     return;
   }
 
-  const nextStage = getNextStage(match.stage);
+  // A double forfeit leaves its slot open; a lone player left takes the final as a bye
+  const slots = roundMatches.map((m) => m.winnerId || null);
+  const winners = slots.filter(Boolean);
+  if (!winners.length) return;
+  const nextStage = winners.length === 1 ? 'final' : getNextStage(match.stage);
   if (!nextStage) return;
 
   const existingNext = await prisma.match.findFirst({
@@ -534,22 +750,14 @@ async function progressTournament(match) {
   });
   if (existingNext) return;
 
-  const winners = roundMatches
-    .map((m) => m.winnerId)
-    .filter((id) => typeof id === 'string' && id.length > 0);
-
-  if (winners.length < 2) return;
-
-  const nextMatches = await createMatches(winners, {
-    tournamentId: match.tournamentId,
-    seasonId: match.seasonId,
-    stage: nextStage,
-    roundNumber: match.roundNumber + 1,
-    matchDurationSeconds: getMatchDurationSeconds(match),
-    clubId: match.clubId || null
-  });
+  // Winners stay in bracket order so byes meet first round winners and
+  // winnerAdvancesToMatchId points at the match each winner actually plays
+  const nextMatches = await createMatches(
+    winners.length === 1 ? winners : slots,
+    knockoutOptions(match, nextStage, match.roundNumber + 1)
+  );
 
-  await assignWinnerAdvances(roundMatches, nextMatches);
+  await linkAdvances(winnerSources(roundMatches), nextMatches);
   await emitRoundMatches(match.tournamentId, match.seasonId, nextStage, match.roundNumber + 1, nextMatches);
 }
 
@@ -587,13 +795,16 @@ async function evaluateSeasonCompletion(match) {
 
   const timer = setTimeout(async () => {
     try {
+      // The deciding match: the final, or in double elimination the grand
+      // final or its reset, whichever was played last
       const finalMatch = await prisma.match.findFirst({
         where: {
           tournamentId: match.tournamentId,
           seasonId: match.seasonId,
-          stage: 'final',
+          stage: { in: ['final', 'grand_final', 'grand_final_reset'] },
           status: 'completed'
-        }
+        },
+        orderBy: { createdAt: 'desc' }
       });
 
       let stillPending = await prisma.match.findMany({
@@ -649,7 +860,7 @@ async function evaluateSeasonCompletion(match) {
       const uniquePlayers = new Set();
       allMatches.forEach(m => {
         if (m.player1Id) uniquePlayers.add(m.player1Id);
-        if (m.player2Id) uniquePlayers.add(m.player2Id);
+        if (m.player2Id && m.player2Id !== BYE_PLAYER_ID) uniquePlayers.add(m.player2Id);
       });
       const playerCount = uniquePlayers.size;
 
@@ -716,20 +927,43 @@ async function evaluateSeasonCompletion(match) {
   seasonCompletionTimers.set(match.seasonId, timer);
 }
 
-async function completeMatchAndProgress({ matchId, winnerId, player1Score, player2Score, draw, reason, matchDuration, completedAt }) {
+// The club table is free again once its match is over either way
+async function releaseClubDevice(matchId) {
+  try {
+    const released = await prisma.clubDevice.updateMany({
+      where: { currentMatchId: matchId },
+      data: { currentMatchId: null, lastUsed: new Date() }
+    });
+    if (released.count > 0) {
+      logger.info({ matchId, devices: released.count }, 'Released club device from finished match');
+    }
+  } catch (err) {
+    logger.error({ err, matchId }, 'Failed to release club device');
+  }
+}
+
+async function completeMatchAndProgress({ matchId, winnerId, player1Score, player2Score, draw, reason, matchDuration, completedAt, shotStats, raceTo, frames }) {
   const match = await prisma.match.findUnique({ where: { matchId } });
   if (!match) {
     const err = new Error('Match not found');
     err.statusCode = 404;
     throw err;
   }
-  if (match.status === 'completed' && (match.winnerId || match.metadata?.draw)) {
+  if (match.status === 'completed' && (match.winnerId || match.metadata?.draw || isDoubleForfeit(match))) {
     return match;
   }
 
   const isDraw = Boolean(draw);
   const metadata = match.metadata && typeof match.metadata === 'object' ? match.metadata : {};
   const loserId = isDraw ? null : (match.player1Id === winnerId ? match.player2Id : match.player1Id);
+  // Frame-by-frame record of a race; the scores already carry the frames won
+  const gameData = Array.isArray(frames) && frames.length > 0
+    ? {
+      ...(match.gameData && typeof match.gameData === 'object' ? match.gameData : {}),
+      raceTo: Number(raceTo) || Number(metadata.raceTo) || 1,
+      frames
+    }
+    : undefined;
 
   const updatedMatch = await prisma.match.update({
     where: { matchId },
@@ -744,9 +978,11 @@ async function completeMatchAndProgress({ matchId, winnerId, player1Score, playe
         ...(isDraw ? { draw: true } : {}),
         ...(reason ? { reason } : {}),
         ...(matchDuration != null ? { matchDuration } : {})
-      }
+      },
+      ...(gameData ? { gameData } : {})
     },
   });
+  await releaseClubDevice(matchId);
 
   try {
     await publishEvent(Topics.MATCH_COMPLETED, {
@@ -755,10 +991,13 @@ async function completeMatchAndProgress({ matchId, winnerId, player1Score, playe
       matchId: match.matchId,
       stage: match.stage,
       roundNumber: match.roundNumber,
-      winnerId: winnerId,
+      winnerId: isDraw ? null : winnerId,
       loserId: loserId,
+      player1Id: match.player1Id,
+      player2Id: match.player2Id,
       draw: isDraw,
-      reason
+      reason,
+      shotStats: shotStats && typeof shotStats === 'object' ? shotStats : null
     });
   } catch (eventErr) {
     logger.error('Failed to publish MATCH_COMPLETED event:', eventErr);
@@ -794,6 +1033,60 @@ async function completeMatchAndProgress({ matchId, winnerId, player1Score, playe
   return updatedMatch;
 }
 
+/**
+ * End a season match that neither player can finish, such as one whose game
+ * session expired with nobody at the table. It counts as completed with no
+ * winner so the round can progress: the next round leaves the slot open and
+ * the opponent there gets a bye.
+ */
+async function forfeitMatchAndProgress({ matchId, reason, sessionId, endedAt }) {
+  const match = await prisma.match.findUnique({ where: { matchId } });
+  if (!match || ['completed', 'cancelled'].includes(match.status)) return match;
+
+  const metadata = match.metadata && typeof match.metadata === 'object' ? match.metadata : {};
+  const updatedMatch = await prisma.match.update({
+    where: { matchId },
+    data: {
+      status: 'completed',
+      winnerId: null,
+      endReason: 'double_forfeit',
+      completedAt: endedAt ? new Date(endedAt) : new Date(),
+      metadata: {
+        ...metadata,
+        doubleForfeit: true,
+        reason,
+        cancelledSessionId: sessionId || null,
+        endedAt: endedAt || new Date().toISOString()
+      }
+    }
+  });
+  await releaseClubDevice(matchId);
+
+  logger.info({ matchId, reason }, 'Match ended as a double forfeit');
+  const io = getIO();
+  if (io) {
+    const payload = {
+      matchId,
+      winnerId: null,
+      doubleForfeit: true,
+      reason,
+      completedAt: updatedMatch.completedAt?.toISOString() || new Date().toISOString()
+    };
+    io.to(`match:${matchId}`).emit('match:completed', payload);
+    io.to(`match:${matchId}`).emit('MATCH_COMPLETE', payload);
+  }
+  await progressTournament(updatedMatch);
+  await evaluateSeasonCompletion(updatedMatch);
+  try {
+    if (updatedMatch.seasonId) {
+      await SeasonMatchmakingController.tryCreateMatches(updatedMatch.seasonId);
+    }
+  } catch (queueErr) {
+    logger.error({ err: queueErr, seasonId: updatedMatch.seasonId }, '[matchmaking] Failed to advance season queue');
+  }
+  return updatedMatch;
+}
+
 exports.updateMatchStart = async (req, res) => {
   try {
     const { matchId } = req.params;
@@ -898,7 +1191,7 @@ exports.updateMatchStart = async (req, res) => {
 exports.updateMatchResult = async (req, res) => {
   try {
     const { matchId } = req.params;
-    const { winnerId, player1Score, player2Score, draw, reason: rawReason, endReason, matchDuration, completedAt } = req.body;
+    const { winnerId, player1Score, player2Score, draw, reason: rawReason, endReason, matchDuration, completedAt, shotStats, raceTo, frames } = req.body;
     const reason = rawReason || endReason || 'completed';
     const matchDurationSeconds = matchDuration == null
       ? undefined
@@ -958,7 +1251,11 @@ exports.updateMatchResult = async (req, res) => {
       draw: isDraw,
       reason,
       matchDuration: matchDurationSeconds,
-      completedAt
+      completedAt,
+      // Only the game server's own shot log is trusted for player stats and frames
+      shotStats: isService ? shotStats : undefined,
+      raceTo: isService ? raceTo : undefined,
+      frames: isService ? frames : undefined
     });
     res.json({ success: true, data: updatedMatch });
   } catch (error) {
@@ -989,54 +1286,76 @@ exports.getSeasonBracket = async (req, res) => {
     }
 
     const tournamentId = bracketMatches[0].tournamentId;
-    const grouped = {};
-    const stageOrder = Array.from(new Set(bracketMatches.map((match) => match.stage))).sort(
-      (a, b) => getStageRank(a) - getStageRank(b)
-    );
+    const doubleElimination = bracketMatches.some(isDoubleElimination);
+
+    // Double elimination matches carry their own advance links; single
+    // elimination ones are linked by position, two matches to one
+    const buildStages = (sideMatches) => {
+      const grouped = {};
+      const stageOrder = Array.from(new Set(sideMatches.map((match) => match.stage))).sort(
+        (a, b) => getStageRank(a) - getStageRank(b)
+      );
 
-    for (const match of bracketMatches) {
-      if (!grouped[match.stage]) grouped[match.stage] = [];
-      grouped[match.stage].push(match);
-    }
+      for (const match of sideMatches) {
+        if (!grouped[match.stage]) grouped[match.stage] = [];
+        grouped[match.stage].push(match);
+      }
 
-    const stages = stageOrder.map((stage, idx) => {
-      const stageMatches = grouped[stage] || [];
-      const nextStage = stageOrder[idx + 1];
-      const nextMatches = nextStage ? grouped[nextStage] || [] : [];
-      const canAdvance = stage !== 'final' && stage !== 'third_place';
+      return stageOrder.map((stage, idx) => {
+        const stageMatches = grouped[stage] || [];
+        const nextStage = stageOrder[idx + 1];
+        const nextMatches = nextStage ? grouped[nextStage] || [] : [];
+        const canAdvance = stage !== 'final' && stage !== 'third_place';
+
+        const mapped = stageMatches.map((match, matchIndex) => {
+          const nextMatch = canAdvance ? nextMatches[Math.floor(matchIndex / 2)] || null : null;
+          return {
+            matchId: match.matchId,
+            tournamentId: match.tournamentId,
+            seasonId: match.seasonId,
+            stage: match.stage,
+            roundNumber: match.roundNumber,
+            player1Id: match.player1Id,
+            player2Id: match.player2Id,
+            winnerId: match.winnerId,
+            status: match.status,
+            bye: isByeMatch(match),
+            scheduledStartAt: match.scheduledStartAt || match.scheduledTime || null,
+            assignedAgentId: match.assignedAgentId || null,
+            assignedAgentUserId: match.assignedAgentUserId || null,
+            winnerAdvancesToMatchId: doubleElimination
+              ? match.winnerAdvancesToMatchId || null
+              : nextMatch?.matchId || null,
+            winnerAdvancesToSlot: doubleElimination
+              ? match.winnerAdvancesToSlot || null
+              : nextMatch ? (matchIndex % 2 === 0 ? 'A' : 'B') : null,
+            loserAdvancesToMatchId: match.loserAdvancesToMatchId || null,
+            loserAdvancesToSlot: match.loserAdvancesToSlot || null
+          };
+        });
 
-      const mapped = stageMatches.map((match, matchIndex) => {
-        const nextMatch = canAdvance ? nextMatches[Math.floor(matchIndex / 2)] || null : null;
         return {
-          matchId: match.matchId,
-          tournamentId: match.tournamentId,
-          seasonId: match.seasonId,
-          stage: match.stage,
-          roundNumber: match.roundNumber,
-          player1Id: match.player1Id,
-          player2Id: match.player2Id,
-          winnerId: match.winnerId,
-          status: match.status,
-          scheduledStartAt: match.scheduledStartAt || match.scheduledTime || null,
-          assignedAgentId: match.assignedAgentId || null,
-          assignedAgentUserId: match.assignedAgentUserId || null,
-          winnerAdvancesToMatchId: nextMatch?.matchId || null,
-          winnerAdvancesToSlot: nextMatch ? (matchIndex % 2 === 0 ? 'A' : 'B') : null
+          stage,
+          matches: mapped
         };
-      });
+      }).filter((stage) => stage.matches.length > 0);
+    };
 
-      return {
-        stage,
-        matches: mapped
-      };
-    }).filter((stage) => stage.matches.length > 0);
+    const sideMatches = (side) => bracketMatches.filter((match) => getBracketSide(match) === side);
 
     res.json({
       success: true,
       data: {
         tournamentId,
         seasonId,
-        stages
+        format: doubleElimination ? 'double_elimination' : 'single_elimination',
+        stages: buildStages(doubleElimination ? sideMatches('winners') : bracketMatches),
+        ...(doubleElimination
+          ? {
+            losersStages: buildStages(sideMatches('losers')),
+            grandFinalStages: buildStages(sideMatches('grand_final'))
+          }
+          : {})
       }
     });
   } catch (error) {
@@ -1046,4 +1365,7 @@ exports.getSeasonBracket = async (req, res) => {
 };
 
 exports.completeMatchAndProgress = completeMatchAndProgress;
+exports.forfeitMatchAndProgress = forfeitMatchAndProgress;
+exports.progressTournament = progressTournament;
 exports.evaluateSeasonCompletion = evaluateSeasonCompletion;
+exports.releaseClubDevice = releaseClubDevice;
@@ -521,6 +521,12 @@ class SeasonMatchmakingController {
             matchDurationSeconds,
             maxDurationSeconds: matchDurationSeconds,
             gameType: 'multiplayer',
+            gameVariant: match?.metadata?.gameVariant || null,
+            ruleProfile: match?.metadata?.ruleProfile || null,
+            shotClock: match?.metadata?.shotClock || null,
+            raceTo: match?.metadata?.raceTo || null,
+            tiebreak: match?.metadata?.tiebreak || null,
+            handicap: match?.metadata?.handicap || null,
             startTime: effectiveStart.toISOString()
           }
         };
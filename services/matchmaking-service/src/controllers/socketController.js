@@ -2,10 +2,25 @@ const { v4: uuidv4 } = require('uuid');
 const axios = require('axios');
 const { prisma } = require('../config/db.js');
 const { completeMatchAndProgress } = require('./matchmakingController');
+const { resolveTimeoutOutcome } = require('../utils/matchTimeouts');
+const { QUEUE_TYPE, DEFAULT_QUEUE_RATING, matchQueue, getQueuePosition } = require('../utils/queueMatcher');
 
 const connectedPlayers = new Map(); // playerId -> socketId
 const pendingChallenges = new Map(); // challengeId -> { from, to }
 const GAME_SERVICE_URL = process.env.GAME_SERVICE_URL || 'http://localhost:3006';
+const PLAYER_SERVICE_URL = process.env.PLAYER_SERVICE_URL || 'http://localhost:3002';
+
+// Skill rating for queue pairing; unknown players start at the default
+async function fetchPlayerRating(playerId) {
+  try {
+    const response = await axios.get(`${PLAYER_SERVICE_URL}/api/players/${playerId}/stats`, { timeout: 5000 });
+    const rating = Number(response.data?.data?.skillRating?.rating);
+    if (Number.isFinite(rating)) return Math.round(rating);
+  } catch (error) {
+    console.warn('Queue join: player rating lookup failed', error?.response?.data?.error || error?.message);
+  }
+  return DEFAULT_QUEUE_RATING;
+}
 
 exports.setupSocketHandlers = function(io) {
   io.on('connection', (socket) => {
@@ -247,9 +262,13 @@ const { createP2PMatch } = require('./matchCreationController.js');
           where: { playerId: authenticatedPlayerId }
         });
 
-        if (existing) {
+        if (existing?.status === 'waiting') {
           return socket.emit('queue:error', { message: 'Already in queue' });
         }
+        // One row per player: an earlier, already matched entry makes way
+        if (existing) {
+          await prisma.matchQueue.delete({ where: { id: existing.id } });
+        }
 
         // Add to queue
         const queueEntry = {
@@ -258,18 +277,21 @@ const { createP2PMatch } = require('./matchCreationController.js');
           tournamentId,
           seasonId,
           round,
-          playerRating: 1000, // Get from player service
-          status: 'waiting'
+          playerRating: await fetchPlayerRating(authenticatedPlayerId),
+          status: 'waiting',
+          metadata: { queueType: QUEUE_TYPE }
         };
 
-        await prisma.matchQueue.create({ data: queueEntry });
+        const created = await prisma.matchQueue.create({ data: queueEntry });
+        const { position, estimatedWaitSeconds } = await getQueuePosition(prisma, created);
 
         socket.join(`queue:${tournamentId}:${round}`);
         
         socket.emit('queue:joined', {
           success: true,
           queueId: queueEntry.id,
-          estimatedWaitTime: 60
+          position,
+          estimatedWaitTime: estimatedWaitSeconds
         });
 
         // Try to find match
@@ -460,18 +482,16 @@ const { createP2PMatch } = require('./matchCreationController.js');
             maxDurationSeconds
           });
 
-          // Auto-complete match if time expired
-          if (remainingSeconds <= 0 && match.status === 'in_progress') {
+          // Auto-complete match if time expired. The game server settles matches
+          // with a session, and a level knockout is left to its tiebreak
+          const outcome = remainingSeconds <= 0 && match.status === 'in_progress' && !match.gameSessionId
+            ? resolveTimeoutOutcome(match)
+            : null;
+          if (outcome && !outcome.tiebreak) {
             const player1Score = Number(match.player1Score || 0);
             const player2Score = Number(match.player2Score || 0);
-            let winnerId = null;
-            let draw = false;
-
-            if (player1Score === player2Score) {
-              draw = true;
-            } else {
-              winnerId = player1Score > player2Score ? match.player1Id : match.player2Id;
-            }
+            const winnerId = outcome.winnerId || null;
+            const draw = Boolean(outcome.draw);
 
             await completeMatchAndProgress({
               matchId,
@@ -591,69 +611,7 @@ const { createP2PMatch } = require('./matchCreationController.js');
 // Helper: Find match from queue
 async function findMatch(io, tournamentId, seasonId, round) {
   try {
-    if (!prisma.matchQueue) return;
-    const waiting = await prisma.matchQueue.findMany({
-      where: {
-        tournamentId,
-        seasonId,
-        round,
-        status: 'waiting'
-      },
-      take: 2
-    });
-
-    if (waiting.length >= 2) {
-      const [player1, player2] = waiting;
-
-      // Create match
-      const matchId = uuidv4();
-      const scheduledTime = new Date(Date.now() + 5000); // 5 seconds from now
-
-      await prisma.match.create({
-        data: {
-        matchId,
-        tournamentId,
-        seasonId,
-        roundNumber: round,
-        stage: 'queue',
-        player1Id: player1.playerId,
-        player2Id: player2.playerId,
-        status: 'ready',
-        scheduledTime
-      }});
-
-      // Update queue entries
-      await prisma.matchQueue.updateMany({
-        where: {
-          id: { in: [player1.id, player2.id] }
-        },
-        data: { status: 'matched', matchedAt: new Date() }
-      });
-
-      // Notify players
-      const player1Socket = connectedPlayers.get(player1.playerId);
-      const player2Socket = connectedPlayers.get(player2.playerId);
-
-      if (player1Socket) {
-        io.to(player1Socket).emit('match:found', {
-          matchId,
-          opponentId: player2.playerId,
-          scheduledTime,
-          round
-        });
-      }
-
-      if (player2Socket) {
-        io.to(player2Socket).emit('match:found', {
-          matchId,
-          opponentId: player1.playerId,
-          scheduledTime,
-          round
-        });
-      }
-
-      console.log(`✓ Match created: ${matchId}`);
-    }
+    await matchQueue(io, prisma, { tournamentId, seasonId, round });
   } catch (error) {
     console.error('Find match error:', error);
   }
@@ -722,7 +680,13 @@ async function startGameSession(io, matchId) {
         tournamentId: match.tournamentId,
         seasonId: match.seasonId,
         matchDurationSeconds: maxDurationSeconds,
-        maxDurationSeconds
+        maxDurationSeconds,
+        gameVariant: match.metadata?.gameVariant || null,
+        ruleProfile: match.metadata?.ruleProfile || null,
+        shotClock: match.metadata?.shotClock || null,
+        raceTo: match.metadata?.raceTo || null,
+        tiebreak: match.metadata?.tiebreak || null,
+        handicap: match.metadata?.handicap || null
       }
     });
 
@@ -4,6 +4,7 @@ const axios = require('axios');
 const { prisma } = require('../config/db.js');
 const { authMiddleware } = require('../../../../shared/middlewares/authMiddleware');
 const matchmakingController = require('../controllers/matchmakingController');
+const { getQueuePosition } = require('../utils/queueMatcher');
 
 const router = express.Router();
 const GAME_SERVICE_URL = process.env.GAME_SERVICE_URL || 'http://localhost:3006';
@@ -399,16 +400,17 @@ router.get('/queue/:playerId', async (req, res) => {
       where: { playerId: playerId }
     });
 
-    if (!queueEntry) {
+    if (!queueEntry || queueEntry.status !== 'waiting') {
       return res.json({
         success: true,
-        data: { inQueue: false }
+        data: { inQueue: false, queueEntry: queueEntry || null }
       });
     }
 
+    const queuePosition = await getQueuePosition(prisma, queueEntry);
     res.json({
       success: true,
-      data: { inQueue: true, queueEntry }
+      data: { inQueue: true, queueEntry, ...queuePosition }
     });
   } catch (error) {
     console.error('Check queue error:', error);
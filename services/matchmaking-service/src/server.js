@@ -9,6 +9,7 @@ const { setupSocketHandlers } = require('./controllers/socketController.js');
 const { setIO } = require('./utils/socket');
 const { startMatchScheduler } = require('./utils/matchScheduler.js');
 const { startMatchTimeoutMonitor } = require('./utils/matchTimeouts.js');
+const { startQueueMatcher } = require('./utils/queueMatcher.js');
 const startCleanupJob = require('./jobs/cleanup.js');
 const { initializeTournamentEventConsumer } = require('./controllers/matchCreationController');
 const { PrismaClient } = require('@prisma/client');
@@ -90,6 +91,9 @@ if (process.env.MATCH_QUEUE_ENABLED === 'true') {
   console.log('ℹ️ Match queue scheduler disabled (set MATCH_QUEUE_ENABLED=true to enable)');
 }
 
+// Re-run the live queue as rating windows widen
+startQueueMatcher(io, prisma);
+
 // Enforce match timeouts and auto-results
 startMatchTimeoutMonitor(io, prisma);
 
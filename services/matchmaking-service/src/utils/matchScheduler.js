@@ -1,3 +1,5 @@
+const { QUEUE_TYPE } = require('./queueMatcher');
+
 const MATCH_READY_TIMEOUT = 120; // 2 minutes
 const QUEUE_TIMEOUT = 300; // 5 minutes
 let queueProcessing = false;
@@ -102,24 +104,31 @@ exports.startMatchScheduler = function(io, prisma) {
   console.log('✓ Match scheduler started');
 }
 
+// Live queue entries share the table but are paired by startQueueMatcher
+function isLiveQueueEntry(entry) {
+  return entry?.metadata?.queueType === QUEUE_TYPE;
+}
+
 // Process match queue and create matches
 async function processMatchQueue(io, prisma) {
   try {
-    // Get all active tournament rounds with players waiting
-    const rounds = await prisma.matchQueue.groupBy({
-      by: ['tournamentId', 'seasonId', 'round'],
+    // Get all active tournament rounds with players waiting. Grouped here:
+    // a JSON path filter in the query would also drop rows with no queue type
+    const waiting = await prisma.matchQueue.findMany({
       where: {
         status: 'waiting'
       },
-      _count: {
-        playerId: true
-      }
+      select: { tournamentId: true, seasonId: true, round: true, metadata: true }
+    });
+    const rounds = new Map();
+    waiting.filter((entry) => !isLiveQueueEntry(entry)).forEach(({ tournamentId, seasonId, round }) => {
+      const roundKey = `${tournamentId}:${seasonId}:${round}`;
+      const group = rounds.get(roundKey) || { tournamentId, seasonId, round, playerCount: 0 };
+      group.playerCount += 1;
+      rounds.set(roundKey, group);
     });
 
-    for (const round of rounds) {
-      const { tournamentId, seasonId, round: roundNumber } = round;
-      const playerCount = round._count.playerId;
-
+    for (const { tournamentId, seasonId, round: roundNumber, playerCount } of rounds.values()) {
       // Need at least 2 players to create a match
       if (playerCount >= 2) {
         await createMatchesForRound(io, prisma, tournamentId, seasonId, roundNumber);
@@ -134,7 +143,7 @@ async function processMatchQueue(io, prisma) {
 async function createMatchesForRound(io, prisma, tournamentId, seasonId, round) {
   try {
     // Get all players waiting in this round
-    const waitingPlayers = await prisma.matchQueue.findMany({
+    const waitingPlayers = (await prisma.matchQueue.findMany({
       where: {
         tournamentId,
         seasonId,
@@ -144,7 +153,7 @@ async function createMatchesForRound(io, prisma, tournamentId, seasonId, round)
       orderBy: {
         joinedAt: 'asc'
       }
-    });
+    })).filter((entry) => !isLiveQueueEntry(entry));
 
     if (waitingPlayers.length < 2) {
       return;
@@ -1,7 +1,12 @@
+const crypto = require('crypto');
 const { completeMatchAndProgress, evaluateSeasonCompletion } = require('../controllers/matchmakingController');
+const { fetchPlayerRatings } = require('../controllers/matchCreationController');
 
 const DEFAULT_MATCH_DURATION_SECONDS = Number(process.env.MATCH_DURATION_SECONDS || 300);
 const MATCH_TIMEOUT_CHECK_INTERVAL = Number(process.env.MATCH_TIMEOUT_CHECK_INTERVAL || 15000);
+// A match with a game session is settled by the game server, which only sends
+// the scores when it completes; this covers its timeout scan
+const SESSION_RESULT_GRACE_MS = Number(process.env.SESSION_RESULT_GRACE_SECONDS || 90) * 1000;
 let timeoutScanInFlight = false;
 
 function buildCancelMetadata(reason, winnerId) {
@@ -12,7 +17,7 @@ function buildCancelMetadata(reason, winnerId) {
   };
 }
 
-function buildTimeoutMetadata(match, resolution) {
+function buildTimeoutMetadata(match, resolution, tiebreakRule = null) {
   const existing = match.metadata && typeof match.metadata === 'object'
     ? match.metadata
     : {};
@@ -21,45 +26,61 @@ function buildTimeoutMetadata(match, resolution) {
     timeout: {
       reason: 'match_timeout',
       resolution,
+      ...(tiebreakRule ? { tiebreakRule } : {}),
       endedAt: new Date().toISOString()
     }
   };
 }
 
-function resolveTimeoutWinner(match) {
+/**
+ * How a match that ran out of time with both players present should end. A
+ * lead wins it and a level group match is a draw. A level knockout match needs
+ * a tiebreak; the game server plays it out as sudden death when the match
+ * has a session, and decideTiebreak settles it when there is none.
+ */
+function resolveTimeoutOutcome(match) {
   const player1Score = Number(match.player1Score || 0);
   const player2Score = Number(match.player2Score || 0);
 
-  if (player1Score > player2Score) {
-    return { winnerId: match.player1Id, resolution: 'score' };
+  if (player1Score !== player2Score) {
+    return {
+      winnerId: player1Score > player2Score ? match.player1Id : match.player2Id,
+      resolution: 'score'
+    };
   }
 
-  if (player2Score > player1Score) {
-    return { winnerId: match.player2Id, resolution: 'score' };
+  if (match.stage === 'group' || match.metadata?.tiebreak === 'draw') {
+    return { draw: true, resolution: 'draw' };
   }
 
-  const player1Time = match.player1ConnectionTime ? new Date(match.player1ConnectionTime).getTime() : null;
-  const player2Time = match.player2ConnectionTime ? new Date(match.player2ConnectionTime).getTime() : null;
-
-  if (player1Time && player2Time && player1Time !== player2Time) {
-    return {
-      winnerId: player1Time <= player2Time ? match.player1Id : match.player2Id,
-      resolution: 'connection_time'
-    };
-  }
+  return { tiebreak: true, resolution: 'tiebreak' };
+}
 
-  if (player1Time && !player2Time) {
-    return { winnerId: match.player1Id, resolution: 'connection_time' };
+/**
+ * Winner of a level knockout match nobody can play a tiebreak for: the
+ * higher-rated player, then whoever reached the table first, then a coin toss
+ * seeded by the match id, so the same match always resolves the same way.
+ */
+async function decideTiebreak(match) {
+  const { player1Id, player2Id } = match;
+  const ratings = await fetchPlayerRatings([player1Id, player2Id]);
+  const player1Rating = ratings.get(player1Id);
+  const player2Rating = ratings.get(player2Id);
+  if (player1Rating !== undefined && player2Rating !== undefined && player1Rating !== player2Rating) {
+    return { winnerId: player1Rating > player2Rating ? player1Id : player2Id, rule: 'higher_rating' };
   }
 
-  if (!player1Time && player2Time) {
-    return { winnerId: match.player2Id, resolution: 'connection_time' };
+  const player1Arrived = match.player1ConnectionTime ? new Date(match.player1ConnectionTime).getTime() : NaN;
+  const player2Arrived = match.player2ConnectionTime ? new Date(match.player2ConnectionTime).getTime() : NaN;
+  if (Number.isFinite(player1Arrived) && Number.isFinite(player2Arrived) && player1Arrived !== player2Arrived) {
+    return { winnerId: player1Arrived < player2Arrived ? player1Id : player2Id, rule: 'first_at_table' };
   }
 
-  return { winnerId: match.player1Id, resolution: 'default' };
+  const toss = crypto.createHash('sha256').update(match.matchId).digest()[0] % 2;
+  return { winnerId: toss === 0 ? player1Id : player2Id, rule: 'coin_toss' };
 }
 
-async function handleTimeout(io, prisma, match) {
+async function handleTimeout(io, prisma, match, { now, endTime }) {
   const player1Ready = Boolean(match.player1Ready);
   const player2Ready = Boolean(match.player2Ready);
 
@@ -94,23 +115,38 @@ async function handleTimeout(io, prisma, match) {
   }
 
   if (player1Ready && player2Ready) {
-    const { winnerId, resolution } = resolveTimeoutWinner(match);
-    await completeMatchAndProgress({
+    const outcome = resolveTimeoutOutcome(match);
+    const { draw, tiebreak, resolution } = outcome;
+    // The game server plays a level knockout out as sudden death, however long it takes
+    if (match.gameSessionId && (tiebreak || now <= endTime + SESSION_RESULT_GRACE_MS)) return;
+    let { winnerId } = outcome;
+    let tiebreakRule = null;
+    if (tiebreak) {
+      ({ winnerId, rule: tiebreakRule } = await decideTiebreak(match));
+      console.warn(`[matchTimeouts] Match ${match.matchId} timed out level, ${winnerId} advances by ${tiebreakRule}`);
+    }
+
+    const completedMatch = await completeMatchAndProgress({
       matchId: match.matchId,
       winnerId,
       player1Score: Number(match.player1Score || 0),
-      player2Score: Number(match.player2Score || 0)
+      player2Score: Number(match.player2Score || 0),
+      draw,
+      reason: 'match_timeout'
     });
+    // Build on the completed metadata so the draw flag isn't lost
     await prisma.match.update({
       where: { matchId: match.matchId },
       data: {
-        metadata: buildTimeoutMetadata(match, resolution)
+        metadata: buildTimeoutMetadata(completedMatch || match, resolution, tiebreakRule)
       }
     });
     io.to(`match:${match.matchId}`).emit('match:completed', {
       matchId: match.matchId,
-      winnerId,
-      reason: 'match_timeout'
+      winnerId: winnerId || null,
+      draw: Boolean(draw),
+      reason: 'match_timeout',
+      ...(tiebreakRule ? { tiebreakRule } : {})
     });
     return;
   }
@@ -183,7 +219,7 @@ function startMatchTimeoutMonitor(io, prisma) {
           continue;
         }
 
-        await handleTimeout(io, prisma, match);
+        await handleTimeout(io, prisma, match, { now, endTime });
       }
     } catch (error) {
       console.error('[matchTimeouts] Monitor error:', error);
@@ -196,5 +232,6 @@ function startMatchTimeoutMonitor(io, prisma) {
 }
 
 module.exports = {
-  startMatchTimeoutMonitor
+  startMatchTimeoutMonitor,
+  resolveTimeoutOutcome
 };
@@ -0,0 +1,279 @@
+const { v4: uuidv4 } = require('uuid');
+const logger = require('./logger');
+
+// Live queue filled by the `queue:join` socket event. Season matchmaking
+// shares the match_queue table but pairs its own entries.
+const QUEUE_TYPE = 'live_matchmaking';
+// Player-service's starting rating, and the match_queue.playerRating default
+const DEFAULT_QUEUE_RATING = 1500;
+// Rating gap a pairing may span, widening the longer both players wait
+const BASE_RATING_WINDOW = Number(process.env.QUEUE_RATING_WINDOW || 100);
+const WINDOW_GROWTH_PER_10S = Number(process.env.QUEUE_RATING_WINDOW_GROWTH || 50);
+const MAX_RATING_WINDOW = Number(process.env.QUEUE_MAX_RATING_WINDOW || 800);
+// Two players who just met are kept apart until both have waited this long
+const REMATCH_COOLDOWN_MS = Number(process.env.QUEUE_REMATCH_COOLDOWN_SECONDS || 600) * 1000;
+const REMATCH_FALLBACK_MS = Number(process.env.QUEUE_REMATCH_FALLBACK_SECONDS || 90) * 1000;
+const QUEUE_MATCH_INTERVAL_MS = Number(process.env.QUEUE_MATCH_INTERVAL_MS || 5000);
+const DEFAULT_WAIT_SECONDS = 60;
+const MATCH_START_DELAY_MS = 5000;
+let sweepInFlight = false;
+
+function waitedMs(entry, now) {
+  return Math.max(0, now - new Date(entry.joinedAt).getTime());
+}
+
+function ratingWindow(waited) {
+  return Math.min(MAX_RATING_WINDOW, BASE_RATING_WINDOW + Math.floor(waited / 10000) * WINDOW_GROWTH_PER_10S);
+}
+
+// How long a player must have waited before the window spans `gap`
+function waitForWindow(gap) {
+  if (gap <= BASE_RATING_WINDOW) return 0;
+  if (gap > MAX_RATING_WINDOW) return Infinity;
+  return Math.ceil((gap - BASE_RATING_WINDOW) / WINDOW_GROWTH_PER_10S) * 10000;
+}
+
+function canPair(a, b, { now, recentOpponents }) {
+  const waitedA = waitedMs(a, now);
+  const waitedB = waitedMs(b, now);
+  const gap = Math.abs(a.playerRating - b.playerRating);
+  if (gap > Math.min(ratingWindow(waitedA), ratingWindow(waitedB))) return false;
+  if (recentOpponents.get(a.playerId)?.has(b.playerId)) {
+    return waitedA >= REMATCH_FALLBACK_MS && waitedB >= REMATCH_FALLBACK_MS;
+  }
+  return true;
+}
+
+/**
+ * Pair waiting entries, longest wait first. Each player takes the closest
+ * rated opponent both of their windows allow; anyone left over waits for the
+ * windows to widen.
+ */
+function pairEntries(entries, { now = Date.now(), recentOpponents = new Map() } = {}) {
+  const ordered = [...entries].sort((a, b) => new Date(a.joinedAt) - new Date(b.joinedAt));
+  const paired = new Set();
+  const pairs = [];
+
+  ordered.forEach((entry) => {
+    if (paired.has(entry.id)) return;
+    let best = null;
+    ordered.forEach((candidate) => {
+      if (candidate.id === entry.id || paired.has(candidate.id)) return;
+      if (!canPair(entry, candidate, { now, recentOpponents })) return;
+      const gap = Math.abs(entry.playerRating - candidate.playerRating);
+      if (!best || gap < best.gap) best = { candidate, gap };
+    });
+    if (best) {
+      paired.add(entry.id);
+      paired.add(best.candidate.id);
+      pairs.push([entry, best.candidate]);
+    }
+  });
+  return pairs;
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Seconds until `entry` is likely matched. With someone else waiting it is
+ * the time until both windows reach the closest rating; otherwise the typical
+ * wait of recently matched players, less the time already spent.
+ */
+function estimateWaitSeconds(entry, waiting, recentWaits, now = Date.now()) {
+  const waited = waitedMs(entry, now);
+  let best = Infinity;
+  waiting.forEach((other) => {
+    if (other.id === entry.id) return;
+    const gap = Math.abs(entry.playerRating - other.playerRating);
+    const needed = waitForWindow(gap);
+    best = Math.min(best, Math.max(needed - waited, needed - waitedMs(other, now), 0));
+  });
+  if (Number.isFinite(best)) return Math.ceil(best / 1000);
+
+  const typical = median(recentWaits) ?? DEFAULT_WAIT_SECONDS;
+  return Math.max(0, Math.ceil(typical - waited / 1000));
+}
+
+function queueWhere({ tournamentId, seasonId, round }) {
+  return {
+    tournamentId: tournamentId ?? null,
+    seasonId: seasonId ?? null,
+    round: round ?? null,
+    metadata: { path: ['queueType'], equals: QUEUE_TYPE }
+  };
+}
+
+async function loadRecentOpponents(tx, playerIds) {
+  const matches = await tx.match.findMany({
+    where: {
+      createdAt: { gte: new Date(Date.now() - REMATCH_COOLDOWN_MS) },
+      OR: [{ player1Id: { in: playerIds } }, { player2Id: { in: playerIds } }]
+    },
+    select: { player1Id: true, player2Id: true }
+  });
+  const opponents = new Map();
+  const add = (playerId, opponentId) => {
+    if (!opponents.has(playerId)) opponents.set(playerId, new Set());
+    opponents.get(playerId).add(opponentId);
+  };
+  matches.forEach(({ player1Id, player2Id }) => {
+    add(player1Id, player2Id);
+    add(player2Id, player1Id);
+  });
+  return opponents;
+}
+
+/**
+ * Pair whoever can be paired in one queue. The waiting rows are locked with
+ * SELECT ... FOR UPDATE, so concurrent runs for the same queue take turns
+ * and a player is never put into two matches.
+ */
+async function matchQueue(io, prisma, { tournamentId, seasonId, round }) {
+  if (!prisma?.matchQueue) return [];
+
+  const created = await prisma.$transaction(async (tx) => {
+    const locked = await tx.$queryRaw`
+      SELECT "id" FROM "match_queue"
+      WHERE "status" = 'waiting'
+        AND "tournamentId" IS NOT DISTINCT FROM ${tournamentId ?? null}::uuid
+        AND "seasonId" IS NOT DISTINCT FROM ${seasonId ?? null}::uuid
+        AND "round" IS NOT DISTINCT FROM ${round ?? null}::int
+        AND "metadata"->>'queueType' = ${QUEUE_TYPE}
+      FOR UPDATE`;
+    if (locked.length < 2) return [];
+
+    const waiting = await tx.matchQueue.findMany({
+      where: { id: { in: locked.map((row) => row.id) } }
+    });
+    const recentOpponents = await loadRecentOpponents(tx, waiting.map((entry) => entry.playerId));
+    const pairs = pairEntries(waiting, { now: Date.now(), recentOpponents });
+
+    const matches = [];
+    for (const [player1, player2] of pairs) {
+      const matchId = uuidv4();
+      const scheduledTime = new Date(Date.now() + MATCH_START_DELAY_MS);
+      await tx.match.create({
+        data: {
+          matchId,
+          tournamentId,
+          seasonId,
+          roundNumber: round,
+          stage: 'queue',
+          player1Id: player1.playerId,
+          player2Id: player2.playerId,
+          status: 'ready',
+          scheduledTime,
+          metadata: {
+            queueType: QUEUE_TYPE,
+            ratingGap: Math.abs(player1.playerRating - player2.playerRating)
+          }
+        }
+      });
+      await tx.matchQueue.updateMany({
+        where: { id: { in: [player1.id, player2.id] } },
+        data: { status: 'matched', matchedAt: new Date(), matchId }
+      });
+      matches.push({ matchId, scheduledTime, player1, player2 });
+    }
+    return matches;
+  }, { timeout: 15000 });
+
+  created.forEach(({ matchId, scheduledTime, player1, player2 }) => {
+    io.to(`player:${player1.playerId}`).emit('match:found', {
+      matchId,
+      opponentId: player2.playerId,
+      opponentRating: player2.playerRating,
+      scheduledTime,
+      round
+    });
+    io.to(`player:${player2.playerId}`).emit('match:found', {
+      matchId,
+      opponentId: player1.playerId,
+      opponentRating: player1.playerRating,
+      scheduledTime,
+      round
+    });
+    logger.info(
+      { matchId, ratingGap: Math.abs(player1.playerRating - player2.playerRating) },
+      '[queue-matcher] Match created'
+    );
+  });
+  return created;
+}
+
+/**
+ * Where a queued player stands: their place in line and an estimated wait
+ * from the players around them and recent waits in the same queue.
+ */
+async function getQueuePosition(prisma, entry) {
+  const where = queueWhere(entry);
+  const now = Date.now();
+  const [waiting, recentlyMatched] = await Promise.all([
+    prisma.matchQueue.findMany({ where: { ...where, status: 'waiting' } }),
+    prisma.matchQueue.findMany({
+      where: { ...where, status: 'matched', matchedAt: { gte: new Date(now - 60 * 60 * 1000) } },
+      orderBy: { matchedAt: 'desc' },
+      take: 50
+    })
+  ]);
+
+  const joinedAt = new Date(entry.joinedAt).getTime();
+  const position = 1 + waiting.filter((other) => (
+    other.id !== entry.id && new Date(other.joinedAt).getTime() < joinedAt
+  )).length;
+  const recentWaits = recentlyMatched.map((matched) => (
+    (new Date(matched.matchedAt).getTime() - new Date(matched.joinedAt).getTime()) / 1000
+  ));
+
+  return {
+    position,
+    playersWaiting: waiting.length,
+    ratingWindow: ratingWindow(waitedMs(entry, now)),
+    waitedSeconds: Math.floor(waitedMs(entry, now) / 1000),
+    estimatedWaitSeconds: estimateWaitSeconds(entry, waiting, recentWaits, now)
+  };
+}
+
+// Windows widen with time, so queues are re-run even when nobody new joins
+function startQueueMatcher(io, prisma) {
+  if (!prisma?.matchQueue) return null;
+
+  return setInterval(async () => {
+    if (sweepInFlight) return;
+    sweepInFlight = true;
+    try {
+      const queues = await prisma.matchQueue.groupBy({
+        by: ['tournamentId', 'seasonId', 'round'],
+        where: { status: 'waiting', metadata: { path: ['queueType'], equals: QUEUE_TYPE } },
+        _count: { id: true }
+      });
+      for (const queue of queues) {
+        if (queue._count.id < 2) continue;
+        try {
+          await matchQueue(io, prisma, queue);
+        } catch (error) {
+          logger.error({ err: error, queue }, '[queue-matcher] Failed to match queue');
+        }
+      }
+    } catch (error) {
+      logger.error({ err: error }, '[queue-matcher] Queue sweep failed');
+    } finally {
+      sweepInFlight = false;
+    }
+  }, QUEUE_MATCH_INTERVAL_MS);
+}
+
+module.exports = {
+  QUEUE_TYPE,
+  DEFAULT_QUEUE_RATING,
+  pairEntries,
+  estimateWaitSeconds,
+  matchQueue,
+  getQueuePosition,
+  startQueueMatcher
+};
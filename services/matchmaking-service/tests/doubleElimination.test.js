@@ -0,0 +1,180 @@
+const mockStore = { matches: [], nextId: 1 };
+
+function mockMatchesWhere(where = {}) {
+  return mockStore.matches.filter((m) => Object.entries(where).every(([key, value]) => {
+    if (value && typeof value === 'object' && 'not' in value) return m[key] !== value.not;
+    return m[key] === value;
+  }));
+}
+
+jest.mock('@prisma/client', () => {
+  const match = {
+    findMany: jest.fn(async ({ where } = {}) => mockMatchesWhere(where)),
+    findFirst: jest.fn(async ({ where } = {}) => mockMatchesWhere(where)[0] || null),
+    update: jest.fn(async ({ where, data }) => {
+      const found = mockStore.matches.find((m) => m.matchId === where.matchId);
+      Object.assign(found, data);
+      return found;
+    })
+  };
+  return { PrismaClient: jest.fn().mockImplementation(() => ({ match })) };
+});
+
+jest.mock('../src/controllers/matchCreationController', () => ({
+  createMatches: jest.fn(async (players, options) => {
+    const created = [];
+    for (let i = 0; i < players.length; i += 2) {
+      const match = {
+        matchId: `m${mockStore.nextId++}`,
+        tournamentId: options.tournamentId,
+        seasonId: options.seasonId,
+        stage: options.stage,
+        roundNumber: options.roundNumber,
+        status: 'scheduled',
+        winnerId: null,
+        player1Id: players[i],
+        player2Id: players[i + 1] || null,
+        metadata: { bracketFormat: options.bracketFormat, bracket: options.bracket }
+      };
+      mockStore.matches.push(match);
+      created.push(match);
+    }
+    return created;
+  })
+}));
+
+jest.mock('../src/controllers/seasonMatchmakingController', () => ({}));
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../../../shared/events', () => ({ publishEvent: jest.fn(), Topics: {} }));
+
+const { PrismaClient } = require('@prisma/client');
+const { createMatches } = require('../src/controllers/matchCreationController');
+const { progressTournament } = require('../src/controllers/matchmakingController');
+
+const prisma = new PrismaClient();
+
+function addMatch(stage, roundNumber, player1Id, player2Id) {
+  const match = {
+    matchId: `m${mockStore.nextId++}`,
+    tournamentId: 't1',
+    seasonId: 's1',
+    stage,
+    roundNumber,
+    status: 'scheduled',
+    winnerId: null,
+    player1Id,
+    player2Id,
+    metadata: { bracketFormat: 'double_elimination', bracket: 'winners' }
+  };
+  mockStore.matches.push(match);
+  return match;
+}
+
+async function win(stage, winnerId) {
+  const match = mockStore.matches.find((m) => (
+    m.stage === stage && m.status !== 'completed' && (m.player1Id === winnerId || m.player2Id === winnerId)
+  ));
+  Object.assign(match, { status: 'completed', winnerId });
+  await progressTournament(match);
+  return match;
+}
+
+const stageOf = (stage) => mockStore.matches.filter((m) => m.stage === stage);
+
+describe('double elimination progression', () => {
+  let semi1;
+  let semi2;
+
+  beforeEach(() => {
+    mockStore.matches = [];
+    mockStore.nextId = 1;
+    jest.clearAllMocks();
+    semi1 = addMatch('semifinal', 1, 'A', 'B');
+    semi2 = addMatch('semifinal', 1, 'C', 'D');
+  });
+
+  test('should drop first round losers into the losers bracket and link them', async () => {
+    await win('semifinal', 'A');
+    expect(createMatches).not.toHaveBeenCalled();
+
+    await win('semifinal', 'C');
+
+    const [winnersFinal] = stageOf('winners_final');
+    const [losersRound] = stageOf('losers_round_1');
+    expect(winnersFinal).toMatchObject({ player1Id: 'A', player2Id: 'C', metadata: { bracket: 'winners' } });
+    expect(losersRound).toMatchObject({ player1Id: 'B', player2Id: 'D', metadata: { bracket: 'losers' } });
+    expect(semi1).toMatchObject({
+      winnerAdvancesToMatchId: winnersFinal.matchId,
+      winnerAdvancesToSlot: 'A',
+      loserAdvancesToMatchId: losersRound.matchId,
+      loserAdvancesToSlot: 'A'
+    });
+    expect(semi2).toMatchObject({
+      winnerAdvancesToSlot: 'B',
+      loserAdvancesToMatchId: losersRound.matchId,
+      loserAdvancesToSlot: 'B'
+    });
+  });
+
+  test('should meet the winners final loser in the losers final and send both champions to the grand final', async () => {
+    await win('semifinal', 'A');
+    await win('semifinal', 'C');
+    await win('winners_final', 'A');
+    await win('losers_round_1', 'B');
+
+    const [losersFinal] = stageOf('losers_final');
+    expect(losersFinal).toMatchObject({ player1Id: 'B', player2Id: 'C' });
+    expect(stageOf('winners_final')[0]).toMatchObject({ loserAdvancesToMatchId: losersFinal.matchId, loserAdvancesToSlot: 'B' });
+    expect(stageOf('losers_round_1')[0]).toMatchObject({ winnerAdvancesToMatchId: losersFinal.matchId, winnerAdvancesToSlot: 'A' });
+
+    await win('losers_final', 'C');
+
+    const [grandFinal] = stageOf('grand_final');
+    expect(grandFinal).toMatchObject({ player1Id: 'A', player2Id: 'C', metadata: { bracket: 'grand_final' } });
+    expect(stageOf('winners_final')[0]).toMatchObject({ winnerAdvancesToMatchId: grandFinal.matchId, winnerAdvancesToSlot: 'A' });
+    expect(losersFinal).toMatchObject({ winnerAdvancesToMatchId: grandFinal.matchId, winnerAdvancesToSlot: 'B' });
+  });
+
+  test('should play a reset only when the losers bracket champion wins the grand final', async () => {
+    await win('semifinal', 'A');
+    await win('semifinal', 'C');
+    await win('winners_final', 'A');
+    await win('losers_round_1', 'B');
+    await win('losers_final', 'C');
+    await win('grand_final', 'C');
+
+    const [reset] = stageOf('grand_final_reset');
+    expect(reset).toMatchObject({ player1Id: 'A', player2Id: 'C' });
+    expect(stageOf('grand_final')[0]).toMatchObject({
+      winnerAdvancesToMatchId: reset.matchId,
+      loserAdvancesToMatchId: reset.matchId
+    });
+  });
+
+  test('should not play a reset when the winners bracket champion wins the grand final', async () => {
+    await win('semifinal', 'A');
+    await win('semifinal', 'C');
+    await win('winners_final', 'A');
+    await win('losers_round_1', 'B');
+    await win('losers_final', 'C');
+    await win('grand_final', 'A');
+
+    expect(stageOf('grand_final_reset')).toHaveLength(0);
+  });
+
+  test('should not create a round again when another completion already created it', async () => {
+    await win('semifinal', 'A');
+    Object.assign(semi2, { status: 'completed', winnerId: 'C' });
+    const staleMatches = mockMatchesWhere({ stage: { not: 'group' } }).map((m) => ({ ...m }));
+    await progressTournament(semi2);
+    createMatches.mockClear();
+
+    // A second completion event that read the season before the rounds existed
+    prisma.match.findMany.mockResolvedValueOnce(staleMatches);
+    await progressTournament(semi2);
+
+    expect(createMatches).not.toHaveBeenCalled();
+    expect(stageOf('winners_final')).toHaveLength(1);
+    expect(stageOf('losers_round_1')).toHaveLength(1);
+  });
+});
@@ -0,0 +1,122 @@
+const { nextPowerOfTwo, stageForBracket, planFixtures, knockoutDraw } = require('../../../shared/utils/fixturePlanner');
+
+describe('fixturePlanner', () => {
+  describe('nextPowerOfTwo', () => {
+    test('should round up to a power of two', () => {
+      expect(nextPowerOfTwo(1)).toBe(1);
+      expect(nextPowerOfTwo(5)).toBe(8);
+      expect(nextPowerOfTwo(8)).toBe(8);
+      expect(nextPowerOfTwo(9)).toBe(16);
+    });
+  });
+
+  describe('stageForBracket', () => {
+    test('should name the round a bracket starts in', () => {
+      expect(stageForBracket(2)).toBe('final');
+      expect(stageForBracket(4)).toBe('semifinal');
+      expect(stageForBracket(8)).toBe('quarterfinal');
+      expect(stageForBracket(32)).toBe('round_of_32');
+    });
+  });
+
+  describe('planFixtures', () => {
+    test('should cancel a season with fewer than two players', () => {
+      expect(planFixtures(1).mode).toBe('cancel');
+    });
+
+    test('should play a straight knockout with byes for a small even field', () => {
+      const plan = planFixtures(6);
+
+      expect(plan).toMatchObject({ mode: 'knockout', bracketSize: 8, byes: 2, initialStage: 'quarterfinal' });
+    });
+
+    test('should play one round robin for a small odd field', () => {
+      const plan = planFixtures(5);
+
+      expect(plan).toMatchObject({
+        mode: 'group',
+        groupCount: 1,
+        groupSizes: [5],
+        qualifierCount: 2,
+        knockoutStage: 'final'
+      });
+    });
+
+    test.each([
+      [9, [5, 4], 4, 0],
+      [10, [5, 5], 4, 0],
+      [11, [4, 4, 3], 8, 2],
+      [12, [3, 3, 3, 3], 8, 0],
+      [16, [4, 4, 4, 4], 8, 0]
+    ])('should split %i players into groups of %j', (players, groupSizes, bracketSize, byes) => {
+      const plan = planFixtures(players);
+
+      expect(plan.mode).toBe('group');
+      expect(plan.groupSizes).toEqual(groupSizes);
+      expect(plan.bracketSize).toBe(bracketSize);
+      expect(plan.byes).toBe(byes);
+      expect(plan.groupSizes.reduce((sum, size) => sum + size, 0)).toBe(players);
+    });
+
+    test('should keep every group within the size limits', () => {
+      for (let players = 9; players <= 64; players += 1) {
+        const { groupSizes } = planFixtures(players);
+        groupSizes.forEach((size) => {
+          expect(size).toBeGreaterThanOrEqual(3);
+          expect(size).toBeLessThanOrEqual(5);
+        });
+      }
+    });
+  });
+
+  describe('knockoutDraw', () => {
+    test('should give byes to the group winners and keep group-mates apart', () => {
+      const plan = planFixtures(11);
+      const draw = knockoutDraw(plan);
+
+      expect(draw).toHaveLength(plan.bracketSize / 2);
+      const byes = draw.filter((match) => match.player2 === null);
+      expect(byes).toHaveLength(plan.byes);
+      byes.forEach((match) => expect(match.player1.place).toBe(1));
+      draw
+        .filter((match) => match.player2)
+        .forEach((match) => expect(match.player1.group).not.toBe(match.player2.group));
+    });
+
+    test('should place every qualifier exactly once', () => {
+      const plan = planFixtures(16);
+      const slots = knockoutDraw(plan)
+        .flatMap((match) => [match.player1, match.player2])
+        .filter(Boolean)
+        .map(({ group, place }) => `${group}:${place}`);
+
+      expect(new Set(slots).size).toBe(plan.qualifierCount);
+      expect(slots).toHaveLength(plan.qualifierCount);
+    });
+
+    test('should put the top two seeds in opposite halves', () => {
+      const draw = knockoutDraw(planFixtures(16));
+      const half = draw.length / 2;
+      const winnerOf = (group) => draw.findIndex((match) => (
+        [match.player1, match.player2].some((slot) => slot && slot.group === group && slot.place === 1)
+      ));
+
+      expect(winnerOf(0) < half).not.toBe(winnerOf(1) < half);
+    });
+
+    test.each([11, 16, 23])('should put every runner-up in the other half from their group winner with %i players', (playerCount) => {
+      const plan = planFixtures(playerCount);
+      const draw = knockoutDraw(plan);
+      const halfOf = (group, place) => {
+        const index = draw.findIndex((match) => (
+          [match.player1, match.player2].some((slot) => slot && slot.group === group && slot.place === place)
+        ));
+        return index < draw.length / 2;
+      };
+
+      for (let group = 0; group < plan.groupCount; group += 1) {
+        expect(halfOf(group, 2)).not.toBe(halfOf(group, 1));
+      }
+    });
+  });
+});
@@ -0,0 +1,69 @@
+jest.mock('../src/config/db', () => ({ prisma: {} }));
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../src/utils/socket', () => ({ getIO: jest.fn() }));
+jest.mock('../../../shared/events', () => ({ subscribeEvents: jest.fn(), publishEvent: jest.fn(), Topics: {} }));
+
+const { computeHandicap } = require('../src/controllers/matchCreationController');
+
+const ratings = new Map([['strong', 1800], ['weak', 1400], ['close', 1750]]);
+const allOptions = { options: ['weaker_breaks', 'stronger_calls_eight', 'spot_frames'] };
+
+describe('computeHandicap', () => {
+  test('should give nothing without a config or a rating for both players', () => {
+    expect(computeHandicap({ player1Id: 'strong', player2Id: 'weak', ratings, config: null, raceTo: 5 })).toBeNull();
+    expect(computeHandicap({ player1Id: 'strong', player2Id: 'new', ratings, config: allOptions, raceTo: 5 })).toBeNull();
+  });
+
+  test('should give nothing when the gap is below the minimum', () => {
+    expect(computeHandicap({ player1Id: 'strong', player2Id: 'close', ratings, config: allOptions, raceTo: 5 })).toBeNull();
+    expect(computeHandicap({
+      player1Id: 'strong',
+      player2Id: 'weak',
+      ratings,
+      config: { ...allOptions, minGap: 500 },
+      raceTo: 5
+    })).toBeNull();
+  });
+
+  test('should favour the weaker player whichever side they are on', () => {
+    const handicap = computeHandicap({ player1Id: 'weak', player2Id: 'strong', ratings, config: allOptions, raceTo: 5 });
+
+    expect(handicap).toEqual({
+      ratingGap: 400,
+      strongerId: 'strong',
+      weakerId: 'weak',
+      weakerBreaks: true,
+      strongerCallsEight: true,
+      spotFrames: 2
+    });
+  });
+
+  test('should spot one frame per configured points of gap', () => {
+    const handicap = computeHandicap({
+      player1Id: 'strong',
+      player2Id: 'weak',
+      ratings,
+      config: { options: ['spot_frames'], pointsPerFrame: 100 },
+      raceTo: 7
+    });
+
+    expect(handicap).toMatchObject({ weakerBreaks: false, strongerCallsEight: false, spotFrames: 4 });
+  });
+
+  test('should never spot enough frames to win the race outright', () => {
+    const handicap = computeHandicap({
+      player1Id: 'strong',
+      player2Id: 'weak',
+      ratings,
+      config: { options: ['spot_frames'], pointsPerFrame: 50 },
+      raceTo: 3
+    });
+
+    expect(handicap.spotFrames).toBe(2);
+  });
+
+  test('should give nothing when no option applies', () => {
+    expect(computeHandicap({ player1Id: 'strong', player2Id: 'weak', ratings, config: { options: ['jump_cue'] }, raceTo: 5 })).toBeNull();
+    expect(computeHandicap({ player1Id: 'strong', player2Id: 'weak', ratings, config: { options: ['spot_frames'] }, raceTo: 1 })).toBeNull();
+  });
+});
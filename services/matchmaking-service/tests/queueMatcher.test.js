@@ -0,0 +1,74 @@
+const { pairEntries, estimateWaitSeconds } = require('../src/utils/queueMatcher');
+
+const now = Date.parse('2026-01-01T12:00:00Z');
+
+// A queue entry that joined `waitedSeconds` before `now`
+function entry(id, playerRating, waitedSeconds = 0) {
+  return { id, playerId: `player-${id}`, playerRating, joinedAt: new Date(now - waitedSeconds * 1000) };
+}
+
+const pairIds = (pairs) => pairs.map(([a, b]) => [a.id, b.id]);
+
+describe('queueMatcher', () => {
+  describe('pairEntries', () => {
+    test('should pair players within the base rating window', () => {
+      const pairs = pairEntries([entry('a', 1500), entry('b', 1580)], { now });
+
+      expect(pairIds(pairs)).toEqual([['a', 'b']]);
+    });
+
+    test('should keep players apart until both windows span the gap', () => {
+      expect(pairEntries([entry('a', 1500, 60), entry('b', 1800)], { now })).toEqual([]);
+      expect(pairEntries([entry('a', 1500, 30), entry('b', 1800, 60)], { now })).toEqual([]);
+      expect(pairIds(pairEntries([entry('a', 1500, 40), entry('b', 1800, 50)], { now }))).toEqual([['b', 'a']]);
+    });
+
+    test('should never widen past the maximum window', () => {
+      expect(pairEntries([entry('a', 1000, 3600), entry('b', 1900, 3600)], { now })).toEqual([]);
+    });
+
+    test('should serve the longest wait first with the closest rating', () => {
+      const pairs = pairEntries([
+        entry('new', 1510, 0),
+        entry('old', 1500, 30),
+        entry('close', 1505, 10),
+        entry('far', 1590, 20)
+      ], { now });
+
+      expect(pairIds(pairs)).toEqual([['old', 'close'], ['far', 'new']]);
+    });
+
+    test('should avoid a recent opponent until both have waited long enough', () => {
+      const recentOpponents = new Map([
+        ['player-a', new Set(['player-b'])],
+        ['player-b', new Set(['player-a'])]
+      ]);
+
+      expect(pairEntries([entry('a', 1500, 60), entry('b', 1500, 120)], { now, recentOpponents })).toEqual([]);
+      expect(pairIds(pairEntries([entry('a', 1500, 90), entry('b', 1500, 120)], { now, recentOpponents })))
+        .toEqual([['b', 'a']]);
+    });
+
+    test('should prefer a new opponent over a rematch', () => {
+      const recentOpponents = new Map([['player-a', new Set(['player-b'])]]);
+      const pairs = pairEntries([entry('a', 1500, 30), entry('b', 1500, 20), entry('c', 1550, 10)], { now, recentOpponents });
+
+      expect(pairIds(pairs)).toEqual([['a', 'c']]);
+    });
+  });
+
+  describe('estimateWaitSeconds', () => {
+    test('should estimate the time until both windows reach the closest rating', () => {
+      const waiting = [entry('a', 1500, 10), entry('b', 1700, 0), entry('c', 1900, 0)];
+
+      expect(estimateWaitSeconds(waiting[0], waiting, [], now)).toBe(20);
+    });
+
+    test('should fall back to recent waits when nobody else is waiting', () => {
+      const alone = entry('a', 1500, 15);
+
+      expect(estimateWaitSeconds(alone, [alone], [20, 40, 90], now)).toBe(25);
+      expect(estimateWaitSeconds(alone, [alone], [], now)).toBe(45);
+    });
+  });
+});
@@ -0,0 +1,109 @@
+const {
+  DEFAULT_SEEDING_METHOD,
+  normalizeSeedingMethod,
+  shuffle,
+  seedGroups,
+  seedPairings
+} = require('../../../shared/utils/seeding');
+
+function ratedProfiles(ratings, clubs = {}) {
+  return new Map(Object.entries(ratings).map(([playerId, rating]) => [
+    playerId,
+    { rating, clubId: clubs[playerId] || null }
+  ]));
+}
+
+describe('seeding', () => {
+  describe('normalizeSeedingMethod', () => {
+    test('should accept known methods as a string or an object', () => {
+      expect(normalizeSeedingMethod('snake')).toBe('snake');
+      expect(normalizeSeedingMethod({ method: 'club_separated' })).toBe('club_separated');
+    });
+
+    test('should fall back to the default method', () => {
+      expect(normalizeSeedingMethod('ranked')).toBe(DEFAULT_SEEDING_METHOD);
+      expect(normalizeSeedingMethod(null)).toBe(DEFAULT_SEEDING_METHOD);
+    });
+  });
+
+  describe('shuffle', () => {
+    test('should keep every item and leave the input untouched', () => {
+      const items = ['a', 'b', 'c', 'd', 'e'];
+      const shuffled = shuffle(items);
+
+      expect(items).toEqual(['a', 'b', 'c', 'd', 'e']);
+      expect([...shuffled].sort()).toEqual(items);
+    });
+  });
+
+  describe('seedGroups', () => {
+    const ratings = { p1: 2000, p2: 1900, p3: 1800, p4: 1700, p5: 1600, p6: 1500, p7: 1400, p8: 1300 };
+
+    test('should split a random draw into groups that differ by at most one', () => {
+      const { groups } = seedGroups(['a', 'b', 'c', 'd', 'e', 'f', 'g'], 2);
+
+      expect(groups.map((group) => group.length)).toEqual([4, 3]);
+      expect(groups.flat().sort()).toEqual(['a', 'b', 'c', 'd', 'e', 'f', 'g']);
+    });
+
+    test('should deal pots in a snake so groups are balanced', () => {
+      const { groups, seeds } = seedGroups(Object.keys(ratings), 2, {
+        method: 'snake',
+        profiles: ratedProfiles(ratings)
+      });
+
+      expect(groups).toEqual([['p1', 'p4', 'p5', 'p8'], ['p2', 'p3', 'p6', 'p7']]);
+      expect(seeds.find((seed) => seed.playerId === 'p3')).toMatchObject({ seed: 3, pot: 2, group: 'B' });
+    });
+
+    test('should move players away from their clubmates where the pot allows', () => {
+      const clubs = { p1: 'north', p4: 'north' };
+      const { groups } = seedGroups(Object.keys(ratings), 2, {
+        method: 'club_separated',
+        profiles: ratedProfiles(ratings, clubs)
+      });
+
+      const groupOf = (playerId) => groups.findIndex((group) => group.includes(playerId));
+      expect(groupOf('p1')).not.toBe(groupOf('p4'));
+    });
+  });
+
+  describe('seedPairings', () => {
+    const ratings = { p1: 2000, p2: 1900, p3: 1800, p4: 1700, p5: 1600, p6: 1500 };
+
+    test('should give byes to the top seeds and pair best against worst', () => {
+      const { order } = seedPairings(Object.keys(ratings), {
+        method: 'snake',
+        profiles: ratedProfiles(ratings),
+        byes: 2
+      });
+
+      expect(order).toEqual(['p1', 'p2', 'p3', 'p6', 'p4', 'p5']);
+    });
+
+    test('should leave the last player without an opponent for an odd count', () => {
+      const { order } = seedPairings(['p1', 'p2', 'p3', 'p4', 'p5'], {
+        method: 'snake',
+        profiles: ratedProfiles(ratings)
+      });
+
+      expect(order).toEqual(['p1', 'p4', 'p2', 'p3', 'p5']);
+    });
+
+    test('should trade opponents to keep clubmates apart', () => {
+      const clubs = { p1: 'north', p4: 'north' };
+      const { order } = seedPairings(['p1', 'p2', 'p3', 'p4'], {
+        method: 'club_separated',
+        profiles: ratedProfiles(ratings, clubs)
+      });
+
+      expect(order).toEqual(['p1', 'p3', 'p2', 'p4']);
+    });
+
+    test('should return every player in a random draw', () => {
+      const { order } = seedPairings(['a', 'b', 'c']);
+
+      expect([...order].sort()).toEqual(['a', 'b', 'c']);
+    });
+  });
+});
@@ -3,6 +3,7 @@ const { prisma } = require('../config/db.js');
 const { logger } = require('../utils/logger.js');
 const { sanitizePhoneNumber, verifyWebhookSignature } = require('../utils/security.js');
 const MobileMoneyMessageService = require('../services/mobileMoneyMessageService.js');
+const fraudDetectionService = require('../services/fraudDetection.js');
 
 const ADMIN_ROLES = new Set([
   'admin',
@@ -947,6 +948,22 @@ exports.approveWithdrawal = async (req, res) => {
     const { transactionMessage } = req.body;
     const adminId = req.user?.userId || req.body.adminId;
 
+    // Requested before the player was flagged; hold it until the review closes
+    const withdrawal = await prisma.withdrawal.findUnique({
+      where: { withdrawalId: withdrawalId },
+      select: { userId: true }
+    });
+    if (!withdrawal) {
+      return res.status(404).json({ error: 'Withdrawal not found' });
+    }
+    const integrityCheck = await fraudDetectionService.checkIntegrityHold(withdrawal.userId);
+    if (integrityCheck.data?.unavailable) {
+      return res.status(503).json({ error: 'Player integrity status could not be verified, try again later' });
+    }
+    if (integrityCheck.flagged) {
+      return res.status(409).json({ error: 'Player is under integrity review', details: integrityCheck.data });
+    }
+
     // Update withdrawal status and add transaction message
     await prisma.withdrawal.update({
       where: { withdrawalId: withdrawalId },
@@ -1,7 +1,36 @@
 const { prisma } = require('../config/db.js');
 const { logger } = require('../utils/logger.js');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+
+const GAME_SERVICE_URL = process.env.GAME_SERVICE_URL || 'http://game-service:3006';
 
 class FraudDetectionService {
+  constructor() {
+    this.serviceToken = null;
+    this.serviceTokenExpiry = 0;
+  }
+
+  // The player risk route on the game service only answers other services
+  getServiceToken() {
+    if (process.env.SERVICE_JWT_TOKEN) return process.env.SERVICE_JWT_TOKEN;
+
+    const now = Date.now();
+    if (this.serviceToken && now < this.serviceTokenExpiry) {
+      return this.serviceToken;
+    }
+
+    const secret = process.env.JWT_SECRET;
+    if (!secret) {
+      logger.warn('JWT_SECRET not configured, cannot sign service token for integrity checks');
+      return null;
+    }
+
+    this.serviceToken = jwt.sign({ userId: 'system', role: 'service' }, secret, { expiresIn: '5m' });
+    this.serviceTokenExpiry = now + 4 * 60 * 1000;
+    return this.serviceToken;
+  }
+
   async checkTransaction({ userId, amount, type, phoneNumber }) {
     try {
       const flags = [];
@@ -32,7 +61,15 @@ class FraudDetectionService {
         }
       }
 
-      // Check 5: Phone number validation
+      // Check 5: Player held for cross-match play anomalies
+      if (type === 'withdrawal') {
+        const integrityCheck = await this.checkIntegrityHold(userId);
+        if (integrityCheck.flagged) {
+          flags.push(integrityCheck);
+        }
+      }
+
+      // Check 6: Phone number validation
       const phoneCheck = await this.checkPhoneNumberPattern(userId, phoneNumber);
       if (phoneCheck.flagged) {
         flags.push(phoneCheck);
@@ -193,6 +230,46 @@ class FraudDetectionService {
     }
   }
 
+  // Players flagged by the game-service anomaly detector can't cash out until
+  // an admin clears them, so winnings from bot play don't leave the platform.
+  // If game-service can't answer, the withdrawal waits for manual review
+  async checkIntegrityHold(userId) {
+    try {
+      const token = this.getServiceToken();
+      if (!token) {
+        throw new Error('No service token for the player risk check');
+      }
+      const response = await axios.get(`${GAME_SERVICE_URL}/players/${userId}/risk`, {
+        headers: { Authorization: `Bearer ${token}` },
+        timeout: 5000
+      });
+      const risk = response.data?.data;
+      if (!risk || typeof risk.held !== 'boolean') {
+        throw new Error('Unexpected player risk response');
+      }
+      if (risk.held) {
+        return {
+          flagged: true,
+          rule: 'integrity_hold',
+          severity: 'critical',
+          message: `Player under integrity review (risk score ${risk.riskScore})`,
+          data: { riskScore: risk.riskScore, status: risk.status }
+        };
+      }
+
+      return { flagged: false };
+    } catch (error) {
+      logger.error('Integrity hold check failed:', error);
+      return {
+        flagged: true,
+        rule: 'integrity_check_unavailable',
+        severity: 'high',
+        message: 'Player integrity status could not be verified',
+        data: { unavailable: true, error: error.message }
+      };
+    }
+  }
+
   async checkPhoneNumberPattern(userId, phoneNumber) {
     try {
       if (!phoneNumber) {
@@ -0,0 +1,17 @@
+-- Running shot totals aggregated from completed matches
+ALTER TABLE "player_stats" ADD COLUMN IF NOT EXISTS "totalShots" INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE "player_stats" ADD COLUMN IF NOT EXISTS "potAttempts" INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE "player_stats" ADD COLUMN IF NOT EXISTS "totalPots" INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE "player_stats" ADD COLUMN IF NOT EXISTS "ballsPotted" INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE "player_stats" ADD COLUMN IF NOT EXISTS "potSuccessRate" DECIMAL(5,2);
+ALTER TABLE "player_stats" ADD COLUMN IF NOT EXISTS "totalBreaks" INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE "player_stats" ADD COLUMN IF NOT EXISTS "ballsOnBreak" INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE "player_stats" ADD COLUMN IF NOT EXISTS "dryBreaks" INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE "player_stats" ADD COLUMN IF NOT EXISTS "totalScratches" INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE "player_stats" ADD COLUMN IF NOT EXISTS "totalFouls" INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE "player_stats" ADD COLUMN IF NOT EXISTS "totalSafeties" INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE "player_stats" ADD COLUMN IF NOT EXISTS "totalRunOuts" INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE "player_stats" ADD COLUMN IF NOT EXISTS "longestRun" INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE "player_stats" ADD COLUMN IF NOT EXISTS "totalShotPower" DOUBLE PRECISION NOT NULL DEFAULT 0;
+ALTER TABLE "player_stats" ADD COLUMN IF NOT EXISTS "timedShots" INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE "player_stats" ADD COLUMN IF NOT EXISTS "totalShotTimeMs" DOUBLE PRECISION NOT NULL DEFAULT 0;
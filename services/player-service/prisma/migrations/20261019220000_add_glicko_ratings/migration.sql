@@ -0,0 +1,33 @@
+-- Glicko-2 rating per player
+ALTER TABLE "player_stats" ADD COLUMN IF NOT EXISTS "rating" DOUBLE PRECISION NOT NULL DEFAULT 1500;
+ALTER TABLE "player_stats" ADD COLUMN IF NOT EXISTS "ratingDeviation" DOUBLE PRECISION NOT NULL DEFAULT 350;
+ALTER TABLE "player_stats" ADD COLUMN IF NOT EXISTS "ratingVolatility" DOUBLE PRECISION NOT NULL DEFAULT 0.06;
+ALTER TABLE "player_stats" ADD COLUMN IF NOT EXISTS "ratedMatches" INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE "player_stats" ADD COLUMN IF NOT EXISTS "ratingUpdatedAt" TIMESTAMP(3);
+
+CREATE INDEX IF NOT EXISTS "player_stats_rating_idx" ON "player_stats"("rating");
+
+-- One row per player per rated match
+CREATE TABLE IF NOT EXISTS "rating_history" (
+    "id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "playerId" UUID NOT NULL,
+    "matchId" UUID NOT NULL,
+    "opponentId" UUID NOT NULL,
+    "result" TEXT NOT NULL,
+    "weight" DOUBLE PRECISION NOT NULL DEFAULT 1,
+    "ratingBefore" DOUBLE PRECISION NOT NULL,
+    "ratingAfter" DOUBLE PRECISION NOT NULL,
+    "deviationBefore" DOUBLE PRECISION NOT NULL,
+    "deviationAfter" DOUBLE PRECISION NOT NULL,
+    "volatilityBefore" DOUBLE PRECISION NOT NULL,
+    "volatilityAfter" DOUBLE PRECISION NOT NULL,
+    "opponentRating" DOUBLE PRECISION NOT NULL,
+    "opponentDeviation" DOUBLE PRECISION NOT NULL,
+    "ratedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "rating_history_pkey" PRIMARY KEY ("id"),
+    CONSTRAINT "rating_history_playerId_fkey" FOREIGN KEY ("playerId") REFERENCES "player_stats"("playerId") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS "rating_history_playerId_matchId_key" ON "rating_history"("playerId", "matchId");
+CREATE INDEX IF NOT EXISTS "rating_history_playerId_ratedAt_idx" ON "rating_history"("playerId", "ratedAt");
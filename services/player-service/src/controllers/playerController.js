@@ -1,4 +1,5 @@
 const { ensurePlayerProfile } = require('../services/playerProfileService');
+const { PROVISIONAL_DEVIATION, describeRating } = require('../services/ratingService');
 const logger = require('../utils/logger');
 const { prisma } = require('../config/db');
 const { Prisma } = require('@prisma/client');
@@ -34,6 +35,24 @@ async function fetchClubTournaments(clubId) {
   }
 }
 
+// Per-shot averages from the running totals kept on PlayerStat
+function buildShotProfile(player) {
+  const perShot = (total) => (player.totalShots > 0 ? Math.round((total / player.totalShots) * 10000) / 10000 : 0);
+  return {
+    potSuccessRate: Number(player.potSuccessRate || 0),
+    avgBallsOnBreak: player.totalBreaks > 0
+      ? Math.round((player.ballsOnBreak / player.totalBreaks) * 100) / 100
+      : 0,
+    scratchRate: perShot(player.totalScratches),
+    foulRate: perShot(player.totalFouls),
+    safetyRate: perShot(player.totalSafeties),
+    runOuts: player.totalRunOuts,
+    longestRun: player.longestRun,
+    avgShotPower: player.totalShots > 0 ? Math.round((player.totalShotPower / player.totalShots) * 100) / 100 : 0,
+    avgShotTimeMs: player.timedShots > 0 ? Math.round(player.totalShotTimeMs / player.timedShots) : 0
+  };
+}
+
 exports.createOrUpdatePlayer = async (req, res) => {
   const isDev = (process.env.NODE_ENV || 'development') !== 'production';
   try {
@@ -127,6 +146,8 @@ exports.getPlayerStats = async (req, res) => {
       success: true,
       data: {
         ...player,
+        shotProfile: buildShotProfile(player),
+        skillRating: describeRating(player),
         recentMatches,
         achievements,
         clubTournaments
@@ -288,9 +309,12 @@ exports.getLeaderboard = async (req, res) => {
   try {
     const limit = Math.min(Number(req.query.limit) || 100, 200);
     const offset = Math.max(Number(req.query.offset) || 0, 0);
+    // Provisional ratings are mostly guesswork; ?rated=true leaves them out
+    const ratedOnly = req.query.rated === 'true';
 
     const leaderboard = await prisma.playerStat.findMany({
-      orderBy: { rankingPoints: 'desc' },
+      where: ratedOnly ? { ratingDeviation: { lte: PROVISIONAL_DEVIATION } } : undefined,
+      orderBy: [{ rating: 'desc' }, { ratingDeviation: 'asc' }],
       take: limit,
       skip: offset,
     });
@@ -298,6 +322,7 @@ exports.getLeaderboard = async (req, res) => {
     // Add computed rank in response (avoid writing ranks on every request)
     const withRanks = leaderboard.map((p, idx) => ({
       ...p,
+      skillRating: describeRating(p),
       rank: offset + idx + 1,
     }));
 
@@ -308,6 +333,29 @@ exports.getLeaderboard = async (req, res) => {
   }
 };
 
+exports.getRatingHistory = async (req, res) => {
+  try {
+    const { playerId } = req.params;
+    const limit = Math.min(Number(req.query.limit) || 50, 200);
+
+    const player = await prisma.playerStat.findUnique({ where: { playerId } });
+    if (!player) {
+      return res.status(404).json({ success: false, error: 'Player not found' });
+    }
+
+    const history = await prisma.ratingHistory.findMany({
+      where: { playerId },
+      orderBy: { ratedAt: 'desc' },
+      take: limit,
+    });
+
+    res.json({ success: true, data: { playerId, current: describeRating(player), history } });
+  } catch (error) {
+    logger.error('Get rating history error:', error);
+    res.status(500).json({ success: false, error: 'Failed to get rating history' });
+  }
+};
+
 exports.addAchievement = async (req, res) => {
   try {
     const { playerId, achievementType, title, description } = req.body;
@@ -1,6 +1,7 @@
 const logger = require('../utils/logger');
 const { Topics, subscribeEvents } = require('../../../../shared/events');
 const { ensurePlayerProfile } = require('../services/playerProfileService');
+const { applyMatchRating } = require('../services/ratingService');
 const { prisma } = require('../config/db');
 const { Prisma } = require('@prisma/client');
 
@@ -63,6 +64,39 @@ async function fetchMatchDetails(matchId) {
   }
 }
 
+function toCount(value) {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : 0;
+}
+
+// Fold one match's shot stats into the player's running totals
+function accumulateShotStats(current, shotStats) {
+  if (!shotStats || typeof shotStats !== 'object') return {};
+
+  const potAttempts = current.potAttempts + toCount(shotStats.potAttempts);
+  const totalPots = current.totalPots + toCount(shotStats.pots);
+  const potSuccessRate = potAttempts > 0 ? (totalPots / potAttempts) * 100 : 0;
+
+  return {
+    totalShots: current.totalShots + toCount(shotStats.shots),
+    potAttempts,
+    totalPots,
+    ballsPotted: current.ballsPotted + toCount(shotStats.ballsPotted),
+    potSuccessRate: new Prisma.Decimal(potSuccessRate.toFixed(2)),
+    totalBreaks: current.totalBreaks + toCount(shotStats.breaks),
+    ballsOnBreak: current.ballsOnBreak + toCount(shotStats.ballsOnBreak),
+    dryBreaks: current.dryBreaks + toCount(shotStats.dryBreaks),
+    totalScratches: current.totalScratches + toCount(shotStats.scratches),
+    totalFouls: current.totalFouls + toCount(shotStats.fouls),
+    totalSafeties: current.totalSafeties + toCount(shotStats.safeties),
+    totalRunOuts: current.totalRunOuts + toCount(shotStats.runOuts),
+    longestRun: Math.max(current.longestRun, toCount(shotStats.longestRun)),
+    totalShotPower: current.totalShotPower + toCount(shotStats.totalPower),
+    timedShots: current.timedShots + toCount(shotStats.timedShots),
+    totalShotTimeMs: current.totalShotTimeMs + toCount(shotStats.totalShotTimeMs)
+  };
+}
+
 async function applyMatchResult({ playerId, matchId, tournamentId, opponentId, result, matchData }) {
   const normalizedResult = String(result).toLowerCase();
   const isWin = normalizedResult === 'win';
@@ -108,6 +142,7 @@ async function applyMatchResult({ playerId, matchId, tournamentId, opponentId, r
         longestStreak,
         rankingPoints,
         winRate: new Prisma.Decimal(winRate.toFixed(2)),
+        ...accumulateShotStats(current, matchData?.shotStats),
         updatedAt: new Date(),
         lastActivityAt: new Date()
       }
@@ -115,14 +150,36 @@ async function applyMatchResult({ playerId, matchId, tournamentId, opponentId, r
   });
 }
 
+async function rateCompletedMatch({ matchId, match, payload }) {
+  const player1Id = payload.player1Id || match?.player1Id || payload.winnerId;
+  const player2Id = payload.player2Id || match?.player2Id || payload.loserId;
+  try {
+    await applyMatchRating({
+      matchId,
+      player1Id,
+      player2Id,
+      winnerId: payload.draw ? null : payload.winnerId,
+      draw: Boolean(payload.draw),
+      ratedAt: match?.completedAt ? new Date(match.completedAt) : new Date()
+    });
+  } catch (err) {
+    logger.error({ err, matchId }, '[player-consumers] Failed to update ratings');
+  }
+}
+
 async function handleMatchCompleted(payload) {
-  const { tournamentId, matchId, winnerId, loserId, stage, roundNumber, seasonId } = payload || {};
-  if (!tournamentId || !matchId || !winnerId || !loserId) {
+  const { tournamentId, matchId, winnerId, loserId, stage, roundNumber, seasonId, shotStats, draw } = payload || {};
+  if (!tournamentId || !matchId || (!draw && (!winnerId || !loserId))) {
     logger.warn({ payload }, '[player-consumers] MATCH_COMPLETED missing required fields');
     return;
   }
 
   const match = await fetchMatchDetails(matchId);
+  // A draw only moves ratings; win/loss records and streaks stay as they are
+  if (draw) {
+    await rateCompletedMatch({ matchId, match, payload });
+    return;
+  }
   const matchData = {
     tournamentId,
     seasonId,
@@ -135,6 +192,11 @@ async function handleMatchCompleted(payload) {
     player1Id: match?.player1Id,
     player2Id: match?.player2Id
   };
+  const playerMatchData = (playerId, opponentId) => ({
+    ...matchData,
+    shotStats: shotStats?.[playerId] || null,
+    opponentShotStats: shotStats?.[opponentId] || null
+  });
 
   try {
     await applyMatchResult({
@@ -143,7 +205,7 @@ async function handleMatchCompleted(payload) {
       tournamentId,
       opponentId: loserId,
       result: 'win',
-      matchData
+      matchData: playerMatchData(winnerId, loserId)
     });
   } catch (err) {
     if (err?.message !== 'Player not found') {
@@ -158,13 +220,15 @@ async function handleMatchCompleted(payload) {
       tournamentId,
       opponentId: winnerId,
       result: 'loss',
-      matchData
+      matchData: playerMatchData(loserId, winnerId)
     });
   } catch (err) {
     if (err?.message !== 'Player not found') {
       logger.error({ err, matchId, playerId: loserId }, '[player-consumers] Failed to apply loss result');
     }
   }
+
+  await rateCompletedMatch({ matchId, match, payload });
 }
 
 async function startPlayerConsumers() {
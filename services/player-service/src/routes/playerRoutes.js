@@ -6,6 +6,7 @@ const serviceAuth = require('../middlewares/serviceAuth');
 router.post('/', serviceAuth, playerController.createOrUpdatePlayer);
 router.get('/agent/:agentUserId/analytics', serviceAuth, playerController.getAgentAnalytics);
 router.get('/:playerId/stats', playerController.getPlayerStats);
+router.get('/:playerId/rating-history', playerController.getRatingHistory);
 router.post('/match-result', serviceAuth, playerController.updateMatchResult);
 router.get('/leaderboard', playerController.getLeaderboard);
 router.post('/achievements', serviceAuth, playerController.addAchievement);
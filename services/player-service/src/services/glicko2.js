@@ -0,0 +1,130 @@
+// Glicko-2 (Glickman, "Example of the Glicko-2 system", 2013). Every match is
+// rated as its own rating period, so a player's deviation shrinks with each
+// game and grows back while they are away.
+const SCALE = 173.7178;
+const DEFAULT_RATING = 1500;
+const DEFAULT_DEVIATION = 350;
+const DEFAULT_VOLATILITY = 0.06;
+const MIN_DEVIATION = 30;
+// System constant: how much volatility may change per period. Glickman
+// suggests 0.3 to 1.2; lower is steadier for a game with upsets like pool.
+const TAU = Number(process.env.GLICKO_TAU || 0.5);
+const CONVERGENCE = 0.000001;
+
+function toGlicko2({ rating, deviation }) {
+  return { mu: (rating - DEFAULT_RATING) / SCALE, phi: deviation / SCALE };
+}
+
+function g(phi) {
+  return 1 / Math.sqrt(1 + (3 * phi * phi) / (Math.PI * Math.PI));
+}
+
+function expected(mu, opponentMu, opponentPhi) {
+  return 1 / (1 + Math.exp(-g(opponentPhi) * (mu - opponentMu)));
+}
+
+// Step 5 of the paper: new volatility by the Illinois algorithm
+function nextVolatility({ phi, sigma, delta, v }) {
+  const a = Math.log(sigma * sigma);
+  const f = (x) => {
+    const ex = Math.exp(x);
+    const d = phi * phi + v + ex;
+    return (ex * (delta * delta - d)) / (2 * d * d) - (x - a) / (TAU * TAU);
+  };
+
+  let A = a;
+  let B;
+  if (delta * delta > phi * phi + v) {
+    B = Math.log(delta * delta - phi * phi - v);
+  } else {
+    let k = 1;
+    while (f(a - k * TAU) < 0) k += 1;
+    B = a - k * TAU;
+  }
+
+  let fA = f(A);
+  let fB = f(B);
+  while (Math.abs(B - A) > CONVERGENCE) {
+    const C = A + ((A - B) * fA) / (fB - fA);
+    const fC = f(C);
+    if (fC * fB <= 0) {
+      A = B;
+      fA = fB;
+    } else {
+      fA /= 2;
+    }
+    B = C;
+    fB = fC;
+  }
+  return Math.exp(A / 2);
+}
+
+/**
+ * Grow a deviation for the rating periods a player sat out, capped at the
+ * deviation of a brand new player.
+ */
+function inflateDeviation(player, idlePeriods) {
+  if (!(idlePeriods > 0)) return player;
+  const phi = player.deviation / SCALE;
+  const inflated = Math.sqrt(phi * phi + idlePeriods * player.volatility * player.volatility) * SCALE;
+  return { ...player, deviation: Math.min(DEFAULT_DEVIATION, inflated) };
+}
+
+/**
+ * Rate one period for `player` against the given results.
+ *
+ * player: { rating, deviation, volatility }
+ * results: [{ rating, deviation, score }] with score 1, 0.5 or 0
+ */
+function ratePeriod(player, results) {
+  if (!results.length) {
+    return inflateDeviation(player, 1);
+  }
+
+  const { mu, phi } = toGlicko2(player);
+  let vInverse = 0;
+  let improvement = 0;
+  results.forEach((result) => {
+    const opponent = toGlicko2(result);
+    const gPhi = g(opponent.phi);
+    const e = expected(mu, opponent.mu, opponent.phi);
+    vInverse += gPhi * gPhi * e * (1 - e);
+    improvement += gPhi * (result.score - e);
+  });
+  const v = 1 / vInverse;
+  const delta = v * improvement;
+
+  const sigma = nextVolatility({ phi, sigma: player.volatility, delta, v });
+  const phiStar = Math.sqrt(phi * phi + sigma * sigma);
+  const newPhi = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v);
+  const newMu = mu + newPhi * newPhi * improvement;
+
+  return {
+    rating: newMu * SCALE + DEFAULT_RATING,
+    deviation: Math.max(MIN_DEVIATION, newPhi * SCALE),
+    volatility: sigma
+  };
+}
+
+/**
+ * Move only part of the way from `before` to `after`, for matches that count
+ * for less than a full game.
+ */
+function weightUpdate(before, after, weight) {
+  if (weight >= 1) return after;
+  const blend = (from, to) => from + (to - from) * weight;
+  return {
+    rating: blend(before.rating, after.rating),
+    deviation: blend(before.deviation, after.deviation),
+    volatility: blend(before.volatility, after.volatility)
+  };
+}
+
+module.exports = {
+  DEFAULT_RATING,
+  DEFAULT_DEVIATION,
+  DEFAULT_VOLATILITY,
+  inflateDeviation,
+  ratePeriod,
+  weightUpdate
+};
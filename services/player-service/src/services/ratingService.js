@@ -0,0 +1,166 @@
+const logger = require('../utils/logger');
+const { prisma } = require('../config/db');
+const {
+  DEFAULT_RATING,
+  DEFAULT_DEVIATION,
+  DEFAULT_VOLATILITY,
+  inflateDeviation,
+  ratePeriod,
+  weightUpdate
+} = require('./glicko2');
+
+const AI_PLAYER_ID = process.env.AI_PLAYER_ID || '04a942ce-af5f-4bde-9068-b9e2ee295fbf';
+// Share of a full rating update a match against the AI is worth; 0 leaves AI
+// matches out of ratings entirely
+const AI_MATCH_WEIGHT = Math.min(1, Math.max(0, Number(process.env.AI_MATCH_RATING_WEIGHT || 0)));
+// The AI's strength is fixed, so it is rated as a known opponent, not learned
+const AI_RATING = Number(process.env.AI_RATING || DEFAULT_RATING);
+const AI_RATING_DEVIATION = Number(process.env.AI_RATING_DEVIATION || 100);
+const RATING_PERIOD_DAYS = Number(process.env.RATING_PERIOD_DAYS || 7);
+// Ratings with a deviation above this are shown as provisional
+const PROVISIONAL_DEVIATION = Number(process.env.PROVISIONAL_RATING_DEVIATION || 110);
+const MAX_ATTEMPTS = 3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function readRating(stat) {
+  return {
+    rating: stat?.rating ?? DEFAULT_RATING,
+    deviation: stat?.ratingDeviation ?? DEFAULT_DEVIATION,
+    volatility: stat?.ratingVolatility ?? DEFAULT_VOLATILITY
+  };
+}
+
+// Rating as it stands at `at`, with the deviation grown for time away
+function currentRating(stat, at = new Date()) {
+  const rating = readRating(stat);
+  if (!stat?.ratingUpdatedAt) return rating;
+  const idlePeriods = Math.floor((at.getTime() - new Date(stat.ratingUpdatedAt).getTime()) / (RATING_PERIOD_DAYS * DAY_MS));
+  return inflateDeviation(rating, idlePeriods);
+}
+
+function describeRating(stat) {
+  const { rating, deviation, volatility } = currentRating(stat);
+  return {
+    rating: Math.round(rating),
+    deviation: Math.round(deviation),
+    volatility: Number(volatility.toFixed(5)),
+    ratedMatches: stat?.ratedMatches ?? 0,
+    provisional: deviation > PROVISIONAL_DEVIATION
+  };
+}
+
+function resultFor(playerId, { winnerId, draw }) {
+  if (draw) return { result: 'draw', score: 0.5 };
+  return playerId === winnerId ? { result: 'win', score: 1 } : { result: 'loss', score: 0 };
+}
+
+async function rateMatchOnce({ matchId, playerIds, outcome, weight, ratedAt }) {
+  return prisma.$transaction(async (tx) => {
+    const alreadyRated = await tx.ratingHistory.findFirst({ where: { matchId } });
+    if (alreadyRated) return null;
+
+    const stats = await tx.playerStat.findMany({ where: { playerId: { in: playerIds } } });
+    const statsById = new Map(stats.map((stat) => [stat.playerId, stat]));
+    const before = new Map(playerIds.map((playerId) => [
+      playerId,
+      playerId === AI_PLAYER_ID
+        ? { rating: AI_RATING, deviation: AI_RATING_DEVIATION, volatility: DEFAULT_VOLATILITY }
+        : currentRating(statsById.get(playerId), ratedAt)
+    ]));
+
+    const updates = [];
+    for (const playerId of playerIds) {
+      const stat = statsById.get(playerId);
+      if (!stat || playerId === AI_PLAYER_ID) continue;
+
+      const opponentId = playerIds.find((id) => id !== playerId);
+      const opponent = before.get(opponentId);
+      const { result, score } = resultFor(playerId, outcome);
+      const mine = before.get(playerId);
+      const after = weightUpdate(mine, ratePeriod(mine, [{ ...opponent, score }]), weight);
+
+      // Guard against another match for this player being rated in between
+      const updated = await tx.playerStat.updateMany({
+        where: { playerId, ratedMatches: stat.ratedMatches },
+        data: {
+          rating: after.rating,
+          ratingDeviation: after.deviation,
+          ratingVolatility: after.volatility,
+          ratedMatches: stat.ratedMatches + 1,
+          ratingUpdatedAt: ratedAt
+        }
+      });
+      if (updated.count === 0) {
+        throw new Error('Rating changed concurrently');
+      }
+
+      await tx.ratingHistory.create({
+        data: {
+          playerId,
+          matchId,
+          opponentId,
+          result,
+          weight,
+          ratingBefore: mine.rating,
+          ratingAfter: after.rating,
+          deviationBefore: mine.deviation,
+          deviationAfter: after.deviation,
+          volatilityBefore: mine.volatility,
+          volatilityAfter: after.volatility,
+          opponentRating: opponent.rating,
+          opponentDeviation: opponent.deviation,
+          ratedAt
+        }
+      });
+      updates.push({ playerId, result, before: mine, after });
+    }
+    return updates;
+  });
+}
+
+/**
+ * Update both players' Glicko-2 ratings from one completed match. Safe to call
+ * again for the same match. Matches against the AI count for AI_MATCH_WEIGHT
+ * of a full update and never move the AI's own rating.
+ */
+async function applyMatchRating({ matchId, player1Id, player2Id, winnerId = null, draw = false, ratedAt = new Date() }) {
+  if (!matchId || !player1Id || !player2Id || player1Id === player2Id) return null;
+  if (!draw && winnerId !== player1Id && winnerId !== player2Id) return null;
+
+  const playerIds = [player1Id, player2Id];
+  const weight = playerIds.includes(AI_PLAYER_ID) ? AI_MATCH_WEIGHT : 1;
+  if (weight <= 0) {
+    logger.info({ matchId }, '[ratingService] AI match left out of ratings');
+    return null;
+  }
+
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      const updates = await rateMatchOnce({ matchId, playerIds, outcome: { winnerId, draw }, weight, ratedAt });
+      if (updates?.length) {
+        logger.info(
+          {
+            matchId,
+            draw,
+            updates: updates.map(({ playerId, before, after }) => ({
+              playerId,
+              from: Math.round(before.rating),
+              to: Math.round(after.rating)
+            }))
+          },
+          '[ratingService] Ratings updated'
+        );
+      }
+      return updates;
+    } catch (err) {
+      if (err?.message !== 'Rating changed concurrently' || attempt >= MAX_ATTEMPTS) throw err;
+    }
+  }
+}
+
+module.exports = {
+  PROVISIONAL_DEVIATION,
+  applyMatchRating,
+  currentRating,
+  describeRating
+};
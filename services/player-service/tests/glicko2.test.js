@@ -0,0 +1,95 @@
+const {
+  DEFAULT_RATING,
+  DEFAULT_DEVIATION,
+  DEFAULT_VOLATILITY,
+  inflateDeviation,
+  ratePeriod,
+  weightUpdate
+} = require('../src/services/glicko2');
+
+describe('glicko2', () => {
+  describe('ratePeriod', () => {
+    // Glickman, "Example of the Glicko-2 system", with tau = 0.5
+    test('should match the worked example from the paper', () => {
+      const player = { rating: 1500, deviation: 200, volatility: 0.06 };
+      const results = [
+        { rating: 1400, deviation: 30, score: 1 },
+        { rating: 1550, deviation: 100, score: 0 },
+        { rating: 1700, deviation: 300, score: 0 }
+      ];
+
+      const rated = ratePeriod(player, results);
+
+      expect(rated.rating).toBeCloseTo(1464.05, 2);
+      expect(rated.deviation).toBeCloseTo(151.52, 2);
+      expect(rated.volatility).toBeCloseTo(0.059996, 6);
+    });
+
+    test('should raise the winner and lower the loser of an even match', () => {
+      const player = { rating: DEFAULT_RATING, deviation: DEFAULT_DEVIATION, volatility: DEFAULT_VOLATILITY };
+      const opponent = { rating: DEFAULT_RATING, deviation: DEFAULT_DEVIATION };
+
+      const winner = ratePeriod(player, [{ ...opponent, score: 1 }]);
+      const loser = ratePeriod(player, [{ ...opponent, score: 0 }]);
+
+      expect(winner.rating).toBeGreaterThan(DEFAULT_RATING);
+      expect(loser.rating).toBeLessThan(DEFAULT_RATING);
+      expect(winner.rating - DEFAULT_RATING).toBeCloseTo(DEFAULT_RATING - loser.rating, 6);
+      expect(winner.deviation).toBeLessThan(DEFAULT_DEVIATION);
+    });
+
+    test('should leave the rating alone after a draw between equals', () => {
+      const player = { rating: 1600, deviation: 80, volatility: DEFAULT_VOLATILITY };
+      const rated = ratePeriod(player, [{ rating: 1600, deviation: 80, score: 0.5 }]);
+
+      expect(rated.rating).toBeCloseTo(1600, 6);
+      expect(rated.deviation).toBeLessThan(80);
+    });
+
+    test('should only widen the deviation for a period without games', () => {
+      const player = { rating: 1500, deviation: 200, volatility: 0.06 };
+      const rated = ratePeriod(player, []);
+
+      expect(rated.rating).toBe(1500);
+      expect(rated.volatility).toBe(0.06);
+      expect(rated.deviation).toBeCloseTo(200.27, 2);
+    });
+  });
+
+  describe('inflateDeviation', () => {
+    test('should grow the deviation with idle periods', () => {
+      const player = { rating: 1500, deviation: 50, volatility: 0.06 };
+
+      expect(inflateDeviation(player, 10).deviation).toBeGreaterThan(inflateDeviation(player, 1).deviation);
+    });
+
+    test('should cap the deviation at that of a new player', () => {
+      const player = { rating: 1500, deviation: 340, volatility: 0.06 };
+
+      expect(inflateDeviation(player, 100).deviation).toBe(DEFAULT_DEVIATION);
+    });
+
+    test('should return the player unchanged without idle periods', () => {
+      const player = { rating: 1500, deviation: 50, volatility: 0.06 };
+
+      expect(inflateDeviation(player, 0)).toBe(player);
+    });
+  });
+
+  describe('weightUpdate', () => {
+    const before = { rating: 1500, deviation: 200, volatility: 0.06 };
+    const after = { rating: 1540, deviation: 180, volatility: 0.05 };
+
+    test('should move part of the way for a partial weight', () => {
+      const blended = weightUpdate(before, after, 0.5);
+
+      expect(blended.rating).toBeCloseTo(1520, 6);
+      expect(blended.deviation).toBeCloseTo(190, 6);
+      expect(blended.volatility).toBeCloseTo(0.055, 6);
+    });
+
+    test('should take the full update for a weight of one', () => {
+      expect(weightUpdate(before, after, 1)).toBe(after);
+    });
+  });
+});
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "seasons" ADD COLUMN     "payoutHeld" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "payoutHold" JSONB;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "group_standings" ADD COLUMN     "draws" INTEGER NOT NULL DEFAULT 0;
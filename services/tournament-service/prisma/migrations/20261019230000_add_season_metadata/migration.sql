@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "seasons" ADD COLUMN     "metadata" JSONB;
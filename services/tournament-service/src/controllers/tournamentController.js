@@ -2,7 +2,7 @@ const { prisma } = require('../config/db');
 const logger = require('../utils/logger');
 const axios = require('axios');
 const { publishEvent, Topics } = require('../../../../shared');
-const { ensureTournamentSchedule, scheduleTournamentStart, cancelTournamentSchedule } = require('../jobs/schedulerQueue');
+const { ensureTournamentSchedule, scheduleTournamentStart, cancelTournamentSchedule, normalizeGameVariant, normalizeRuleProfile, normalizeShotClock, normalizeRaceTo, normalizeTiebreak, normalizeHandicap, normalizeSeeding, normalizeBracketFormat, findUnsupportedSettings } = require('../jobs/schedulerQueue');
 // Removed AI settings logic
 
 const PAYMENT_SERVICE_URL = process.env.PAYMENT_SERVICE_URL || 'http://payment-service:3003';
@@ -56,13 +56,22 @@ async function fetchSeasonMatchCount({ tournamentId, seasonId }) {
 
 exports.createTournament = async (req, res) => {
   try {
-    const { clubId, name, description, entryFee, maxPlayers, startTime, matchDuration, seasonDuration, gameType } = req.body;
+    const { clubId, name, description, entryFee, maxPlayers, startTime, matchDuration, seasonDuration, gameType, gameVariant, ruleProfile, shotClock, raceTo, tiebreak, handicap, seeding, bracketFormat } = req.body;
     if (!clubId) {
       return res.status(400).json({ success: false, error: 'clubId is required' });
     }
     const normalizedGameType = normalizeGameType(gameType);
     const effectiveMaxPlayers = maxPlayers;
     const parsedStartTime = startTime ? new Date(startTime) : new Date(Date.now() + 3600000); // Default to 1 hour from now
+    const matchSettings = {
+      gameVariant: normalizeGameVariant(gameVariant),
+      ruleProfile: normalizeRuleProfile(ruleProfile),
+      handicap: normalizeHandicap(handicap)
+    };
+    const unsupported = findUnsupportedSettings(matchSettings);
+    if (unsupported) {
+      return res.status(400).json({ success: false, error: unsupported });
+    }
 
     const tournament = await prisma.tournament.create({
       data: {
@@ -81,7 +90,15 @@ exports.createTournament = async (req, res) => {
           // For now, keeping it as per the provided snippet, but it's not in the original file.
           // If buildTournamentMetadata is not defined, this will cause an error.
           // ...buildTournamentMetadata(undefined, req.user),
-          gameType: normalizedGameType
+          gameType: normalizedGameType,
+          gameVariant: matchSettings.gameVariant,
+          ruleProfile: matchSettings.ruleProfile,
+          shotClock: normalizeShotClock(shotClock),
+          raceTo: normalizeRaceTo(raceTo),
+          tiebreak: normalizeTiebreak(tiebreak),
+          handicap: matchSettings.handicap,
+          seeding: normalizeSeeding(seeding),
+          bracketFormat: normalizeBracketFormat(bracketFormat)
         }
       }
     });
@@ -652,6 +669,42 @@ exports.updateTournament = async (req, res) => {
       updateData.matchDuration = parsedDuration;
     }
 
+    // Match settings (variant, rules, shot clock, race, tiebreak, handicap, seeding, bracket format) live in metadata; merge them rather than overwrite
+    if (
+      updateData.gameVariant !== undefined ||
+      updateData.ruleProfile !== undefined ||
+      updateData.shotClock !== undefined ||
+      updateData.raceTo !== undefined ||
+      updateData.tiebreak !== undefined ||
+      updateData.handicap !== undefined ||
+      updateData.seeding !== undefined ||
+      updateData.bracketFormat !== undefined
+    ) {
+      updateData.metadata = {
+        ...(tournament.metadata && typeof tournament.metadata === 'object' ? tournament.metadata : {}),
+        ...(updateData.gameVariant !== undefined ? { gameVariant: normalizeGameVariant(updateData.gameVariant) } : {}),
+        ...(updateData.ruleProfile !== undefined ? { ruleProfile: normalizeRuleProfile(updateData.ruleProfile) } : {}),
+        ...(updateData.shotClock !== undefined ? { shotClock: normalizeShotClock(updateData.shotClock) } : {}),
+        ...(updateData.raceTo !== undefined ? { raceTo: normalizeRaceTo(updateData.raceTo) } : {}),
+        ...(updateData.tiebreak !== undefined ? { tiebreak: normalizeTiebreak(updateData.tiebreak) } : {}),
+        ...(updateData.handicap !== undefined ? { handicap: normalizeHandicap(updateData.handicap) } : {}),
+        ...(updateData.seeding !== undefined ? { seeding: normalizeSeeding(updateData.seeding) } : {}),
+        ...(updateData.bracketFormat !== undefined ? { bracketFormat: normalizeBracketFormat(updateData.bracketFormat) } : {})
+      };
+      const unsupported = findUnsupportedSettings(updateData.metadata);
+      if (unsupported) {
+        return res.status(400).json({ success: false, error: unsupported });
+      }
+      delete updateData.gameVariant;
+      delete updateData.ruleProfile;
+      delete updateData.shotClock;
+      delete updateData.raceTo;
+      delete updateData.tiebreak;
+      delete updateData.handicap;
+      delete updateData.seeding;
+      delete updateData.bracketFormat;
+    }
+
     // Parse startTime if provided
     if (updateData.startTime) {
       try {
@@ -873,6 +926,14 @@ exports.repairSeasonFixtures = async (req, res) => {
           entryFee: Number(tournament?.entryFee || 0),
           startTime: seasonStartTime,
           gameType,
+          gameVariant: normalizeGameVariant(tournament?.metadata?.gameVariant),
+          ruleProfile: normalizeRuleProfile(tournament?.metadata?.ruleProfile),
+          shotClock: normalizeShotClock(tournament?.metadata?.shotClock),
+          raceTo: normalizeRaceTo(tournament?.metadata?.raceTo),
+          tiebreak: normalizeTiebreak(tournament?.metadata?.tiebreak),
+          handicap: normalizeHandicap(tournament?.metadata?.handicap),
+          seeding: normalizeSeeding(tournament?.metadata?.seeding),
+          bracketFormat: normalizeBracketFormat(tournament?.metadata?.bracketFormat),
           aiDifficulty,
           aiRating,
           level
@@ -5,6 +5,14 @@ const jwt = require('jsonwebtoken');
 const { createQueue, createWorker, defaultJobOptions } = require('../../../../shared/config/redis');
 const { publishEvent, Topics } = require('../../../../shared/events');
 const { emitSeasonUpdate } = require('../utils/socketEmitter');
+// How players are drawn into groups or first round pairings
+const { normalizeSeedingMethod: normalizeSeeding } = require('../../../../shared/utils/seeding');
+const {
+  RULE_PROFILES,
+  DEFAULT_RULE_PROFILE,
+  EIGHT_BALL_ONLY_OPTIONS,
+  pickRuleOverrides
+} = require('../../../../shared/utils/ruleProfiles');
 
 const QUEUE_NAME = 'tournament-scheduler';
 
@@ -78,6 +86,109 @@ function normalizeGameType(value) {
   return 'multiplayer';
 }
 
+function normalizeGameVariant(value) {
+  const normalized = String(value || '').trim().toLowerCase().replace(/[\s-]/g, '_');
+  if (['nine_ball', 'nineball', '9ball', '9_ball'].includes(normalized)) {
+    return 'nine_ball';
+  }
+  return 'eight_ball';
+}
+
+// 8-ball rule profile: a preset name ('house' | 'wpa') plus optional overrides
+function normalizeRuleProfile(value) {
+  if (!value) return null;
+  const source = typeof value === 'string' ? { profile: value } : value;
+  if (typeof source !== 'object') return null;
+
+  const profile = RULE_PROFILES[source.profile] ? source.profile : DEFAULT_RULE_PROFILE;
+  return { profile, ...pickRuleOverrides(source) };
+}
+
+// Per-turn shot clock: seconds per shot plus optional extensions per player
+function normalizeShotClock(value) {
+  if (value === undefined || value === null || value === false) return null;
+  const source = typeof value === 'object' ? value : { seconds: value };
+  const seconds = Math.floor(Number(source.seconds));
+  if (!Number.isFinite(seconds) || seconds <= 0) return null;
+  return {
+    seconds,
+    extensionSeconds: Math.max(0, Math.floor(Number(source.extensionSeconds) || 0)),
+    extensionsPerPlayer: Math.max(0, Math.floor(Number(source.extensionsPerPlayer) || 0))
+  };
+}
+
+const MAX_RACE_TO = 25;
+
+function normalizeFrameCount(value) {
+  const frames = Math.floor(Number(value));
+  if (!Number.isFinite(frames) || frames < 1) return null;
+  return Math.min(frames, MAX_RACE_TO);
+}
+
+// Frames to win a match: one number for every stage, or per stage such as
+// { default: 1, group: 2, knockout: 3, final: 5 }
+function normalizeRaceTo(value) {
+  if (value === undefined || value === null || value === false) return null;
+  if (typeof value !== 'object') {
+    const frames = normalizeFrameCount(value);
+    return frames ? { default: frames } : null;
+  }
+  const normalized = {};
+  Object.keys(value).forEach((stage) => {
+    const key = String(stage).toLowerCase();
+    if (!/^[a-z0-9_]+$/.test(key)) return;
+    const frames = normalizeFrameCount(value[stage]);
+    if (frames) normalized[key] = frames;
+  });
+  return Object.keys(normalized).length > 0 ? normalized : null;
+}
+
+const TIEBREAK_MODES = ['spot_shots', 'decider'];
+
+// Sudden death for level knockout matches; group matches can always end in a draw
+function normalizeTiebreak(value) {
+  return TIEBREAK_MODES.includes(value) ? value : 'spot_shots';
+}
+
+const BRACKET_FORMATS = ['single_elimination', 'double_elimination'];
+
+// Double elimination gives every knockout player a second life in a losers
+// bracket before they are out
+function normalizeBracketFormat(value) {
+  return BRACKET_FORMATS.includes(value) ? value : 'single_elimination';
+}
+
+const HANDICAP_OPTIONS = ['weaker_breaks', 'stronger_calls_eight', 'spot_frames'];
+
+// Rating-gap handicaps for mixed-skill leagues: which concessions apply, the
+// gap below which none do, and the gap worth one spotted frame in a race
+function normalizeHandicap(value) {
+  if (!value || typeof value !== 'object') return null;
+  const options = (Array.isArray(value.options) ? value.options : []).filter((option) => HANDICAP_OPTIONS.includes(option));
+  if (options.length === 0) return null;
+  const minGap = Math.floor(Number(value.minGap));
+  const pointsPerFrame = Math.floor(Number(value.pointsPerFrame));
+  return {
+    options: Array.from(new Set(options)),
+    ...(Number.isFinite(minGap) && minGap >= 0 ? { minGap } : {}),
+    ...(Number.isFinite(pointsPerFrame) && pointsPerFrame > 0 ? { pointsPerFrame } : {})
+  };
+}
+
+// Normalized settings nine-ball can't play: 8-ball rule overrides and the
+// stronger player calling the eight. Returns the reason, or null if they fit.
+function findUnsupportedSettings({ gameVariant, ruleProfile, handicap }) {
+  if (gameVariant !== 'nine_ball') return null;
+  const eightBallOptions = EIGHT_BALL_ONLY_OPTIONS.filter((key) => ruleProfile?.[key] !== undefined);
+  if (eightBallOptions.length > 0) {
+    return `Rule options ${eightBallOptions.join(', ')} only apply to 8-ball`;
+  }
+  if (handicap?.options?.includes('stronger_calls_eight')) {
+    return 'The stronger_calls_eight handicap only applies to 8-ball';
+  }
+  return null;
+}
+
 async function createSeasonAndSchedule({ tournament, seasonNumber, startTime, matchDurationSeconds }) {
   if (!tournament?.clubId) {
     logger.error(
@@ -441,6 +552,14 @@ async function triggerSeasonFixtures(seasonId) {
   const seasonStartTime = season.startTime ? season.startTime.toISOString() : undefined;
 
   const gameType = normalizeGameType(season.tournament?.metadata?.gameType);
+  const gameVariant = normalizeGameVariant(season.tournament?.metadata?.gameVariant);
+  const ruleProfile = normalizeRuleProfile(season.tournament?.metadata?.ruleProfile);
+  const shotClock = normalizeShotClock(season.tournament?.metadata?.shotClock);
+  const raceTo = normalizeRaceTo(season.tournament?.metadata?.raceTo);
+  const tiebreak = normalizeTiebreak(season.tournament?.metadata?.tiebreak);
+  const handicap = normalizeHandicap(season.tournament?.metadata?.handicap);
+  const seeding = normalizeSeeding(season.tournament?.metadata?.seeding);
+  const bracketFormat = normalizeBracketFormat(season.tournament?.metadata?.bracketFormat);
 
   if (activePlayers.length < 2) {
     const now = new Date();
@@ -470,6 +589,14 @@ async function triggerSeasonFixtures(seasonId) {
         entryFee: Number(season.tournament.entryFee || 0),
         startTime: seasonStartTime,
         gameType,
+        gameVariant,
+        ruleProfile,
+        shotClock,
+        raceTo,
+        tiebreak,
+        handicap,
+        seeding,
+        bracketFormat,
         aiDifficulty,
         aiRating,
         level,
@@ -501,6 +628,14 @@ async function triggerSeasonFixtures(seasonId) {
         entryFee: Number(season.tournament.entryFee || 0),
         startTime: seasonStartTime,
         gameType,
+        gameVariant,
+        ruleProfile,
+        shotClock,
+        raceTo,
+        tiebreak,
+        handicap,
+        seeding,
+        bracketFormat,
         clubId: season.clubId || season.tournament?.clubId || null
       },
       season.seasonId
@@ -746,6 +881,15 @@ async function startSchedulerWorker() {
 module.exports = {
   ensureAiParticipant,
   normalizeGameType,
+  normalizeGameVariant,
+  normalizeRuleProfile,
+  findUnsupportedSettings,
+  normalizeShotClock,
+  normalizeRaceTo,
+  normalizeTiebreak,
+  normalizeHandicap,
+  normalizeSeeding,
+  normalizeBracketFormat,
   startSchedulerWorker,
   ensureTournamentSchedule,
   ensureActiveTournamentSchedules,
@@ -1,7 +1,7 @@
 const logger = require('../utils/logger');
 const { prisma } = require('../config/db');
 const { subscribeEvents, publishEvent, Topics } = require('../../../../shared/events');
-const { ensureTournamentSchedule, startSchedulerWorker, scheduleTournamentStart, cancelTournamentSchedule } = require('../jobs/schedulerQueue');
+const { ensureTournamentSchedule, startSchedulerWorker, scheduleTournamentStart, cancelTournamentSchedule, normalizeGameVariant, normalizeRuleProfile, normalizeShotClock, normalizeRaceTo, normalizeTiebreak, normalizeHandicap, normalizeSeeding, normalizeBracketFormat, findUnsupportedSettings } = require('../jobs/schedulerQueue');
 
 const DEFAULT_MATCH_DURATION_SECONDS = Number(process.env.DEFAULT_MATCH_DURATION_SECONDS || 300);
 
@@ -75,13 +75,22 @@ async function publishCommandResult(commandId, action, status, data, error) {
 }
 
 async function handleCreate(commandId, data, actor) {
-  const { name, description, entryFee, maxPlayers, matchDuration, seasonDuration, startTime, gameType } = data;
+  const { name, description, entryFee, maxPlayers, matchDuration, seasonDuration, startTime, gameType, gameVariant, ruleProfile, shotClock, raceTo, tiebreak, handicap, seeding, bracketFormat } = data;
   if (!name || entryFee === undefined) {
     throw new Error('name and entryFee are required');
   }
 
   const parsedStartTime = startTime ? new Date(startTime) : new Date(Date.now() + 3600000);
   const normalizedGameType = normalizeGameType(gameType);
+  const matchSettings = {
+    gameVariant: normalizeGameVariant(gameVariant),
+    ruleProfile: normalizeRuleProfile(ruleProfile),
+    handicap: normalizeHandicap(handicap)
+  };
+  const unsupported = findUnsupportedSettings(matchSettings);
+  if (unsupported) {
+    throw new Error(unsupported);
+  }
 
   const tournament = await prisma.tournament.create({
     data: {
@@ -96,7 +105,15 @@ async function handleCreate(commandId, data, actor) {
       stage: 'registration',
       metadata: {
         ...buildTournamentMetadata(undefined, actor),
-        gameType: normalizedGameType
+        gameType: normalizedGameType,
+        gameVariant: matchSettings.gameVariant,
+        ruleProfile: matchSettings.ruleProfile,
+        shotClock: normalizeShotClock(shotClock),
+        raceTo: normalizeRaceTo(raceTo),
+        tiebreak: normalizeTiebreak(tiebreak),
+        handicap: matchSettings.handicap,
+        seeding: normalizeSeeding(seeding),
+        bracketFormat: normalizeBracketFormat(bracketFormat)
       }
     }
   });
@@ -268,6 +285,15 @@ async function handleUpdate(commandId, data, actor) {
   delete sanitized.createdAt;
   delete sanitized.tournamentId;
   delete sanitized.competitionWalletId;
+  const { gameVariant, ruleProfile, shotClock, raceTo, tiebreak, handicap, seeding, bracketFormat } = sanitized;
+  delete sanitized.gameVariant;
+  delete sanitized.ruleProfile;
+  delete sanitized.shotClock;
+  delete sanitized.raceTo;
+  delete sanitized.tiebreak;
+  delete sanitized.handicap;
+  delete sanitized.seeding;
+  delete sanitized.bracketFormat;
 
   if (sanitized.maxPlayers !== undefined) {
     const parsedMaxPlayers = Number(sanitized.maxPlayers);
@@ -287,12 +313,37 @@ async function handleUpdate(commandId, data, actor) {
     sanitized.maxPlayers = Math.floor(parsedMaxPlayers);
   }
 
+  const existing = await prisma.tournament.findUnique({
+    where: { tournamentId },
+    select: { metadata: true }
+  });
+  const metadataUpdates = {
+    ...(actor ? { lastUpdatedBy: actor.userId, lastUpdatedRole: actor.role } : {}),
+    ...(gameVariant !== undefined ? { gameVariant: normalizeGameVariant(gameVariant) } : {}),
+    ...(ruleProfile !== undefined ? { ruleProfile: normalizeRuleProfile(ruleProfile) } : {}),
+    ...(shotClock !== undefined ? { shotClock: normalizeShotClock(shotClock) } : {}),
+    ...(raceTo !== undefined ? { raceTo: normalizeRaceTo(raceTo) } : {}),
+    ...(tiebreak !== undefined ? { tiebreak: normalizeTiebreak(tiebreak) } : {}),
+    ...(handicap !== undefined ? { handicap: normalizeHandicap(handicap) } : {}),
+    ...(seeding !== undefined ? { seeding: normalizeSeeding(seeding) } : {}),
+    ...(bracketFormat !== undefined ? { bracketFormat: normalizeBracketFormat(bracketFormat) } : {})
+  };
+  const unsupported = findUnsupportedSettings({
+    ...(existing?.metadata && typeof existing.metadata === 'object' ? existing.metadata : {}),
+    ...metadataUpdates
+  });
+  if (unsupported) {
+    throw new Error(unsupported);
+  }
+
   const updated = await prisma.tournament.update({
     where: { tournamentId },
     data: {
       ...sanitized,
       updatedAt: new Date(),
-      metadata: actor ? { ...(typeof (actor || {}) === 'object' ? { lastUpdatedBy: actor.userId, lastUpdatedRole: actor.role } : {}) } : undefined
+      metadata: Object.keys(metadataUpdates).length > 0
+        ? { ...buildTournamentMetadata(existing?.metadata, null), ...metadataUpdates }
+        : undefined
     }
   });
 
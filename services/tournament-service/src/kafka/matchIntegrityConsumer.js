@@ -0,0 +1,274 @@
+const axios = require('axios');
+const { prisma } = require('../config/db');
+const logger = require('../utils/logger');
+const { subscribeEvents, Topics } = require('../../../../shared/events');
+const { getServiceToken } = require('../utils/serviceAuth');
+
+const GAME_SERVICE_URL = process.env.GAME_SERVICE_URL || 'http://game-service:3006';
+// Seasons parked because game-service couldn't audit them are retried this often
+const AUDIT_RETRY_INTERVAL_MS = Number(process.env.SEASON_AUDIT_RETRY_INTERVAL_MS || 5 * 60 * 1000);
+const AUDIT_UNAVAILABLE = 'audit_unavailable';
+
+function readHold(season) {
+  const hold = season?.payoutHold && typeof season.payoutHold === 'object' ? season.payoutHold : {};
+  return {
+    flags: Array.isArray(hold.flags) ? hold.flags : [],
+    cleared: Array.isArray(hold.cleared) ? hold.cleared : [],
+    pendingPayout: hold.pendingPayout || null
+  };
+}
+
+// Flags come from a failed session audit, a flagged player, or an audit that
+// could not run at all
+function flagKey(flag) {
+  if (flag.reason === AUDIT_UNAVAILABLE) return AUDIT_UNAVAILABLE;
+  return flag.playerId ? `player:${flag.playerId}` : flag.sessionId;
+}
+
+// Unlike other flags this one comes back every time the audit fails, even if
+// an earlier one was cleared by a retry
+function flagAuditUnavailable(hold, error) {
+  const previous = [...hold.flags, ...hold.cleared].find((flag) => flagKey(flag) === AUDIT_UNAVAILABLE);
+  const flag = {
+    reason: AUDIT_UNAVAILABLE,
+    error,
+    attempts: (previous?.attempts || 0) + 1,
+    detectedAt: new Date().toISOString()
+  };
+  return {
+    ...hold,
+    flags: [...hold.flags.filter((item) => flagKey(item) !== AUDIT_UNAVAILABLE), flag],
+    cleared: hold.cleared.filter((item) => flagKey(item) !== AUDIT_UNAVAILABLE)
+  };
+}
+
+function addFlags(hold, flags) {
+  const known = new Set([...hold.flags, ...hold.cleared].map(flagKey));
+  const added = flags.filter((flag) => flagKey(flag) && !known.has(flagKey(flag)));
+  return { ...hold, flags: [...hold.flags, ...added] };
+}
+
+// Players this completion would pay: the winner, or everyone refunded on a draw
+function resolvePayeeIds(season, completionPayload) {
+  const placements = completionPayload?.placements || {};
+  if (completionPayload?.draw || placements.draw) {
+    const participants = Array.isArray(placements.participants) && placements.participants.length > 0
+      ? placements.participants
+      : (season.tournamentPlayers || []).map((player) => player.playerId);
+    return participants.filter(Boolean);
+  }
+  const first = placements.first;
+  const winnerId = first && typeof first === 'object' ? first.playerId || first.id : first;
+  return winnerId ? [winnerId] : [];
+}
+
+async function fetchSeasonAudit(seasonId) {
+  const serviceToken = getServiceToken();
+  const res = await axios.post(
+    `${GAME_SERVICE_URL}/sessions/audit`,
+    { seasonId },
+    {
+      headers: serviceToken ? { Authorization: `Bearer ${serviceToken}` } : {},
+      timeout: 60000
+    }
+  );
+  const data = res.data?.data || res.data || {};
+  // Sessions still being audited may yet be flagged; treat the audit as not run
+  if (Array.isArray(data.pending) && data.pending.length > 0) {
+    throw new Error(`${data.pending.length} season sessions still being audited`);
+  }
+  return {
+    flagged: Array.isArray(data.flagged) ? data.flagged : [],
+    heldPlayers: Array.isArray(data.heldPlayers) ? data.heldPlayers : []
+  };
+}
+
+/**
+ * Decide whether a season's prize payout must be held for integrity review.
+ * Audits the season's sessions in game-service first so flags raised by the
+ * final matches are not missed, and holds it too when a player it would pay
+ * is flagged for cross-match anomalies. If the audit can't run the payout is
+ * held as well, and the retry sweep replays it later. If the payout is held,
+ * the completion payload is parked on the season so it can be replayed once
+ * every flag is cleared.
+ */
+async function holdPayoutIfFlagged(season, completionPayload) {
+  let hold = readHold(season);
+
+  try {
+    const { flagged, heldPlayers } = await fetchSeasonAudit(season.seasonId);
+    const payeeIds = new Set(resolvePayeeIds(season, completionPayload));
+    const detectedAt = new Date().toISOString();
+    hold = addFlags(hold, [
+      ...flagged.map((flag) => ({ ...flag, detectedAt })),
+      ...heldPlayers
+        .filter((player) => payeeIds.has(player.playerId))
+        .map((player) => ({ playerId: player.playerId, reason: 'player_risk', riskScore: player.riskScore, detectedAt }))
+    ]);
+  } catch (err) {
+    hold = flagAuditUnavailable(hold, err.message);
+    logger.error(
+      { err, seasonId: season.seasonId, attempts: hold.flags[hold.flags.length - 1].attempts },
+      '[match-integrity] Season audit request failed; holding payout until it can run'
+    );
+  }
+
+  if (hold.flags.length === 0) return false;
+
+  await prisma.season.update({
+    where: { seasonId: season.seasonId },
+    data: {
+      payoutHeld: true,
+      payoutHold: { ...hold, pendingPayout: completionPayload }
+    }
+  });
+  logger.warn(
+    { seasonId: season.seasonId, flags: hold.flags.length },
+    '[match-integrity] Season payout held pending integrity review'
+  );
+  return true;
+}
+
+async function handleMatchIntegrityFlagged(payload) {
+  const { seasonId, sessionId, matchId, reason, detectedAt } = payload || {};
+  if (!seasonId) return;
+
+  const season = await prisma.season.findUnique({ where: { seasonId } });
+  if (!season) return;
+
+  const hold = addFlags(readHold(season), [{ sessionId, matchId, reason, detectedAt }]);
+  await prisma.season.update({
+    where: { seasonId },
+    data: { payoutHeld: true, payoutHold: hold }
+  });
+
+  if (season.status === 'completed' && !season.payoutHeld) {
+    logger.error(
+      { seasonId, sessionId, matchId },
+      '[match-integrity] Flag arrived after the season was paid out; manual recovery required'
+    );
+    return;
+  }
+  logger.warn({ seasonId, sessionId, matchId, reason }, '[match-integrity] Season payout held');
+}
+
+/**
+ * Drop one cleared flag from a held season and, once none are left, release
+ * the parked payout.
+ */
+async function clearSeasonFlag(season, key) {
+  const hold = readHold(season);
+  const clearedFlag = hold.flags.find((flag) => flagKey(flag) === key) || { sessionId: key };
+  const nextHold = {
+    ...hold,
+    flags: hold.flags.filter((flag) => flagKey(flag) !== key),
+    cleared: [...hold.cleared.filter((flag) => flagKey(flag) !== key), clearedFlag]
+  };
+  const stillHeld = nextHold.flags.length > 0;
+  const { seasonId } = season;
+
+  await prisma.season.update({
+    where: { seasonId },
+    data: {
+      payoutHeld: stillHeld,
+      payoutHold: stillHeld ? nextHold : { ...nextHold, pendingPayout: null }
+    }
+  });
+
+  if (stillHeld) {
+    logger.info({ seasonId, remaining: nextHold.flags.length }, '[match-integrity] Flag cleared; other reviews still open');
+    return;
+  }
+
+  logger.info({ seasonId }, '[match-integrity] All flags cleared; releasing season payout');
+  if (hold.pendingPayout) {
+    const { handleSeasonCompleted } = require('./seasonCompletionConsumer');
+    await handleSeasonCompleted(hold.pendingPayout);
+  }
+}
+
+async function handleMatchIntegrityResolved(payload) {
+  const { seasonId, sessionId, resolution } = payload || {};
+  if (!seasonId) return;
+
+  const season = await prisma.season.findUnique({ where: { seasonId } });
+  if (!season) return;
+
+  // Confirmed tampering keeps the hold in place; prize money is settled manually.
+  if (resolution !== 'cleared') {
+    logger.info({ seasonId, sessionId, resolution }, '[match-integrity] Review closed without clearing; payout stays held');
+    return;
+  }
+
+  await clearSeasonFlag(season, sessionId);
+}
+
+async function handlePlayerIntegrityResolved(payload) {
+  const { playerId, resolution } = payload || {};
+  if (!playerId) return;
+
+  const key = flagKey({ playerId });
+  const heldSeasons = await prisma.season.findMany({ where: { payoutHeld: true } });
+  const seasons = heldSeasons.filter((season) => readHold(season).flags.some((flag) => flagKey(flag) === key));
+  if (resolution !== 'cleared') {
+    logger.info(
+      { playerId, resolution, seasons: seasons.length },
+      '[match-integrity] Player review closed without clearing; payouts stay held'
+    );
+    return;
+  }
+
+  for (const season of seasons) {
+    await clearSeasonFlag(season, key);
+  }
+}
+
+/**
+ * Retry the audit for seasons held because game-service couldn't be reached.
+ * Clearing the flag replays the parked completion, which audits the season
+ * again and holds it once more if the audit still can't run.
+ */
+async function retryUnavailableAudits() {
+  const heldSeasons = await prisma.season.findMany({ where: { payoutHeld: true } });
+  const seasons = heldSeasons.filter((season) => readHold(season).flags.some((flag) => flagKey(flag) === AUDIT_UNAVAILABLE));
+  for (const season of seasons) {
+    try {
+      await clearSeasonFlag(season, AUDIT_UNAVAILABLE);
+    } catch (err) {
+      logger.error({ err, seasonId: season.seasonId }, '[match-integrity] Season audit retry failed');
+    }
+  }
+}
+
+async function startMatchIntegrityConsumer() {
+  await subscribeEvents(
+    'tournament-service-match-integrity',
+    [Topics.MATCH_INTEGRITY_FLAGGED, Topics.MATCH_INTEGRITY_RESOLVED, Topics.PLAYER_INTEGRITY_RESOLVED],
+    async (topic, payload) => {
+      try {
+        if (topic === Topics.MATCH_INTEGRITY_FLAGGED) {
+          await handleMatchIntegrityFlagged(payload);
+          return;
+        }
+        if (topic === Topics.PLAYER_INTEGRITY_RESOLVED) {
+          await handlePlayerIntegrityResolved(payload);
+          return;
+        }
+        await handleMatchIntegrityResolved(payload);
+      } catch (err) {
+        logger.error({ err, topic, payload }, '[match-integrity] Failed to handle integrity event');
+      }
+    }
+  );
+  setInterval(() => {
+    retryUnavailableAudits().catch((err) => {
+      logger.error({ err }, '[match-integrity] Season audit retry sweep failed');
+    });
+  }, AUDIT_RETRY_INTERVAL_MS);
+  logger.info('[match-integrity] Consumer started');
+}
+
+module.exports = {
+  startMatchIntegrityConsumer,
+  holdPayoutIfFlagged
+};
@@ -5,6 +5,7 @@ const { subscribeEvents, Topics } = require('../../../../shared/events');
 const { getServiceToken } = require('../utils/serviceAuth');
 const { emitSeasonUpdate } = require('../utils/socketEmitter');
 const { ensureTournamentSchedule } = require('../jobs/schedulerQueue');
+const { holdPayoutIfFlagged } = require('./matchIntegrityConsumer');
 
 // Defaults for multiplayer; with_ai will override dynamically
 const DEFAULT_PLATFORM_FEE_PERCENTAGE = Number(process.env.PLATFORM_FEE_PERCENTAGE || 0.30);
@@ -94,6 +95,22 @@ async function handleSeasonCompleted(payload) {
     logger.info({ seasonId }, '[seasonCompletion] Winners already set; skipping payout');
   }
 
+  if (!skipPayout && await holdPayoutIfFlagged(season, payload)) {
+    await prisma.season.updateMany({
+      where: { seasonId, tournamentId, status: { not: 'completed' } },
+      data: {
+        status: 'completed',
+        completedAt: endedAt ? new Date(endedAt) : new Date(),
+        finalMatchId: payload?.finalMatchId || null,
+        finalizedByJobId: payload?.finalizedByJobId || null,
+        errorReason: null
+      }
+    });
+    await emitSeasonUpdate({ tournamentId, seasonId, event: 'season_completed' });
+    await ensureTournamentSchedule(tournamentId);
+    return;
+  }
+
   const playerCount = season.tournamentPlayers.length;
   const entryFee = Number(season.tournament.entryFee || 0);
 
@@ -147,8 +164,6 @@ async function handleSeasonCompleted(payload) {
 
   const platformFee = 0;
   const remaining = normalizeMoney(potAmount);
-
-  const playerCount = Number(placements.playerCount || season.tournamentPlayers.length);
   
   // Winner gets 100% of the pot in all cases
   let firstPct = 1.0;
@@ -4,9 +4,27 @@ const { subscribeEvents, Topics } = require('../../../../shared/events');
 const { emitSeasonUpdate } = require('../utils/socketEmitter');
 
 async function handleMatchesGenerated(payload) {
-  const { tournamentId, seasonId, matchesCreated, scheduledCount } = payload || {};
+  const { tournamentId, seasonId, matchesCreated, scheduledCount, seeding, fixturePlan } = payload || {};
   if (!tournamentId || !seasonId) return;
 
+  // Keep the draw and the fixture plan, with its explanation, with the season
+  // so they can be shown and audited later
+  const season = seeding || fixturePlan
+    ? await prisma.season.findUnique({ where: { seasonId }, select: { metadata: true } })
+    : null;
+  if (season) {
+    await prisma.season.update({
+      where: { seasonId },
+      data: {
+        metadata: {
+          ...(season.metadata && typeof season.metadata === 'object' ? season.metadata : {}),
+          ...(seeding ? { seeding } : {}),
+          ...(fixturePlan ? { fixturePlan } : {})
+        }
+      }
+    });
+  }
+
   const updated = await prisma.season.updateMany({
     where: {
       seasonId,
@@ -21,7 +39,7 @@ async function handleMatchesGenerated(payload) {
   });
 
   logger.info(
-    { tournamentId, seasonId, matchesCreated, scheduledCount, updated: updated.count },
+    { tournamentId, seasonId, matchesCreated, scheduledCount, seeding: seeding?.method, plan: fixturePlan?.mode, updated: updated.count },
     '[seasonMatches] Season activated after match generation'
   );
 
@@ -82,6 +82,15 @@ app.listen(PORT, () => {
       logger.error({ err }, '[tournament-service] Failed to start season match generation consumer');
     }
   })();
+  // Kafka consumer for match integrity flags (holds season payouts under review)
+  (async () => {
+    try {
+      const { startMatchIntegrityConsumer } = require('./kafka/matchIntegrityConsumer');
+      await startMatchIntegrityConsumer();
+    } catch (err) {
+      logger.error({ err }, '[tournament-service] Failed to start match integrity consumer');
+    }
+  })();
   // Kafka consumer for season cancellation (insufficient players)
   startSeasonCancellationConsumer().catch((err) => {
     logger.error({ err }, '[tournament-service] Failed to start season cancellation consumer');
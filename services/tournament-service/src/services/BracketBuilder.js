@@ -1,8 +1,42 @@
 const { PrismaClient } = require('@prisma/client');
 const logger = require('../utils/logger');
+const { knockoutDraw } = require('../../../../shared/utils/fixturePlanner');
 
 const prisma = new PrismaClient();
 
+const ROUND_NAMES = {
+  QF: 'Quarterfinals',
+  SF: 'Semifinals',
+  FINAL: 'Final',
+  WF: 'Winners Final',
+  LF: 'Losers Final',
+  GF: 'Grand Final',
+  GF_RESET: 'Grand Final Reset'
+};
+
+// Losers bracket rounds are L1, L2, ... LF; the grand final and its reset GF
+// and GF_RESET; everything else after the groups is the winners bracket
+function bracketSide(round) {
+  if (/^L(\d+|F)$/.test(round)) return 'losers';
+  if (round === 'GF' || round === 'GF_RESET') return 'grand_final';
+  return 'winners';
+}
+
+function roundName(round) {
+  if (ROUND_NAMES[round]) return ROUND_NAMES[round];
+  if (/^R\d+$/.test(round)) return `Round of ${round.slice(1)}`;
+  if (/^L\d+$/.test(round)) return `Losers Round ${round.slice(1)}`;
+  return round;
+}
+
+function groupIndexOf(groupLabel) {
+  return groupLabel && groupLabel.length === 1 ? groupLabel.charCodeAt(0) - 65 : -1;
+}
+
+function roundRobinMatchCount(playerCount) {
+  return playerCount * (playerCount - 1) / 2;
+}
+
 /**
  * BracketBuilder - Creates and manages tournament bracket visualization
  * 
@@ -10,6 +44,7 @@ const prisma = new PrismaClient();
  * - Building bracket structure for UI display
  * - Updating bracket as matches complete
  * - Managing progression from groups to knockout
+ * - Double elimination: losers bracket drop-downs and the grand final reset
  * - Providing bracket data for frontend visualization
  */
 class BracketBuilder {
@@ -70,7 +105,11 @@ class BracketBuilder {
    */
   async buildGroupStage(matches, standings) {
     const groups = {};
-    const groupLabels = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H'];
+    const groupMatches = matches.filter(m => m.round === 'GROUP');
+    const groupLabels = Array.from(new Set([
+      ...groupMatches.map(m => m.groupLabel),
+      ...standings.map(standing => standing.groupLabel)
+    ].filter(Boolean))).sort();
 
     // Initialize groups
     groupLabels.forEach(label => {
@@ -85,7 +124,6 @@ class BracketBuilder {
     });
 
     // Add group matches
-    const groupMatches = matches.filter(m => m.round === 'GROUP');
     groupMatches.forEach(match => {
       if (match.groupLabel && groups[match.groupLabel]) {
         groups[match.groupLabel].matches.push({
@@ -111,6 +149,7 @@ class BracketBuilder {
           position: standing.groupPosition,
           matchesPlayed: standing.matchesPlayed,
           wins: standing.wins,
+          draws: standing.draws,
           losses: standing.losses,
           pointsFor: standing.pointsFor,
           pointsAgainst: standing.pointsAgainst,
@@ -137,10 +176,9 @@ class BracketBuilder {
     // Check if groups are completed
     Object.keys(groups).forEach(groupLabel => {
       const group = groups[groupLabel];
-      const totalMatches = group.matches.length;
       const completedMatches = group.matches.filter(m => m.status === 'COMPLETED').length;
       
-      group.completed = (totalMatches === 6 && completedMatches === 6); // 6 matches per group
+      group.completed = completedMatches > 0 && completedMatches === roundRobinMatchCount(this.groupPlayerCount(group.matches));
       
       // Sort standings by position
       group.standings.sort((a, b) => (a.position || 999) - (b.position || 999));
@@ -153,18 +191,18 @@ class BracketBuilder {
   }
 
   /**
-   * Build knockout bracket visualization structure
+   * Build knockout bracket visualization structure. Double elimination
+   * seasons get the losers bracket and grand final as levels of their own.
    */
   async buildKnockoutBracket(seasonId, matches) {
     const knockoutMatches = matches.filter(m => m.round !== 'GROUP');
-    
-    // Group matches by round
-    const matchesByRound = {
-      'R16': knockoutMatches.filter(m => m.round === 'R16'),
-      'QF': knockoutMatches.filter(m => m.round === 'QF'),
-      'SF': knockoutMatches.filter(m => m.round === 'SF'),
-      'FINAL': knockoutMatches.filter(m => m.round === 'FINAL')
-    };
+
+    // Group matches by round, in bracket order
+    const matchesByRound = new Map();
+    knockoutMatches.forEach(match => {
+      if (!matchesByRound.has(match.round)) matchesByRound.set(match.round, []);
+      matchesByRound.get(match.round).push(match);
+    });
 
     // Get bracket structure from database
     const bracketMatches = await prisma.bracketMatch.findMany({
@@ -173,51 +211,42 @@ class BracketBuilder {
         match: true
       },
       orderBy: [
-        { bracketLevel: 'desc' }, // Start from R16 (level 4)
+        { bracketLevel: 'desc' }, // Start from the first round
         { position: 'asc' }
       ]
     });
 
-    // Build bracket levels for visualization
-    const levels = [
-      {
-        level: 4,
-        name: 'Round of 16',
-        matches: this.formatBracketMatches(matchesByRound['R16'])
-      },
-      {
-        level: 3,
-        name: 'Quarterfinals',
-        matches: this.formatBracketMatches(matchesByRound['QF'])
-      },
-      {
-        level: 2,
-        name: 'Semifinals',
-        matches: this.formatBracketMatches(matchesByRound['SF'])
-      },
-      {
-        level: 1,
-        name: 'Final',
-        matches: this.formatBracketMatches(matchesByRound['FINAL'])
-      }
-    ];
+    // Build bracket levels for visualization; level 1 is each side's last round
+    const buildLevels = (side) => {
+      const rounds = Array.from(matchesByRound.keys()).filter(round => bracketSide(round) === side);
+      return rounds.map((round, index) => ({
+        level: rounds.length - index,
+        round,
+        name: roundName(round),
+        matches: this.formatBracketMatches(matchesByRound.get(round))
+      }));
+    };
+    const levels = buildLevels('winners');
+    const losersLevels = buildLevels('losers');
+    const grandFinalLevels = buildLevels('grand_final');
 
     // Add bracket metadata for each match
+    const allMatches = [...levels, ...losersLevels, ...grandFinalLevels].flatMap(level => level.matches);
     bracketMatches.forEach(bracket => {
-      const level = levels.find(l => l.level === bracket.bracketLevel);
-      if (level && bracket.match) {
-        const match = level.matches.find(m => m.matchId === bracket.matchId);
-        if (match) {
-          match.bracketId = bracket.bracketId;
-          match.position = bracket.position;
-          match.parentMatchId = bracket.parentMatchId;
-          match.bracketLevel = bracket.bracketLevel;
-        }
+      const match = allMatches.find(m => m.matchId === bracket.matchId);
+      if (match) {
+        match.bracketId = bracket.bracketId;
+        match.position = bracket.position;
+        match.parentMatchId = bracket.parentMatchId;
+        match.bracketLevel = bracket.bracketLevel;
       }
     });
 
+    const doubleElimination = losersLevels.length > 0 || grandFinalLevels.length > 0;
     return {
+      format: doubleElimination ? 'double_elimination' : 'single_elimination',
       levels,
+      ...(doubleElimination ? { losersLevels, grandFinalLevels } : {}),
       totalMatches: knockoutMatches.length,
       completedMatches: knockoutMatches.filter(m => m.status === 'COMPLETED').length
     };
@@ -240,6 +269,8 @@ class BracketBuilder {
       completedAt: match.completedAt,
       winnerAdvancesToMatchId: match.winnerAdvancesToMatchId,
       winnerAdvancesToSlot: match.winnerAdvancesToSlot,
+      loserAdvancesToMatchId: match.loserAdvancesToMatchId || null,
+      loserAdvancesToSlot: match.loserAdvancesToSlot || null,
       // These will be added by bracket metadata
       bracketId: null,
       position: null,
@@ -249,7 +280,8 @@ class BracketBuilder {
   }
 
   /**
-   * Get bracket progression paths for visualization
+   * Get bracket progression paths for visualization; losers bracket
+   * drop-downs are paths of type 'loser'
    */
   async getBracketProgression(seasonId) {
     const progressionPaths = [];
@@ -258,39 +290,38 @@ class BracketBuilder {
     const matches = await prisma.match.findMany({
       where: {
         seasonId,
-        round: { in: ['R16', 'QF', 'SF'] }, // Final doesn't advance anywhere
-        winnerAdvancesToMatchId: { not: null }
+        round: { not: 'GROUP' }
       }
     });
+    const roundOf = new Map(matches.map(match => [match.matchId, match.round]));
 
-    // Create progression path for each match
+    // Create progression paths for each match
     matches.forEach(match => {
-      progressionPaths.push({
-        fromMatchId: match.matchId,
-        toMatchId: match.winnerAdvancesToMatchId,
-        slot: match.winnerAdvancesToSlot,
-        fromRound: match.round,
-        // Determine target round
-        toRound: this.getNextRound(match.round)
-      });
+      if (match.winnerAdvancesToMatchId) {
+        progressionPaths.push({
+          type: 'winner',
+          fromMatchId: match.matchId,
+          toMatchId: match.winnerAdvancesToMatchId,
+          slot: match.winnerAdvancesToSlot,
+          fromRound: match.round,
+          toRound: roundOf.get(match.winnerAdvancesToMatchId) || null
+        });
+      }
+      if (match.loserAdvancesToMatchId) {
+        progressionPaths.push({
+          type: 'loser',
+          fromMatchId: match.matchId,
+          toMatchId: match.loserAdvancesToMatchId,
+          slot: match.loserAdvancesToSlot,
+          fromRound: match.round,
+          toRound: roundOf.get(match.loserAdvancesToMatchId) || null
+        });
+      }
     });
 
     return progressionPaths;
   }
 
-  /**
-   * Get next round in tournament progression
-   */
-  getNextRound(currentRound) {
-    const progression = {
-      'R16': 'QF',
-      'QF': 'SF', 
-      'SF': 'FINAL',
-      'FINAL': null
-    };
-    return progression[currentRound];
-  }
-
   /**
    * Update bracket when a match is completed
    */
@@ -318,9 +349,20 @@ class BracketBuilder {
       await this.checkGroupCompletion(match.seasonId, match.groupLabel);
     }
 
-    // If this is a knockout match, advance winner to next round
-    if (match.round !== 'GROUP' && match.winnerAdvancesToMatchId) {
-      await this.advanceWinnerToNextRound(match);
+    // The reset is only played if the winners bracket champion (slot A)
+    // lost the grand final
+    if (match.round === 'GF' && match.winnerId === match.player1Id) {
+      await this.cancelGrandFinalReset(match);
+    } else {
+      // If this is a knockout match, advance winner to next round
+      if (match.round !== 'GROUP' && match.winnerAdvancesToMatchId) {
+        await this.advanceWinnerToNextRound(match);
+      }
+
+      // In double elimination the loser drops into the losers bracket
+      if (match.round !== 'GROUP' && match.loserAdvancesToMatchId) {
+        await this.advanceLoserToLosersBracket(match);
+      }
     }
 
     // Update bracket visualization data
@@ -333,7 +375,8 @@ class BracketBuilder {
   }
 
   /**
-   * Check if a group stage is complete and advance qualifiers
+   * Check if a group stage is complete and advance qualifiers. A group of n
+   * players is complete once all n(n-1)/2 round-robin matches are.
    */
   async checkGroupCompletion(seasonId, groupLabel) {
     // Get all matches in this group
@@ -346,83 +389,81 @@ class BracketBuilder {
     });
 
     const completedMatches = groupMatches.filter(m => m.status === 'COMPLETED');
+    const season = await prisma.season.findUnique({ where: { seasonId } });
+    const plan = season?.metadata?.fixturePlan;
+    const groupSize = plan?.groupSizes?.[groupIndexOf(groupLabel)] || this.groupPlayerCount(groupMatches);
     
-    // If all 6 group matches are complete, advance qualifiers
-    if (completedMatches.length === 6) {
-      const qualifiers = await prisma.groupStanding.findMany({
-        where: {
-          seasonId,
-          groupLabel,
-          qualified: true
-        },
-        orderBy: { groupPosition: 'asc' }
-      });
+    if (completedMatches.length < roundRobinMatchCount(groupSize)) {
+      return;
+    }
 
-      if (qualifiers.length >= 2) {
-        const winner = qualifiers[0];
-        const runnerUp = qualifiers[1];
-        
-        await this.advanceGroupQualifiers(seasonId, groupLabel, winner.playerId, runnerUp.playerId);
-        
-        logger.info({ 
-          seasonId, 
-          groupLabel,
-          winner: winner.playerId,
-          runnerUp: runnerUp.playerId
-        }, '[BracketBuilder] Group completed, qualifiers advanced');
-      }
+    const qualifiers = await prisma.groupStanding.findMany({
+      where: {
+        seasonId,
+        groupLabel,
+        qualified: true
+      },
+      orderBy: { groupPosition: 'asc' }
+    });
+    const qualifierCount = plan?.qualifiersPerGroup || 2;
+
+    if (qualifiers.length >= qualifierCount) {
+      const qualifierIds = qualifiers.slice(0, qualifierCount).map(standing => standing.playerId);
+      
+      await this.advanceGroupQualifiers(seasonId, groupLabel, qualifierIds, plan);
+      
+      logger.info({ 
+        seasonId, 
+        groupLabel,
+        qualifiers: qualifierIds
+      }, '[BracketBuilder] Group completed, qualifiers advanced');
     }
   }
 
   /**
-   * Advance group qualifiers to Round of 16
+   * Players taking part in a group's matches
    */
-  async advanceGroupQualifiers(seasonId, groupLabel, winnerId, runnerUpId) {
-    // Group pairing logic for R16 (same as in SeasonGenerator)
-    const groupPairings = {
-      'A': { winnerSlot: 1, runnerUpSlot: 2 },  // A1 vs B2
-      'B': { winnerSlot: 2, runnerUpSlot: 1 },  // B1 vs A2
-      'C': { winnerSlot: 3, runnerUpSlot: 4 },  // C1 vs D2
-      'D': { winnerSlot: 4, runnerUpSlot: 3 },  // D1 vs C2
-      'E': { winnerSlot: 5, runnerUpSlot: 6 },  // E1 vs F2
-      'F': { winnerSlot: 6, runnerUpSlot: 5 },  // F1 vs E2
-      'G': { winnerSlot: 7, runnerUpSlot: 8 },  // G1 vs H2
-      'H': { winnerSlot: 8, runnerUpSlot: 7 }   // H1 vs G2
-    };
+  groupPlayerCount(matches) {
+    return new Set(matches.flatMap(m => [m.player1Id, m.player2Id]).filter(Boolean)).size;
+  }
 
-    const pairing = groupPairings[groupLabel];
-    if (!pairing) {
+  /**
+   * Place a group's qualifiers (winner first) into their first knockout
+   * round slots from the season's fixture plan. A qualifier drawn against a
+   * bye goes straight through to the next round.
+   */
+  async advanceGroupQualifiers(seasonId, groupLabel, qualifierIds, plan) {
+    if (!plan || plan.mode !== 'group') {
+      throw new Error(`Season ${seasonId} has no group stage fixture plan`);
+    }
+    const groupIndex = groupIndexOf(groupLabel);
+    if (groupIndex < 0 || groupIndex >= plan.groupCount) {
       throw new Error(`Invalid group label: ${groupLabel}`);
     }
 
-    // Get R16 matches in order
-    const r16Matches = await prisma.match.findMany({
-      where: { seasonId, round: 'R16' },
-      orderBy: { matchNumber: 'asc' }
+    // The first knockout round comes first in match order
+    const firstRound = await prisma.match.findMany({
+      where: { seasonId, round: { not: 'GROUP' } },
+      orderBy: { matchNumber: 'asc' },
+      take: plan.bracketSize / 2
     });
+    const draw = knockoutDraw(plan);
+
+    for (const [index, playerId] of qualifierIds.entries()) {
+      const place = index + 1;
+      const isQualifier = seed => seed && seed.group === groupIndex && seed.place === place;
+      const drawIndex = draw.findIndex(entry => isQualifier(entry.player1) || isQualifier(entry.player2));
+      const match = firstRound[drawIndex];
+      if (drawIndex < 0 || !match) {
+        logger.error({ seasonId, groupLabel, place }, '[BracketBuilder] No knockout slot for qualifier');
+        continue;
+      }
 
-    // Assign winner to their R16 slot
-    const winnerMatch = r16Matches[pairing.winnerSlot - 1];
-    if (winnerMatch) {
-      await prisma.match.update({
-        where: { matchId: winnerMatch.matchId },
-        data: { 
-          [winnerMatch.player1Id ? 'player2Id' : 'player1Id']: winnerId,
-          status: winnerMatch.player1Id && winnerMatch.player2Id ? 'READY' : 'SCHEDULED'
-        }
-      });
-    }
-
-    // Assign runner-up to their R16 slot
-    const runnerUpMatch = r16Matches[pairing.runnerUpSlot - 1];
-    if (runnerUpMatch) {
-      await prisma.match.update({
-        where: { matchId: runnerUpMatch.matchId },
-        data: { 
-          [runnerUpMatch.player1Id ? 'player2Id' : 'player1Id']: runnerUpId,
-          status: runnerUpMatch.player1Id && runnerUpMatch.player2Id ? 'READY' : 'SCHEDULED'
-        }
-      });
+      const entry = draw[drawIndex];
+      await this.placeInMatch(match.matchId, isQualifier(entry.player1) ? 'A' : 'B', playerId);
+      if (!entry.player1 || !entry.player2) {
+        await this.completeWalkover(match, playerId);
+      }
     }
   }
 
@@ -434,21 +475,74 @@ class BracketBuilder {
       return;
     }
 
+    await this.placeInMatch(match.winnerAdvancesToMatchId, match.winnerAdvancesToSlot, match.winnerId);
+
+    logger.info({ 
+      matchId: match.matchId,
+      winnerId: match.winnerId,
+      nextMatchId: match.winnerAdvancesToMatchId,
+      slot: match.winnerAdvancesToSlot
+    }, '[BracketBuilder] Winner advanced to next round');
+  }
+
+  /**
+   * Drop the loser of a winners bracket match into the losers bracket, or
+   * move the grand final loser on to the reset
+   */
+  async advanceLoserToLosersBracket(match) {
+    if (!match.loserAdvancesToMatchId || !match.loserAdvancesToSlot || !match.winnerId) {
+      return;
+    }
+
+    const loserId = match.winnerId === match.player1Id ? match.player2Id : match.player1Id;
+    if (!loserId) return;
+
+    await this.placeInMatch(match.loserAdvancesToMatchId, match.loserAdvancesToSlot, loserId);
+
+    logger.info({ 
+      matchId: match.matchId,
+      loserId,
+      nextMatchId: match.loserAdvancesToMatchId,
+      slot: match.loserAdvancesToSlot
+    }, '[BracketBuilder] Loser dropped into losers bracket');
+  }
+
+  /**
+   * The winners bracket champion won the grand final: the season is decided
+   * and the reset match is not played
+   */
+  async cancelGrandFinalReset(match) {
+    if (!match.winnerAdvancesToMatchId) return;
+
+    await prisma.match.update({
+      where: { matchId: match.winnerAdvancesToMatchId },
+      data: { status: 'CANCELLED' }
+    });
+
+    logger.info({ 
+      matchId: match.matchId,
+      resetMatchId: match.winnerAdvancesToMatchId
+    }, '[BracketBuilder] Grand final reset not needed');
+  }
+
+  /**
+   * Put a player into slot A (player 1) or B (player 2) of a match
+   */
+  async placeInMatch(matchId, slot, playerId) {
     const nextMatch = await prisma.match.findUnique({
-      where: { matchId: match.winnerAdvancesToMatchId }
+      where: { matchId }
     });
 
     if (!nextMatch) {
       logger.error({ 
-        matchId: match.matchId,
-        nextMatchId: match.winnerAdvancesToMatchId 
+        nextMatchId: matchId 
       }, '[BracketBuilder] Next match not found');
       return;
     }
 
     // Determine which slot to fill (A = player1, B = player2)
-    const slotField = match.winnerAdvancesToSlot === 'A' ? 'player1Id' : 'player2Id';
-    const updateData = { [slotField]: match.winnerId };
+    const slotField = slot === 'A' ? 'player1Id' : 'player2Id';
+    const updateData = { [slotField]: playerId };
     
     // If both players are now assigned, mark match as ready
     if (slotField === 'player1Id' && nextMatch.player2Id) {
@@ -458,16 +552,83 @@ class BracketBuilder {
     }
 
     await prisma.match.update({
-      where: { matchId: match.winnerAdvancesToMatchId },
+      where: { matchId },
       data: updateData
     });
 
+    await this.settleEmptySlots(matchId);
+  }
+
+  /**
+   * Complete a match the player wins without playing, as with a bye, and
+   * move them on. Nobody drops into the losers bracket from it.
+   */
+  async completeWalkover(match, playerId) {
+    await prisma.match.update({
+      where: { matchId: match.matchId },
+      data: {
+        winnerId: playerId,
+        status: 'COMPLETED',
+        completedAt: new Date()
+      }
+    });
+
     logger.info({ 
       matchId: match.matchId,
-      winnerId: match.winnerId,
-      nextMatchId: match.winnerAdvancesToMatchId,
-      slot: match.winnerAdvancesToSlot
-    }, '[BracketBuilder] Winner advanced to next round');
+      playerId
+    }, '[BracketBuilder] Unopposed player advanced');
+
+    await this.advanceWinnerToNextRound({ ...match, winnerId: playerId });
+    if (match.loserAdvancesToMatchId) {
+      await this.settleEmptySlots(match.loserAdvancesToMatchId);
+    }
+  }
+
+  /**
+   * Resolve a match whose opponent can never arrive: a lone player walks
+   * over, and a match with neither player coming is cancelled
+   */
+  async settleEmptySlots(matchId) {
+    const match = await prisma.match.findUnique({ where: { matchId } });
+    if (!match || match.status === 'COMPLETED' || match.status === 'CANCELLED') return;
+    if (match.player1Id && match.player2Id) return;
+
+    const emptyA = !match.player1Id && await this.slotStaysEmpty(matchId, 'A');
+    const emptyB = !match.player2Id && await this.slotStaysEmpty(matchId, 'B');
+
+    if (emptyA && emptyB) {
+      await prisma.match.update({
+        where: { matchId },
+        data: { status: 'CANCELLED' }
+      });
+      if (match.winnerAdvancesToMatchId) {
+        await this.settleEmptySlots(match.winnerAdvancesToMatchId);
+      }
+    } else if (match.player1Id && emptyB) {
+      await this.completeWalkover(match, match.player1Id);
+    } else if (match.player2Id && emptyA) {
+      await this.completeWalkover(match, match.player2Id);
+    }
+  }
+
+  /**
+   * Whether a slot fed by another match will never be filled: the feeding
+   * match was cancelled, or was a walkover with no loser to drop in
+   */
+  async slotStaysEmpty(matchId, slot) {
+    const feeder = await prisma.match.findFirst({
+      where: {
+        OR: [
+          { winnerAdvancesToMatchId: matchId, winnerAdvancesToSlot: slot },
+          { loserAdvancesToMatchId: matchId, loserAdvancesToSlot: slot }
+        ]
+      }
+    });
+    if (!feeder) return false;
+    if (feeder.status === 'CANCELLED') return true;
+
+    const feedsLoser = feeder.loserAdvancesToMatchId === matchId && feeder.loserAdvancesToSlot === slot;
+    return feedsLoser && feeder.status === 'COMPLETED' && !(feeder.player1Id && feeder.player2Id);
   }
 
   /**
@@ -501,7 +662,7 @@ class BracketBuilder {
     };
 
     // Status by round
-    const rounds = ['GROUP', 'R16', 'QF', 'SF', 'FINAL'];
+    const rounds = Array.from(new Set(matches.map(m => m.round).filter(Boolean)));
     rounds.forEach(round => {
       const roundMatches = matches.filter(m => m.round === round);
       status.rounds[round] = {
@@ -523,26 +684,16 @@ class BracketBuilder {
     const bracketData = await this.buildSeasonBracket(seasonId);
     
     // Transform data for frontend visualization library
+    const toRounds = (levels = []) => levels.map(level => ({
+      name: level.name,
+      matches: level.matches
+    }));
     const visualization = {
       groups: bracketData.groups,
-      rounds: [
-        {
-          name: 'Round of 16',
-          matches: bracketData.bracket.levels.find(l => l.level === 4)?.matches || []
-        },
-        {
-          name: 'Quarterfinals', 
-          matches: bracketData.bracket.levels.find(l => l.level === 3)?.matches || []
-        },
-        {
-          name: 'Semifinals',
-          matches: bracketData.bracket.levels.find(l => l.level === 2)?.matches || []
-        },
-        {
-          name: 'Final',
-          matches: bracketData.bracket.levels.find(l => l.level === 1)?.matches || []
-        }
-      ],
+      format: bracketData.bracket.format,
+      rounds: toRounds(bracketData.bracket.levels),
+      losersRounds: toRounds(bracketData.bracket.losersLevels),
+      grandFinalRounds: toRounds(bracketData.bracket.grandFinalLevels),
       progressionPaths: bracketData.progressionPaths,
       lastUpdated: bracketData.lastUpdated
     };
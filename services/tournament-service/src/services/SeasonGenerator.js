@@ -1,27 +1,44 @@
 const { PrismaClient } = require('@prisma/client');
+const axios = require('axios');
 const logger = require('../utils/logger');
+const { normalizeSeedingMethod, seedGroups } = require('../../../../shared/utils/seeding');
+const { planFixtures } = require('../../../../shared/utils/fixturePlanner');
+const { BracketBuilder } = require('./BracketBuilder');
 
 const prisma = new PrismaClient();
+const PLAYER_SERVICE_URL = process.env.PLAYER_SERVICE_URL || 'http://player-service:3002';
 
 /**
  * SeasonGenerator - Creates comprehensive tournament seasons with group stage + knockout
  * 
- * Tournament Format:
- * - 32 players per season
- * - 8 groups (A-H), 4 players per group  
- * - Group stage: round-robin (6 matches per group, 48 total)
- * - Top 2 per group advance to Round of 16
- * - Knockout: R16 (8), QF (4), SF (2), Final (1)
- * - Total matches per season: 63
+ * Tournament Format (see planFixtures):
+ * - Any number of players from 9 up
+ * - Groups of 3-5 players, labelled A, B, C, ...
+ * - Group stage: round-robin within each group
+ * - The top qualifiersPerGroup (2 by default) per group advance to a knockout
+ *   bracket sized to the next power of two
+ * - Knockout: R<n> ... QF, SF, Final; empty bracket slots are byes
+ * - Double elimination adds a losers bracket (L1, L2, ... LF) fed by the
+ *   winners bracket's losers, and a grand final (GF) with a reset (GF_RESET)
+ *   played only if the losers bracket champion wins the grand final
  */
+
+function knockoutRoundName(bracketSize) {
+  if (bracketSize <= 2) return 'FINAL';
+  if (bracketSize <= 4) return 'SF';
+  if (bracketSize <= 8) return 'QF';
+  return `R${bracketSize}`;
+}
+
 class SeasonGenerator {
   
   /**
    * Generate a complete season with all matches
    */
   async generateSeason(tournamentId, seasonNumber, playerIds) {
-    if (playerIds.length !== 32) {
-      throw new Error('Season must have exactly 32 players');
+    const plan = planFixtures(playerIds.length);
+    if (plan.mode !== 'group') {
+      throw new Error(`Season needs a group stage; ${plan.explanation.join(' ')}`);
     }
 
     logger.info({ 
@@ -59,7 +76,11 @@ class SeasonGenerator {
     await this.registerPlayers(season.seasonId, tournamentId, playerIds);
     
     // Generate all matches
-    const matches = await this.generateAllMatches(season, playerIds);
+    const matches = await this.generateAllMatches(season, playerIds, {
+      seeding: normalizeSeedingMethod(tournament.metadata?.seeding),
+      plan,
+      doubleElimination: tournament.metadata?.bracketFormat === 'double_elimination'
+    });
     
     // Create bracket structure
     await this.createBracketStructure(season.seasonId, matches.knockout);
@@ -103,16 +124,26 @@ class SeasonGenerator {
   /**
    * Generate all matches for the season
    */
-  async generateAllMatches(season, playerIds) {
-    // Shuffle players and assign to groups
-    const shuffledPlayers = [...playerIds].sort(() => Math.random() - 0.5);
-    const groups = this.createGroups(shuffledPlayers);
+  async generateAllMatches(season, playerIds, { seeding = 'random', plan = planFixtures(playerIds.length), doubleElimination = false } = {}) {
+    // Draw players into groups and keep the draw and the plan with the season
+    const profiles = seeding === 'random' ? new Map() : await this.fetchPlayerProfiles(playerIds);
+    const draw = seedGroups(playerIds, plan.groupCount, { method: seeding, profiles });
+    const groups = this.createGroups(draw.groups);
+    await prisma.season.update({
+      where: { seasonId: season.seasonId },
+      data: {
+        metadata: {
+          seeding: { method: draw.method, seeds: draw.seeds, drawnAt: new Date().toISOString() },
+          fixturePlan: plan
+        }
+      }
+    });
     
     // Generate group stage matches
     const groupMatches = await this.generateGroupStageMatches(season, groups);
     
     // Generate knockout stage matches (with placeholders)
-    const knockoutMatches = await this.generateKnockoutMatches(season);
+    const knockoutMatches = await this.generateKnockoutMatches(season, plan.bracketSize, groupMatches.length + 1, { doubleElimination });
 
     return {
       group: groupMatches,
@@ -121,14 +152,33 @@ class SeasonGenerator {
   }
 
   /**
-   * Create 8 groups of 4 players each
+   * Rating and home club per player for rated draws; unknown players are
+   * left out and drawn as unrated
    */
-  createGroups(playerIds) {
+  async fetchPlayerProfiles(playerIds) {
+    const profiles = new Map();
+    await Promise.all(playerIds.map(async (playerId) => {
+      try {
+        const response = await axios.get(`${PLAYER_SERVICE_URL}/api/players/${playerId}/stats`, { timeout: 5000 });
+        const rating = Number(response.data?.data?.skillRating?.rating);
+        profiles.set(playerId, {
+          rating: Number.isFinite(rating) ? rating : null,
+          clubId: response.data?.data?.clubId || null
+        });
+      } catch (error) {
+        logger.warn({ err: error, playerId }, '[SeasonGenerator] Failed to fetch player profile');
+      }
+    }));
+    return profiles;
+  }
+
+  /**
+   * Label the drawn groups A, B, C, ...
+   */
+  createGroups(drawnGroups) {
     const groups = {};
-    const groupLabels = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H'];
-    
-    groupLabels.forEach((label, index) => {
-      groups[label] = playerIds.slice(index * 4, (index + 1) * 4);
+    drawnGroups.forEach((groupPlayers, index) => {
+      groups[String.fromCharCode(65 + index)] = groupPlayers;
     });
 
     logger.info({ groups: Object.keys(groups) }, '[SeasonGenerator] Groups created');
@@ -143,7 +193,7 @@ class SeasonGenerator {
     let matchNumber = 1;
 
     for (const [groupLabel, groupPlayers] of Object.entries(groups)) {
-      // Generate round-robin matches for this group (6 matches total)
+      // Generate round-robin matches for this group
       for (let i = 0; i < groupPlayers.length; i++) {
         for (let j = i + 1; j < groupPlayers.length; j++) {
           matches.push({
@@ -197,80 +247,47 @@ class SeasonGenerator {
   }
 
   /**
-   * Generate knockout stage matches with placeholders
+   * Generate knockout stage matches with placeholders for a bracket of
+   * `bracketSize`, numbered on from the group stage
    */
-  async generateKnockoutMatches(season) {
+  async generateKnockoutMatches(season, bracketSize, firstMatchNumber, { doubleElimination = false } = {}) {
     const matches = [];
-    let matchNumber = 49; // Continue from group stage
+    let matchNumber = firstMatchNumber;
 
-    // Round of 16 (8 matches)
-    const r16Matches = [];
-    for (let i = 1; i <= 8; i++) {
-      const match = {
-        tournamentId: season.tournamentId,
-        seasonId: season.seasonId,
-        clubId: season.clubId,
-        round: 'R16',
-        groupLabel: null,
-        matchNumber: matchNumber++,
-        player1Id: null, // Will be filled from group winners
-        player2Id: null, // Will be filled from group runners-up
-        status: 'SCHEDULED'
-      };
-      r16Matches.push(match);
-      matches.push(match);
+    // R<n> down to the final, halving the match count each round
+    const rounds = [];
+    for (let size = bracketSize; size >= 2; size /= 2) {
+      rounds.push({ round: doubleElimination && size === 2 ? 'WF' : knockoutRoundName(size), count: size / 2 });
     }
-
-    // Quarterfinals (4 matches)
-    const qfMatches = [];
-    for (let i = 1; i <= 4; i++) {
-      const match = {
-        tournamentId: season.tournamentId,
-        seasonId: season.seasonId,
-        clubId: season.clubId,
-        round: 'QF',
-        groupLabel: null,
-        matchNumber: matchNumber++,
-        player1Id: null,
-        player2Id: null,
-        status: 'SCHEDULED'
-      };
-      qfMatches.push(match);
-      matches.push(match);
+    if (doubleElimination) {
+      // Losers rounds come in pairs of equal size: one taking in the next
+      // winners round's losers, one halving the field
+      const losersRounds = 2 * (Math.log2(bracketSize) - 1);
+      for (let r = 1; r <= losersRounds; r++) {
+        rounds.push({
+          round: r === losersRounds ? 'LF' : `L${r}`,
+          count: bracketSize / 2 ** (Math.floor((r + 1) / 2) + 1)
+        });
+      }
+      rounds.push({ round: 'GF', count: 1 }, { round: 'GF_RESET', count: 1 });
     }
 
-    // Semifinals (2 matches)
-    const sfMatches = [];
-    for (let i = 1; i <= 2; i++) {
-      const match = {
-        tournamentId: season.tournamentId,
-        seasonId: season.seasonId,
-        clubId: season.clubId,
-        round: 'SF',
-        groupLabel: null,
-        matchNumber: matchNumber++,
-        player1Id: null,
-        player2Id: null,
-        status: 'SCHEDULED'
-      };
-      sfMatches.push(match);
-      matches.push(match);
+    for (const { round, count } of rounds) {
+      for (let i = 1; i <= count; i++) {
+        matches.push({
+          tournamentId: season.tournamentId,
+          seasonId: season.seasonId,
+          clubId: season.clubId,
+          round,
+          groupLabel: null,
+          matchNumber: matchNumber++,
+          player1Id: null, // Filled from group qualifiers or the previous round
+          player2Id: null,
+          status: 'SCHEDULED'
+        });
+      }
     }
 
-    // Final (1 match)
-    const finalMatch = {
-      tournamentId: season.tournamentId,
-      seasonId: season.seasonId,
-      clubId: season.clubId,
-      round: 'FINAL',
-      groupLabel: null,
-      matchNumber: matchNumber++,
-      player1Id: null,
-      player2Id: null,
-      status: 'SCHEDULED'
-    };
-    matches.push(finalMatch);
-
     // Create matches and set up progression links
     const createdMatches = await prisma.match.createMany({
       data: matches,
@@ -281,16 +298,21 @@ class SeasonGenerator {
     const dbMatches = await prisma.match.findMany({
       where: {
         seasonId: season.seasonId,
-        round: { in: ['R16', 'QF', 'SF', 'FINAL'] }
+        groupLabel: null
       },
       orderBy: { matchNumber: 'asc' }
     });
 
     // Set up progression links
-    await this.setupKnockoutProgression(dbMatches);
+    if (doubleElimination) {
+      await this.setupDoubleEliminationProgression(dbMatches);
+    } else {
+      await this.setupKnockoutProgression(dbMatches);
+    }
 
     logger.info({ 
       seasonId: season.seasonId,
+      bracketSize,
       knockoutMatchCount: matches.length
     }, '[SeasonGenerator] Knockout stage matches generated');
 
@@ -298,74 +320,100 @@ class SeasonGenerator {
   }
 
   /**
-   * Set up knockout stage progression links
+   * Set up knockout stage progression links: the winners of matches 2k and
+   * 2k+1 in one round meet in match k of the next
    */
   async setupKnockoutProgression(matches) {
-    const r16Matches = matches.filter(m => m.round === 'R16');
-    const qfMatches = matches.filter(m => m.round === 'QF');
-    const sfMatches = matches.filter(m => m.round === 'SF');
-    const finalMatch = matches.find(m => m.round === 'FINAL');
-
-    // Link R16 to QF
-    for (let i = 0; i < r16Matches.length; i += 2) {
-      const qfIndex = Math.floor(i / 2);
-      
-      await prisma.match.update({
-        where: { matchId: r16Matches[i].matchId },
-        data: {
-          winnerAdvancesToMatchId: qfMatches[qfIndex].matchId,
-          winnerAdvancesToSlot: 'A'
-        }
-      });
-      
-      await prisma.match.update({
-        where: { matchId: r16Matches[i + 1].matchId },
-        data: {
-          winnerAdvancesToMatchId: qfMatches[qfIndex].matchId,
-          winnerAdvancesToSlot: 'B'
-        }
-      });
+    const rounds = [];
+    matches.forEach((match) => {
+      const current = rounds[rounds.length - 1];
+      if (current && current[0].round === match.round) {
+        current.push(match);
+      } else {
+        rounds.push([match]);
+      }
+    });
+
+    for (let r = 0; r < rounds.length - 1; r++) {
+      const nextRound = rounds[r + 1];
+      for (let i = 0; i < rounds[r].length; i++) {
+        await prisma.match.update({
+          where: { matchId: rounds[r][i].matchId },
+          data: {
+            winnerAdvancesToMatchId: nextRound[Math.floor(i / 2)].matchId,
+            winnerAdvancesToSlot: i % 2 === 0 ? 'A' : 'B'
+          }
+        });
+      }
     }
 
-    // Link QF to SF
-    for (let i = 0; i < qfMatches.length; i += 2) {
-      const sfIndex = Math.floor(i / 2);
-      
-      await prisma.match.update({
-        where: { matchId: qfMatches[i].matchId },
-        data: {
-          winnerAdvancesToMatchId: sfMatches[sfIndex].matchId,
-          winnerAdvancesToSlot: 'A'
-        }
-      });
-      
-      await prisma.match.update({
-        where: { matchId: qfMatches[i + 1].matchId },
-        data: {
-          winnerAdvancesToMatchId: sfMatches[sfIndex].matchId,
-          winnerAdvancesToSlot: 'B'
+    logger.info('[SeasonGenerator] Knockout progression links established');
+  }
+
+  /**
+   * Double elimination links: the winners bracket as in single elimination,
+   * winners bracket losers dropping into the losers bracket, and both
+   * bracket champions into the grand final
+   */
+  async setupDoubleEliminationProgression(matches) {
+    const byRound = new Map();
+    matches.forEach((match) => {
+      if (!byRound.has(match.round)) byRound.set(match.round, []);
+      byRound.get(match.round).push(match);
+    });
+    const isLosersRound = (round) => /^L(\d+|F)$/.test(round);
+    const winnersRounds = Array.from(byRound.keys()).filter((round) => !isLosersRound(round) && !round.startsWith('GF'));
+    const losersRounds = Array.from(byRound.keys()).filter(isLosersRound);
+    const [grandFinal] = byRound.get('GF');
+    const [reset] = byRound.get('GF_RESET');
+
+    const link = (from, kind, to, slot) => prisma.match.update({
+      where: { matchId: from.matchId },
+      data: { [`${kind}AdvancesToMatchId`]: to.matchId, [`${kind}AdvancesToSlot`]: slot }
+    });
+
+    await this.setupKnockoutProgression(winnersRounds.flatMap((round) => byRound.get(round)));
+    const winnersFinal = byRound.get(winnersRounds[winnersRounds.length - 1])[0];
+    await link(winnersFinal, 'winner', grandFinal, 'A');
+
+    // Losers of the first winners round pair off; each later winners round's
+    // losers meet the losers bracket survivors, in reverse order to put off
+    // rematches
+    for (let w = 0; w < winnersRounds.length; w++) {
+      const roundMatches = byRound.get(winnersRounds[w]);
+      for (let i = 0; i < roundMatches.length; i++) {
+        if (losersRounds.length === 0) {
+          await link(roundMatches[i], 'loser', grandFinal, 'B');
+        } else if (w === 0) {
+          await link(roundMatches[i], 'loser', byRound.get(losersRounds[0])[Math.floor(i / 2)], i % 2 === 0 ? 'A' : 'B');
+        } else {
+          const target = byRound.get(losersRounds[2 * w - 1]);
+          await link(roundMatches[i], 'loser', target[target.length - 1 - i], 'B');
         }
-      });
+      }
     }
 
-    // Link SF to Final
-    await prisma.match.update({
-      where: { matchId: sfMatches[0].matchId },
-      data: {
-        winnerAdvancesToMatchId: finalMatch.matchId,
-        winnerAdvancesToSlot: 'A'
-      }
-    });
-    
-    await prisma.match.update({
-      where: { matchId: sfMatches[1].matchId },
-      data: {
-        winnerAdvancesToMatchId: finalMatch.matchId,
-        winnerAdvancesToSlot: 'B'
+    for (let l = 0; l < losersRounds.length; l++) {
+      const roundMatches = byRound.get(losersRounds[l]);
+      const nextRound = byRound.get(losersRounds[l + 1]);
+      for (let i = 0; i < roundMatches.length; i++) {
+        if (!nextRound) {
+          await link(roundMatches[i], 'winner', grandFinal, 'B');
+        } else if (l % 2 === 0) {
+          // Into a round that takes in winners bracket losers: same position
+          await link(roundMatches[i], 'winner', nextRound[i], 'A');
+        } else {
+          await link(roundMatches[i], 'winner', nextRound[Math.floor(i / 2)], i % 2 === 0 ? 'A' : 'B');
+        }
       }
-    });
+    }
 
-    logger.info('[SeasonGenerator] Knockout progression links established');
+    // Both grand finalists go on to the reset; it is cancelled if the winners
+    // bracket champion wins the grand final
+    await link(grandFinal, 'winner', reset, 'A');
+    await link(grandFinal, 'loser', reset, 'B');
+
+    logger.info('[SeasonGenerator] Double elimination progression links established');
   }
 
   /**
@@ -378,33 +426,20 @@ class SeasonGenerator {
     const dbMatches = await prisma.match.findMany({
       where: {
         seasonId,
-        round: { in: ['R16', 'QF', 'SF', 'FINAL'] }
+        groupLabel: null
       },
       orderBy: { matchNumber: 'asc' }
     });
 
-    // Create bracket entries
-    dbMatches.forEach((match, index) => {
-      let bracketLevel, position;
-      
-      switch (match.round) {
-        case 'R16':
-          bracketLevel = 4;
-          position = (index % 8) + 1;
-          break;
-        case 'QF':
-          bracketLevel = 3;
-          position = (index % 4) + 1;
-          break;
-        case 'SF':
-          bracketLevel = 2;
-          position = (index % 2) + 1;
-          break;
-        case 'FINAL':
-          bracketLevel = 1;
-          position = 1;
-          break;
-      }
+    // Create bracket entries; level 1 is the final, counting up towards the
+    // first round
+    const roundSizes = new Map();
+    dbMatches.forEach((match) => roundSizes.set(match.round, (roundSizes.get(match.round) || 0) + 1));
+    const positions = new Map();
+    dbMatches.forEach((match) => {
+      const position = (positions.get(match.round) || 0) + 1;
+      positions.set(match.round, position);
+      const bracketLevel = Math.log2(roundSizes.get(match.round)) + 1;
 
       brackets.push({
         seasonId,
@@ -428,94 +463,50 @@ class SeasonGenerator {
   }
 
   /**
-   * Process group stage completion and advance qualifiers
+   * Process group stage completion and advance as many qualifiers as the
+   * season's fixture plan takes from each group
    */
   async processGroupCompletion(seasonId, groupLabel) {
+    const season = await prisma.season.findUnique({ where: { seasonId } });
+    const plan = season?.metadata?.fixturePlan;
+    const qualifierCount = plan?.qualifiersPerGroup || 2;
+
     // Get final group standings
     const standings = await prisma.groupStanding.findMany({
       where: { seasonId, groupLabel },
       orderBy: [
         { wins: 'desc' },
+        { draws: 'desc' },
         { pointDifference: 'desc' },
         { pointsFor: 'desc' }
       ]
     });
 
-    if (standings.length < 4) {
-      throw new Error(`Group ${groupLabel} does not have 4 players`);
+    if (standings.length < qualifierCount) {
+      throw new Error(`Group ${groupLabel} has fewer than ${qualifierCount} players`);
     }
 
-    // Mark top 2 as qualified
-    const qualifiers = standings.slice(0, 2);
-    const winner = qualifiers[0];
-    const runnerUp = qualifiers[1];
+    const qualifierIds = standings.slice(0, qualifierCount).map(standing => standing.playerId);
 
     await prisma.groupStanding.updateMany({
       where: { 
         seasonId, 
         groupLabel,
-        playerId: { in: [winner.playerId, runnerUp.playerId] }
+        playerId: { in: qualifierIds }
       },
       data: { qualified: true }
     });
 
-    // Advance qualifiers to R16
-    await this.advanceToKnockout(seasonId, groupLabel, winner.playerId, runnerUp.playerId);
+    // Same placement as the bracket builder, so byes are walked over too
+    await new BracketBuilder().advanceGroupQualifiers(seasonId, groupLabel, qualifierIds, plan);
 
     logger.info({ 
       seasonId, 
       groupLabel,
-      winner: winner.playerId,
-      runnerUp: runnerUp.playerId
+      qualifiers: qualifierIds
     }, '[SeasonGenerator] Group stage completed, qualifiers advanced');
 
-    return { winner, runnerUp };
-  }
-
-  /**
-   * Advance group qualifiers to Round of 16
-   */
-  async advanceToKnockout(seasonId, groupLabel, winnerId, runnerUpId) {
-    // Group pairing logic for R16
-    const groupPairings = {
-      'A': { winnerSlot: 1, runnerUpSlot: 2 },  // A1 vs B2
-      'B': { winnerSlot: 2, runnerUpSlot: 1 },  // B1 vs A2
-      'C': { winnerSlot: 3, runnerUpSlot: 4 },  // C1 vs D2
-      'D': { winnerSlot: 4, runnerUpSlot: 3 },  // D1 vs C2
-      'E': { winnerSlot: 5, runnerUpSlot: 6 },  // E1 vs F2
-      'F': { winnerSlot: 6, runnerUpSlot: 5 },  // F1 vs E2
-      'G': { winnerSlot: 7, runnerUpSlot: 8 },  // G1 vs H2
-      'H': { winnerSlot: 8, runnerUpSlot: 7 }   // H1 vs G2
-    };
-
-    const pairing = groupPairings[groupLabel];
-    if (!pairing) {
-      throw new Error(`Invalid group label: ${groupLabel}`);
-    }
-
-    // Get R16 matches
-    const r16Matches = await prisma.match.findMany({
-      where: { seasonId, round: 'R16' },
-      orderBy: { matchNumber: 'asc' }
-    });
-
-    // Assign winner to their slot
-    const winnerMatch = r16Matches[pairing.winnerSlot - 1];
-    await prisma.match.update({
-      where: { matchId: winnerMatch.matchId },
-      data: { 
-        [winnerMatch.player1Id ? 'player2Id' : 'player1Id']: winnerId
-      }
-    });
-
-    // Assign runner-up to their slot
-    const runnerUpMatch = r16Matches[pairing.runnerUpSlot - 1];
-    await prisma.match.update({
-      where: { matchId: runnerUpMatch.matchId },
-      data: { 
-        [runnerUpMatch.player1Id ? 'player2Id' : 'player1Id']: runnerUpId
-      }
-    });
+    return { qualifierIds };
   }
 }
 
@@ -0,0 +1,107 @@
+const mockStore = { matches: [] };
+
+jest.mock('@prisma/client', () => {
+  const match = {
+    createMany: jest.fn(async ({ data }) => {
+      data.forEach((row) => mockStore.matches.push({ ...row, matchId: `m${row.matchNumber}` }));
+      return { count: data.length };
+    }),
+    findMany: jest.fn(async () => [...mockStore.matches].sort((a, b) => a.matchNumber - b.matchNumber)),
+    update: jest.fn(async ({ where, data }) => {
+      const found = mockStore.matches.find((m) => m.matchId === where.matchId);
+      Object.assign(found, data);
+      return found;
+    })
+  };
+  return { PrismaClient: jest.fn().mockImplementation(() => ({ match })) };
+});
+
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const { SeasonGenerator } = require('../src/services/SeasonGenerator');
+
+const season = { seasonId: 's1', tournamentId: 't1', clubId: null };
+
+function roundOf(round) {
+  return mockStore.matches.filter((m) => m.round === round);
+}
+
+describe('SeasonGenerator', () => {
+  let generator;
+
+  beforeEach(() => {
+    mockStore.matches = [];
+    jest.clearAllMocks();
+    generator = new SeasonGenerator();
+  });
+
+  describe('setupDoubleEliminationProgression', () => {
+    test('should lay out the losers bracket and grand final for a bracket of eight', async () => {
+      await generator.generateKnockoutMatches(season, 8, 1, { doubleElimination: true });
+
+      expect(['QF', 'SF', 'WF', 'L1', 'L2', 'L3', 'LF', 'GF', 'GF_RESET'].map((round) => roundOf(round).length))
+        .toEqual([4, 2, 1, 2, 2, 1, 1, 1, 1]);
+    });
+
+    test('should link the winners bracket as in single elimination', async () => {
+      await generator.generateKnockoutMatches(season, 8, 1, { doubleElimination: true });
+      const [qf1, qf2, qf3, qf4] = roundOf('QF');
+      const [sf1, sf2] = roundOf('SF');
+      const [winnersFinal] = roundOf('WF');
+      const [grandFinal] = roundOf('GF');
+
+      expect(qf1).toMatchObject({ winnerAdvancesToMatchId: sf1.matchId, winnerAdvancesToSlot: 'A' });
+      expect(qf2).toMatchObject({ winnerAdvancesToMatchId: sf1.matchId, winnerAdvancesToSlot: 'B' });
+      expect(qf3).toMatchObject({ winnerAdvancesToMatchId: sf2.matchId, winnerAdvancesToSlot: 'A' });
+      expect(qf4).toMatchObject({ winnerAdvancesToMatchId: sf2.matchId, winnerAdvancesToSlot: 'B' });
+      expect(sf2).toMatchObject({ winnerAdvancesToMatchId: winnersFinal.matchId, winnerAdvancesToSlot: 'B' });
+      expect(winnersFinal).toMatchObject({ winnerAdvancesToMatchId: grandFinal.matchId, winnerAdvancesToSlot: 'A' });
+    });
+
+    test('should drop winners bracket losers into the losers bracket, later rounds in reverse order', async () => {
+      await generator.generateKnockoutMatches(season, 8, 1, { doubleElimination: true });
+      const [qf1, qf2, qf3] = roundOf('QF');
+      const [sf1, sf2] = roundOf('SF');
+      const [winnersFinal] = roundOf('WF');
+      const [l1a, l1b] = roundOf('L1');
+      const [l2a, l2b] = roundOf('L2');
+      const [losersFinal] = roundOf('LF');
+
+      expect(qf1).toMatchObject({ loserAdvancesToMatchId: l1a.matchId, loserAdvancesToSlot: 'A' });
+      expect(qf2).toMatchObject({ loserAdvancesToMatchId: l1a.matchId, loserAdvancesToSlot: 'B' });
+      expect(qf3).toMatchObject({ loserAdvancesToMatchId: l1b.matchId, loserAdvancesToSlot: 'A' });
+      expect(sf1).toMatchObject({ loserAdvancesToMatchId: l2b.matchId, loserAdvancesToSlot: 'B' });
+      expect(sf2).toMatchObject({ loserAdvancesToMatchId: l2a.matchId, loserAdvancesToSlot: 'B' });
+      expect(winnersFinal).toMatchObject({ loserAdvancesToMatchId: losersFinal.matchId, loserAdvancesToSlot: 'B' });
+    });
+
+    test('should carry losers bracket winners through to the grand final', async () => {
+      await generator.generateKnockoutMatches(season, 8, 1, { doubleElimination: true });
+      const [l1a, l1b] = roundOf('L1');
+      const [l2a, l2b] = roundOf('L2');
+      const [l3] = roundOf('L3');
+      const [losersFinal] = roundOf('LF');
+      const [grandFinal] = roundOf('GF');
+
+      expect(l1a).toMatchObject({ winnerAdvancesToMatchId: l2a.matchId, winnerAdvancesToSlot: 'A' });
+      expect(l1b).toMatchObject({ winnerAdvancesToMatchId: l2b.matchId, winnerAdvancesToSlot: 'A' });
+      expect(l2a).toMatchObject({ winnerAdvancesToMatchId: l3.matchId, winnerAdvancesToSlot: 'A' });
+      expect(l2b).toMatchObject({ winnerAdvancesToMatchId: l3.matchId, winnerAdvancesToSlot: 'B' });
+      expect(l3).toMatchObject({ winnerAdvancesToMatchId: losersFinal.matchId, winnerAdvancesToSlot: 'A' });
+      expect(losersFinal).toMatchObject({ winnerAdvancesToMatchId: grandFinal.matchId, winnerAdvancesToSlot: 'B' });
+    });
+
+    test('should send both grand finalists to the reset', async () => {
+      await generator.generateKnockoutMatches(season, 4, 1, { doubleElimination: true });
+      const [grandFinal] = roundOf('GF');
+      const [reset] = roundOf('GF_RESET');
+
+      expect(grandFinal).toMatchObject({
+        winnerAdvancesToMatchId: reset.matchId,
+        winnerAdvancesToSlot: 'A',
+        loserAdvancesToMatchId: reset.matchId,
+        loserAdvancesToSlot: 'B'
+      });
+    });
+  });
+});
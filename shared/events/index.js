@@ -26,6 +26,21 @@ const Topics = {
   PLATFORM_FEE_CREDITED: 'wallet.platform_fee_credited',
   NOTIFICATION_SEND: 'notification.send',
 
+  // Match integrity (post-game replay audit)
+  MATCH_INTEGRITY_FLAGGED: 'game.match_integrity_flagged',
+  MATCH_INTEGRITY_RESOLVED: 'admin.match_integrity_resolved',
+
+  // Level knockout the sudden-death tiebreak could not decide; for admins only,
+  // it is not an integrity case and holds no payout
+  MATCH_TIEBREAK_REVIEW: 'game.match_tiebreak_review',
+
+  // Player integrity (cross-match anomaly detection)
+  PLAYER_INTEGRITY_FLAGGED: 'game.player_integrity_flagged',
+  PLAYER_INTEGRITY_RESOLVED: 'admin.player_integrity_resolved',
+
+  // Stale game sessions expired by the cleanup worker without a result
+  GAME_SESSION_CANCELLED: 'game.session_cancelled',
+
   // Payment events
   DEPOSIT_APPROVED: 'payment.deposit_approved',
   WITHDRAWAL_APPROVED: 'payment.withdrawal_approved',
@@ -55,6 +55,13 @@ function validateMatchCompleted(payload) {
   if (!isString(payload.matchId)) return { ok: false, error: 'matchId is required' };
   if (!isString(payload.stage)) return { ok: false, error: 'stage is required' };
   if (typeof payload.roundNumber !== 'number') return { ok: false, error: 'roundNumber must be a number' };
+  // Drawn matches have no winner; they name both players instead
+  if (payload.draw === true) {
+    if (!isString(payload.player1Id) || !isString(payload.player2Id)) {
+      return { ok: false, error: 'player1Id and player2Id are required for a draw' };
+    }
+    return { ok: true, value: payload };
+  }
   if (!isString(payload.winnerId)) return { ok: false, error: 'winnerId is required' };
   if (!isString(payload.loserId)) return { ok: false, error: 'loserId is required' };
   return { ok: true, value: payload };
@@ -146,6 +153,27 @@ function validateNotificationSend(payload) {
   return { ok: true, value: payload };
 }
 
+function validateMatchIntegrityFlagged(payload) {
+  if (!payload || !isString(payload.sessionId)) return { ok: false, error: 'sessionId is required' };
+  if (!isString(payload.reason)) return { ok: false, error: 'reason is required' };
+  if (!isString(payload.detectedAt)) return { ok: false, error: 'detectedAt is required' };
+  return { ok: true, value: payload };
+}
+
+function validateMatchIntegrityResolved(payload) {
+  if (!payload || !isString(payload.reviewId)) return { ok: false, error: 'reviewId is required' };
+  if (!isString(payload.sessionId)) return { ok: false, error: 'sessionId is required' };
+  if (!isString(payload.resolution)) return { ok: false, error: 'resolution is required' };
+  return { ok: true, value: payload };
+}
+
+function validateGameSessionCancelled(payload) {
+  if (!payload || !isString(payload.sessionId)) return { ok: false, error: 'sessionId is required' };
+  if (!isString(payload.reason)) return { ok: false, error: 'reason is required' };
+  if (!isString(payload.cancelledAt)) return { ok: false, error: 'cancelledAt is required' };
+  return { ok: true, value: payload };
+}
+
 function validateTournamentCommand(payload) {
   if (!payload) return { ok: false, error: 'payload is required' };
   if (!isString(payload.commandId)) return { ok: false, error: 'commandId is required' };
@@ -188,6 +216,9 @@ const validatorsByTopic = {
   'wallet.prize_credited': validatePrizeCredited,
   'wallet.platform_fee_credited': validatePlatformFeeCredited,
   'notification.send': validateNotificationSend,
+  'game.match_integrity_flagged': validateMatchIntegrityFlagged,
+  'admin.match_integrity_resolved': validateMatchIntegrityResolved,
+  'game.session_cancelled': validateGameSessionCancelled,
 
   'payment.deposit_approved': validateDepositApproved,
   'payment.withdrawal_approved': validateWithdrawalApproved,
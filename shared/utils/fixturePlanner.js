@@ -0,0 +1,260 @@
+// Season fixture planning for any number of players: whether to play groups
+// first, how many groups of what size, and how big the knockout bracket is,
+// with byes filling the bracket up to a power of two.
+
+const DEFAULT_OPTIONS = {
+  groupSize: 4,
+  minGroupSize: 3,
+  maxGroupSize: 5,
+  qualifiersPerGroup: 2,
+  // Below this a season goes straight to knockout. From 9 players a straight
+  // bracket would be 16 with 5 to 7 byes, so small groups play first instead
+  minGroupStagePlayers: 9
+};
+
+function nextPowerOfTwo(value) {
+  return 2 ** Math.ceil(Math.log2(Math.max(1, value)));
+}
+
+// Stage name of the knockout round that starts with `bracketSize` players
+function stageForBracket(bracketSize) {
+  if (bracketSize <= 2) return 'final';
+  if (bracketSize <= 4) return 'semifinal';
+  if (bracketSize <= 8) return 'quarterfinal';
+  return `round_of_${bracketSize}`;
+}
+
+function stageLabel(stage) {
+  return String(stage).replace(/_/g, ' ');
+}
+
+function balancedSizes(total, count) {
+  const base = Math.floor(total / count);
+  const remainder = total % count;
+  return Array.from({ length: count }, (_, index) => base + (index < remainder ? 1 : 0));
+}
+
+function describeSizes(sizes) {
+  const counts = sizes.reduce((acc, size) => acc.set(size, (acc.get(size) || 0) + 1), new Map());
+  return Array.from(counts.entries())
+    .sort((a, b) => b[0] - a[0])
+    .map(([size, count]) => `${count} of ${size}`)
+    .join(' and ');
+}
+
+function knockoutPlan(playerCount, explanation) {
+  const bracketSize = nextPowerOfTwo(playerCount);
+  const byes = bracketSize - playerCount;
+  const stage = stageForBracket(bracketSize);
+  explanation.push(byes > 0
+    ? `Straight knockout: a bracket of ${bracketSize} with ${byes} bye${byes === 1 ? '' : 's'} for the top seeds, who start in the second round.`
+    : `Straight knockout: ${playerCount} players fill a bracket of ${bracketSize} with no byes.`);
+  return {
+    mode: 'knockout',
+    playerCount,
+    groupCount: 0,
+    groupSizes: [],
+    qualifiersPerGroup: 0,
+    qualifierCount: playerCount,
+    bracketSize,
+    byes,
+    initialStage: stage,
+    knockoutStage: stage,
+    explanation
+  };
+}
+
+/**
+ * Pick the fixture plan for `playerCount` players.
+ *
+ * With enough players for a group stage the group count is chosen from those
+ * that keep every group between minGroupSize and maxGroupSize, preferring the
+ * fewest knockout byes and then groups closest to groupSize. Knockout byes go
+ * to the best qualifiers: group winners first, then runners-up.
+ *
+ * Returns { mode: 'cancel' | 'knockout' | 'group', playerCount, groupCount,
+ * groupSizes, qualifiersPerGroup, qualifierCount, bracketSize, byes,
+ * initialStage, knockoutStage, explanation: [sentence] }.
+ */
+function planFixtures(playerCount, options = {}) {
+  const {
+    groupSize,
+    minGroupSize,
+    maxGroupSize,
+    qualifiersPerGroup,
+    minGroupStagePlayers
+  } = { ...DEFAULT_OPTIONS, ...options };
+  const explanation = [`${playerCount} player${playerCount === 1 ? '' : 's'} entered.`];
+
+  if (playerCount < 2) {
+    explanation.push('At least 2 players are needed for a match, so the season is cancelled.');
+    return {
+      mode: 'cancel',
+      playerCount,
+      groupCount: 0,
+      groupSizes: [],
+      qualifiersPerGroup: 0,
+      qualifierCount: 0,
+      bracketSize: 0,
+      byes: 0,
+      initialStage: null,
+      knockoutStage: null,
+      explanation
+    };
+  }
+
+  // A small odd field plays one round robin rather than a bracket that is
+  // nearly half byes
+  if (playerCount < minGroupStagePlayers && playerCount % 2 === 1 && playerCount <= maxGroupSize) {
+    const qualifierCount = Math.min(qualifiersPerGroup, playerCount);
+    const bracketSize = nextPowerOfTwo(qualifierCount);
+    explanation.push(`Too few for several groups and an odd number for a bracket: one round-robin group, top ${qualifierCount} go to the ${stageLabel(stageForBracket(bracketSize))}.`);
+    return {
+      mode: 'group',
+      playerCount,
+      groupCount: 1,
+      groupSizes: [playerCount],
+      qualifiersPerGroup: qualifierCount,
+      qualifierCount,
+      bracketSize,
+      byes: bracketSize - qualifierCount,
+      initialStage: 'group',
+      knockoutStage: stageForBracket(bracketSize),
+      explanation
+    };
+  }
+
+  if (playerCount < minGroupStagePlayers) {
+    return knockoutPlan(playerCount, explanation);
+  }
+
+  let best = null;
+  const fewestGroups = Math.ceil(playerCount / maxGroupSize);
+  const mostGroups = Math.floor(playerCount / minGroupSize);
+  for (let groupCount = fewestGroups; groupCount <= mostGroups; groupCount += 1) {
+    const qualifierCount = groupCount * qualifiersPerGroup;
+    const bracketSize = nextPowerOfTwo(qualifierCount);
+    const candidate = {
+      groupCount,
+      qualifierCount,
+      bracketSize,
+      byes: bracketSize - qualifierCount,
+      sizeGap: Math.abs(playerCount / groupCount - groupSize)
+    };
+    if (!best || candidate.byes < best.byes || (candidate.byes === best.byes && candidate.sizeGap < best.sizeGap)) {
+      best = candidate;
+    }
+  }
+
+  const groupSizes = balancedSizes(playerCount, best.groupCount);
+  const knockoutStage = stageForBracket(best.bracketSize);
+  explanation.push(`${best.groupCount} groups (${describeSizes(groupSizes)}) keep every group between ${minGroupSize} and ${maxGroupSize} players; the top ${qualifiersPerGroup} of each advance.`);
+  explanation.push(best.byes > 0
+    ? `${best.qualifierCount} qualifiers go into a bracket of ${best.bracketSize} starting at the ${stageLabel(knockoutStage)}; ${best.byes} bye${best.byes === 1 ? '' : 's'} go to the best qualifiers, group winners first.`
+    : `${best.qualifierCount} qualifiers fill a bracket of ${best.bracketSize} starting at the ${stageLabel(knockoutStage)} with no byes.`);
+
+  return {
+    mode: 'group',
+    playerCount,
+    groupCount: best.groupCount,
+    groupSizes,
+    qualifiersPerGroup,
+    qualifierCount: best.qualifierCount,
+    bracketSize: best.bracketSize,
+    byes: best.byes,
+    initialStage: 'group',
+    knockoutStage,
+    explanation
+  };
+}
+
+// Seed number on each line of a bracket with `count` first-round matches,
+// so that seeds 1 and 2 can only meet in the final
+function bracketLines(count) {
+  let lines = [1];
+  while (lines.length < count) {
+    const size = lines.length * 2;
+    lines = lines.flatMap((line) => [line, size + 1 - line]);
+  }
+  return lines;
+}
+
+/**
+ * First-round knockout draw for a group plan: one entry per first-round
+ * match, in bracket order, with the qualifier for each slot as
+ * { group (0-based index), place (1 = group winner) }, or null for a bye.
+ *
+ * Qualifiers are seeded group winners first, then runners-up, and so on; the
+ * top seeds take the byes and the rest play highest against lowest, with
+ * players from the same group kept apart wherever a swap allows. Runners-up
+ * then go to the other half of the bracket from their group winner, so the
+ * two can only meet again in the final.
+ */
+function knockoutDraw(plan) {
+  const { groupCount, qualifiersPerGroup, bracketSize } = plan;
+  const seeds = [];
+  for (let place = 1; place <= qualifiersPerGroup; place += 1) {
+    for (let group = 0; group < groupCount; group += 1) {
+      seeds.push({ group, place });
+    }
+  }
+
+  const byes = Math.max(0, bracketSize - seeds.length);
+  const units = seeds.slice(0, byes).map((seed) => [seed, null]);
+  const rest = seeds.slice(byes);
+  for (let i = 0; i < rest.length / 2; i += 1) {
+    units.push([rest[i], rest[rest.length - 1 - i]]);
+  }
+
+  const clashes = ([a, b]) => Boolean(a && b && a.group === b.group);
+  units.forEach((unit, index) => {
+    if (!clashes(unit)) return;
+    const other = units.find((candidate, candidateIndex) => candidateIndex !== index
+      && candidate[1]
+      && candidate[0].group !== unit[1].group
+      && unit[0].group !== candidate[1].group);
+    if (other) [unit[1], other[1]] = [other[1], unit[1]];
+  });
+
+  const draw = bracketLines(bracketSize / 2).map((line) => ({
+    player1: units[line - 1][0],
+    player2: units[line - 1][1]
+  }));
+  separateRunnersUp(draw);
+  return draw;
+}
+
+// Move each runner-up into a runner-up slot in the half of the draw its group
+// winner is not in. The top seeds' byes are split evenly between the halves,
+// so each half has a slot for every runner-up whose winner is in the other.
+function separateRunnersUp(draw) {
+  const halfOf = (index) => (index < draw.length / 2 ? 0 : 1);
+  const winnerHalf = new Map();
+  const slots = [];
+  const runnersUp = [];
+  draw.forEach((match, index) => {
+    ['player1', 'player2'].forEach((key) => {
+      const seed = match[key];
+      if (seed && seed.place === 1) winnerHalf.set(seed.group, halfOf(index));
+      if (seed && seed.place === 2) {
+        slots.push({ match, key, half: halfOf(index) });
+        runnersUp.push(seed);
+      }
+    });
+  });
+
+  runnersUp.sort((a, b) => a.group - b.group);
+  runnersUp.forEach((seed) => {
+    const wanted = winnerHalf.has(seed.group) ? 1 - winnerHalf.get(seed.group) : null;
+    const index = slots.findIndex((slot) => wanted === null || slot.half === wanted);
+    const [slot] = slots.splice(index === -1 ? 0 : index, 1);
+    slot.match[slot.key] = seed;
+  });
+}
+
+module.exports = {
+  nextPowerOfTwo,
+  stageForBracket,
+  planFixtures,
+  knockoutDraw
+};
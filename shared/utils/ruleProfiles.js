@@ -0,0 +1,62 @@
+// 8-ball rule profiles, shared by tournament-service, which validates what a
+// tournament asks for, and the game-service engine, which plays it.
+//
+// Named profiles: `house` keeps the behaviour the engine always had, so an
+// 8 on the break is just another pocketed ball ('none'); tournaments pick a
+// profile and may override individual options.
+const RULE_PROFILES = {
+  house: {
+    callEightPocket: false,
+    callShots: false,
+    wrongCallPenalty: 'no_pot',
+    threeFoulLoss: false,
+    eightOnBreak: 'none',
+    breakScratchBallInHand: 'anywhere',
+    openTableAfterBreak: true
+  },
+  wpa: {
+    callEightPocket: true,
+    callShots: true,
+    wrongCallPenalty: 'no_pot',
+    threeFoulLoss: false,
+    eightOnBreak: 'rerack',
+    breakScratchBallInHand: 'kitchen',
+    openTableAfterBreak: true
+  }
+};
+
+const DEFAULT_RULE_PROFILE = 'house';
+
+// Values each option may be overridden with
+const RULE_PROFILE_OPTIONS = {
+  callEightPocket: [true, false],
+  callShots: [true, false],
+  wrongCallPenalty: ['no_pot', 'foul'],
+  threeFoulLoss: [true, false],
+  eightOnBreak: ['none', 'win', 'rerack'],
+  breakScratchBallInHand: ['anywhere', 'kitchen'],
+  openTableAfterBreak: [true, false]
+};
+
+// Options nine-ball has no equivalent for
+const EIGHT_BALL_ONLY_OPTIONS = ['callEightPocket', 'eightOnBreak', 'openTableAfterBreak'];
+
+// The valid overrides in `source`, dropping unknown options and values
+function pickRuleOverrides(source) {
+  const overrides = {};
+  if (!source || typeof source !== 'object') return overrides;
+  Object.keys(RULE_PROFILE_OPTIONS).forEach((key) => {
+    if (RULE_PROFILE_OPTIONS[key].includes(source[key])) {
+      overrides[key] = source[key];
+    }
+  });
+  return overrides;
+}
+
+module.exports = {
+  RULE_PROFILES,
+  DEFAULT_RULE_PROFILE,
+  RULE_PROFILE_OPTIONS,
+  EIGHT_BALL_ONLY_OPTIONS,
+  pickRuleOverrides
+};
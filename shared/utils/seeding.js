@@ -0,0 +1,184 @@
+// Season draws: how players are spread over groups, or ordered into first
+// round pairings, before fixtures are generated.
+//
+// Methods:
+// - random: a uniform shuffle.
+// - snake: players ranked by rating and drawn into pots of one player per
+//   group; pots are dealt in alternating direction so every group gets one
+//   strong and one weaker player from each pair of pots.
+// - club_separated: the snake draw, but each player goes to the group in
+//   their pot with the fewest players from their own club.
+
+const crypto = require('crypto');
+
+const SEEDING_METHODS = ['random', 'snake', 'club_separated'];
+const DEFAULT_SEEDING_METHOD = 'random';
+// Rating assumed for players the player service has no rating for
+const DEFAULT_SEED_RATING = 1500;
+
+function normalizeSeedingMethod(value) {
+  const method = typeof value === 'object' && value ? value.method : value;
+  return SEEDING_METHODS.includes(method) ? method : DEFAULT_SEEDING_METHOD;
+}
+
+// Fisher-Yates with a CSPRNG; sort(() => Math.random() - 0.5) is not uniform
+function shuffle(items) {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i -= 1) {
+    const j = crypto.randomInt(i + 1);
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+function profileOf(profiles, playerId) {
+  const profile = profiles?.get(playerId) || {};
+  return {
+    rating: Number.isFinite(profile.rating) ? profile.rating : null,
+    clubId: profile.clubId || null
+  };
+}
+
+// Strongest first. Equal ratings (new players mostly) are in random order
+// rather than the order they joined.
+function rankByRating(playerIds, profiles) {
+  const ratingOf = (playerId) => profileOf(profiles, playerId).rating ?? DEFAULT_SEED_RATING;
+  return shuffle(playerIds).sort((a, b) => ratingOf(b) - ratingOf(a));
+}
+
+function groupLabel(index) {
+  return String.fromCharCode(65 + index);
+}
+
+function buildSeeds(ranked, profiles, placement = () => ({})) {
+  return ranked.map((playerId, index) => ({
+    playerId,
+    seed: index + 1,
+    ...profileOf(profiles, playerId),
+    ...placement(playerId, index)
+  }));
+}
+
+/**
+ * Split players into `groupCount` groups whose sizes differ by at most one.
+ *
+ * profiles: playerId -> { rating, clubId }; only needed for the rating and
+ * club aware methods.
+ *
+ * Returns { method, groups: [[playerId]], seeds: [{ playerId, seed, rating,
+ * clubId, pot, group }] }. Seeds are the draw order for the random method and
+ * the rating rank otherwise.
+ */
+function seedGroups(playerIds, groupCount, { method, profiles } = {}) {
+  const seedingMethod = normalizeSeedingMethod(method);
+  const count = Math.max(1, Math.min(groupCount, playerIds.length));
+  const groups = Array.from({ length: count }, () => []);
+  const placements = new Map();
+
+  if (seedingMethod === 'random') {
+    const drawn = shuffle(playerIds);
+    const baseSize = Math.floor(drawn.length / count);
+    const remainder = drawn.length % count;
+    let offset = 0;
+    groups.forEach((group, index) => {
+      const size = baseSize + (index < remainder ? 1 : 0);
+      drawn.slice(offset, offset + size).forEach((playerId) => {
+        group.push(playerId);
+        placements.set(playerId, { pot: null, group: groupLabel(index) });
+      });
+      offset += size;
+    });
+    return { method: seedingMethod, groups, seeds: buildSeeds(drawn, profiles, (id) => placements.get(id)) };
+  }
+
+  const ranked = rankByRating(playerIds, profiles);
+  const clubCounts = groups.map(() => new Map());
+  for (let start = 0, pot = 0; start < ranked.length; start += count, pot += 1) {
+    const potPlayers = ranked.slice(start, start + count);
+    // Odd pots are dealt from the last group back to the first
+    const order = groups.map((_, index) => index);
+    if (pot % 2 === 1) order.reverse();
+
+    // Clubbed players pick first; a player only leaves their snake slot for
+    // the nearest open one with fewer clubmates
+    const clubOf = (playerId) => (seedingMethod === 'club_separated' ? profileOf(profiles, playerId).clubId : null);
+    const pickOrder = potPlayers
+      .map((playerId, index) => ({ playerId, index }))
+      .sort((a, b) => Number(Boolean(clubOf(b.playerId))) - Number(Boolean(clubOf(a.playerId))));
+    const taken = new Set();
+
+    pickOrder.forEach(({ playerId, index }) => {
+      const clubId = clubOf(playerId);
+      const clubmates = (slot) => (clubId ? clubCounts[order[slot]].get(clubId) || 0 : 0);
+      const slot = potPlayers
+        .map((_, candidate) => candidate)
+        .filter((candidate) => !taken.has(candidate))
+        .sort((a, b) => clubmates(a) - clubmates(b) || Math.abs(a - index) - Math.abs(b - index))[0];
+      taken.add(slot);
+      const target = order[slot];
+      groups[target].push(playerId);
+      if (clubId) clubCounts[target].set(clubId, (clubCounts[target].get(clubId) || 0) + 1);
+      placements.set(playerId, { pot: pot + 1, group: groupLabel(target) });
+    });
+  }
+
+  return { method: seedingMethod, groups, seeds: buildSeeds(ranked, profiles, (id) => placements.get(id)) };
+}
+
+/**
+ * Order players for the first knockout round: the first `byes` players sit
+ * the round out, the rest pair off two by two. Rated methods give the byes to
+ * the top seeds and pair the next best with the worst, second with
+ * second-to-last and so on; club_separated then swaps opponents to keep
+ * clubmates apart where it can. With an odd count left after the byes the
+ * last player is left without an opponent.
+ */
+function seedPairings(playerIds, { method, profiles, byes = 0 } = {}) {
+  const seedingMethod = normalizeSeedingMethod(method);
+  if (seedingMethod === 'random') {
+    const drawn = shuffle(playerIds);
+    return { method: seedingMethod, order: drawn, seeds: buildSeeds(drawn, profiles) };
+  }
+
+  const ranked = rankByRating(playerIds, profiles);
+  const byePlayers = ranked.slice(0, byes);
+  const remaining = ranked.slice(byes);
+  const hasBye = remaining.length % 2 === 1;
+  const paired = hasBye ? remaining.slice(0, -1) : remaining;
+  const pairs = [];
+  for (let i = 0; i < paired.length / 2; i += 1) {
+    pairs.push([paired[i], paired[paired.length - 1 - i]]);
+  }
+
+  if (seedingMethod === 'club_separated') {
+    const clubOf = (playerId) => profileOf(profiles, playerId).clubId;
+    const clash = ([a, b]) => Boolean(clubOf(a)) && clubOf(a) === clubOf(b);
+    pairs.forEach((pair, index) => {
+      if (!clash(pair)) return;
+      // Trade opponents with the nearest pair where neither side then clashes
+      for (let offset = 1; offset < pairs.length; offset += 1) {
+        const other = [index + offset, index - offset].find((candidate) => (
+          candidate >= 0 && candidate < pairs.length
+          && !clash([pair[0], pairs[candidate][1]])
+          && !clash([pairs[candidate][0], pair[1]])
+        ));
+        if (other !== undefined) {
+          [pair[1], pairs[other][1]] = [pairs[other][1], pair[1]];
+          return;
+        }
+      }
+    });
+  }
+
+  const order = byePlayers.concat(pairs.flat(), hasBye ? remaining.slice(-1) : []);
+  return { method: seedingMethod, order, seeds: buildSeeds(ranked, profiles) };
+}
+
+module.exports = {
+  SEEDING_METHODS,
+  DEFAULT_SEEDING_METHOD,
+  normalizeSeedingMethod,
+  shuffle,
+  seedGroups,
+  seedPairings
+};